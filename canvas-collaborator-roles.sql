@@ -0,0 +1,74 @@
+-- Role-based collaborator permissions (viewer / commenter / editor)
+-- Run this in Supabase SQL Editor after canvas-collaborators-setup.sql
+
+-- Step 1: Add the role column
+-- Existing collaborators keep full access, so the default is 'editor'
+ALTER TABLE canvas_collaborators
+  ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'editor';
+
+ALTER TABLE canvas_collaborators
+  DROP CONSTRAINT IF EXISTS canvas_collaborators_role_check;
+
+ALTER TABLE canvas_collaborators
+  ADD CONSTRAINT canvas_collaborators_role_check
+  CHECK (role IN ('viewer', 'commenter', 'editor'));
+
+-- Step 2: Ensure the ownership helper exists
+CREATE OR REPLACE FUNCTION is_note_owner(note_uuid UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN EXISTS (
+    SELECT 1 FROM notes
+    WHERE id = note_uuid
+    AND user_id = auth.uid()
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 3: Helper to check if the current user may edit a note
+-- Owners can always edit, collaborators only with the 'editor' role
+CREATE OR REPLACE FUNCTION can_edit_note(note_uuid UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN is_note_owner(note_uuid) OR EXISTS (
+    SELECT 1
+    FROM canvas_collaborators cc
+    WHERE cc.note_id = note_uuid
+    AND cc.user_id = auth.uid()
+    AND cc.role = 'editor'
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 4: Restrict note updates to owners and editors
+-- Viewers and commenters can still read the note through notes_select_own_or_collab
+DROP POLICY IF EXISTS "notes_update_own_or_collab" ON notes;
+DROP POLICY IF EXISTS "notes_update_own" ON notes;
+
+CREATE POLICY "notes_update_own_or_collab"
+  ON notes FOR UPDATE
+  USING (can_edit_note(id))
+  WITH CHECK (can_edit_note(id));
+
+-- Step 5: Only the note owner may add collaborators or change their roles
+-- (added_by alone is not enough: anyone could insert a row for a note they
+-- don't own, naming themselves as added_by and collaborator)
+DROP POLICY IF EXISTS "canvas_collab_insert" ON canvas_collaborators;
+DROP POLICY IF EXISTS "canvas_collab_update" ON canvas_collaborators;
+
+CREATE POLICY "canvas_collab_insert"
+  ON canvas_collaborators FOR INSERT
+  WITH CHECK (
+    auth.uid() = added_by
+    AND is_note_owner(note_id)
+  );
+
+CREATE POLICY "canvas_collab_update"
+  ON canvas_collaborators FOR UPDATE
+  USING (is_note_owner(note_id))
+  WITH CHECK (is_note_owner(note_id));
+
+-- Step 6: Verify the policies
+-- SELECT policyname, cmd, qual, with_check
+-- FROM pg_policies
+-- WHERE tablename IN ('notes', 'canvas_collaborators');
@@ -0,0 +1,140 @@
+-- Canvas comment threads (canvas_comments)
+-- Run this in Supabase SQL Editor after canvas-files.sql
+--
+-- A thread starts with a root comment anchored to an Excalidraw element id or a
+-- scene coordinate (element comments also keep the coordinate, so the pin stays
+-- put if the element is deleted). Replies point at the root through parent_id.
+-- Resolving a thread sets resolved_at on the root comment. Clients sync comments
+-- live over the note's broadcast channel.
+
+-- Step 1: Create the comments table
+CREATE TABLE IF NOT EXISTS canvas_comments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  note_id UUID REFERENCES notes(id) ON DELETE CASCADE NOT NULL,
+  parent_id UUID REFERENCES canvas_comments(id) ON DELETE CASCADE,
+  element_id TEXT,
+  x DOUBLE PRECISION,
+  y DOUBLE PRECISION,
+  body TEXT NOT NULL CHECK (length(trim(body)) > 0),
+  mentions UUID[] NOT NULL DEFAULT '{}',
+  author_name TEXT,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  CONSTRAINT canvas_comments_anchor_check
+    CHECK (parent_id IS NOT NULL OR element_id IS NOT NULL OR (x IS NOT NULL AND y IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS canvas_comments_note_id_created_at_idx
+  ON canvas_comments(note_id, created_at);
+
+-- Step 2: Helper to check if the current user may comment on a note
+-- Owners, and accepted collaborators with the 'commenter' or 'editor' role
+CREATE OR REPLACE FUNCTION can_comment_note(note_uuid UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN is_note_owner(note_uuid) OR EXISTS (
+    SELECT 1
+    FROM canvas_collaborators cc
+    WHERE cc.note_id = note_uuid
+    AND cc.user_id = auth.uid()
+    AND cc.status = 'accepted'
+    AND cc.role IN ('commenter', 'editor')
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 3: RLS - viewers can read comments, commenters can post and
+-- resolve/reopen threads (see the trigger below), authors can edit their own
+-- comments, and authors and the owner can delete them
+ALTER TABLE canvas_comments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "canvas_comments_select" ON canvas_comments;
+DROP POLICY IF EXISTS "canvas_comments_insert" ON canvas_comments;
+DROP POLICY IF EXISTS "canvas_comments_update" ON canvas_comments;
+DROP POLICY IF EXISTS "canvas_comments_delete" ON canvas_comments;
+
+CREATE POLICY "canvas_comments_select"
+  ON canvas_comments FOR SELECT
+  USING (can_view_note(note_id));
+
+CREATE POLICY "canvas_comments_insert"
+  ON canvas_comments FOR INSERT
+  WITH CHECK (auth.uid() = created_by AND can_comment_note(note_id));
+
+CREATE POLICY "canvas_comments_update"
+  ON canvas_comments FOR UPDATE
+  USING (can_comment_note(note_id))
+  WITH CHECK (can_comment_note(note_id));
+
+CREATE POLICY "canvas_comments_delete"
+  ON canvas_comments FOR DELETE
+  USING (auth.uid() = created_by OR is_note_owner(note_id));
+
+-- Commenters may only resolve or reopen a thread; the comment itself can only
+-- be edited by its author, and nobody can move it to another note or thread
+CREATE OR REPLACE FUNCTION check_canvas_comment_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.note_id IS DISTINCT FROM OLD.note_id
+    OR NEW.parent_id IS DISTINCT FROM OLD.parent_id
+    OR NEW.created_by IS DISTINCT FROM OLD.created_by
+    OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+    RAISE EXCEPTION 'Comments cannot be moved or reassigned' USING ERRCODE = '42501';
+  END IF;
+
+  IF (
+    NEW.body IS DISTINCT FROM OLD.body
+    OR NEW.mentions IS DISTINCT FROM OLD.mentions
+    OR NEW.author_name IS DISTINCT FROM OLD.author_name
+    OR NEW.element_id IS DISTINCT FROM OLD.element_id
+    OR NEW.x IS DISTINCT FROM OLD.x
+    OR NEW.y IS DISTINCT FROM OLD.y
+  ) AND OLD.created_by IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Only the author can edit a comment' USING ERRCODE = '42501';
+  END IF;
+
+  -- Resolving records who did it; reopening clears it
+  IF NEW.resolved_at IS DISTINCT FROM OLD.resolved_at
+    AND NEW.resolved_by IS DISTINCT FROM (CASE WHEN NEW.resolved_at IS NULL THEN NULL ELSE auth.uid() END) THEN
+    RAISE EXCEPTION 'resolved_by must be the current user' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS canvas_comments_check_update ON canvas_comments;
+
+CREATE TRIGGER canvas_comments_check_update
+  BEFORE UPDATE ON canvas_comments
+  FOR EACH ROW
+  EXECUTE FUNCTION check_canvas_comment_update();
+
+-- Step 4: People who can be @mentioned on a note - the owner and accepted
+-- collaborators. canvas_collaborators RLS only shows collaborators their own
+-- row, so this reads it (and auth.users for emails) as the function owner.
+CREATE OR REPLACE FUNCTION get_canvas_mentionables(note_uuid UUID)
+RETURNS TABLE (user_id UUID, email TEXT) AS $$
+BEGIN
+  IF NOT can_view_note(note_uuid) THEN
+    RAISE EXCEPTION 'Not allowed to view this note'
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  SELECT u.id, u.email::TEXT
+  FROM notes n
+  JOIN auth.users u ON u.id = n.user_id
+  WHERE n.id = note_uuid
+  UNION
+  SELECT cc.user_id, cc.collaborator_email
+  FROM canvas_collaborators cc
+  WHERE cc.note_id = note_uuid
+  AND cc.user_id IS NOT NULL
+  AND cc.status = 'accepted';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+GRANT EXECUTE ON FUNCTION get_canvas_mentionables(UUID) TO authenticated;
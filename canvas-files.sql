@@ -0,0 +1,96 @@
+-- Canvas image files (canvas_files)
+-- Run this in Supabase SQL Editor after canvas-snapshots.sql
+--
+-- Excalidraw images used to live inline in notes.canvas_data.files as data URLs,
+-- so every save rewrote them. They are now stored once per note, keyed by
+-- Excalidraw's file id (a hash of the file contents), and canvas_data.files only
+-- keeps { id, mimeType, created } references. Clients fetch file data lazily.
+
+-- Step 1: Create the files table
+CREATE TABLE IF NOT EXISTS canvas_files (
+  note_id UUID REFERENCES notes(id) ON DELETE CASCADE NOT NULL,
+  file_id TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  data_url TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (note_id, file_id)
+);
+
+-- Step 2: RLS - anyone who can view the canvas can read its files, editors can
+-- add files. Files are immutable (the id is a content hash), so there is no
+-- update policy; only the owner can delete them.
+ALTER TABLE canvas_files ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "canvas_files_select" ON canvas_files;
+DROP POLICY IF EXISTS "canvas_files_insert" ON canvas_files;
+DROP POLICY IF EXISTS "canvas_files_delete" ON canvas_files;
+
+CREATE POLICY "canvas_files_select"
+  ON canvas_files FOR SELECT
+  USING (can_view_note(note_id));
+
+CREATE POLICY "canvas_files_insert"
+  ON canvas_files FOR INSERT
+  WITH CHECK (auth.uid() = created_by AND can_edit_note(note_id));
+
+CREATE POLICY "canvas_files_delete"
+  ON canvas_files FOR DELETE
+  USING (is_note_owner(note_id));
+
+-- Step 3: Public view links - return requested files for a valid share token
+CREATE OR REPLACE FUNCTION get_shared_canvas_files(share_token TEXT, file_ids TEXT[])
+RETURNS TABLE (file_id TEXT, mime_type TEXT, data_url TEXT, created_at TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+  shared_note_id UUID;
+BEGIN
+  SELECT l.note_id INTO shared_note_id
+  FROM canvas_share_links l
+  WHERE l.token = share_token
+  AND l.revoked_at IS NULL
+  AND (l.expires_at IS NULL OR l.expires_at > now());
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Share link is invalid, expired or revoked'
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN QUERY
+  SELECT f.file_id, f.mime_type, f.data_url, f.created_at
+  FROM canvas_files f
+  WHERE f.note_id = shared_note_id
+  AND f.file_id = ANY(file_ids);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+REVOKE ALL ON FUNCTION get_shared_canvas_files(TEXT, TEXT[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_shared_canvas_files(TEXT, TEXT[]) TO anon, authenticated;
+
+-- Step 4: Move existing inline files out of notes.canvas_data
+INSERT INTO canvas_files (note_id, file_id, mime_type, data_url, size_bytes, created_by)
+SELECT
+  n.id,
+  f.key,
+  COALESCE(f.value->>'mimeType', 'application/octet-stream'),
+  f.value->>'dataURL',
+  length(f.value->>'dataURL'),
+  n.user_id
+FROM notes n
+CROSS JOIN LATERAL jsonb_each(COALESCE(n.canvas_data->'files', '{}'::jsonb)) AS f
+WHERE f.value ? 'dataURL'
+ON CONFLICT (note_id, file_id) DO NOTHING;
+
+UPDATE notes n
+SET canvas_data = jsonb_set(
+  n.canvas_data,
+  '{files}',
+  (
+    SELECT COALESCE(jsonb_object_agg(f.key, f.value - 'dataURL'), '{}'::jsonb)
+    FROM jsonb_each(n.canvas_data->'files') AS f
+  )
+)
+WHERE jsonb_typeof(n.canvas_data->'files') = 'object'
+AND EXISTS (
+  SELECT 1 FROM jsonb_each(n.canvas_data->'files') AS f WHERE f.value ? 'dataURL'
+);
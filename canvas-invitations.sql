@@ -0,0 +1,195 @@
+-- Email invitation lifecycle for canvas sharing (pending, accepted, declined, expired)
+-- Run this in Supabase SQL Editor after canvas-collaborator-roles.sql
+--
+-- A canvas_collaborators row is now an invitation. It starts as 'pending' with only
+-- collaborator_email set. The invitee claims it with respond_to_canvas_invitation(),
+-- which fills in user_id. Only 'accepted' rows grant access to the note.
+
+-- Step 1: Add invitation columns
+ALTER TABLE canvas_collaborators
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending',
+  ADD COLUMN IF NOT EXISTS invited_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  ADD COLUMN IF NOT EXISTS responded_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE DEFAULT (timezone('utc'::text, now()) + INTERVAL '14 days');
+
+ALTER TABLE canvas_collaborators
+  DROP CONSTRAINT IF EXISTS canvas_collaborators_status_check;
+
+ALTER TABLE canvas_collaborators
+  ADD CONSTRAINT canvas_collaborators_status_check
+  CHECK (status IN ('pending', 'accepted', 'declined', 'expired'));
+
+-- Rows that were already claimed before this migration count as accepted
+UPDATE canvas_collaborators
+SET status = 'accepted', responded_at = COALESCE(responded_at, created_at)
+WHERE user_id IS NOT NULL AND status = 'pending';
+
+-- Step 2: Emails are matched case-insensitively
+-- Case variants of one email on the same note (Bob@example.com and
+-- bob@example.com) would break the lower-casing and the unique index below, so
+-- only one row is kept for each: the accepted one if there is one, else the newest.
+-- To see what this removes, run first:
+--   SELECT note_id, LOWER(TRIM(collaborator_email)) AS email, COUNT(*)
+--   FROM canvas_collaborators
+--   GROUP BY 1, 2 HAVING COUNT(*) > 1;
+DELETE FROM canvas_collaborators cc
+USING (
+  SELECT id, ROW_NUMBER() OVER (
+    PARTITION BY note_id, LOWER(TRIM(collaborator_email))
+    ORDER BY (status = 'accepted') DESC, (user_id IS NOT NULL) DESC, created_at DESC, id
+  ) AS position
+  FROM canvas_collaborators
+) ranked
+WHERE cc.id = ranked.id
+AND ranked.position > 1;
+
+UPDATE canvas_collaborators
+SET collaborator_email = LOWER(TRIM(collaborator_email))
+WHERE collaborator_email <> LOWER(TRIM(collaborator_email));
+
+CREATE UNIQUE INDEX IF NOT EXISTS canvas_collaborators_note_email_lower_idx
+  ON canvas_collaborators(note_id, LOWER(TRIM(collaborator_email)));
+
+CREATE INDEX IF NOT EXISTS canvas_collaborators_status_idx ON canvas_collaborators(status);
+
+-- Step 3: Helpers (SECURITY DEFINER so they can read auth.users)
+CREATE OR REPLACE FUNCTION get_current_user_email()
+RETURNS TEXT AS $$
+BEGIN
+  RETURN (SELECT email FROM auth.users WHERE id = auth.uid());
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Marks overdue pending invitations as expired
+CREATE OR REPLACE FUNCTION expire_canvas_invitations()
+RETURNS VOID AS $$
+BEGIN
+  UPDATE canvas_collaborators
+  SET status = 'expired'
+  WHERE status = 'pending'
+  AND expires_at IS NOT NULL
+  AND expires_at < now();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 4: Only accepted collaborators get access
+CREATE OR REPLACE FUNCTION can_edit_note(note_uuid UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN is_note_owner(note_uuid) OR EXISTS (
+    SELECT 1
+    FROM canvas_collaborators cc
+    WHERE cc.note_id = note_uuid
+    AND cc.user_id = auth.uid()
+    AND cc.status = 'accepted'
+    AND cc.role = 'editor'
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP POLICY IF EXISTS "notes_select_own_or_collab" ON notes;
+
+CREATE POLICY "notes_select_own_or_collab"
+  ON notes FOR SELECT
+  USING (
+    auth.uid() = user_id
+    OR EXISTS (
+      SELECT 1
+      FROM canvas_collaborators cc
+      WHERE cc.note_id = notes.id
+      AND cc.user_id = auth.uid()
+      AND cc.status = 'accepted'
+    )
+  );
+
+-- Step 5: Invitees can see invitations sent to their email
+DROP POLICY IF EXISTS "canvas_collab_select" ON canvas_collaborators;
+
+CREATE POLICY "canvas_collab_select"
+  ON canvas_collaborators FOR SELECT
+  USING (
+    auth.uid() = user_id
+    OR auth.uid() = added_by
+    OR is_note_owner(note_id)
+    OR LOWER(TRIM(collaborator_email)) = LOWER(TRIM(get_current_user_email()))
+  );
+
+-- Step 6: New rows are always unclaimed, pending invitations
+-- The invitee can only become a collaborator through respond_to_canvas_invitation()
+DROP POLICY IF EXISTS "canvas_collab_insert" ON canvas_collaborators;
+
+CREATE POLICY "canvas_collab_insert"
+  ON canvas_collaborators FOR INSERT
+  WITH CHECK (
+    auth.uid() = added_by
+    AND is_note_owner(note_id)
+    AND status = 'pending'
+    AND user_id IS NULL
+  );
+
+-- Step 7: Pending invitations for the current user, with note title and inviter
+-- The invitee cannot read the note itself until they accept
+CREATE OR REPLACE FUNCTION list_my_canvas_invitations()
+RETURNS TABLE (
+  id UUID,
+  note_id UUID,
+  note_title TEXT,
+  invited_by_email TEXT,
+  role TEXT,
+  status TEXT,
+  invited_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  PERFORM expire_canvas_invitations();
+
+  RETURN QUERY
+  SELECT cc.id, cc.note_id, n.title, u.email::TEXT, cc.role, cc.status, cc.invited_at, cc.expires_at
+  FROM canvas_collaborators cc
+  JOIN notes n ON n.id = cc.note_id
+  LEFT JOIN auth.users u ON u.id = cc.added_by
+  WHERE LOWER(TRIM(cc.collaborator_email)) = LOWER(TRIM(get_current_user_email()))
+  ORDER BY cc.invited_at DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 8: Accept or decline an invitation
+-- Claims the row for the current user when the email matches (case-insensitive)
+CREATE OR REPLACE FUNCTION respond_to_canvas_invitation(invitation_id UUID, accept BOOLEAN)
+RETURNS canvas_collaborators AS $$
+DECLARE
+  invitation canvas_collaborators;
+BEGIN
+  PERFORM expire_canvas_invitations();
+
+  SELECT * INTO invitation
+  FROM canvas_collaborators
+  WHERE id = invitation_id
+  AND LOWER(TRIM(collaborator_email)) = LOWER(TRIM(get_current_user_email()));
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invitation not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF invitation.status = 'expired' THEN
+    RAISE EXCEPTION 'Invitation has expired' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF invitation.status <> 'pending' THEN
+    RAISE EXCEPTION 'Invitation was already %', invitation.status USING ERRCODE = 'P0001';
+  END IF;
+
+  UPDATE canvas_collaborators
+  SET
+    status = CASE WHEN accept THEN 'accepted' ELSE 'declined' END,
+    user_id = auth.uid(),
+    responded_at = now()
+  WHERE id = invitation_id
+  RETURNING * INTO invitation;
+
+  RETURN invitation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION list_my_canvas_invitations() TO authenticated;
+GRANT EXECUTE ON FUNCTION respond_to_canvas_invitation(UUID, BOOLEAN) TO authenticated;
@@ -0,0 +1,73 @@
+-- Public read-only share links for canvases
+-- Run this in Supabase SQL Editor after canvas-collaborators-setup.sql
+--
+-- Anyone holding a valid token can view the canvas drawing (canvas_data only),
+-- without signing in. Tokens can expire and can be revoked by the note owner.
+
+-- Step 1: Create the share links table
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS canvas_share_links (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  note_id UUID REFERENCES notes(id) ON DELETE CASCADE NOT NULL,
+  token TEXT NOT NULL UNIQUE DEFAULT encode(gen_random_bytes(24), 'hex'),
+  created_by UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS canvas_share_links_note_id_idx ON canvas_share_links(note_id);
+
+-- Step 2: Only note owners can manage links (uses is_note_owner from canvas-collaborators-setup.sql)
+ALTER TABLE canvas_share_links ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "share_links_select" ON canvas_share_links;
+DROP POLICY IF EXISTS "share_links_insert" ON canvas_share_links;
+DROP POLICY IF EXISTS "share_links_update" ON canvas_share_links;
+DROP POLICY IF EXISTS "share_links_delete" ON canvas_share_links;
+
+CREATE POLICY "share_links_select"
+  ON canvas_share_links FOR SELECT
+  USING (is_note_owner(note_id));
+
+CREATE POLICY "share_links_insert"
+  ON canvas_share_links FOR INSERT
+  WITH CHECK (auth.uid() = created_by AND is_note_owner(note_id));
+
+-- Revoking a link is an UPDATE of revoked_at
+CREATE POLICY "share_links_update"
+  ON canvas_share_links FOR UPDATE
+  USING (is_note_owner(note_id))
+  WITH CHECK (is_note_owner(note_id));
+
+CREATE POLICY "share_links_delete"
+  ON canvas_share_links FOR DELETE
+  USING (is_note_owner(note_id));
+
+-- Step 3: Token lookup for anonymous visitors
+-- SECURITY DEFINER bypasses RLS, so this function only ever returns canvas_data
+-- for a link that is neither revoked nor expired. The note title and content stay private.
+CREATE OR REPLACE FUNCTION get_shared_canvas(share_token TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  result JSONB;
+BEGIN
+  SELECT n.canvas_data INTO result
+  FROM canvas_share_links l
+  JOIN notes n ON n.id = l.note_id
+  WHERE l.token = share_token
+  AND l.revoked_at IS NULL
+  AND (l.expires_at IS NULL OR l.expires_at > now());
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Share link is invalid, expired or revoked'
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN COALESCE(result, '{}'::jsonb);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+REVOKE ALL ON FUNCTION get_shared_canvas(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_shared_canvas(TEXT) TO anon, authenticated;
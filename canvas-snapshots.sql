@@ -0,0 +1,92 @@
+-- Canvas version history (canvas_snapshots)
+-- Run this in Supabase SQL Editor after canvas-invitations.sql
+--
+-- Every save still overwrites notes.canvas_data. Snapshots keep copies of past
+-- versions: automatic ones on a time/size cadence, named manual checkpoints, and
+-- a 'restore' backup taken right before a restore.
+
+-- Step 1: Create the snapshots table
+CREATE TABLE IF NOT EXISTS canvas_snapshots (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  note_id UUID REFERENCES notes(id) ON DELETE CASCADE NOT NULL,
+  canvas_data JSONB NOT NULL,
+  element_count INTEGER NOT NULL DEFAULT 0,
+  kind TEXT NOT NULL DEFAULT 'auto' CHECK (kind IN ('auto', 'manual', 'restore')),
+  name TEXT,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS canvas_snapshots_note_id_created_at_idx
+  ON canvas_snapshots(note_id, created_at DESC);
+
+-- Step 2: Helper to check read access (owner or accepted collaborator of any role)
+CREATE OR REPLACE FUNCTION can_view_note(note_uuid UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN is_note_owner(note_uuid) OR EXISTS (
+    SELECT 1
+    FROM canvas_collaborators cc
+    WHERE cc.note_id = note_uuid
+    AND cc.user_id = auth.uid()
+    AND cc.status = 'accepted'
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 3: RLS - anyone who can view the canvas can browse history,
+-- editors can add snapshots, only the owner can delete them
+ALTER TABLE canvas_snapshots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "snapshots_select" ON canvas_snapshots;
+DROP POLICY IF EXISTS "snapshots_insert" ON canvas_snapshots;
+DROP POLICY IF EXISTS "snapshots_delete" ON canvas_snapshots;
+
+CREATE POLICY "snapshots_select"
+  ON canvas_snapshots FOR SELECT
+  USING (can_view_note(note_id));
+
+CREATE POLICY "snapshots_insert"
+  ON canvas_snapshots FOR INSERT
+  WITH CHECK (auth.uid() = created_by AND can_edit_note(note_id));
+
+CREATE POLICY "snapshots_delete"
+  ON canvas_snapshots FOR DELETE
+  USING (is_note_owner(note_id));
+
+-- Step 4: Keep the history bounded - only the newest 100 automatic snapshots
+-- per note are kept. Manual checkpoints and restore backups are never pruned.
+CREATE OR REPLACE FUNCTION prune_canvas_snapshots()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM canvas_snapshots
+  WHERE id IN (
+    SELECT id FROM canvas_snapshots
+    WHERE note_id = NEW.note_id
+    AND kind = 'auto'
+    ORDER BY created_at DESC
+    OFFSET 100
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS canvas_snapshots_prune ON canvas_snapshots;
+
+CREATE TRIGGER canvas_snapshots_prune
+  AFTER INSERT ON canvas_snapshots
+  FOR EACH ROW
+  WHEN (NEW.kind = 'auto')
+  EXECUTE FUNCTION prune_canvas_snapshots();
+
+-- Step 5: Enable Realtime so open history panels see new snapshots
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+    AND tablename = 'canvas_snapshots'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE canvas_snapshots;
+  END IF;
+END $$;
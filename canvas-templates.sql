@@ -0,0 +1,91 @@
+-- Canvas templates (canvas_templates)
+-- Run this in Supabase SQL Editor after canvas-thumbnails.sql
+--
+-- Each user keeps their own library of canvas layouts to start new canvases
+-- from (the built-in templates live in the app). canvas_data is a full scene:
+-- images are stored inline so a template doesn't depend on the note it was
+-- saved from. Setting share_token turns on a link that lets other signed-in
+-- users copy the template into their own library; clearing it turns it off.
+
+-- Step 1: Create the templates table
+CREATE TABLE IF NOT EXISTS canvas_templates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL CHECK (char_length(btrim(name)) BETWEEN 1 AND 80),
+  description TEXT NOT NULL DEFAULT '',
+  canvas_data JSONB NOT NULL DEFAULT '{"elements": [], "files": {}}'::jsonb,
+  share_token TEXT UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS canvas_templates_user_id_idx ON canvas_templates(user_id);
+
+-- Step 2: Templates are private to their owner
+ALTER TABLE canvas_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "canvas_templates_select" ON canvas_templates;
+DROP POLICY IF EXISTS "canvas_templates_insert" ON canvas_templates;
+DROP POLICY IF EXISTS "canvas_templates_update" ON canvas_templates;
+DROP POLICY IF EXISTS "canvas_templates_delete" ON canvas_templates;
+
+CREATE POLICY "canvas_templates_select"
+  ON canvas_templates FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "canvas_templates_insert"
+  ON canvas_templates FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "canvas_templates_update"
+  ON canvas_templates FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "canvas_templates_delete"
+  ON canvas_templates FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Step 3: Token lookup for shared templates
+-- SECURITY DEFINER bypasses RLS, so this function only returns the template
+-- the token belongs to. Only signed-in users can copy templates.
+CREATE OR REPLACE FUNCTION get_shared_canvas_template(share_token TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  result JSONB;
+BEGIN
+  SELECT jsonb_build_object(
+    'name', t.name,
+    'description', t.description,
+    'canvas_data', t.canvas_data
+  ) INTO result
+  FROM canvas_templates t
+  WHERE t.share_token = get_shared_canvas_template.share_token
+  AND t.share_token IS NOT NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Template link is invalid or no longer shared'
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+REVOKE ALL ON FUNCTION get_shared_canvas_template(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_shared_canvas_template(TEXT) TO authenticated;
+
+-- Step 4: Enable Realtime so the gallery follows changes from other devices
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+    AND tablename = 'canvas_templates'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE canvas_templates;
+  END IF;
+END $$;
+
+-- Verify:
+-- SELECT id, name, share_token IS NOT NULL AS shared FROM canvas_templates;
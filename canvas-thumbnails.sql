@@ -0,0 +1,41 @@
+-- Canvas previews for the dashboard (canvas_thumbnails)
+-- Run this in Supabase SQL Editor after notes-trash.sql
+--
+-- The canvas editor renders a small SVG of the scene (without images) a couple
+-- of seconds after each save and stores it here, so NoteCard can show what a
+-- canvas looks like without drawing the whole scene. scene_version is the sum of
+-- the element versions it was rendered from; clients compare it with the note's
+-- canvas_data and draw the preview themselves while it is out of date.
+
+-- Step 1: One preview per note
+CREATE TABLE IF NOT EXISTS canvas_thumbnails (
+  note_id UUID PRIMARY KEY REFERENCES notes(id) ON DELETE CASCADE,
+  svg TEXT NOT NULL CHECK (length(svg) <= 500000),
+  scene_version BIGINT NOT NULL DEFAULT 0,
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Step 2: RLS - anyone who can view the canvas can read its preview, and
+-- anyone who can edit it (the people who save it) can write it
+ALTER TABLE canvas_thumbnails ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "canvas_thumbnails_select" ON canvas_thumbnails;
+DROP POLICY IF EXISTS "canvas_thumbnails_insert" ON canvas_thumbnails;
+DROP POLICY IF EXISTS "canvas_thumbnails_update" ON canvas_thumbnails;
+
+CREATE POLICY "canvas_thumbnails_select"
+  ON canvas_thumbnails FOR SELECT
+  USING (can_view_note(note_id));
+
+CREATE POLICY "canvas_thumbnails_insert"
+  ON canvas_thumbnails FOR INSERT
+  WITH CHECK (auth.uid() = updated_by AND can_edit_note(note_id));
+
+CREATE POLICY "canvas_thumbnails_update"
+  ON canvas_thumbnails FOR UPDATE
+  USING (can_edit_note(note_id))
+  WITH CHECK (auth.uid() = updated_by AND can_edit_note(note_id));
+
+-- Verify:
+-- SELECT note_id, scene_version, length(svg) AS bytes, updated_at FROM canvas_thumbnails ORDER BY updated_at DESC;
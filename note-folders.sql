@@ -0,0 +1,167 @@
+-- Nested note folders (note_folders)
+-- Run this in Supabase SQL Editor after notes-search.sql
+--
+-- Each user organises their notes in a tree of folders (notebooks). A folder
+-- points at its parent through parent_id, root folders have none, and a note
+-- lives in at most one folder (notes.folder_id; notes without one are
+-- "Unfiled"). Folders are private to their owner. Each folder keeps its own
+-- sort order for the dashboard. Clients follow folder changes over Realtime.
+
+-- Step 1: Create the folders table
+CREATE TABLE IF NOT EXISTS note_folders (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  parent_id UUID REFERENCES note_folders(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (length(trim(name)) BETWEEN 1 AND 100),
+  sort_by TEXT NOT NULL DEFAULT 'updated' CHECK (sort_by IN ('updated', 'created', 'title')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  CONSTRAINT note_folders_parent_check CHECK (parent_id IS NULL OR parent_id <> id)
+);
+
+CREATE INDEX IF NOT EXISTS note_folders_user_id_idx ON note_folders(user_id);
+CREATE INDEX IF NOT EXISTS note_folders_parent_id_idx ON note_folders(parent_id);
+
+-- Step 2: File notes into folders. Deleting a folder directly leaves its notes
+-- unfiled; the app uses delete_note_folder() below to keep them in the tree.
+ALTER TABLE notes
+  ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES note_folders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS notes_folder_id_idx ON notes(folder_id);
+
+-- Step 3: RLS - folders are only visible to and editable by their owner
+ALTER TABLE note_folders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "note_folders_select" ON note_folders;
+DROP POLICY IF EXISTS "note_folders_insert" ON note_folders;
+DROP POLICY IF EXISTS "note_folders_update" ON note_folders;
+DROP POLICY IF EXISTS "note_folders_delete" ON note_folders;
+
+CREATE POLICY "note_folders_select"
+  ON note_folders FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "note_folders_insert"
+  ON note_folders FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "note_folders_update"
+  ON note_folders FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "note_folders_delete"
+  ON note_folders FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Step 4: Keep the tree valid - a parent must be one of the owner's folders
+-- and a folder can't be moved into itself or one of its subfolders
+CREATE OR REPLACE FUNCTION check_note_folder_parent()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.parent_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM note_folders
+    WHERE id = NEW.parent_id
+    AND user_id = NEW.user_id
+  ) THEN
+    RAISE EXCEPTION 'Parent folder not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF EXISTS (
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id FROM note_folders WHERE id = NEW.parent_id
+      UNION
+      SELECT f.id, f.parent_id
+      FROM note_folders f
+      JOIN ancestors a ON f.id = a.parent_id
+    )
+    SELECT 1 FROM ancestors WHERE id = NEW.id
+  ) THEN
+    RAISE EXCEPTION 'A folder can''t be moved into itself or one of its subfolders'
+      USING ERRCODE = 'P0001';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS note_folders_check_parent ON note_folders;
+
+CREATE TRIGGER note_folders_check_parent
+  BEFORE INSERT OR UPDATE OF parent_id ON note_folders
+  FOR EACH ROW
+  EXECUTE FUNCTION check_note_folder_parent();
+
+-- Step 5: Notes can only be filed into their owner's folders. Runs as the
+-- caller, so collaborators (who can't see the owner's folders) can edit a
+-- shared note but not move it.
+CREATE OR REPLACE FUNCTION check_note_folder()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.folder_id IS NULL
+    OR (TG_OP = 'UPDATE' AND NEW.folder_id IS NOT DISTINCT FROM OLD.folder_id) THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM note_folders
+    WHERE id = NEW.folder_id
+    AND user_id = NEW.user_id
+  ) THEN
+    RAISE EXCEPTION 'Folder not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notes_check_folder ON notes;
+
+CREATE TRIGGER notes_check_folder
+  BEFORE INSERT OR UPDATE OF folder_id ON notes
+  FOR EACH ROW
+  EXECUTE FUNCTION check_note_folder();
+
+-- Step 6: Delete a folder, moving its notes and subfolders up to its parent
+-- (or to the top level) in one transaction
+CREATE OR REPLACE FUNCTION delete_note_folder(folder_uuid UUID)
+RETURNS VOID AS $$
+DECLARE
+  target note_folders%ROWTYPE;
+BEGIN
+  SELECT * INTO target
+  FROM note_folders
+  WHERE id = folder_uuid
+  AND user_id = auth.uid();
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Folder not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE note_folders SET parent_id = target.parent_id WHERE parent_id = folder_uuid;
+  UPDATE notes SET folder_id = target.parent_id WHERE folder_id = folder_uuid;
+  DELETE FROM note_folders WHERE id = folder_uuid;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION delete_note_folder(UUID) TO authenticated;
+
+-- Step 7: Enable Realtime so other open dashboards see folder changes
+-- (notes moving between folders arrive through the notes subscription)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+    AND tablename = 'note_folders'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE note_folders;
+  END IF;
+END $$;
+
+-- Verify:
+-- SELECT name, parent_id, sort_by FROM note_folders ORDER BY name;
+-- SELECT folder_id, count(*) FROM notes GROUP BY folder_id;
@@ -0,0 +1,141 @@
+-- Note tags with colours (note_tags, note_tag_links)
+-- Run this in Supabase SQL Editor after note-folders.sql
+--
+-- Each user keeps their own set of tags (names are unique per user, ignoring
+-- case) with a colour each, and attaches them to their notes through
+-- note_tag_links. Tags are private like folders: collaborators don't see the
+-- owner's tags. The search bar's tag: filter resolves tags to note ids on the
+-- client and passes them to search_notes() (see notes-search.sql).
+
+-- Step 1: Create the tags table
+CREATE TABLE IF NOT EXISTS note_tags (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL CHECK (length(trim(name)) BETWEEN 1 AND 40),
+  color TEXT NOT NULL DEFAULT '#6b7280' CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS note_tags_user_id_name_idx
+  ON note_tags(user_id, lower(name));
+
+-- Step 2: Tags on notes. user_id is the tag owner's, so Realtime can filter
+-- a user's links without a join.
+CREATE TABLE IF NOT EXISTS note_tag_links (
+  note_id UUID REFERENCES notes(id) ON DELETE CASCADE NOT NULL,
+  tag_id UUID REFERENCES note_tags(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  PRIMARY KEY (note_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS note_tag_links_tag_id_idx ON note_tag_links(tag_id);
+CREATE INDEX IF NOT EXISTS note_tag_links_user_id_idx ON note_tag_links(user_id);
+
+-- Step 3: RLS - tags and links belong to their user, and only a note's owner
+-- can tag it (with their own tags)
+ALTER TABLE note_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE note_tag_links ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "note_tags_select" ON note_tags;
+DROP POLICY IF EXISTS "note_tags_insert" ON note_tags;
+DROP POLICY IF EXISTS "note_tags_update" ON note_tags;
+DROP POLICY IF EXISTS "note_tags_delete" ON note_tags;
+DROP POLICY IF EXISTS "note_tag_links_select" ON note_tag_links;
+DROP POLICY IF EXISTS "note_tag_links_insert" ON note_tag_links;
+DROP POLICY IF EXISTS "note_tag_links_delete" ON note_tag_links;
+
+CREATE POLICY "note_tags_select"
+  ON note_tags FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "note_tags_insert"
+  ON note_tags FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "note_tags_update"
+  ON note_tags FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "note_tags_delete"
+  ON note_tags FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "note_tag_links_select"
+  ON note_tag_links FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "note_tag_links_insert"
+  ON note_tag_links FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND is_note_owner(note_id)
+    AND EXISTS (
+      SELECT 1 FROM note_tags t
+      WHERE t.id = tag_id
+      AND t.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "note_tag_links_delete"
+  ON note_tag_links FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Step 4: Merge one tag into another - notes tagged with the source get the
+-- target instead, then the source tag is deleted
+CREATE OR REPLACE FUNCTION merge_note_tags(source_tag_uuid UUID, target_tag_uuid UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF source_tag_uuid = target_tag_uuid THEN
+    RAISE EXCEPTION 'A tag can''t be merged into itself' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF (
+    SELECT count(*) FROM note_tags
+    WHERE id IN (source_tag_uuid, target_tag_uuid)
+    AND user_id = auth.uid()
+  ) <> 2 THEN
+    RAISE EXCEPTION 'Tag not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO note_tag_links (note_id, tag_id, user_id)
+  SELECT note_id, target_tag_uuid, user_id
+  FROM note_tag_links
+  WHERE tag_id = source_tag_uuid
+  ON CONFLICT (note_id, tag_id) DO NOTHING;
+
+  DELETE FROM note_tags WHERE id = source_tag_uuid;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION merge_note_tags(UUID, UUID) TO authenticated;
+
+-- Step 5: Folders can also sort their notes by tag
+ALTER TABLE note_folders DROP CONSTRAINT IF EXISTS note_folders_sort_by_check;
+ALTER TABLE note_folders
+  ADD CONSTRAINT note_folders_sort_by_check CHECK (sort_by IN ('updated', 'created', 'title', 'tag'));
+
+-- Step 6: Enable Realtime so tags sync across devices
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+    AND tablename = 'note_tags'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE note_tags;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+    AND tablename = 'note_tag_links'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE note_tag_links;
+  END IF;
+END $$;
+
+-- Verify:
+-- SELECT t.name, t.color, count(l.note_id) FROM note_tags t
+--   LEFT JOIN note_tag_links l ON l.tag_id = t.id GROUP BY t.id ORDER BY t.name;
@@ -0,0 +1,168 @@
+-- Full-text search over notes (notes.search_vector)
+-- Run this in Supabase SQL Editor after canvas-comments.sql
+--
+-- Indexes each note's title, content and the text of its canvas (Excalidraw
+-- elements with type 'text') in a generated tsvector column, weighted so title
+-- matches rank above content and content above canvas text. search_notes()
+-- serves the dashboard search: every word matches as a prefix, results come
+-- ranked with highlighted snippets, and RLS limits them to notes the user can see.
+-- Field filters from the search bar (title:, has:, shared:, owner:, updated:,
+-- created:, tag:) arrive as a JSONB object, see toSearchFilters in src/utils/searchQuery.js.
+
+-- Step 1: Text of a canvas's text elements (deleted elements are skipped)
+CREATE OR REPLACE FUNCTION canvas_search_text(canvas JSONB)
+RETURNS TEXT AS $$
+  SELECT COALESCE(string_agg(COALESCE(element->>'originalText', element->>'text'), E'\n'), '')
+  FROM jsonb_array_elements(
+    CASE WHEN jsonb_typeof(canvas->'elements') = 'array' THEN canvas->'elements' ELSE '[]'::jsonb END
+  ) AS element
+  WHERE element->>'type' = 'text'
+  AND COALESCE((element->>'isDeleted')::BOOLEAN, FALSE) = FALSE;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Whether a canvas has any (non-deleted) elements
+CREATE OR REPLACE FUNCTION note_has_canvas(canvas JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(
+      CASE WHEN jsonb_typeof(canvas->'elements') = 'array' THEN canvas->'elements' ELSE '[]'::jsonb END
+    ) AS element
+    WHERE COALESCE((element->>'isDeleted')::BOOLEAN, FALSE) = FALSE
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Step 2: Searchable column, kept up to date by Postgres on every write
+ALTER TABLE notes
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(content, '')), 'B') ||
+    setweight(to_tsvector('english', canvas_search_text(canvas_data)), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS notes_search_vector_idx
+  ON notes USING GIN (search_vector);
+
+-- Step 3: Turns typed text into a query where every word matches as a prefix
+-- ("canv proj" finds "canvas project"). Punctuation is dropped, so user input
+-- can't break the query syntax.
+CREATE OR REPLACE FUNCTION to_prefix_tsquery(search_query TEXT)
+RETURNS TSQUERY AS $$
+  SELECT CASE
+    WHEN count(*) = 0 THEN NULL
+    ELSE to_tsquery('english', string_agg(word || ':*', ' & '))
+  END
+  FROM regexp_split_to_table(lower(COALESCE(search_query, '')), '[^[:alnum:]]+') AS word
+  WHERE word <> '';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Step 4: Ranked search with snippets
+-- Snippets mark matches with chr(2) ... chr(3) so the client can highlight them
+-- without rendering note text as HTML. Without search text, notes matching the
+-- filters come back newest first. Runs as the caller, so notes RLS applies.
+-- filters keys (all optional): title / not_title (arrays of words the title
+-- must / must not contain), has / not_has (arrays of 'canvas', 'content'),
+-- shared (boolean), owner ('me' or 'others'), updated_after / updated_before /
+-- created_after / created_before (timestamps; after is inclusive, before is not),
+-- note_ids / not_note_ids (arrays of note ids the result must be in / not be in;
+-- the client resolves tag: filters to these, see note-tags.sql)
+-- max_results is capped at 1000; the client asks for one more row than it
+-- shows, to tell whether the list is complete
+-- Notes in the trash (deleted_at, see notes-trash.sql) are never returned; the
+-- column is added here as well so this script can run before notes-trash.sql
+ALTER TABLE notes
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+DROP FUNCTION IF EXISTS search_notes(TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_notes(
+  search_query TEXT,
+  filters JSONB DEFAULT '{}'::jsonb,
+  max_results INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  id UUID,
+  user_id UUID,
+  title TEXT,
+  content TEXT,
+  canvas_data JSONB,
+  created_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE,
+  rank REAL,
+  title_snippet TEXT,
+  content_snippet TEXT,
+  canvas_snippet TEXT
+) AS $$
+  WITH query AS (
+    SELECT to_prefix_tsquery(search_query) AS q
+  ),
+  options AS (
+    SELECT COALESCE(filters, '{}'::jsonb) AS f
+  ),
+  matches AS (
+    SELECT n.*, COALESCE(ts_rank_cd(n.search_vector, query.q), 0) AS match_rank, query.q
+    FROM notes n, query, options
+    WHERE n.deleted_at IS NULL
+    AND (query.q IS NULL OR n.search_vector @@ query.q)
+    AND NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(COALESCE(options.f->'title', '[]'::jsonb)) AS word
+      WHERE strpos(lower(COALESCE(n.title, '')), lower(word)) = 0
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(COALESCE(options.f->'not_title', '[]'::jsonb)) AS word
+      WHERE strpos(lower(COALESCE(n.title, '')), lower(word)) > 0
+    )
+    AND (NOT COALESCE(options.f->'has', '[]'::jsonb) ? 'canvas' OR note_has_canvas(n.canvas_data))
+    AND (NOT COALESCE(options.f->'not_has', '[]'::jsonb) ? 'canvas' OR NOT note_has_canvas(n.canvas_data))
+    AND (NOT COALESCE(options.f->'has', '[]'::jsonb) ? 'content' OR length(trim(COALESCE(n.content, ''))) > 0)
+    AND (NOT COALESCE(options.f->'not_has', '[]'::jsonb) ? 'content' OR length(trim(COALESCE(n.content, ''))) = 0)
+    AND (
+      options.f->>'owner' IS NULL
+      OR (options.f->>'owner' = 'me' AND n.user_id = auth.uid())
+      OR (options.f->>'owner' = 'others' AND n.user_id <> auth.uid())
+    )
+    -- Shared: someone else's note, or one of the user's with an open or accepted invitation
+    AND (
+      options.f->>'shared' IS NULL
+      OR (options.f->>'shared')::BOOLEAN = (
+        n.user_id <> auth.uid() OR EXISTS (
+          SELECT 1 FROM canvas_collaborators cc
+          WHERE cc.note_id = n.id
+          AND cc.status IN ('pending', 'accepted')
+        )
+      )
+    )
+    AND (options.f->>'updated_after' IS NULL OR n.updated_at >= (options.f->>'updated_after')::TIMESTAMPTZ)
+    AND (options.f->>'updated_before' IS NULL OR n.updated_at < (options.f->>'updated_before')::TIMESTAMPTZ)
+    AND (options.f->>'created_after' IS NULL OR n.created_at >= (options.f->>'created_after')::TIMESTAMPTZ)
+    AND (options.f->>'created_before' IS NULL OR n.created_at < (options.f->>'created_before')::TIMESTAMPTZ)
+    AND (options.f->'note_ids' IS NULL OR options.f->'note_ids' ? n.id::TEXT)
+    AND (options.f->'not_note_ids' IS NULL OR NOT options.f->'not_note_ids' ? n.id::TEXT)
+    ORDER BY match_rank DESC, n.updated_at DESC
+    LIMIT LEAST(GREATEST(COALESCE(max_results, 50), 1), 1000)
+  )
+  SELECT
+    m.id,
+    m.user_id,
+    m.title,
+    m.content,
+    m.canvas_data,
+    m.created_at,
+    m.updated_at,
+    m.match_rank,
+    ts_headline('english', COALESCE(m.title, ''), m.q,
+      format('StartSel="%s", StopSel="%s", HighlightAll=true', chr(2), chr(3))),
+    ts_headline('english', COALESCE(m.content, ''), m.q,
+      format('StartSel="%s", StopSel="%s", MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "', chr(2), chr(3))),
+    ts_headline('english', canvas_search_text(m.canvas_data), m.q,
+      format('StartSel="%s", StopSel="%s", MaxWords=20, MinWords=5, MaxFragments=1', chr(2), chr(3)))
+  FROM matches m
+  ORDER BY m.match_rank DESC, m.updated_at DESC;
+$$ LANGUAGE sql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION search_notes(TEXT, JSONB, INTEGER) TO authenticated;
+
+-- Verify:
+-- SELECT title, rank, content_snippet FROM search_notes('meet not');
+-- SELECT title FROM search_notes(NULL, '{"has": ["canvas"], "owner": "me"}');
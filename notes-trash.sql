@@ -0,0 +1,186 @@
+-- Trash for notes (notes.deleted_at)
+-- Run this in Supabase SQL Editor after note-tags.sql
+--
+-- Deleting a note from the dashboard now only sets deleted_at, so the note, its
+-- canvas, collaborators, comments and history all survive until it is deleted
+-- permanently from the Trash. Trashed notes are hidden from collaborators, share
+-- links and search (search_notes() in notes-search.sql skips them), and are
+-- purged automatically 30 days after they were deleted (TRASH_RETENTION_DAYS
+-- in src/utils/trash.js): by pg_cron where it is enabled, and otherwise by the
+-- app when the owner opens the dashboard.
+
+-- Step 1: Soft delete column
+ALTER TABLE notes
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS notes_deleted_at_idx
+  ON notes(deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+-- Step 2: Collaborators lose access while a note is in the trash, and get it
+-- back when it is restored (their canvas_collaborators rows are kept)
+DROP POLICY IF EXISTS "notes_select_own_or_collab" ON notes;
+
+CREATE POLICY "notes_select_own_or_collab"
+  ON notes FOR SELECT
+  USING (
+    auth.uid() = user_id
+    OR (
+      deleted_at IS NULL
+      AND EXISTS (
+        SELECT 1
+        FROM canvas_collaborators cc
+        WHERE cc.note_id = notes.id
+        AND cc.user_id = auth.uid()
+        AND cc.status = 'accepted'
+      )
+    )
+  );
+
+-- Step 3: The access helpers ignore trashed notes too, so collaborators can't
+-- read or write a trashed note's history, files, comments or thumbnail
+-- (the owner keeps access, to look through the Trash and restore)
+CREATE OR REPLACE FUNCTION can_view_note(note_uuid UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN is_note_owner(note_uuid) OR EXISTS (
+    SELECT 1
+    FROM canvas_collaborators cc
+    JOIN notes n ON n.id = cc.note_id
+    WHERE cc.note_id = note_uuid
+    AND cc.user_id = auth.uid()
+    AND cc.status = 'accepted'
+    AND n.deleted_at IS NULL
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION can_comment_note(note_uuid UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN is_note_owner(note_uuid) OR EXISTS (
+    SELECT 1
+    FROM canvas_collaborators cc
+    JOIN notes n ON n.id = cc.note_id
+    WHERE cc.note_id = note_uuid
+    AND cc.user_id = auth.uid()
+    AND cc.status = 'accepted'
+    AND cc.role IN ('commenter', 'editor')
+    AND n.deleted_at IS NULL
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION can_edit_note(note_uuid UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+  RETURN is_note_owner(note_uuid) OR EXISTS (
+    SELECT 1
+    FROM canvas_collaborators cc
+    JOIN notes n ON n.id = cc.note_id
+    WHERE cc.note_id = note_uuid
+    AND cc.user_id = auth.uid()
+    AND cc.status = 'accepted'
+    AND cc.role = 'editor'
+    AND n.deleted_at IS NULL
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Step 4: Public share links stop working while the note is in the trash
+CREATE OR REPLACE FUNCTION get_shared_canvas(share_token TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  result JSONB;
+BEGIN
+  SELECT n.canvas_data INTO result
+  FROM canvas_share_links l
+  JOIN notes n ON n.id = l.note_id
+  WHERE l.token = share_token
+  AND l.revoked_at IS NULL
+  AND (l.expires_at IS NULL OR l.expires_at > now())
+  AND n.deleted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Share link is invalid, expired or revoked'
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN COALESCE(result, '{}'::jsonb);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+CREATE OR REPLACE FUNCTION get_shared_canvas_files(share_token TEXT, file_ids TEXT[])
+RETURNS TABLE (file_id TEXT, mime_type TEXT, data_url TEXT, created_at TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+  shared_note_id UUID;
+BEGIN
+  SELECT l.note_id INTO shared_note_id
+  FROM canvas_share_links l
+  JOIN notes n ON n.id = l.note_id
+  WHERE l.token = share_token
+  AND l.revoked_at IS NULL
+  AND (l.expires_at IS NULL OR l.expires_at > now())
+  AND n.deleted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Share link is invalid, expired or revoked'
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN QUERY
+  SELECT f.file_id, f.mime_type, f.data_url, f.created_at
+  FROM canvas_files f
+  WHERE f.note_id = shared_note_id
+  AND f.file_id = ANY(file_ids);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Step 5: Only the owner can move a note to the trash or restore it
+CREATE OR REPLACE FUNCTION check_note_trash()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.deleted_at IS DISTINCT FROM OLD.deleted_at AND OLD.user_id <> auth.uid() THEN
+    RAISE EXCEPTION 'Only the owner can delete or restore a note' USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notes_check_trash ON notes;
+
+CREATE TRIGGER notes_check_trash
+  BEFORE UPDATE OF deleted_at ON notes
+  FOR EACH ROW
+  EXECUTE FUNCTION check_note_trash();
+
+-- Step 6: Permanently delete notes that have been in the trash too long
+-- Runs as the function owner so a scheduled job can purge every user's trash
+CREATE OR REPLACE FUNCTION purge_trashed_notes(retention_days INTEGER DEFAULT 30)
+RETURNS INTEGER AS $$
+DECLARE
+  purged INTEGER;
+BEGIN
+  DELETE FROM notes
+  WHERE deleted_at < now() - make_interval(days => retention_days);
+
+  GET DIAGNOSTICS purged = ROW_COUNT;
+  RETURN purged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION purge_trashed_notes(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Step 7: Purge nightly with pg_cron, if the extension is enabled
+-- (Database -> Extensions -> pg_cron). Without it the app purges the owner's
+-- expired notes when they open the dashboard.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule('purge-trashed-notes', '0 3 * * *', 'SELECT purge_trashed_notes(30)');
+  END IF;
+END $$;
+
+-- Verify:
+-- SELECT title, deleted_at FROM notes WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC;
+-- SELECT jobname, schedule FROM cron.job WHERE jobname = 'purge-trashed-notes';
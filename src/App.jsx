@@ -5,10 +5,14 @@ import { Login } from './pages/Login';
 import { Signup } from './pages/Signup';
 import { Dashboard } from './pages/Dashboard';
 import { SharedCanvas } from './pages/SharedCanvas';
+import { PublicCanvas } from './pages/PublicCanvas';
+import { Invitation } from './pages/Invitation';
+import { SharedTemplate } from './pages/SharedTemplate';
 import { ProtectedRoute } from './components/ProtectedRoute';
 import InstantCanvasDemo from './components/InstantCanvasDemo';
 import { useEffect, useRef } from 'react';
 import { supabase } from './lib/supabase';
+import { useOfflineQueueReplay } from './hooks/useOfflineQueue';
 
 // This component handles the OAuth callback tokens from the URL hash.
 // It can handle the callback on any route, making it very robust.
@@ -53,6 +57,12 @@ function AuthTokenProcessor() {
   return null; // This component does not render anything
 }
 
+// Replays note and canvas edits queued while offline, once for the whole app
+function OfflineQueueReplayer() {
+  useOfflineQueueReplay();
+  return null;
+}
+
 
 function App() {
   return (
@@ -60,6 +70,7 @@ function App() {
       <BrowserRouter>
         {/* This component will process OAuth tokens from the URL on any page */}
         <AuthTokenProcessor />
+        <OfflineQueueReplayer />
         
         <Routes>
           <Route path="/login" element={<Login />} />
@@ -80,6 +91,24 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/invitations/:invitationId"
+            element={
+              <ProtectedRoute>
+                <Invitation />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/templates/:token"
+            element={
+              <ProtectedRoute>
+                <SharedTemplate />
+              </ProtectedRoute>
+            }
+          />
+          {/* Public read-only share links, no sign-in required */}
+          <Route path="/share/:token" element={<PublicCanvas />} />
           <Route
             path="/instant-canvas-demo"
             element={
@@ -0,0 +1,176 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { AlertTriangle, Download, Share2, Tag, Trash2, X } from 'lucide-react'
+import { flattenFolderTree } from '../utils/folderTree'
+import { COLLABORATOR_ROLES, DEFAULT_COLLABORATOR_ROLE, ROLE_LABELS } from '../utils/collaboratorRoles'
+import { normalizeEmail } from '../utils/invitations'
+
+const buttonClassName =
+  'flex items-center gap-1 px-3 py-1.5 text-sm bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50'
+
+const fieldClassName =
+  'px-3 py-1.5 text-sm border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white focus:ring-2 focus:ring-black dark:focus:ring-[#666666]'
+
+/**
+ * Floating bar for the notes selected in NotesList
+ * Shows the batch actions, the progress of a running batch (from useNoteBatch)
+ * and which notes failed once it is done.
+ * noteIds: the selected notes; titles: note id -> title, for the failure report
+ */
+export const BatchActionBar = ({
+  noteIds,
+  folders,
+  titles,
+  progress,
+  report,
+  onMove,
+  onTag,
+  onShare,
+  onExport,
+  onTrash,
+  onSelectFailed,
+  onDismissReport,
+  onClear,
+}) => {
+  const [showShare, setShowShare] = useState(false)
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState(DEFAULT_COLLABORATOR_ROLE)
+
+  if (noteIds.length === 0 && !progress && !report) return null
+
+  const count = noteIds.length
+  const busy = Boolean(progress)
+
+  const handleShare = () => {
+    if (!normalizeEmail(email)) return
+    onShare({ email, role })
+    setEmail('')
+    setShowShare(false)
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 w-[calc(100%-2rem)] max-w-3xl bg-white dark:bg-[#1a1a1a] rounded-lg shadow-2xl border border-black dark:border-[#333333] p-3 space-y-3"
+    >
+      {progress ? (
+        <div className="space-y-2">
+          <p className="text-sm text-black dark:text-white">
+            {progress.label} {progress.done} of {progress.total} note{progress.total === 1 ? '' : 's'}...
+          </p>
+          <div className="h-1.5 rounded-full bg-[#f5f5f5] dark:bg-[#2a2a2a] overflow-hidden">
+            <div
+              className="h-full bg-black dark:bg-white transition-all"
+              style={{ width: `${(progress.done / Math.max(progress.total, 1)) * 100}%` }}
+            />
+          </div>
+        </div>
+      ) : count > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-black dark:text-white mr-auto">
+            {count} note{count === 1 ? '' : 's'} selected
+          </span>
+          <select
+            value=""
+            onChange={(e) => onMove(e.target.value === 'unfiled' ? null : e.target.value)}
+            className={fieldClassName}
+            title="Move the selected notes to a folder"
+          >
+            <option value="" disabled>Move to...</option>
+            <option value="unfiled">Unfiled</option>
+            {flattenFolderTree(folders).map(({ folder, depth }) => (
+              <option key={folder.id} value={folder.id}>
+                {'\u00a0\u00a0'.repeat(depth)}{folder.name}
+              </option>
+            ))}
+          </select>
+          <button onClick={onTag} className={buttonClassName}>
+            <Tag className="w-4 h-4" />
+            Tag
+          </button>
+          <button onClick={() => setShowShare(!showShare)} className={buttonClassName}>
+            <Share2 className="w-4 h-4" />
+            Share
+          </button>
+          <button onClick={onExport} className={buttonClassName}>
+            <Download className="w-4 h-4" />
+            Export
+          </button>
+          <button
+            onClick={onTrash}
+            className="flex items-center gap-1 px-3 py-1.5 text-sm bg-white dark:bg-[#1a1a1a] text-red-600 dark:text-red-400 rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50"
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete
+          </button>
+          <button
+            onClick={onClear}
+            className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+            title="Clear selection (Esc)"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      )}
+
+      {showShare && count > 0 && !busy && (
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            autoFocus
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleShare()
+              if (e.key === 'Escape') setShowShare(false)
+            }}
+            placeholder="Invite by email"
+            className={`${fieldClassName} flex-1 min-w-[12rem]`}
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)} className={fieldClassName}>
+            {COLLABORATOR_ROLES.map((value) => (
+              <option key={value} value={value}>{ROLE_LABELS[value]}</option>
+            ))}
+          </select>
+          <button onClick={handleShare} disabled={!normalizeEmail(email)} className={buttonClassName}>
+            Invite to {count} note{count === 1 ? '' : 's'}
+          </button>
+        </div>
+      )}
+
+      {report && !busy && (
+        <div className="border-t border-black dark:border-[#333333] pt-3 space-y-2">
+          <div className="flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4 shrink-0 text-red-600 dark:text-red-400" />
+            <p className="text-sm text-black dark:text-white mr-auto">
+              {report.label}: {report.failed.length} of {report.failed.length + report.succeeded.length} note
+              {report.failed.length + report.succeeded.length === 1 ? '' : 's'} failed
+            </p>
+            <button onClick={() => onSelectFailed(report.failed.map((failure) => failure.id))} className={buttonClassName}>
+              Select failed
+            </button>
+            <button
+              onClick={onDismissReport}
+              className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+              title="Dismiss"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <ul className="max-h-32 overflow-auto text-xs text-black dark:text-[#999999] space-y-1">
+            {report.failed.map((failure) => (
+              <li key={failure.id} className="truncate">
+                <span className="font-medium text-black dark:text-[#cccccc]">
+                  {titles.get(failure.id) || 'Untitled Note'}
+                </span>
+                {' · '}
+                {failure.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </motion.div>
+  )
+}
@@ -2,15 +2,19 @@ import React from 'react'
 
 /**
  * Box Sync Status Indicator Component
- * Shows real-time sync status, progress, and connection quality
+ * Shows real-time sync status, progress, connection quality and the number of
+ * changes waiting in the offline queue
  */
 export const BoxSyncStatusIndicator = ({ 
   status, 
   isSyncing, 
   metrics,
+  isOnline = true,
+  pendingChanges = 0,
   className = ''
 }) => {
   const getStatusIcon = () => {
+    if (!isOnline) return '📴'
     if (status === 'error') return '❌'
     if (status === 'syncing') return '⏳'
     if (status === 'success') return '✅'
@@ -18,6 +22,7 @@ export const BoxSyncStatusIndicator = ({
   }
 
   const getStatusText = () => {
+    if (!isOnline) return 'Offline'
     if (status === 'error') return 'Sync Error'
     if (status === 'syncing') return 'Syncing...'
     if (status === 'success') return 'Synced'
@@ -44,12 +49,18 @@ export const BoxSyncStatusIndicator = ({
     <div className={`flex items-center space-x-2 text-sm ${className}`}>
       <span className="text-lg">{getStatusIcon()}</span>
       <span className={`font-medium ${
+        !isOnline ? 'text-orange-500' :
         status === 'error' ? 'text-red-500' : 
         status === 'syncing' ? 'text-blue-500' :
         status === 'success' ? 'text-green-500' : 'text-gray-500'
       }`}>
         {getStatusText()}
       </span>
+      {pendingChanges > 0 && (
+        <span className="text-xs text-orange-500">
+          {pendingChanges} pending {pendingChanges === 1 ? 'change' : 'changes'}
+        </span>
+      )}
       {status === 'syncing' && metrics?.syncProgress > 0 && (
         <div className="w-16 bg-gray-200 rounded-full h-2">
           <div 
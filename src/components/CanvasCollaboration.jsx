@@ -1,18 +1,40 @@
 import { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { Users, UserPlus, X, Mail, Copy, Check } from 'lucide-react'
+import { Users, UserPlus, X, Mail, Copy, Check, Globe, Trash2, RefreshCw } from 'lucide-react'
+import { format } from 'date-fns'
 import { supabase } from '../lib/supabase'
+import { sendMail } from '../lib/mailer'
 import { useStore } from '../store/useStore'
 import toast from 'react-hot-toast'
+import { useCanvasShareLinks, getShareLinkUrl } from '../hooks/useCanvasShareLinks'
+import { COLLABORATOR_ROLES, DEFAULT_COLLABORATOR_ROLE, ROLE_LABELS, normalizeRole } from '../utils/collaboratorRoles'
+import {
+  INVITATION_STATUS,
+  INVITATION_STATUS_LABELS,
+  buildInvitationEmail,
+  getInvitationExpiry,
+  getInvitationStatus,
+  normalizeEmail,
+} from '../utils/invitations'
 
 export const CanvasCollaboration = ({ noteId, onClose }) => {
   const [collaborators, setCollaborators] = useState([])
   const [shareEmail, setShareEmail] = useState('')
+  const [shareRole, setShareRole] = useState(DEFAULT_COLLABORATOR_ROLE)
   const [loading, setLoading] = useState(false)
   const [showShareInput, setShowShareInput] = useState(false)
   const [copied, setCopied] = useState(false)
   const [isNoteOwner, setIsNoteOwner] = useState(false)
+  const [noteTitle, setNoteTitle] = useState('')
+  const [linkExpiry, setLinkExpiry] = useState('')
+  const [copiedLinkId, setCopiedLinkId] = useState(null)
   const { user } = useStore()
+  const {
+    links: shareLinks,
+    loading: shareLinkLoading,
+    createLink,
+    revokeLink,
+  } = useCanvasShareLinks(noteId, { enabled: isNoteOwner })
 
   // Load collaborators and check if user is note owner
   useEffect(() => {
@@ -23,12 +45,13 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
         // Check if user is note owner
         const { data: noteData, error: noteError } = await supabase
           .from('notes')
-          .select('user_id')
+          .select('user_id, title')
           .eq('id', noteId)
           .single()
 
         if (!noteError && noteData) {
           setIsNoteOwner(noteData.user_id === user.id)
+          setNoteTitle(noteData.title || '')
         }
 
         // Load collaborators
@@ -62,6 +85,10 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
         (payload) => {
           if (payload.eventType === 'INSERT') {
             loadCollaborators()
+          } else if (payload.eventType === 'UPDATE') {
+            setCollaborators((prev) =>
+              prev.map((c) => (c.id === payload.new.id ? { ...c, ...payload.new } : c))
+            )
           } else if (payload.eventType === 'DELETE') {
             setCollaborators((prev) => prev.filter((c) => c.id !== payload.old.id))
           }
@@ -74,28 +101,46 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
     }
   }, [noteId])
 
+  const sendInvitation = async (invitation) => {
+    const { error } = await sendMail(
+      buildInvitationEmail({ invitation, inviterEmail: user.email, noteTitle })
+    )
+    if (error) {
+      toast.error('Invitation saved, but the email could not be sent')
+    }
+  }
+
   const handleShare = async () => {
-    if (!shareEmail.trim()) {
+    const inviteEmail = normalizeEmail(shareEmail)
+    if (!inviteEmail) {
       toast.error('Please enter an email address')
       return
     }
+    if (inviteEmail === normalizeEmail(user.email)) {
+      toast.error('You already have access to this canvas')
+      return
+    }
 
     setLoading(true)
     try {
       console.log('Adding collaborator:', {
         noteId,
-        collaboratorEmail: shareEmail.trim(),
+        collaboratorEmail: inviteEmail,
+        role: shareRole,
         addedBy: user.id,
         userEmail: user.email
       })
 
-      // Try to find user by email (if they exist in the system)
-      // For now, we'll store by email and let them access when they sign up
+      // The row starts as a pending invitation; the invitee claims it by
+      // accepting (see respond_to_canvas_invitation in canvas-invitations.sql)
       const { data: insertData, error: insertError } = await supabase
         .from('canvas_collaborators')
         .insert({
           note_id: noteId,
-          collaborator_email: shareEmail.trim(),
+          collaborator_email: inviteEmail,
+          role: shareRole,
+          status: INVITATION_STATUS.PENDING,
+          expires_at: getInvitationExpiry(),
           added_by: user.id,
         })
         .select()
@@ -116,7 +161,7 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
         })
         
         if (insertError.code === '23505') {
-          toast.error('User already has access')
+          toast.error('This email has already been invited')
         } else if (insertError.code === '42501' || insertError.message?.includes('permission denied')) {
           toast.error('Permission denied. Check RLS policies.')
           console.error('RLS Policy Error - Check canvas_collaborators INSERT policy')
@@ -126,8 +171,12 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
         }
       } else {
         console.log('✅ Collaborator added successfully:', insertData)
-        toast.success('Canvas shared successfully')
+        if (insertData?.[0]) {
+          await sendInvitation(insertData[0])
+        }
+        toast.success('Invitation sent')
         setShareEmail('')
+        setShareRole(DEFAULT_COLLABORATOR_ROLE)
         setShowShareInput(false)
         
         // Reload collaborators to show the new one
@@ -168,6 +217,31 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
     }
   }
 
+  const handleRoleChange = async (collaboratorId, role) => {
+    const previous = collaborators
+    // Optimistically update the list, the realtime UPDATE event confirms it
+    setCollaborators((prev) => prev.map((c) => (c.id === collaboratorId ? { ...c, role } : c)))
+
+    try {
+      const { error } = await supabase
+        .from('canvas_collaborators')
+        .update({ role })
+        .eq('id', collaboratorId)
+
+      if (error) {
+        console.error('Error updating collaborator role:', error)
+        setCollaborators(previous)
+        toast.error('Failed to update role')
+      } else {
+        toast.success(`Role changed to "${ROLE_LABELS[role]}"`)
+      }
+    } catch (err) {
+      console.error('Error updating collaborator role:', err)
+      setCollaborators(previous)
+      toast.error('Failed to update role')
+    }
+  }
+
   const handleCopyLink = () => {
     const shareLink = `${window.location.origin}/canvas/${noteId}`
     navigator.clipboard.writeText(shareLink)
@@ -176,6 +250,44 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
     setTimeout(() => setCopied(false), 2000)
   }
 
+  const handleResendInvitation = async (collaborator) => {
+    const { data, error } = await supabase
+      .from('canvas_collaborators')
+      .update({
+        status: INVITATION_STATUS.PENDING,
+        invited_at: new Date().toISOString(),
+        responded_at: null,
+        expires_at: getInvitationExpiry(),
+      })
+      .eq('id', collaborator.id)
+      .select()
+      .single()
+
+    if (error) {
+      console.error('Error resending invitation:', error)
+      toast.error('Failed to resend invitation')
+      return
+    }
+
+    setCollaborators((prev) => prev.map((c) => (c.id === data.id ? data : c)))
+    await sendInvitation(data)
+    toast.success('Invitation resent')
+  }
+
+  const handleCopyPublicLink = (link) => {
+    navigator.clipboard.writeText(getShareLinkUrl(link.token))
+    setCopiedLinkId(link.id)
+    toast.success('Public link copied to clipboard')
+    setTimeout(() => setCopiedLinkId(null), 2000)
+  }
+
+  const handleCreatePublicLink = async () => {
+    const { data } = await createLink(linkExpiry ? Number(linkExpiry) : null)
+    if (data) {
+      handleCopyPublicLink(data)
+    }
+  }
+
   return (
     <motion.div
       initial={{ opacity: 0, x: 300 }}
@@ -248,10 +360,23 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
                     {loading ? '...' : 'Share'}
                   </motion.button>
                 </div>
+                <select
+                  value={shareRole}
+                  onChange={(e) => setShareRole(e.target.value)}
+                  className="w-full px-3 py-2 border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white text-sm"
+                  title="Permission"
+                >
+                  {COLLABORATOR_ROLES.map((role) => (
+                    <option key={role} value={role}>
+                      {ROLE_LABELS[role]}
+                    </option>
+                  ))}
+                </select>
                 <button
                   onClick={() => {
                     setShowShareInput(false)
                     setShareEmail('')
+                    setShareRole(DEFAULT_COLLABORATOR_ROLE)
                   }}
                   className="text-xs text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
                 >
@@ -282,6 +407,76 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
           </motion.button>
         </div>
 
+        {/* Public Links (owner only) */}
+        {isNoteOwner && (
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-black dark:text-white">Public View Links</h3>
+            <p className="text-xs text-black dark:text-[#999999]">
+              Anyone with a public link can view the drawing without signing in.
+            </p>
+            <div className="flex gap-2">
+              <select
+                value={linkExpiry}
+                onChange={(e) => setLinkExpiry(e.target.value)}
+                className="flex-1 px-2 py-2 border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white text-sm"
+                title="Link expiry"
+              >
+                <option value="">Never expires</option>
+                <option value="1">Expires in 1 day</option>
+                <option value="7">Expires in 7 days</option>
+                <option value="30">Expires in 30 days</option>
+              </select>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleCreatePublicLink}
+                disabled={shareLinkLoading}
+                className="flex items-center gap-1 px-3 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50 text-sm"
+              >
+                <Globe className="w-4 h-4" />
+                Create
+              </motion.button>
+            </div>
+            {shareLinks.map((link) => (
+              <div
+                key={link.id}
+                className="flex items-center justify-between p-2 bg-white dark:bg-[#1a1a1a] rounded-lg border border-black dark:border-[#333333]"
+              >
+                <div className="min-w-0">
+                  <p className="text-xs font-mono text-black dark:text-white truncate">
+                    …/share/{link.token.slice(0, 8)}
+                  </p>
+                  <p className="text-xs text-black dark:text-[#999999]">
+                    {link.expires_at
+                      ? `Expires ${format(new Date(link.expires_at), 'MMM dd, yyyy HH:mm')}`
+                      : 'Never expires'}
+                  </p>
+                </div>
+                <div className="flex gap-1">
+                  <motion.button
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => handleCopyPublicLink(link)}
+                    className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                    title="Copy link"
+                  >
+                    {copiedLinkId === link.id ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                  </motion.button>
+                  <motion.button
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    onClick={() => revokeLink(link.id)}
+                    className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                    title="Revoke link"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </motion.button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Collaborators List */}
         <div className="space-y-2">
           <h3 className="text-sm font-semibold text-black dark:text-white">
@@ -309,18 +504,54 @@ export const CanvasCollaboration = ({ noteId, onClose }) => {
                       {collaborator.added_by === user?.id && (
                         <p className="text-xs text-black dark:text-[#999999]">You added</p>
                       )}
+                      <p className="text-xs text-black dark:text-[#999999]">
+                        {INVITATION_STATUS_LABELS[getInvitationStatus(collaborator)]}
+                      </p>
+                      {/* Only the owner can change roles or resend (canvas_collab_update);
+                          whoever added a collaborator can still remove them */}
+                      {isNoteOwner ? (
+                        <select
+                          value={normalizeRole(collaborator.role)}
+                          onChange={(e) => handleRoleChange(collaborator.id, e.target.value)}
+                          className="mt-1 px-1 py-0.5 border border-black dark:border-[#333333] rounded bg-white dark:bg-[#1a1a1a] text-black dark:text-white text-xs"
+                          title="Change permission"
+                        >
+                          {COLLABORATOR_ROLES.map((role) => (
+                            <option key={role} value={role}>
+                              {ROLE_LABELS[role]}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <p className="text-xs text-black dark:text-[#999999]">
+                          {ROLE_LABELS[normalizeRole(collaborator.role)]}
+                        </p>
+                      )}
                     </div>
                   </div>
                   {(isNoteOwner || collaborator.added_by === user?.id) && (
-                    <motion.button
-                      whileHover={{ scale: 1.1 }}
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => handleRemoveCollaborator(collaborator.id)}
-                      className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
-                      title="Remove"
-                    >
-                      <X className="w-4 h-4" />
-                    </motion.button>
+                    <div className="flex gap-1">
+                      {isNoteOwner && getInvitationStatus(collaborator) !== INVITATION_STATUS.ACCEPTED && (
+                        <motion.button
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.9 }}
+                          onClick={() => handleResendInvitation(collaborator)}
+                          className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                          title="Resend invitation"
+                        >
+                          <RefreshCw className="w-4 h-4" />
+                        </motion.button>
+                      )}
+                      <motion.button
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => handleRemoveCollaborator(collaborator.id)}
+                        className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                        title="Remove"
+                      >
+                        <X className="w-4 h-4" />
+                      </motion.button>
+                    </div>
                   )}
                 </motion.div>
               ))
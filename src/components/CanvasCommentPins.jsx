@@ -0,0 +1,109 @@
+import { useEffect, useState } from 'react'
+import { MessageSquare } from 'lucide-react'
+import { getThreadPosition, sceneToViewport } from '../utils/canvasComments'
+
+const readScene = (excalidrawAPI) => {
+  const { scrollX, scrollY, zoom } = excalidrawAPI.getAppState()
+  return {
+    elementsById: new Map(excalidrawAPI.getSceneElements().map((element) => [element.id, element])),
+    viewport: { scrollX, scrollY, zoom },
+  }
+}
+
+/**
+ * Comment pins drawn over the canvas
+ * Open threads get a pin at their element (or stored coordinate) that follows
+ * scrolling, zooming and element moves. While placing, the layer captures one
+ * click and reports it relative to the canvas
+ */
+export const CanvasCommentPins = ({
+  excalidrawAPI,
+  threads,
+  activeThreadId,
+  draftAnchor,
+  isPlacing,
+  onSelectThread,
+  onPlace,
+}) => {
+  const [scene, setScene] = useState(null)
+
+  useEffect(() => {
+    if (!excalidrawAPI) return
+
+    let frame = null
+    setScene(readScene(excalidrawAPI))
+
+    // onChange fires for scroll and zoom too; re-read once per frame
+    const unsubscribe = excalidrawAPI.onChange(() => {
+      if (frame) return
+      frame = requestAnimationFrame(() => {
+        frame = null
+        setScene(readScene(excalidrawAPI))
+      })
+    })
+
+    return () => {
+      unsubscribe()
+      if (frame) cancelAnimationFrame(frame)
+    }
+  }, [excalidrawAPI])
+
+  if (!scene) return null
+
+  const openThreads = threads.filter((thread) => !thread.resolved_at)
+  const draftPosition = draftAnchor && sceneToViewport(draftAnchor, scene.viewport)
+
+  const handlePlace = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    onPlace({ x: e.clientX - rect.left, y: e.clientY - rect.top })
+  }
+
+  return (
+    <div
+      className={`absolute inset-0 z-[5] overflow-hidden ${
+        isPlacing ? 'cursor-crosshair' : 'pointer-events-none'
+      }`}
+      onClick={isPlacing ? handlePlace : undefined}
+    >
+      {openThreads.map((thread) => {
+        const { x, y } = sceneToViewport(getThreadPosition(thread, scene.elementsById), scene.viewport)
+        const isActive = thread.id === activeThreadId
+
+        return (
+          <button
+            key={thread.id}
+            onClick={(e) => {
+              e.stopPropagation()
+              onSelectThread(thread)
+            }}
+            className={`absolute -translate-y-full flex items-center gap-1 px-2 py-1 rounded-full rounded-bl-none text-xs font-medium shadow-lg pointer-events-auto transition-colors ${
+              isActive
+                ? 'bg-blue-500 text-white'
+                : 'bg-white text-gray-800 dark:bg-gray-800 dark:text-white hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+            style={{ left: x, top: y }}
+            title={`${thread.author_name || 'Comment'}: ${thread.body}`}
+          >
+            <MessageSquare className="w-3 h-3" />
+            {thread.replies.length + 1}
+          </button>
+        )
+      })}
+
+      {draftAnchor && (
+        <div
+          className="absolute -translate-y-full px-2 py-1 rounded-full rounded-bl-none bg-blue-500 text-white shadow-lg"
+          style={{ left: draftPosition.x, top: draftPosition.y }}
+        >
+          <MessageSquare className="w-3 h-3" />
+        </div>
+      )}
+
+      {isPlacing && (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 px-3 py-1 rounded-full text-sm bg-blue-500 text-white shadow-lg">
+          Click on the canvas to place your comment
+        </div>
+      )}
+    </div>
+  )
+}
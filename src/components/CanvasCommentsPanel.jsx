@@ -0,0 +1,381 @@
+import { useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import { MessageSquare, X, Send, Check, RotateCcw, Trash2, MousePointer, MapPin } from 'lucide-react'
+import { formatDistanceToNow } from 'date-fns'
+import { getMentionHandle, getMentionQuery, splitMentions } from '../utils/canvasComments'
+
+const MAX_SUGGESTIONS = 5
+
+const CommentBody = ({ body }) => (
+  <p className="text-sm text-black dark:text-[#cccccc] whitespace-pre-wrap break-words">
+    {splitMentions(body).map((segment, index) =>
+      segment.mention ? (
+        <span key={index} className="font-semibold text-blue-600 dark:text-blue-400">
+          {segment.text}
+        </span>
+      ) : (
+        segment.text
+      )
+    )}
+  </p>
+)
+
+const Comment = ({ comment, canDelete, onDelete }) => (
+  <div className="space-y-1">
+    <div className="flex items-center justify-between gap-2">
+      <p className="text-xs text-black dark:text-[#999999] truncate">
+        <span className="font-medium text-black dark:text-white">{comment.author_name || 'Unknown'}</span>
+        {' · '}
+        {formatDistanceToNow(new Date(comment.created_at), { addSuffix: true })}
+      </p>
+      {canDelete && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation()
+            onDelete(comment.id)
+          }}
+          className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white shrink-0"
+          title="Delete comment"
+        >
+          <Trash2 className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+    <CommentBody body={comment.body} />
+  </div>
+)
+
+// Textarea with @mention autocomplete; Enter posts, Shift+Enter adds a line
+const CommentComposer = ({ mentionables, placeholder, onSubmit, autoFocus = false }) => {
+  const [text, setText] = useState('')
+  const [mention, setMention] = useState(null) // { query, start }
+  const [highlighted, setHighlighted] = useState(0)
+  const [posting, setPosting] = useState(false)
+  const textareaRef = useRef(null)
+
+  const suggestions = mention
+    ? mentionables
+      .filter((person) => getMentionHandle(person).startsWith(mention.query))
+      .slice(0, MAX_SUGGESTIONS)
+    : []
+
+  const updateMention = (value, caret) => {
+    setMention(getMentionQuery(value, caret))
+    setHighlighted(0)
+  }
+
+  const insertMention = (person) => {
+    const caret = textareaRef.current?.selectionStart ?? text.length
+    const handle = `@${getMentionHandle(person)} `
+    const next = text.slice(0, mention.start) + handle + text.slice(caret)
+    setText(next)
+    setMention(null)
+
+    requestAnimationFrame(() => {
+      const position = mention.start + handle.length
+      textareaRef.current?.focus()
+      textareaRef.current?.setSelectionRange(position, position)
+    })
+  }
+
+  const handleSubmit = async () => {
+    if (!text.trim() || posting) return
+
+    setPosting(true)
+    const { error } = await onSubmit(text)
+    setPosting(false)
+    if (!error) setText('')
+  }
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setHighlighted((index) => (index + step + suggestions.length) % suggestions.length)
+        return
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault()
+        insertMention(suggestions[highlighted])
+        return
+      }
+      if (e.key === 'Escape') {
+        setMention(null)
+        return
+      }
+    }
+
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault()
+      handleSubmit()
+    }
+  }
+
+  return (
+    <div className="relative">
+      <div className="flex gap-2">
+        <textarea
+          ref={textareaRef}
+          value={text}
+          rows={2}
+          autoFocus={autoFocus}
+          placeholder={placeholder}
+          onChange={(e) => {
+            setText(e.target.value)
+            updateMention(e.target.value, e.target.selectionStart)
+          }}
+          onClick={(e) => updateMention(text, e.target.selectionStart)}
+          onKeyDown={handleKeyDown}
+          className="flex-1 px-3 py-2 border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white placeholder-black dark:placeholder-[#999999] text-sm resize-none"
+        />
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={handleSubmit}
+          disabled={posting || !text.trim()}
+          className="self-end p-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50"
+          title="Post"
+        >
+          <Send className="w-4 h-4" />
+        </motion.button>
+      </div>
+
+      {suggestions.length > 0 && (
+        <div className="absolute left-0 right-10 top-full mt-1 z-10 bg-white dark:bg-[#1a1a1a] border border-black dark:border-[#333333] rounded-lg shadow-lg overflow-hidden">
+          {suggestions.map((person, index) => (
+            <button
+              key={person.user_id}
+              onMouseDown={(e) => {
+                // Keep focus in the textarea
+                e.preventDefault()
+                insertMention(person)
+              }}
+              className={`w-full text-left px-3 py-2 text-sm ${
+                index === highlighted
+                  ? 'bg-[#f5f5f5] dark:bg-[#2a2a2a]'
+                  : 'hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]'
+              }`}
+            >
+              <span className="font-medium text-black dark:text-white">@{getMentionHandle(person)}</span>
+              <span className="ml-2 text-xs text-black dark:text-[#999999]">{person.email}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Side panel with the canvas's comment threads
+ * Lists open or resolved threads with their replies, starts new threads on the
+ * selected element or a clicked point, and replies, resolves, reopens and
+ * deletes comments. Selecting a thread scrolls its pin into view
+ */
+export const CanvasCommentsPanel = ({
+  threads,
+  loading,
+  canComment,
+  isOwner,
+  currentUserId,
+  mentionables,
+  activeThreadId,
+  draftAnchor,
+  isPlacing,
+  onSelectThread,
+  onCommentOnSelection,
+  onStartPlacing,
+  onCancelDraft,
+  onAddComment,
+  onSetResolved,
+  onDelete,
+  onClose,
+}) => {
+  const [showResolved, setShowResolved] = useState(false)
+  const [selectionHint, setSelectionHint] = useState(false)
+
+  const visibleThreads = threads.filter((thread) => Boolean(thread.resolved_at) === showResolved)
+  const openCount = threads.filter((thread) => !thread.resolved_at).length
+
+  const canDelete = (comment) => isOwner || comment.created_by === currentUserId
+
+  const handleCommentOnSelection = () => {
+    setSelectionHint(!onCommentOnSelection())
+  }
+
+  const handleDelete = (commentId) => {
+    if (!window.confirm('Delete this comment?')) return
+    onDelete(commentId)
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 300 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 300 }}
+      className="fixed right-0 top-0 h-full w-full md:w-96 bg-white dark:bg-[#1a1a1a] shadow-2xl z-[100] flex flex-col border-l border-black dark:border-[#333333]"
+    >
+      <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
+        <div className="flex items-center gap-2">
+          <MessageSquare className="w-5 h-5 text-black dark:text-white" />
+          <h2 className="text-xl font-bold text-black dark:text-white">Comments</h2>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={onClose}
+          className="p-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
+          title="Close"
+        >
+          <X className="w-5 h-5" />
+        </motion.button>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4 space-y-4">
+        {canComment && (
+          draftAnchor ? (
+            <div className="p-2 rounded-lg border border-black dark:border-[#333333] bg-[#f5f5f5] dark:bg-[#2a2a2a] space-y-2">
+              <div className="flex items-center justify-between">
+                <p className="text-xs text-black dark:text-[#cccccc]">
+                  {draftAnchor.elementId ? 'New comment on the selected element' : 'New comment at the pinned point'}
+                </p>
+                <button
+                  onClick={onCancelDraft}
+                  className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                  title="Cancel"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <CommentComposer
+                key={`${draftAnchor.x}:${draftAnchor.y}`}
+                autoFocus
+                mentionables={mentionables}
+                placeholder="Write a comment, @ to mention"
+                onSubmit={(text) => onAddComment(text, { anchor: draftAnchor })}
+              />
+            </div>
+          ) : (
+            <div className="space-y-1">
+              <div className="flex gap-2">
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={handleCommentOnSelection}
+                  className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors text-sm"
+                >
+                  <MousePointer className="w-4 h-4" />
+                  On selection
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => onStartPlacing(!isPlacing)}
+                  className={`flex-1 flex items-center justify-center gap-1 px-3 py-2 rounded-lg border border-black dark:border-[#333333] transition-colors text-sm ${
+                    isPlacing
+                      ? 'bg-black text-white dark:bg-white dark:text-black'
+                      : 'bg-white dark:bg-[#1a1a1a] text-black dark:text-white hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]'
+                  }`}
+                >
+                  <MapPin className="w-4 h-4" />
+                  {isPlacing ? 'Click the canvas' : 'Pin to a point'}
+                </motion.button>
+              </div>
+              {selectionHint && (
+                <p className="text-xs text-black dark:text-[#999999]">Select an element on the canvas first.</p>
+              )}
+            </div>
+          )
+        )}
+
+        <div className="flex gap-1 text-sm">
+          {[false, true].map((resolved) => (
+            <button
+              key={String(resolved)}
+              onClick={() => setShowResolved(resolved)}
+              className={`px-3 py-1 rounded-lg border border-black dark:border-[#333333] ${
+                showResolved === resolved
+                  ? 'bg-black text-white dark:bg-white dark:text-black'
+                  : 'text-black dark:text-[#cccccc] hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]'
+              }`}
+            >
+              {resolved ? `Resolved (${threads.length - openCount})` : `Open (${openCount})`}
+            </button>
+          ))}
+        </div>
+
+        {loading && threads.length === 0 ? (
+          <p className="text-xs text-black dark:text-[#999999]">Loading comments...</p>
+        ) : visibleThreads.length === 0 ? (
+          <p className="text-xs text-black dark:text-[#999999]">
+            {showResolved ? 'No resolved threads.' : 'No open comments on this canvas.'}
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {visibleThreads.map((thread) => {
+              const isActive = thread.id === activeThreadId
+
+              return (
+                <div
+                  key={thread.id}
+                  onClick={() => !isActive && onSelectThread(thread)}
+                  className={`p-2 bg-white dark:bg-[#1a1a1a] rounded-lg border space-y-2 ${
+                    isActive
+                      ? 'border-blue-500'
+                      : 'border-black dark:border-[#333333] cursor-pointer hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]'
+                  }`}
+                >
+                  <Comment comment={thread} canDelete={canDelete(thread)} onDelete={handleDelete} />
+
+                  {thread.replies.length > 0 && (
+                    <div className="pl-3 border-l-2 border-black dark:border-[#333333] space-y-2">
+                      {(isActive ? thread.replies : thread.replies.slice(-1)).map((reply) => (
+                        <Comment key={reply.id} comment={reply} canDelete={canDelete(reply)} onDelete={handleDelete} />
+                      ))}
+                      {!isActive && thread.replies.length > 1 && (
+                        <p className="text-xs text-black dark:text-[#999999]">
+                          {thread.replies.length - 1} earlier {thread.replies.length === 2 ? 'reply' : 'replies'}
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {isActive && canComment && (
+                    <div className="space-y-2" onClick={(e) => e.stopPropagation()}>
+                      {!thread.resolved_at && (
+                        <CommentComposer
+                          mentionables={mentionables}
+                          placeholder="Reply, @ to mention"
+                          onSubmit={(text) => onAddComment(text, { parentId: thread.id })}
+                        />
+                      )}
+                      <motion.button
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => onSetResolved(thread.id, !thread.resolved_at)}
+                        className="flex items-center gap-1 px-3 py-1 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors text-xs"
+                      >
+                        {thread.resolved_at ? (
+                          <>
+                            <RotateCcw className="w-3 h-3" />
+                            Reopen
+                          </>
+                        ) : (
+                          <>
+                            <Check className="w-3 h-3" />
+                            Resolve
+                          </>
+                        )}
+                      </motion.button>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </motion.div>
+  )
+}
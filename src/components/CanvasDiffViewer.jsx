@@ -0,0 +1,292 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import { X, Columns, Layers } from 'lucide-react'
+import { exportToSvg, getCommonBounds } from '@excalidraw/excalidraw'
+import { describeElement, diffCanvasVersions, hasCanvasDiff } from '../utils/canvasDiff'
+
+const EXPORT_PADDING = 24
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+const HIGHLIGHT_COLORS = {
+  added: '#16a34a',
+  removed: '#dc2626',
+  modified: '#d97706',
+}
+
+const CHANGE_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  modified: 'Changed',
+}
+
+const liveElements = (elements = []) => elements.filter((element) => !element.isDeleted)
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—'
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(1)
+  if (typeof value === 'string') return value.length > 24 ? `${value.slice(0, 24)}…` : value
+  return Array.isArray(value) ? `[${value.length}]` : '{…}'
+}
+
+// Draws an outline around each highlighted element on top of an exported SVG
+// exportToSvg shifts the scene so its bounds start at exportPadding
+const addHighlights = (svg, sceneElements, highlights) => {
+  if (sceneElements.length === 0 || highlights.length === 0) return
+
+  const [minX, minY] = getCommonBounds(sceneElements)
+  highlights.forEach(({ element, type }) => {
+    const [x1, y1, x2, y2] = getCommonBounds([element])
+    const rect = document.createElementNS(SVG_NS, 'rect')
+    rect.setAttribute('x', x1 - minX + EXPORT_PADDING - 6)
+    rect.setAttribute('y', y1 - minY + EXPORT_PADDING - 6)
+    rect.setAttribute('width', x2 - x1 + 12)
+    rect.setAttribute('height', y2 - y1 + 12)
+    rect.setAttribute('rx', 4)
+    rect.setAttribute('fill', HIGHLIGHT_COLORS[type])
+    rect.setAttribute('fill-opacity', '0.08')
+    rect.setAttribute('stroke', HIGHLIGHT_COLORS[type])
+    rect.setAttribute('stroke-width', '2')
+    rect.setAttribute('stroke-dasharray', type === 'removed' ? '6 4' : 'none')
+    svg.appendChild(rect)
+  })
+}
+
+// Renders a scene as SVG with change highlights drawn over it
+const DiffScene = ({ elements, files, highlights, label }) => {
+  const containerRef = useRef(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const render = async () => {
+      try {
+        const svg = await exportToSvg({
+          elements,
+          files: files || {},
+          appState: {
+            exportBackground: true,
+            viewBackgroundColor: '#ffffff',
+            exportWithDarkMode: document.documentElement.classList.contains('dark'),
+          },
+          exportPadding: EXPORT_PADDING,
+        })
+        addHighlights(svg, elements, highlights)
+        svg.setAttribute('width', '100%')
+        svg.removeAttribute('height')
+
+        if (!cancelled && containerRef.current) {
+          containerRef.current.replaceChildren(svg)
+          setError(null)
+        }
+      } catch (err) {
+        console.error('[CanvasDiffViewer] Error rendering scene:', err)
+        if (!cancelled) setError('Preview unavailable')
+      }
+    }
+
+    render()
+    return () => {
+      cancelled = true
+    }
+  }, [elements, files, highlights])
+
+  return (
+    <div className="flex-1 min-w-0 flex flex-col gap-2">
+      {label && <p className="text-xs font-medium text-black dark:text-[#999999]">{label}</p>}
+      <div className="flex-1 rounded-lg border border-black dark:border-[#333333] overflow-auto bg-white dark:bg-[#121212]">
+        {error ? (
+          <p className="p-4 text-xs text-black dark:text-[#999999]">{error}</p>
+        ) : elements.length === 0 ? (
+          <p className="p-4 text-xs text-black dark:text-[#999999]">Empty canvas</p>
+        ) : (
+          <div ref={containerRef} />
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Full-screen comparison of two canvas versions
+ * from/to: { label, data: { elements, files } }
+ * Side-by-side shows both scenes, overlay draws removed elements faded into
+ * the newer scene. Either way added, removed and changed elements are
+ * outlined and listed with the properties that changed
+ */
+export const CanvasDiffViewer = ({ from, to, onClose }) => {
+  const [mode, setMode] = useState('side-by-side')
+  const [selectedId, setSelectedId] = useState(null)
+
+  const diff = useMemo(
+    () => diffCanvasVersions(from.data.elements, to.data.elements),
+    [from.data.elements, to.data.elements]
+  )
+
+  const scenes = useMemo(() => {
+    const fromElements = liveElements(from.data.elements)
+    const toElements = liveElements(to.data.elements)
+
+    const fromHighlights = [
+      ...diff.removed.map((element) => ({ element, type: 'removed' })),
+      ...diff.modified.map(({ before }) => ({ element: before, type: 'modified' })),
+    ]
+    const toHighlights = [
+      ...diff.added.map((element) => ({ element, type: 'added' })),
+      ...diff.modified.map(({ after }) => ({ element: after, type: 'modified' })),
+    ]
+
+    const ghosts = diff.removed.map((element) => ({ ...element, opacity: 25 }))
+
+    return {
+      fromElements,
+      toElements,
+      fromHighlights,
+      toHighlights,
+      overlayElements: [...toElements, ...ghosts],
+      overlayHighlights: [
+        ...toHighlights,
+        ...ghosts.map((element) => ({ element, type: 'removed' })),
+      ],
+      overlayFiles: { ...(from.data.files || {}), ...(to.data.files || {}) },
+    }
+  }, [diff, from.data, to.data])
+
+  const changeList = useMemo(() => [
+    ...diff.added.map((element) => ({ id: element.id, type: 'added', element, changes: [] })),
+    ...diff.removed.map((element) => ({ id: element.id, type: 'removed', element, changes: [] })),
+    ...diff.modified.map(({ id, after, changes }) => ({ id, type: 'modified', element: after, changes })),
+  ], [diff])
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-white dark:bg-[#1a1a1a] z-[110] flex flex-col"
+    >
+      <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
+        <div className="min-w-0">
+          <h2 className="text-xl font-bold text-black dark:text-white">Compare Versions</h2>
+          <p className="text-xs text-black dark:text-[#999999] truncate">
+            {from.label} → {to.label}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="flex rounded-lg border border-black dark:border-[#333333] overflow-hidden">
+            <button
+              onClick={() => setMode('side-by-side')}
+              className={`flex items-center gap-1 px-3 py-2 text-sm transition-colors ${
+                mode === 'side-by-side'
+                  ? 'bg-black text-white dark:bg-white dark:text-black'
+                  : 'bg-white dark:bg-[#1a1a1a] text-black dark:text-white hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]'
+              }`}
+              title="Side by side"
+            >
+              <Columns className="w-4 h-4" />
+              <span className="hidden sm:inline">Side by side</span>
+            </button>
+            <button
+              onClick={() => setMode('overlay')}
+              className={`flex items-center gap-1 px-3 py-2 text-sm transition-colors ${
+                mode === 'overlay'
+                  ? 'bg-black text-white dark:bg-white dark:text-black'
+                  : 'bg-white dark:bg-[#1a1a1a] text-black dark:text-white hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]'
+              }`}
+              title="Overlay"
+            >
+              <Layers className="w-4 h-4" />
+              <span className="hidden sm:inline">Overlay</span>
+            </button>
+          </div>
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={onClose}
+            className="p-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
+            title="Close"
+          >
+            <X className="w-5 h-5" />
+          </motion.button>
+        </div>
+      </div>
+
+      <div className="flex-1 flex flex-col md:flex-row min-h-0">
+        <div className="flex-1 flex gap-4 p-4 min-h-0 overflow-auto">
+          {mode === 'side-by-side' ? (
+            <>
+              <DiffScene
+                elements={scenes.fromElements}
+                files={from.data.files}
+                highlights={scenes.fromHighlights}
+                label={from.label}
+              />
+              <DiffScene
+                elements={scenes.toElements}
+                files={to.data.files}
+                highlights={scenes.toHighlights}
+                label={to.label}
+              />
+            </>
+          ) : (
+            <DiffScene
+              elements={scenes.overlayElements}
+              files={scenes.overlayFiles}
+              highlights={scenes.overlayHighlights}
+            />
+          )}
+        </div>
+
+        <div className="w-full md:w-80 border-t md:border-t-0 md:border-l border-black dark:border-[#333333] overflow-auto p-4 space-y-3">
+          <div className="flex gap-3 text-xs">
+            {Object.keys(CHANGE_LABELS).map((type) => (
+              <span key={type} className="flex items-center gap-1 text-black dark:text-[#cccccc]">
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: HIGHLIGHT_COLORS[type] }} />
+                {diff[type].length} {CHANGE_LABELS[type].toLowerCase()}
+              </span>
+            ))}
+          </div>
+
+          {!hasCanvasDiff(diff) ? (
+            <p className="text-xs text-black dark:text-[#999999]">These versions are identical.</p>
+          ) : (
+            <div className="space-y-2">
+              {changeList.map((change) => (
+                <div
+                  key={`${change.type}-${change.id}`}
+                  onClick={() => setSelectedId(selectedId === change.id ? null : change.id)}
+                  className="p-2 rounded-lg border border-black dark:border-[#333333] cursor-pointer hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]"
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-sm text-black dark:text-white truncate">{describeElement(change.element)}</p>
+                    <span className="text-xs font-medium shrink-0" style={{ color: HIGHLIGHT_COLORS[change.type] }}>
+                      {CHANGE_LABELS[change.type]}
+                    </span>
+                  </div>
+                  {change.type === 'modified' && (
+                    <p className="text-xs text-black dark:text-[#999999] truncate">
+                      {change.changes.map((c) => c.property).join(', ')}
+                    </p>
+                  )}
+                  {selectedId === change.id && change.changes.length > 0 && (
+                    <table className="mt-2 w-full text-xs text-black dark:text-[#cccccc]">
+                      <tbody>
+                        {change.changes.map((c) => (
+                          <tr key={c.property}>
+                            <td className="pr-2 font-medium">{c.property}</td>
+                            <td className="pr-2 text-[#dc2626]">{formatValue(c.before)}</td>
+                            <td className="text-[#16a34a]">{formatValue(c.after)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  )
+}
@@ -1,13 +1,33 @@
 import { useEffect, useState, useRef, useCallback, useMemo } from 'react'
-import { Excalidraw } from '@excalidraw/excalidraw'
+import { Excalidraw, CaptureUpdateAction } from '@excalidraw/excalidraw'
 import '@excalidraw/excalidraw/index.css'
 import { useStore } from '../store/useStore'
 import { supabase } from '../lib/supabase'
+import { persistMutation } from '../lib/offlineQueue'
+import { getImageFileIds, getLoadedFiles, hydrateCanvasFiles, toStoredCanvasFiles, uploadCanvasFiles } from '../lib/canvasFiles'
+import { saveCanvasThumbnail } from '../lib/canvasThumbnails'
 import toast from 'react-hot-toast'
-import { X, Users } from 'lucide-react'
+import { X, Users, Eye, History, MessageSquare, FileText, LayoutTemplate, Kanban } from 'lucide-react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { CanvasCollaboration } from './CanvasCollaboration'
+import { CanvasHistoryPanel } from './CanvasHistoryPanel'
+import { CanvasCommentsPanel } from './CanvasCommentsPanel'
+import { CanvasCommentPins } from './CanvasCommentPins'
+import { NoteEditor } from './NoteEditor'
+import { SaveTemplateDialog } from './SaveTemplateDialog'
+import { KanbanPanel } from './KanbanPanel'
+import { useCanvasRole } from '../hooks/useCanvasRole'
+import { useRemoteCursors } from '../hooks/useRemoteCursors'
+import { useCanvasComments } from '../hooks/useCanvasComments'
+import { getCollaboratorColor } from '../utils/remoteCursors'
+import { useOfflineQueue } from '../hooks/useOfflineQueue'
+import { BoxSyncStatusIndicator } from './BoxSyncComponents'
+import { useCanvasSnapshots } from '../hooks/useCanvasSnapshots'
+import { useCanvasFiles } from '../hooks/useCanvasFiles'
 import { useCanvasState } from '../hooks/useCanvasState'
+import { useCanvasTemplates } from '../hooks/useCanvasTemplates'
+import { useKanbanBoard } from '../hooks/useKanbanBoard'
+import { toTemplateScene } from '../utils/canvasTemplates'
 
 /**
  * Enhanced CanvasEditor with separated canvas content and tool state
@@ -17,13 +37,38 @@ export const CanvasEditor = ({ noteId, onClose }) => {
   const [excalidrawAPI, setExcalidrawAPI] = useState(null)
   const [loading, setLoading] = useState(true)
   const [showCollaboration, setShowCollaboration] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
+  const [showComments, setShowComments] = useState(false)
+  const [showBoard, setShowBoard] = useState(false)
+  const [noteText, setNoteText] = useState(null)
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false)
   const [activeCollaborators, setActiveCollaborators] = useState([])
   
-  const { user } = useStore()
+  const { user, notes } = useStore()
+  const { saveTemplate } = useCanvasTemplates({ enabled: false })
   const broadcastChannelRef = useRef(null)
   const isChannelSubscribedRef = useRef(false)
   const excalidrawRef = useRef(null)
 
+  // Viewers and commenters get a read-only canvas
+  const { canEdit, canComment, isOwner, loading: roleLoading } = useCanvasRole(noteId)
+  const { isOnline, pendingCount, isReplaying } = useOfflineQueue()
+  const canEditRef = useRef(canEdit)
+  canEditRef.current = canEdit
+
+  // Version history; recordSave runs from the sync callback, so go through a ref
+  const {
+    snapshots,
+    loading: snapshotsLoading,
+    createSnapshot,
+    recordSave,
+    setBaseline,
+    loadSnapshotData,
+    restoreSnapshot
+  } = useCanvasSnapshots({ noteId, canEdit })
+  const recordSaveRef = useRef(recordSave)
+  recordSaveRef.current = recordSave
+
   // Initialize canvas state manager
   const {
     updateCanvasContent,
@@ -43,20 +88,33 @@ export const CanvasEditor = ({ noteId, onClose }) => {
     debounceMs: 50,
     onContentChange: async (payload) => {
       // Save to database after successful sync
+      if (!canEditRef.current) return
+
       try {
-        const { error } = await supabase
-          .from('notes')
-          .update({
+        // Images are stored once in canvas_files; canvas_data keeps references
+        await uploadCanvasFiles(noteId, user?.id, contentRef.current.files)
+
+        // Queued in IndexedDB instead when offline, replayed on reconnect
+        const { error, queued } = await persistMutation({
+          kind: 'canvas',
+          recordId: noteId,
+          userId: user?.id,
+          updates: {
             canvas_data: {
               elements: contentRef.current.elements,
-              files: contentRef.current.files
+              files: toStoredCanvasFiles(noteId, contentRef.current.files)
             },
             updated_at: new Date().toISOString()
-          })
-          .eq('id', noteId)
+          },
+          columns: 'id'
+        })
 
         if (error) {
           console.error('[CanvasEditor] Failed to save to database:', error)
+        } else if (!queued) {
+          recordSaveRef.current(contentRef.current)
+          // Dashboard preview, stored shortly after the last save
+          saveCanvasThumbnail(noteId, user?.id, contentRef.current.elements)
         }
       } catch (err) {
         console.error('[CanvasEditor] Error saving canvas:', err)
@@ -80,10 +138,12 @@ export const CanvasEditor = ({ noteId, onClose }) => {
           const canvasData = data.canvas_data
           
           // Initialize canvas content (without appState)
+          // Stored images are loaded lazily once the editor is ready
           updateCanvasContent(
             canvasData.elements || [],
-            canvasData.files || {}
+            getLoadedFiles(canvasData.files)
           )
+          setBaseline(canvasData)
         }
       } catch (err) {
         console.error('[CanvasEditor] Error loading canvas data:', err)
@@ -94,7 +154,39 @@ export const CanvasEditor = ({ noteId, onClose }) => {
     }
 
     loadCanvasData()
-  }, [noteId, updateCanvasContent])
+  }, [noteId, updateCanvasContent, setBaseline])
+
+  const { loadMissingFiles } = useCanvasFiles({ noteId, excalidrawAPI })
+
+  // Fetch the images the loaded scene uses
+  useEffect(() => {
+    if (loading) return
+    loadMissingFiles(getImageFileIds(contentRef.current.elements))
+  }, [loading, loadMissingFiles, contentRef])
+
+  const { handlePointerUpdate, handleCursorMessage } = useRemoteCursors({
+    user,
+    channelRef: broadcastChannelRef,
+    isChannelSubscribedRef,
+    excalidrawAPI,
+    activeCollaborators
+  })
+
+  // Comment threads; the panel and canvas pins share this state
+  const comments = useCanvasComments({
+    noteId,
+    user,
+    canComment,
+    channelRef: broadcastChannelRef,
+    isChannelSubscribedRef,
+    excalidrawAPI
+  })
+  const { handleCommentMessage } = comments
+  const openCommentCount = comments.threads.filter((thread) => !thread.resolved_at).length
+
+  // Kanban board mode; cards snap into columns as they are dropped
+  const board = useKanbanBoard({ excalidrawAPI, canEdit })
+  const { handleBoardChange } = board
 
   // Set up real-time collaboration channel
   useEffect(() => {
@@ -106,12 +198,22 @@ export const CanvasEditor = ({ noteId, onClose }) => {
 
     broadcastChannelRef.current = channel
 
+    // Collaborator pointers and selections
+    channel.on('broadcast', { event: 'cursor-update' }, ({ payload }) => {
+      handleCursorMessage(payload)
+    })
+
+    // Comment threads
+    channel.on('broadcast', { event: 'comment-update' }, ({ payload }) => {
+      handleCommentMessage(payload)
+    })
+
     // Handle incoming canvas updates
     channel.on('broadcast', { event: 'canvas-update' }, ({ payload }) => {
       if (payload.userId === user.id) return // Skip own updates
 
       try {
-        const updatedState = applyExternalUpdate(payload.canvasData)
+        const updatedState = applyExternalUpdate(payload)
         
         // Update Excalidraw scene without affecting local tool state
         if (excalidrawAPI) {
@@ -119,8 +221,11 @@ export const CanvasEditor = ({ noteId, onClose }) => {
             elements: updatedState.elements,
             appState: excalidrawAPI.getAppState(), // Preserve local tool state
             files: updatedState.files,
-            commitToHistory: false
+            captureUpdate: CaptureUpdateAction.NEVER // Remote edits stay out of local undo
           })
+
+          // Only file ids are broadcast; fetch the data for new images
+          loadMissingFiles(payload.fileIds || getImageFileIds(payload.changed))
         }
       } catch (err) {
         console.error('[CanvasEditor] Error applying external update:', err)
@@ -138,7 +243,7 @@ export const CanvasEditor = ({ noteId, onClose }) => {
       broadcastChannelRef.current = null
       isChannelSubscribedRef.current = false
     }
-  }, [noteId, user, excalidrawAPI, applyExternalUpdate])
+  }, [noteId, user, excalidrawAPI, applyExternalUpdate, loadMissingFiles, handleCursorMessage, handleCommentMessage])
 
   // Track active collaborators
   useEffect(() => {
@@ -188,9 +293,46 @@ export const CanvasEditor = ({ noteId, onClose }) => {
     }
   }, [noteId, user])
 
+  // Collaborators don't have the note in their list, so load its text here
+  const openNoteText = async () => {
+    const { data, error } = await supabase
+      .from('notes')
+      .select('id, title, content, updated_at')
+      .eq('id', noteId)
+      .single()
+
+    if (error) {
+      console.error('[CanvasEditor] Error loading note text:', error)
+      toast.error('Failed to load note')
+      return
+    }
+    setNoteText(data)
+  }
+
+  // Templates embed their images, so fetch any the editor hasn't loaded
+  const handleSaveTemplate = async ({ name, description }) => {
+    const elements = contentRef.current.elements
+    const files = await hydrateCanvasFiles(noteId, {
+      elements,
+      files: excalidrawAPI?.getFiles() || contentRef.current.files
+    })
+
+    const { error } = await saveTemplate({
+      name,
+      description,
+      canvasData: toTemplateScene(elements, files)
+    })
+    if (!error) {
+      setShowSaveTemplate(false)
+      toast.success('Template saved')
+    }
+  }
+
   // Handle canvas changes (elements only, no appState)
   const handleChange = useCallback((elements, appState, files) => {
-    if (!noteId) return
+    // Viewers still see the board panel follow collaborators' moves
+    handleBoardChange(elements, appState)
+    if (!noteId || !canEdit) return
 
     // Update canvas content (this will handle sync automatically)
     const result = updateCanvasContent(elements, files)
@@ -201,7 +343,7 @@ export const CanvasEditor = ({ noteId, onClose }) => {
         totalElements: elements.length
       })
     }
-  }, [noteId, updateCanvasContent])
+  }, [noteId, canEdit, updateCanvasContent, handleBoardChange])
 
   // Handle tool changes (local only, no sync)
   const handleToolChange = useCallback((toolType, options = {}) => {
@@ -226,6 +368,30 @@ export const CanvasEditor = ({ noteId, onClose }) => {
     }
   }, [getCanvasState])
 
+  // Save a named checkpoint of the current scene
+  const handleCreateCheckpoint = useCallback(async (name) => {
+    const { error } = await createSnapshot(
+      { elements: contentRef.current.elements, files: contentRef.current.files },
+      { kind: 'manual', name }
+    )
+    if (error) {
+      toast.error('Failed to save checkpoint')
+    } else {
+      toast.success('Checkpoint saved')
+    }
+  }, [createSnapshot, contentRef])
+
+  // Restore a snapshot through the normal save + broadcast path
+  const handleRestoreSnapshot = useCallback((snapshotId) => {
+    return restoreSnapshot(snapshotId, {
+      excalidrawAPI,
+      applyContent: (elements, files) => {
+        updateCanvasContent(elements, files)
+        forceContentSync()
+      }
+    })
+  }, [restoreSnapshot, excalidrawAPI, updateCanvasContent, forceContentSync])
+
   // UI configuration
   const uiOptions = useMemo(() => ({
     canvasActions: {
@@ -233,14 +399,14 @@ export const CanvasEditor = ({ noteId, onClose }) => {
       loadScene: false,
       export: { saveFileToDisk: true },
       changeViewBackgroundColor: true,
-      clearCanvas: true,
+      clearCanvas: canEdit,
       theme: true,
       saveAsImage: true
     },
     tools: {
       image: true
     }
-  }), [])
+  }), [canEdit])
 
   // Prevent body scroll when canvas is open
   useEffect(() => {
@@ -257,7 +423,7 @@ export const CanvasEditor = ({ noteId, onClose }) => {
     }
   }, [forceContentSync])
 
-  if (loading) {
+  if (loading || roleLoading) {
     return (
       <div className="fixed inset-0 bg-white dark:bg-[#121212] z-[100] flex items-center justify-center">
         <div className="text-center">
@@ -274,6 +440,24 @@ export const CanvasEditor = ({ noteId, onClose }) => {
       <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700 bg-white dark:bg-[#1a1a1a]">
         <div className="flex items-center gap-4">
           <h2 className="text-xl font-bold text-gray-800 dark:text-white">Canvas Editor</h2>
+
+          {!canEdit && (
+            <div className="flex items-center gap-2 px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200">
+              <Eye className="w-4 h-4" />
+              View only
+            </div>
+          )}
+
+          {/* Offline queue status */}
+          {(!isOnline || pendingCount > 0) && (
+            <BoxSyncStatusIndicator
+              status={isReplaying ? 'syncing' : 'idle'}
+              isSyncing={isReplaying}
+              isOnline={isOnline}
+              pendingChanges={pendingCount}
+              className="text-sm"
+            />
+          )}
           
           {/* Active collaborators indicator */}
           {activeCollaborators.length > 0 && (
@@ -282,7 +466,8 @@ export const CanvasEditor = ({ noteId, onClose }) => {
                 {activeCollaborators.slice(0, 3).map((collaborator, index) => (
                   <div
                     key={collaborator.id}
-                    className="w-8 h-8 rounded-full bg-blue-500 text-white flex items-center justify-center text-xs font-medium border-2 border-white dark:border-gray-800"
+                    className="w-8 h-8 rounded-full text-white flex items-center justify-center text-xs font-medium border-2 border-white dark:border-gray-800"
+                    style={{ backgroundColor: getCollaboratorColor(collaborator.id).background }}
                     title={collaborator.email}
                   >
                     {collaborator.name?.charAt(0).toUpperCase() || 'U'}
@@ -298,7 +483,77 @@ export const CanvasEditor = ({ noteId, onClose }) => {
 
         <div className="flex items-center gap-2">
           <button
-            onClick={() => setShowCollaboration(true)}
+            onClick={() => setShowSaveTemplate(true)}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            title="Save as template"
+          >
+            <LayoutTemplate className="w-4 h-4" />
+            Template
+          </button>
+
+          <button
+            onClick={openNoteText}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            title="Note title and text"
+          >
+            <FileText className="w-4 h-4" />
+            Note
+          </button>
+
+          <button
+            onClick={() => {
+              setShowCollaboration(false)
+              setShowHistory(false)
+              setShowBoard(false)
+              setShowComments(true)
+            }}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            title="Comments"
+          >
+            <MessageSquare className="w-4 h-4" />
+            Comments
+            {openCommentCount > 0 && (
+              <span className="px-1.5 rounded-full bg-blue-500 text-white text-xs">
+                {openCommentCount}
+              </span>
+            )}
+          </button>
+
+          <button
+            onClick={() => {
+              setShowCollaboration(false)
+              setShowComments(false)
+              setShowBoard(false)
+              setShowHistory(true)
+            }}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            title="Version history"
+          >
+            <History className="w-4 h-4" />
+            History
+          </button>
+
+          <button
+            onClick={() => {
+              setShowCollaboration(false)
+              setShowComments(false)
+              setShowHistory(false)
+              setShowBoard(true)
+            }}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            title="Kanban board"
+          >
+            <Kanban className="w-4 h-4" />
+            Board
+          </button>
+
+          <button
+            onClick={() => {
+              setShowHistory(false)
+              setShowComments(false)
+              setShowBoard(false)
+              setShowCollaboration(true)
+            }}
             className="flex items-center gap-2 px-3 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
           >
             <Users className="w-4 h-4" />
@@ -329,6 +584,22 @@ export const CanvasEditor = ({ noteId, onClose }) => {
           </div>
         )}
 
+        <CanvasCommentPins
+          excalidrawAPI={excalidrawAPI}
+          threads={comments.threads}
+          activeThreadId={showComments ? comments.activeThreadId : null}
+          draftAnchor={showComments ? comments.draftAnchor : null}
+          isPlacing={showComments && comments.isPlacing}
+          onSelectThread={(thread) => {
+            setShowCollaboration(false)
+            setShowHistory(false)
+            setShowBoard(false)
+            setShowComments(true)
+            comments.focusThread(thread)
+          }}
+          onPlace={comments.placeDraftAt}
+        />
+
         <Excalidraw
           ref={excalidrawRef}
           excalidrawAPI={handleExcalidrawAPI}
@@ -342,8 +613,10 @@ export const CanvasEditor = ({ noteId, onClose }) => {
             }
           }}
           onChange={handleChange}
+          onPointerUpdate={handlePointerUpdate}
           onToolChange={handleToolChange}
           UIOptions={uiOptions}
+          viewModeEnabled={!canEdit}
           theme={document.documentElement.classList.contains('dark') ? 'dark' : 'light'}
           langCode="en"
           renderTopRightUI={() => null} // Hide default top-right UI
@@ -359,6 +632,83 @@ export const CanvasEditor = ({ noteId, onClose }) => {
           />
         )}
       </AnimatePresence>
+
+      {/* Comments Panel */}
+      <AnimatePresence>
+        {showComments && (
+          <CanvasCommentsPanel
+            threads={comments.threads}
+            loading={comments.loading}
+            canComment={canComment}
+            isOwner={isOwner}
+            currentUserId={user?.id}
+            mentionables={comments.mentionables}
+            activeThreadId={comments.activeThreadId}
+            draftAnchor={comments.draftAnchor}
+            isPlacing={comments.isPlacing}
+            onSelectThread={comments.focusThread}
+            onCommentOnSelection={comments.commentOnSelection}
+            onStartPlacing={comments.setIsPlacing}
+            onCancelDraft={comments.cancelDraft}
+            onAddComment={comments.addComment}
+            onSetResolved={comments.setThreadResolved}
+            onDelete={comments.deleteComment}
+            onClose={() => {
+              comments.cancelDraft()
+              setShowComments(false)
+            }}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Version History Panel */}
+      <AnimatePresence>
+        {showHistory && (
+          <CanvasHistoryPanel
+            snapshots={snapshots}
+            loading={snapshotsLoading}
+            canEdit={canEdit}
+            onCreateCheckpoint={handleCreateCheckpoint}
+            onLoadSnapshot={loadSnapshotData}
+            onRestore={handleRestoreSnapshot}
+            getCurrentContent={() => ({
+              elements: contentRef.current.elements,
+              files: excalidrawAPI?.getFiles() || contentRef.current.files
+            })}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Kanban Board Panel */}
+      <AnimatePresence>
+        {showBoard && (
+          <KanbanPanel
+            board={board.board}
+            canEdit={canEdit}
+            onAddColumn={board.addColumn}
+            onAddCard={board.addCard}
+            onConvertSelection={board.convertSelection}
+            onFocus={board.focusElement}
+            onClose={() => setShowBoard(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      {showSaveTemplate && (
+        <SaveTemplateDialog
+          defaultName={notes.find((note) => note.id === noteId)?.title || ''}
+          onSave={handleSaveTemplate}
+          onClose={() => setShowSaveTemplate(false)}
+        />
+      )}
+
+      {/* Note text, co-edited live with everyone who has it open */}
+      {noteText && (
+        <div className="relative z-[100]">
+          <NoteEditor note={noteText} onClose={() => setNoteText(null)} />
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,328 @@
+import { useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { motion, AnimatePresence } from 'framer-motion'
+import { History, X, Bookmark, RotateCcw, Eye, GitCompare } from 'lucide-react'
+import { exportToSvg } from '@excalidraw/excalidraw'
+import { format } from 'date-fns'
+import { CanvasDiffViewer } from './CanvasDiffViewer'
+
+const KIND_LABELS = {
+  auto: 'Auto-save',
+  manual: 'Checkpoint',
+  restore: 'Before restore',
+}
+
+const getSnapshotLabel = (snapshot) =>
+  `${snapshot.name || KIND_LABELS[snapshot.kind]} · ${format(new Date(snapshot.created_at), 'MMM dd, HH:mm')}`
+
+// Renders a static SVG of a snapshot's scene
+const SnapshotPreview = ({ canvasData }) => {
+  const containerRef = useRef(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const render = async () => {
+      try {
+        const svg = await exportToSvg({
+          elements: (canvasData.elements || []).filter((element) => !element.isDeleted),
+          files: canvasData.files || {},
+          appState: {
+            exportBackground: true,
+            viewBackgroundColor: '#ffffff',
+            exportWithDarkMode: document.documentElement.classList.contains('dark'),
+          },
+          exportPadding: 16,
+        })
+        svg.setAttribute('width', '100%')
+        svg.removeAttribute('height')
+
+        if (!cancelled && containerRef.current) {
+          containerRef.current.replaceChildren(svg)
+          setError(null)
+        }
+      } catch (err) {
+        console.error('[CanvasHistoryPanel] Error rendering preview:', err)
+        if (!cancelled) setError('Preview unavailable')
+      }
+    }
+
+    render()
+    return () => {
+      cancelled = true
+    }
+  }, [canvasData])
+
+  return (
+    <div className="rounded-lg border border-black dark:border-[#333333] overflow-hidden bg-white dark:bg-[#121212]">
+      {error ? (
+        <p className="p-4 text-xs text-black dark:text-[#999999]">{error}</p>
+      ) : (
+        <div ref={containerRef} className="max-h-64 overflow-auto" />
+      )}
+    </div>
+  )
+}
+
+/**
+ * Side panel listing canvas_snapshots with preview, checkpoints, restore and
+ * comparison of two versions (or one version against the current canvas)
+ */
+export const CanvasHistoryPanel = ({
+  snapshots,
+  loading,
+  canEdit,
+  onCreateCheckpoint,
+  onLoadSnapshot,
+  onRestore,
+  getCurrentContent,
+  onClose,
+}) => {
+  const [checkpointName, setCheckpointName] = useState('')
+  const [previewId, setPreviewId] = useState(null)
+  const [previewData, setPreviewData] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [compareIds, setCompareIds] = useState([])
+  const [comparison, setComparison] = useState(null)
+
+  const handlePreview = async (snapshotId) => {
+    if (previewId === snapshotId) {
+      setPreviewId(null)
+      setPreviewData(null)
+      return
+    }
+
+    setPreviewId(snapshotId)
+    setPreviewData(null)
+    const { data } = await onLoadSnapshot(snapshotId)
+    if (data) setPreviewData(data)
+  }
+
+  // Keeps at most two versions selected, dropping the oldest pick
+  const toggleCompare = (snapshotId) => {
+    setCompareIds((prev) =>
+      prev.includes(snapshotId)
+        ? prev.filter((id) => id !== snapshotId)
+        : [...prev.slice(-1), snapshotId]
+    )
+  }
+
+  const handleCompare = async () => {
+    // snapshots are newest first, so the higher index is the older version
+    const selected = snapshots
+      .filter((snapshot) => compareIds.includes(snapshot.id))
+      .reverse()
+    if (selected.length === 0) return
+
+    setBusy(true)
+    const results = await Promise.all(selected.map((snapshot) => onLoadSnapshot(snapshot.id)))
+    setBusy(false)
+    if (results.some((result) => result.error)) return
+
+    const versions = selected.map((snapshot, index) => ({
+      label: getSnapshotLabel(snapshot),
+      data: results[index].data,
+    }))
+    if (versions.length === 1) {
+      const current = getCurrentContent()
+      versions.push({
+        label: 'Current canvas',
+        data: { elements: current?.elements || [], files: current?.files || {} },
+      })
+    }
+
+    setComparison({ from: versions[0], to: versions[1] })
+  }
+
+  const handleCheckpoint = async () => {
+    setBusy(true)
+    await onCreateCheckpoint(checkpointName.trim() || null)
+    setCheckpointName('')
+    setBusy(false)
+  }
+
+  const handleRestore = async (snapshotId) => {
+    if (!window.confirm('Restore this version? The current canvas is saved to history first.')) return
+
+    setBusy(true)
+    await onRestore(snapshotId)
+    setBusy(false)
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 300 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 300 }}
+      className="fixed right-0 top-0 h-full w-full md:w-96 bg-white dark:bg-[#1a1a1a] shadow-2xl z-[100] flex flex-col border-l border-black dark:border-[#333333]"
+    >
+      <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
+        <div className="flex items-center gap-2">
+          <History className="w-5 h-5 text-black dark:text-white" />
+          <h2 className="text-xl font-bold text-black dark:text-white">Version History</h2>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={onClose}
+          className="p-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
+          title="Close"
+        >
+          <X className="w-5 h-5" />
+        </motion.button>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4 space-y-4">
+        {canEdit && (
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={checkpointName}
+              onChange={(e) => setCheckpointName(e.target.value)}
+              placeholder="Checkpoint name (optional)"
+              className="flex-1 px-3 py-2 border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white placeholder-black dark:placeholder-[#999999] text-sm"
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleCheckpoint()
+              }}
+            />
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={handleCheckpoint}
+              disabled={busy}
+              className="flex items-center gap-1 px-3 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50 text-sm"
+              title="Save a named checkpoint of the current canvas"
+            >
+              <Bookmark className="w-4 h-4" />
+              Save
+            </motion.button>
+          </div>
+        )}
+
+        {compareIds.length > 0 && (
+          <div className="flex items-center justify-between gap-2 p-2 rounded-lg border border-black dark:border-[#333333] bg-[#f5f5f5] dark:bg-[#2a2a2a]">
+            <p className="text-xs text-black dark:text-[#cccccc]">
+              {compareIds.length === 1
+                ? 'Compare with the current canvas, or pick a second version'
+                : 'Compare the two selected versions'}
+            </p>
+            <div className="flex gap-1 shrink-0">
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleCompare}
+                disabled={busy}
+                className="px-3 py-1 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50 text-xs"
+              >
+                Compare
+              </motion.button>
+              <button
+                onClick={() => setCompareIds([])}
+                className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                title="Clear selection"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {loading && snapshots.length === 0 ? (
+          <p className="text-xs text-black dark:text-[#999999]">Loading history...</p>
+        ) : snapshots.length === 0 ? (
+          <p className="text-xs text-black dark:text-[#999999]">
+            No versions yet. Snapshots are taken automatically while you draw.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {snapshots.map((snapshot) => (
+              <div
+                key={snapshot.id}
+                className="p-2 bg-white dark:bg-[#1a1a1a] rounded-lg border border-black dark:border-[#333333] space-y-2"
+              >
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-black dark:text-white truncate">
+                      {snapshot.name || KIND_LABELS[snapshot.kind]}
+                    </p>
+                    <p className="text-xs text-black dark:text-[#999999]">
+                      {format(new Date(snapshot.created_at), 'MMM dd, yyyy HH:mm')} · {snapshot.element_count} elements
+                      {snapshot.name && ` · ${KIND_LABELS[snapshot.kind]}`}
+                    </p>
+                  </div>
+                  <div className="flex gap-1">
+                    <motion.button
+                      whileHover={{ scale: 1.1 }}
+                      whileTap={{ scale: 0.9 }}
+                      onClick={() => toggleCompare(snapshot.id)}
+                      className={`p-1 rounded ${
+                        compareIds.includes(snapshot.id)
+                          ? 'bg-black text-white dark:bg-white dark:text-black'
+                          : 'text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white'
+                      }`}
+                      title="Select for comparison"
+                    >
+                      <GitCompare className="w-4 h-4" />
+                    </motion.button>
+                    <motion.button
+                      whileHover={{ scale: 1.1 }}
+                      whileTap={{ scale: 0.9 }}
+                      onClick={() => handlePreview(snapshot.id)}
+                      className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                      title="Preview"
+                    >
+                      <Eye className="w-4 h-4" />
+                    </motion.button>
+                    {canEdit && (
+                      <motion.button
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => handleRestore(snapshot.id)}
+                        disabled={busy}
+                        className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white disabled:opacity-50"
+                        title="Restore this version"
+                      >
+                        <RotateCcw className="w-4 h-4" />
+                      </motion.button>
+                    )}
+                  </div>
+                </div>
+                <AnimatePresence>
+                  {previewId === snapshot.id && (
+                    <motion.div
+                      initial={{ opacity: 0, height: 0 }}
+                      animate={{ opacity: 1, height: 'auto' }}
+                      exit={{ opacity: 0, height: 0 }}
+                    >
+                      {previewData ? (
+                        <SnapshotPreview canvasData={previewData} />
+                      ) : (
+                        <p className="text-xs text-black dark:text-[#999999]">Loading preview...</p>
+                      )}
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* The panel is transformed while it animates, so the full-screen viewer
+          is portalled to the body to escape its containing block */}
+      {createPortal(
+        <AnimatePresence>
+          {comparison && (
+            <CanvasDiffViewer
+              from={comparison.from}
+              to={comparison.to}
+              onClose={() => setComparison(null)}
+            />
+          )}
+        </AnimatePresence>,
+        document.body
+      )}
+    </motion.div>
+  )
+}
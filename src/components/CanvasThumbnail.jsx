@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react'
+import { PenTool } from 'lucide-react'
+import { getSceneVersion, loadCanvasThumbnail } from '../lib/canvasThumbnails'
+
+// Start loading a little before the card scrolls into view
+const ROOT_MARGIN = '200px'
+
+/**
+ * Preview of a note's canvas for NoteCard (see lib/canvasThumbnails)
+ * Loads once the card is near the viewport and reloads when the canvas changes.
+ * Previews are drawn for a light background; dark mode inverts them the way
+ * the editor's dark theme does
+ */
+export const CanvasThumbnail = ({ note }) => {
+  const containerRef = useRef(null)
+  const [visible, setVisible] = useState(false)
+  // undefined while loading, null when there is nothing to show
+  const [svg, setSvg] = useState(undefined)
+  const version = getSceneVersion(note.canvas_data?.elements)
+  // Reloads follow the scene version; the ref gives the matching canvas_data
+  const canvasDataRef = useRef(note.canvas_data)
+  canvasDataRef.current = note.canvas_data
+
+  useEffect(() => {
+    if (visible || !containerRef.current) return
+
+    if (typeof IntersectionObserver === 'undefined') {
+      setVisible(true)
+      return
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) setVisible(true)
+      },
+      { rootMargin: ROOT_MARGIN }
+    )
+    observer.observe(containerRef.current)
+    return () => observer.disconnect()
+  }, [visible])
+
+  useEffect(() => {
+    if (!visible) return
+
+    let cancelled = false
+    loadCanvasThumbnail(note.id, canvasDataRef.current).then((result) => {
+      if (!cancelled) setSvg(result)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [visible, note.id, version])
+
+  return (
+    <div
+      ref={containerRef}
+      className="h-32 mb-2 flex items-center justify-center rounded border border-[#f5f5f5] dark:border-[#2a2a2a] overflow-hidden"
+    >
+      {svg ? (
+        <img
+          src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+          alt={`Canvas preview of ${note.title || 'Untitled Note'}`}
+          className="max-w-full max-h-full object-contain dark:invert-[.93] dark:hue-rotate-180"
+          draggable={false}
+        />
+      ) : (
+        <PenTool className={`w-6 h-6 text-gray-300 dark:text-gray-600 ${svg === undefined ? 'animate-pulse' : ''}`} />
+      )}
+    </div>
+  )
+}
@@ -1,32 +1,87 @@
-import { Filter, ArrowUpDown } from 'lucide-react'
-import { motion } from 'framer-motion'
+import { Filter, ArrowUpDown, Tag } from 'lucide-react'
+import { format, subDays } from 'date-fns'
+
+// Common filters, added to the search query (see utils/searchQuery)
+const getQuickFilters = (now = new Date()) => [
+  { label: 'Recent', filter: `updated:>=${format(subDays(now, 7), 'yyyy-MM-dd')}` },
+  { label: 'With Canvas', filter: 'has:canvas' },
+  { label: 'Text Only', filter: '-has:canvas' },
+  { label: 'Shared', filter: 'shared:yes' },
+  { label: 'Owned by Me', filter: 'owner:me' },
+]
+
+// sortTitle: tooltip for the sort select, e.g. that a folder remembers it
+// tags: from useTags, offered as tag: filters; onManageTags opens the tag manager
+export const FilterSort = ({
+  sortBy,
+  onSortChange,
+  sortTitle,
+  query = '',
+  onQueryChange,
+  tags = [],
+  onManageTags,
+}) => {
+  const addFilter = (filter) => {
+    if (!filter || query.split(/\s+/).includes(filter)) return
+    onQueryChange(`${query.trim()} ${filter}`.trim())
+  }
 
-export const FilterSort = ({ sortBy, onSortChange, filterBy, onFilterChange }) => {
   return (
     <div className="flex gap-4 flex-wrap">
       <div className="flex items-center gap-2">
         <Filter className="w-4 h-4 text-black dark:text-[#999999]" />
         <select
-          value={filterBy}
-          onChange={(e) => onFilterChange(e.target.value)}
+          value=""
+          onChange={(e) => addFilter(e.target.value)}
           className="px-3 py-2 border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white focus:ring-2 focus:ring-black dark:focus:ring-[#666666] focus:border-black dark:focus:border-[#666666]"
+          title="Adds a filter to the search, e.g. has:canvas"
+        >
+          <option value="">Add Filter...</option>
+          {getQuickFilters().map(({ label, filter }) => (
+            <option key={filter} value={filter}>
+              {label} ({filter})
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex items-center gap-2">
+        <Tag className="w-4 h-4 text-black dark:text-[#999999]" />
+        <select
+          value=""
+          onChange={(e) => addFilter(e.target.value)}
+          disabled={tags.length === 0}
+          className="px-3 py-2 border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white focus:ring-2 focus:ring-black dark:focus:ring-[#666666] focus:border-black dark:focus:border-[#666666] disabled:opacity-50"
+          title="Shows notes with a tag, e.g. tag:retro"
         >
-          <option value="all">All Notes</option>
-          <option value="recent">Recent</option>
-          <option value="with-canvas">With Canvas</option>
-          <option value="text-only">Text Only</option>
+          <option value="">{tags.length === 0 ? 'No Tags Yet' : 'Filter by Tag...'}</option>
+          {tags.map((tag) => (
+            <option key={tag.id} value={`tag:${tag.name}`}>
+              {tag.name}
+            </option>
+          ))}
         </select>
+        {onManageTags && (
+          <button
+            onClick={onManageTags}
+            className="px-3 py-2 border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] transition-colors"
+            title="Rename, recolour or merge tags"
+          >
+            Manage Tags
+          </button>
+        )}
       </div>
       <div className="flex items-center gap-2">
         <ArrowUpDown className="w-4 h-4 text-black dark:text-[#999999]" />
         <select
           value={sortBy}
           onChange={(e) => onSortChange(e.target.value)}
+          title={sortTitle}
           className="px-3 py-2 border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white focus:ring-2 focus:ring-black dark:focus:ring-[#666666] focus:border-black dark:focus:border-[#666666]"
         >
           <option value="updated">Recently Updated</option>
           <option value="created">Recently Created</option>
           <option value="title">Title (A-Z)</option>
+          <option value="tag">Tag (A-Z)</option>
         </select>
       </div>
     </div>
@@ -0,0 +1,351 @@
+import { useRef, useState } from 'react'
+import { motion } from 'framer-motion'
+import {
+  ChevronDown,
+  ChevronRight,
+  Edit2,
+  Files,
+  Folder,
+  FolderOpen,
+  FolderPlus,
+  Inbox,
+  Trash2,
+} from 'lucide-react'
+import {
+  ALL_NOTES,
+  FOLDER_DRAG_TYPE,
+  NOTE_DRAG_TYPE,
+  TRASH,
+  UNFILED,
+  canMoveFolder,
+  countNotesByFolder,
+  flattenFolderTree,
+} from '../utils/folderTree'
+
+const INDENT_PX = 16
+
+// Inline name field for new and renamed folders; Enter saves, Escape cancels
+const FolderNameInput = ({ initialName = '', depth, onSubmit, onCancel }) => {
+  const [name, setName] = useState(initialName)
+  const doneRef = useRef(false)
+
+  const finish = (save) => {
+    if (doneRef.current) return
+    doneRef.current = true
+    if (save && name.trim() && name.trim() !== initialName) {
+      onSubmit(name.trim())
+    } else {
+      onCancel()
+    }
+  }
+
+  return (
+    <div className="py-1 pr-2" style={{ paddingLeft: 8 + depth * INDENT_PX }}>
+      <input
+        autoFocus
+        value={name}
+        maxLength={100}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') finish(true)
+          if (e.key === 'Escape') finish(false)
+        }}
+        onBlur={() => finish(true)}
+        placeholder="Folder name"
+        className="w-full px-2 py-1 text-sm border border-black dark:border-[#333333] rounded bg-white dark:bg-[#1a1a1a] text-black dark:text-white focus:ring-2 focus:ring-black dark:focus:ring-[#666666]"
+      />
+    </div>
+  )
+}
+
+/**
+ * Folder tree for the dashboard
+ * Lists All Notes, Unfiled and the user's folders with note counts. Notes
+ * (NoteCards) and folders can be dragged onto a folder, or onto Unfiled to
+ * take them out of every folder, and notes onto Trash to delete them.
+ * selected: ALL_NOTES, UNFILED, TRASH or a folder id
+ */
+export const FolderSidebar = ({
+  folders,
+  notes,
+  selected,
+  onSelect,
+  onCreateFolder,
+  onRenameFolder,
+  onDeleteFolder,
+  onMoveFolder,
+  onMoveNote,
+  trashCount = 0,
+  onTrashNote,
+}) => {
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set())
+  // { type: 'create', parentId } or { type: 'rename', folderId }
+  const [editing, setEditing] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null)
+  // dataTransfer contents can't be read until the drop, so remember the folder
+  const draggedFolderIdRef = useRef(null)
+
+  const counts = countNotesByFolder(notes, folders)
+  const rows = flattenFolderTree(folders, collapsedIds)
+
+  const toggleCollapsed = (folderId) => {
+    setCollapsedIds((prev) => {
+      const next = new Set(prev)
+      if (next.has(folderId)) {
+        next.delete(folderId)
+      } else {
+        next.add(folderId)
+      }
+      return next
+    })
+  }
+
+  const startCreate = (parentId = null) => {
+    if (parentId) {
+      setCollapsedIds((prev) => {
+        const next = new Set(prev)
+        next.delete(parentId)
+        return next
+      })
+    }
+    setEditing({ type: 'create', parentId })
+  }
+
+  const handleDelete = (folder) => {
+    const parent = folders.find((f) => f.id === folder.parent_id)
+    const destination = parent ? `"${parent.name}"` : 'Unfiled'
+    if (!window.confirm(`Delete "${folder.name}"? Its notes and subfolders move to ${destination}.`)) return
+    if (selected === folder.id) onSelect(parent ? parent.id : ALL_NOTES)
+    onDeleteFolder(folder.id)
+  }
+
+  // targetId: a folder id, or null for Unfiled / the top level
+  const canDropOn = (e, targetId) => {
+    const types = Array.from(e.dataTransfer.types)
+    if (types.includes(NOTE_DRAG_TYPE)) return true
+    if (types.includes(FOLDER_DRAG_TYPE)) return canMoveFolder(folders, draggedFolderIdRef.current, targetId)
+    return false
+  }
+
+  const dropHandlers = (key, targetId) => ({
+    onDragOver: (e) => {
+      if (!canDropOn(e, targetId)) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'move'
+      if (dropTarget !== key) setDropTarget(key)
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null)
+    },
+    onDrop: (e) => {
+      e.preventDefault()
+      setDropTarget(null)
+      const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE)
+      const folderId = e.dataTransfer.getData(FOLDER_DRAG_TYPE)
+      if (noteId) {
+        onMoveNote(noteId, targetId)
+      } else if (folderId) {
+        onMoveFolder(folderId, targetId)
+      }
+    },
+  })
+
+  const rowClassName = (key) =>
+    `group flex items-center gap-1 pr-2 rounded-lg text-sm cursor-pointer transition-colors ${
+      dropTarget === key ? 'ring-2 ring-black dark:ring-[#666666]' : ''
+    } ${
+      selected === key
+        ? 'bg-[#f5f5f5] dark:bg-[#2a2a2a] font-medium text-black dark:text-white'
+        : 'text-black dark:text-[#cccccc] hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]'
+    }`
+
+  // Folder rows swap the count for their actions on hover
+  const renderCount = (count, { hasActions = false } = {}) => (
+    <span
+      className={`ml-auto pl-2 text-xs text-black dark:text-[#999999] tabular-nums ${
+        hasActions ? 'group-hover:hidden' : ''
+      }`}
+    >
+      {count}
+    </span>
+  )
+
+  const renderCreateInput = (parentId, depth) =>
+    editing?.type === 'create' && editing.parentId === parentId && (
+      <FolderNameInput
+        depth={depth}
+        onSubmit={(name) => {
+          setEditing(null)
+          onCreateFolder({ name, parentId })
+        }}
+        onCancel={() => setEditing(null)}
+      />
+    )
+
+  return (
+    <aside className="lg:w-64 shrink-0 lg:sticky lg:top-24 self-start w-full bg-white dark:bg-[#1a1a1a] border border-black dark:border-[#333333] rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2 px-2">
+        <h3 className="text-sm font-semibold text-black dark:text-white">Folders</h3>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={() => startCreate(null)}
+          className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+          title="New folder"
+        >
+          <FolderPlus className="w-4 h-4" />
+        </motion.button>
+      </div>
+
+      <nav className="space-y-0.5 max-h-[60vh] overflow-y-auto">
+        <div className={`${rowClassName(ALL_NOTES)} pl-2 py-1.5`} onClick={() => onSelect(ALL_NOTES)}>
+          <Files className="w-4 h-4 shrink-0" />
+          <span className="truncate">All Notes</span>
+          {renderCount(counts.all)}
+        </div>
+        <div
+          className={`${rowClassName(UNFILED)} pl-2 py-1.5`}
+          onClick={() => onSelect(UNFILED)}
+          title="Notes that aren't in a folder. Drop a note or folder here to move it out of its folder"
+          {...dropHandlers(UNFILED, null)}
+        >
+          <Inbox className="w-4 h-4 shrink-0" />
+          <span className="truncate">Unfiled</span>
+          {renderCount(counts.unfiled)}
+        </div>
+
+        {rows.length > 0 && <div className="my-2 border-t border-black dark:border-[#333333]" />}
+
+        {renderCreateInput(null, 0)}
+
+        {rows.map(({ folder, depth, hasChildren }) => {
+          const collapsed = collapsedIds.has(folder.id)
+
+          if (editing?.type === 'rename' && editing.folderId === folder.id) {
+            return (
+              <FolderNameInput
+                key={folder.id}
+                depth={depth}
+                initialName={folder.name}
+                onSubmit={(name) => {
+                  setEditing(null)
+                  onRenameFolder(folder.id, name)
+                }}
+                onCancel={() => setEditing(null)}
+              />
+            )
+          }
+
+          return (
+            <div key={folder.id}>
+              <div
+                className={`${rowClassName(folder.id)} py-1.5`}
+                style={{ paddingLeft: 8 + depth * INDENT_PX }}
+                onClick={() => onSelect(folder.id)}
+                draggable
+                onDragStart={(e) => {
+                  draggedFolderIdRef.current = folder.id
+                  e.dataTransfer.setData(FOLDER_DRAG_TYPE, folder.id)
+                  e.dataTransfer.effectAllowed = 'move'
+                }}
+                onDragEnd={() => {
+                  draggedFolderIdRef.current = null
+                  setDropTarget(null)
+                }}
+                {...dropHandlers(folder.id, folder.id)}
+              >
+                {hasChildren ? (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      toggleCollapsed(folder.id)
+                    }}
+                    className="shrink-0 text-black dark:text-[#999999]"
+                    title={collapsed ? 'Expand' : 'Collapse'}
+                  >
+                    {collapsed ? <ChevronRight className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  </button>
+                ) : (
+                  <span className="w-4 shrink-0" />
+                )}
+                {selected === folder.id ? (
+                  <FolderOpen className="w-4 h-4 shrink-0" />
+                ) : (
+                  <Folder className="w-4 h-4 shrink-0" />
+                )}
+                <span className="truncate">{folder.name}</span>
+                {renderCount(counts.byFolder.get(folder.id) || 0, { hasActions: true })}
+                <div className="ml-auto hidden group-hover:flex items-center gap-1 pl-2">
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      startCreate(folder.id)
+                    }}
+                    className="p-0.5 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                    title="New subfolder"
+                  >
+                    <FolderPlus className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      setEditing({ type: 'rename', folderId: folder.id })
+                    }}
+                    className="p-0.5 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                    title="Rename folder"
+                  >
+                    <Edit2 className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      handleDelete(folder)
+                    }}
+                    className="p-0.5 text-black dark:text-[#cccccc] hover:text-red-600 dark:hover:text-red-400"
+                    title="Delete folder"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              </div>
+              {!collapsed && renderCreateInput(folder.id, depth + 1)}
+            </div>
+          )
+        })}
+
+        {rows.length === 0 && !editing && (
+          <p className="px-2 pt-2 text-xs text-black dark:text-[#999999]">
+            Create a folder, then drag notes onto it to organise them.
+          </p>
+        )}
+      </nav>
+
+      <div className="mt-2 pt-2 border-t border-black dark:border-[#333333]">
+        <div
+          className={`${rowClassName(TRASH)} pl-2 py-1.5`}
+          onClick={() => onSelect(TRASH)}
+          title="Deleted notes. Drop a note here to delete it"
+          onDragOver={(e) => {
+            if (!Array.from(e.dataTransfer.types).includes(NOTE_DRAG_TYPE)) return
+            e.preventDefault()
+            e.dataTransfer.dropEffect = 'move'
+            if (dropTarget !== TRASH) setDropTarget(TRASH)
+          }}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null)
+          }}
+          onDrop={(e) => {
+            e.preventDefault()
+            setDropTarget(null)
+            const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE)
+            if (noteId) onTrashNote(noteId)
+          }}
+        >
+          <Trash2 className="w-4 h-4 shrink-0" />
+          <span className="truncate">Trash</span>
+          {renderCount(trashCount)}
+        </div>
+      </div>
+    </aside>
+  )
+}
@@ -0,0 +1,60 @@
+import { motion } from 'framer-motion'
+import { AlertTriangle, Upload, X } from 'lucide-react'
+
+/**
+ * What happened to each file of an import: the notes that were skipped as
+ * duplicates and the ones that failed, with the reason (failed also lists
+ * notes that were imported but whose images could not be stored)
+ * result: { created, skipped: [{ note, reason }], failed: [{ note, message }] }
+ * from useNoteArchive().importFiles
+ */
+export const ImportReport = ({ result, onClose }) => {
+  const rows = [
+    ...result.failed.map(({ note, message }) => ({ note, reason: message, failed: true })),
+    ...result.skipped.map(({ note, reason }) => ({ note, reason, failed: false })),
+  ]
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 flex items-center justify-center p-4" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-lg max-h-[70vh] bg-white dark:bg-[#1a1a1a] rounded-lg shadow-2xl border border-black dark:border-[#333333] flex flex-col"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
+          <div className="flex items-center gap-2">
+            <Upload className="w-5 h-5 text-black dark:text-white" />
+            <h2 className="text-lg font-bold text-black dark:text-white">Import finished</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+            title="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="px-4 pt-4 text-sm text-black dark:text-[#cccccc]">
+          {result.created.length} imported, {result.skipped.length} skipped, {result.failed.length} failed.
+          {result.skipped.length > 0 && ' Rename or delete the existing note to import a skipped one.'}
+        </p>
+
+        <ul className="flex-1 overflow-auto p-4 space-y-2">
+          {rows.map(({ note, reason, failed }) => (
+            <li key={note.path} className="flex items-start gap-2 text-sm">
+              {failed && <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0 text-red-600 dark:text-red-400" />}
+              <div className="min-w-0">
+                <p className="font-medium text-black dark:text-white truncate">{note.title}</p>
+                <p className="text-xs text-black dark:text-[#999999] truncate">
+                  {note.path} · {reason}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </motion.div>
+    </div>
+  )
+}
@@ -1,15 +1,31 @@
 import { useEffect, useState, useRef, useCallback, useMemo } from 'react'
-import { Excalidraw } from '@excalidraw/excalidraw'
+import { Excalidraw, CaptureUpdateAction } from '@excalidraw/excalidraw'
 import '@excalidraw/excalidraw/index.css'
 import { useStore } from '../store/useStore'
 import { supabase } from '../lib/supabase'
+import { persistMutation } from '../lib/offlineQueue'
+import { getImageFileIds, getLoadedFiles, toStoredCanvasFiles, uploadCanvasFiles } from '../lib/canvasFiles'
+import { saveCanvasThumbnail } from '../lib/canvasThumbnails'
 import toast from 'react-hot-toast'
-import { X, Users, Zap, Gauge, Activity } from 'lucide-react'
+import { X, Users, Eye, History, MessageSquare, Zap, Gauge, Activity, Kanban } from 'lucide-react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { CanvasCollaboration } from './CanvasCollaboration'
+import { CanvasHistoryPanel } from './CanvasHistoryPanel'
+import { CanvasCommentsPanel } from './CanvasCommentsPanel'
+import { CanvasCommentPins } from './CanvasCommentPins'
+import { KanbanPanel } from './KanbanPanel'
+import { useCanvasRole } from '../hooks/useCanvasRole'
+import { useRemoteCursors } from '../hooks/useRemoteCursors'
+import { useCanvasComments } from '../hooks/useCanvasComments'
+import { useFollowMode } from '../hooks/useFollowMode'
+import { getCollaboratorColor } from '../utils/remoteCursors'
+import { useCanvasSnapshots } from '../hooks/useCanvasSnapshots'
+import { useCanvasFiles } from '../hooks/useCanvasFiles'
 import { useInstantCanvasState } from '../hooks/useInstantCanvasState'
 import { useCanvasPerformance } from '../hooks/useCanvasPerformance'
 import { useBoxSync } from '../hooks/useBoxSync'
+import { useOfflineQueue } from '../hooks/useOfflineQueue'
+import { useKanbanBoard } from '../hooks/useKanbanBoard'
 import { BoxSyncStatusIndicator, BoxSyncErrorNotification } from './BoxSyncComponents'
 
 /**
@@ -20,6 +36,9 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
   const [excalidrawAPI, setExcalidrawAPI] = useState(null)
   const [loading, setLoading] = useState(true)
   const [showCollaboration, setShowCollaboration] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
+  const [showComments, setShowComments] = useState(false)
+  const [showBoard, setShowBoard] = useState(false)
   const [activeCollaborators, setActiveCollaborators] = useState([])
   const [showPerformance, setShowPerformance] = useState(false)
   const [instantMode, setInstantMode] = useState(true)
@@ -29,6 +48,24 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
   const broadcastChannelRef = useRef(null)
   const isChannelSubscribedRef = useRef(false)
   const excalidrawRef = useRef(null)
+
+  // Viewers and commenters get a read-only canvas
+  const { canEdit, canComment, isOwner, loading: roleLoading } = useCanvasRole(noteId)
+  const canEditRef = useRef(canEdit)
+  canEditRef.current = canEdit
+
+  // Version history; recordSave runs from the sync callback, so go through a ref
+  const {
+    snapshots,
+    loading: snapshotsLoading,
+    createSnapshot,
+    recordSave,
+    setBaseline,
+    loadSnapshotData,
+    restoreSnapshot
+  } = useCanvasSnapshots({ noteId, canEdit })
+  const recordSaveRef = useRef(recordSave)
+  recordSaveRef.current = recordSave
   const performanceMonitorRef = useRef(null)
 
   // Initialize performance monitoring
@@ -41,6 +78,9 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
     resetMetrics
   } = useCanvasPerformance()
 
+  // Offline queue status; pending saves replay on reconnect
+  const { isOnline, pendingCount } = useOfflineQueue()
+
   // Initialize box synchronization for real-time collaboration
   const {
     syncBoxElements,
@@ -106,20 +146,32 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
       const syncStart = performance.now()
       
       // Save to database after successful sync
+      if (!canEditRef.current) return
+
       try {
-        const { error } = await supabase
-          .from('notes')
-          .update({
+        // Images are stored once in canvas_files; canvas_data keeps references
+        await uploadCanvasFiles(noteId, user?.id, contentRef.current.files)
+
+        // Queued in IndexedDB instead when offline, replayed on reconnect
+        const { error, queued } = await persistMutation({
+          kind: 'canvas',
+          recordId: noteId,
+          userId: user?.id,
+          updates: {
             canvas_data: {
               elements: contentRef.current.elements,
-              files: contentRef.current.files
+              files: toStoredCanvasFiles(noteId, contentRef.current.files)
             },
             updated_at: new Date().toISOString()
-          })
-          .eq('id', noteId)
+          },
+          columns: 'id'
+        })
 
         if (error) {
           console.error('[InstantCanvasEditor] Failed to save to database:', error)
+        } else if (!queued) {
+          recordSaveRef.current(contentRef.current)
+          saveCanvasThumbnail(noteId, user?.id, contentRef.current.elements)
         }
         
         // Record successful sync
@@ -146,10 +198,12 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
           const canvasData = data.canvas_data
           
           // Initialize canvas content (without appState)
+          // Stored images are loaded lazily once the editor is ready
           updateCanvasContent(
             canvasData.elements || [],
-            canvasData.files || {}
+            getLoadedFiles(canvasData.files)
           )
+          setBaseline(canvasData)
         }
       } catch (err) {
         console.error('[InstantCanvasEditor] Error loading canvas data:', err)
@@ -160,7 +214,55 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
     }
 
     loadCanvasData()
-  }, [noteId, updateCanvasContent])
+  }, [noteId, updateCanvasContent, setBaseline])
+
+  const { loadMissingFiles } = useCanvasFiles({ noteId, excalidrawAPI })
+
+  // Fetch the images the loaded scene uses
+  useEffect(() => {
+    if (loading) return
+    loadMissingFiles(getImageFileIds(contentRef.current.elements))
+  }, [loading, loadMissingFiles, contentRef])
+
+  const { handlePointerUpdate, handleCursorMessage } = useRemoteCursors({
+    user,
+    channelRef: broadcastChannelRef,
+    isChannelSubscribedRef,
+    excalidrawAPI,
+    activeCollaborators
+  })
+
+  const {
+    followingUserId,
+    startFollowing,
+    stopFollowing,
+    handleScrollChange,
+    handleViewportMessage,
+    handleViewportRequest
+  } = useFollowMode({
+    user,
+    channelRef: broadcastChannelRef,
+    isChannelSubscribedRef,
+    excalidrawAPI,
+    activeCollaborators
+  })
+  const followedCollaborator = activeCollaborators.find((c) => c.id === followingUserId)
+
+  // Comment threads; the panel and canvas pins share this state
+  const comments = useCanvasComments({
+    noteId,
+    user,
+    canComment,
+    channelRef: broadcastChannelRef,
+    isChannelSubscribedRef,
+    excalidrawAPI
+  })
+  const { handleCommentMessage } = comments
+  const openCommentCount = comments.threads.filter((thread) => !thread.resolved_at).length
+
+  // Kanban board mode; cards snap into columns as they are dropped
+  const board = useKanbanBoard({ excalidrawAPI, canEdit })
+  const { handleBoardChange } = board
 
   // Set up real-time collaboration channel
   useEffect(() => {
@@ -172,13 +274,31 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
 
     broadcastChannelRef.current = channel
 
+    // Collaborator pointers and selections
+    channel.on('broadcast', { event: 'cursor-update' }, ({ payload }) => {
+      handleCursorMessage(payload)
+    })
+
+    // Comment threads
+    channel.on('broadcast', { event: 'comment-update' }, ({ payload }) => {
+      handleCommentMessage(payload)
+    })
+
+    // Follow mode viewports
+    channel.on('broadcast', { event: 'viewport-update' }, ({ payload }) => {
+      handleViewportMessage(payload)
+    })
+    channel.on('broadcast', { event: 'viewport-request' }, ({ payload }) => {
+      handleViewportRequest(payload)
+    })
+
     // Handle incoming canvas updates
     channel.on('broadcast', { event: 'canvas-update' }, ({ payload }) => {
       if (payload.userId === user.id) return // Skip own updates
 
       try {
         const updateStart = performance.now()
-        const updatedState = applyExternalUpdate(payload.canvasData)
+        const updatedState = applyExternalUpdate(payload)
         
         // Record external update performance
         recordUpdate(performance.now() - updateStart)
@@ -191,8 +311,11 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
             elements: updatedState.elements,
             appState: excalidrawAPI.getAppState(), // Preserve local tool state
             files: updatedState.files,
-            commitToHistory: false
+            captureUpdate: CaptureUpdateAction.NEVER // Remote edits stay out of local undo
           })
+
+          // Only file ids are broadcast; fetch the data for new images
+          loadMissingFiles(payload.fileIds || getImageFileIds(payload.changed))
           
           // Record render performance
           recordRender(performance.now() - renderStart)
@@ -219,7 +342,7 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
       broadcastChannelRef.current = null
       isChannelSubscribedRef.current = false
     }
-  }, [noteId, user, excalidrawAPI, applyExternalUpdate, recordUpdate, recordRender])
+  }, [noteId, user, excalidrawAPI, applyExternalUpdate, loadMissingFiles, handleCursorMessage, handleCommentMessage, handleViewportMessage, handleViewportRequest, recordUpdate, recordRender])
 
   // Track active collaborators
   useEffect(() => {
@@ -304,7 +427,9 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
 
   // Handle canvas changes with instant rendering and box synchronization
   const handleChange = useCallback((elements, appState, files) => {
-    if (!noteId) return
+    // Viewers still see the board panel follow collaborators' moves
+    handleBoardChange(elements, appState)
+    if (!noteId || !canEdit) return
 
     const updateStart = performance.now()
     
@@ -332,7 +457,7 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
         boxSyncEnabled: enableRealTimeSync
       })
     }
-  }, [noteId, updateCanvasContent, recordUpdate, instantMode, enableRealTimeSync, syncBoxElements])
+  }, [noteId, canEdit, updateCanvasContent, recordUpdate, instantMode, enableRealTimeSync, syncBoxElements, handleBoardChange])
 
   // Handle tool changes (local only, no sync)
   const handleToolChange = useCallback((toolType, options = {}) => {
@@ -380,6 +505,30 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
     }
   }, [getPerformanceReport, getInstantMetrics, instantMode])
 
+  // Save a named checkpoint of the current scene
+  const handleCreateCheckpoint = useCallback(async (name) => {
+    const { error } = await createSnapshot(
+      { elements: contentRef.current.elements, files: contentRef.current.files },
+      { kind: 'manual', name }
+    )
+    if (error) {
+      toast.error('Failed to save checkpoint')
+    } else {
+      toast.success('Checkpoint saved')
+    }
+  }, [createSnapshot, contentRef])
+
+  // Restore a snapshot through the normal save + broadcast path
+  const handleRestoreSnapshot = useCallback((snapshotId) => {
+    return restoreSnapshot(snapshotId, {
+      excalidrawAPI,
+      applyContent: (elements, files) => {
+        updateCanvasContent(elements, files)
+        forceContentSync()
+      }
+    })
+  }, [restoreSnapshot, excalidrawAPI, updateCanvasContent, forceContentSync])
+
   // UI configuration
   const uiOptions = useMemo(() => ({
     canvasActions: {
@@ -387,14 +536,14 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
       loadScene: false,
       export: { saveFileToDisk: true },
       changeViewBackgroundColor: true,
-      clearCanvas: true,
+      clearCanvas: canEdit,
       theme: true,
       saveAsImage: true
     },
     tools: {
       image: true
     }
-  }), [])
+  }), [canEdit])
 
   // Prevent body scroll when canvas is open
   useEffect(() => {
@@ -414,7 +563,7 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
     }
   }, [forceContentSync])
 
-  if (loading) {
+  if (loading || roleLoading) {
     return (
       <div className="fixed inset-0 bg-white dark:bg-[#121212] z-[100] flex items-center justify-center">
         <div className="text-center">
@@ -434,6 +583,13 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
       <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700 bg-white dark:bg-[#1a1a1a]">
         <div className="flex items-center gap-4">
           <h2 className="text-xl font-bold text-gray-800 dark:text-white">Instant Canvas Editor</h2>
+
+          {!canEdit && (
+            <div className="flex items-center gap-2 px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200">
+              <Eye className="w-4 h-4" />
+              View only
+            </div>
+          )}
           
           {/* Instant mode indicator */}
           <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm ${
@@ -446,11 +602,13 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
           </div>
 
           {/* Box sync status indicator */}
-          {enableRealTimeSync && (
+          {(enableRealTimeSync || !isOnline || pendingCount > 0) && (
             <BoxSyncStatusIndicator 
               status={syncStatus}
               isSyncing={isSyncing}
               metrics={syncMetrics}
+              isOnline={isOnline}
+              pendingChanges={pendingCount}
               className="text-sm"
             />
           )}
@@ -465,18 +623,37 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
             <div className="flex items-center gap-2">
               <div className="flex -space-x-2">
                 {activeCollaborators.slice(0, 3).map((collaborator, index) => (
-                  <div
+                  <button
                     key={collaborator.id}
-                    className="w-8 h-8 rounded-full bg-blue-500 text-white flex items-center justify-center text-xs font-medium border-2 border-white dark:border-gray-800"
-                    title={collaborator.email}
+                    onClick={() => startFollowing(collaborator.id)}
+                    className={`w-8 h-8 rounded-full text-white flex items-center justify-center text-xs font-medium border-2 border-white dark:border-gray-800 ${
+                      followingUserId === collaborator.id ? 'ring-2 ring-offset-1 ring-black dark:ring-white' : ''
+                    }`}
+                    style={{ backgroundColor: getCollaboratorColor(collaborator.id).background }}
+                    title={followingUserId === collaborator.id
+                      ? `Stop following ${collaborator.email}`
+                      : `Follow ${collaborator.email}`}
                   >
                     {collaborator.name?.charAt(0).toUpperCase() || 'U'}
-                  </div>
+                  </button>
                 ))}
               </div>
-              <span className="text-sm text-gray-600 dark:text-gray-400">
-                {activeCollaborators.length} active
-              </span>
+              {followedCollaborator ? (
+                <span className="flex items-center gap-1 text-sm text-gray-600 dark:text-gray-400">
+                  Following {followedCollaborator.name}
+                  <button
+                    onClick={stopFollowing}
+                    className="p-0.5 hover:text-gray-800 dark:hover:text-white"
+                    title="Stop following"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ) : (
+                <span className="text-sm text-gray-600 dark:text-gray-400">
+                  {activeCollaborators.length} active
+                </span>
+              )}
             </div>
           )}
         </div>
@@ -530,9 +707,64 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
             Sync {enableRealTimeSync ? 'On' : 'Off'}
           </button>
 
+          {/* Comments */}
+          <button
+            onClick={() => {
+              setShowCollaboration(false)
+              setShowHistory(false)
+              setShowBoard(false)
+              setShowComments(true)
+            }}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            title="Comments"
+          >
+            <MessageSquare className="w-4 h-4" />
+            Comments
+            {openCommentCount > 0 && (
+              <span className="px-1.5 rounded-full bg-blue-500 text-white text-xs">
+                {openCommentCount}
+              </span>
+            )}
+          </button>
+
+          {/* Version history */}
+          <button
+            onClick={() => {
+              setShowCollaboration(false)
+              setShowComments(false)
+              setShowBoard(false)
+              setShowHistory(true)
+            }}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            title="Version history"
+          >
+            <History className="w-4 h-4" />
+            History
+          </button>
+
+          {/* Kanban board */}
+          <button
+            onClick={() => {
+              setShowCollaboration(false)
+              setShowComments(false)
+              setShowHistory(false)
+              setShowBoard(true)
+            }}
+            className="flex items-center gap-2 px-3 py-2 bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            title="Kanban board"
+          >
+            <Kanban className="w-4 h-4" />
+            Board
+          </button>
+
           {/* Collaboration */}
           <button
-            onClick={() => setShowCollaboration(true)}
+            onClick={() => {
+              setShowHistory(false)
+              setShowComments(false)
+              setShowBoard(false)
+              setShowCollaboration(true)
+            }}
             className="flex items-center gap-2 px-3 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
           >
             <Users className="w-4 h-4" />
@@ -599,6 +831,14 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
 
       {/* Canvas */}
       <div className="flex-1 relative">
+        {/* Outline in the followed user's colour while following */}
+        {followedCollaborator && (
+          <div
+            className="absolute inset-0 z-20 pointer-events-none border-4"
+            style={{ borderColor: getCollaboratorColor(followedCollaborator.id).background }}
+          />
+        )}
+
         {excalidrawAPI && (
           <div className="absolute top-4 right-4 z-10">
             <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-3 text-sm">
@@ -614,6 +854,22 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
           </div>
         )}
 
+        <CanvasCommentPins
+          excalidrawAPI={excalidrawAPI}
+          threads={comments.threads}
+          activeThreadId={showComments ? comments.activeThreadId : null}
+          draftAnchor={showComments ? comments.draftAnchor : null}
+          isPlacing={showComments && comments.isPlacing}
+          onSelectThread={(thread) => {
+            setShowCollaboration(false)
+            setShowHistory(false)
+            setShowBoard(false)
+            setShowComments(true)
+            comments.focusThread(thread)
+          }}
+          onPlace={comments.placeDraftAt}
+        />
+
         <Excalidraw
           ref={excalidrawRef}
           excalidrawAPI={handleExcalidrawAPI}
@@ -627,8 +883,11 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
             }
           }}
           onChange={handleChange}
+          onPointerUpdate={handlePointerUpdate}
+          onScrollChange={handleScrollChange}
           onToolChange={handleToolChange}
           UIOptions={uiOptions}
+          viewModeEnabled={!canEdit}
           theme={document.documentElement.classList.contains('dark') ? 'dark' : 'light'}
           langCode="en"
           renderTopRightUI={() => null} // Hide default top-right UI
@@ -644,6 +903,68 @@ export const InstantCanvasEditor = ({ noteId, onClose }) => {
           />
         )}
       </AnimatePresence>
+
+      {/* Comments Panel */}
+      <AnimatePresence>
+        {showComments && (
+          <CanvasCommentsPanel
+            threads={comments.threads}
+            loading={comments.loading}
+            canComment={canComment}
+            isOwner={isOwner}
+            currentUserId={user?.id}
+            mentionables={comments.mentionables}
+            activeThreadId={comments.activeThreadId}
+            draftAnchor={comments.draftAnchor}
+            isPlacing={comments.isPlacing}
+            onSelectThread={comments.focusThread}
+            onCommentOnSelection={comments.commentOnSelection}
+            onStartPlacing={comments.setIsPlacing}
+            onCancelDraft={comments.cancelDraft}
+            onAddComment={comments.addComment}
+            onSetResolved={comments.setThreadResolved}
+            onDelete={comments.deleteComment}
+            onClose={() => {
+              comments.cancelDraft()
+              setShowComments(false)
+            }}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Version History Panel */}
+      <AnimatePresence>
+        {showHistory && (
+          <CanvasHistoryPanel
+            snapshots={snapshots}
+            loading={snapshotsLoading}
+            canEdit={canEdit}
+            onCreateCheckpoint={handleCreateCheckpoint}
+            onLoadSnapshot={loadSnapshotData}
+            onRestore={handleRestoreSnapshot}
+            getCurrentContent={() => ({
+              elements: contentRef.current.elements,
+              files: excalidrawAPI?.getFiles() || contentRef.current.files
+            })}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Kanban Board Panel */}
+      <AnimatePresence>
+        {showBoard && (
+          <KanbanPanel
+            board={board.board}
+            canEdit={canEdit}
+            onAddColumn={board.addColumn}
+            onAddCard={board.addCard}
+            onConvertSelection={board.convertSelection}
+            onFocus={board.focusElement}
+            onClose={() => setShowBoard(false)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   )
 }
@@ -0,0 +1,134 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Kanban, Plus, Wand2, X } from 'lucide-react'
+
+/**
+ * Side panel for a canvas used as a kanban board (see useKanbanBoard)
+ * Lists the columns and their cards; clicking one scrolls the canvas to it.
+ * Cards are moved on the canvas itself, where they snap into the column they
+ * are dropped on
+ */
+export const KanbanPanel = ({
+  board,
+  canEdit,
+  onAddColumn,
+  onAddCard,
+  onConvertSelection,
+  onFocus,
+  onClose,
+}) => {
+  const [columnTitle, setColumnTitle] = useState('')
+
+  const handleAddColumn = () => {
+    onAddColumn(columnTitle.trim() || 'New column')
+    setColumnTitle('')
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 300 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 300 }}
+      className="fixed right-0 top-0 h-full w-full md:w-96 bg-white dark:bg-[#1a1a1a] shadow-2xl z-[100] flex flex-col border-l border-black dark:border-[#333333]"
+    >
+      <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
+        <div className="flex items-center gap-2">
+          <Kanban className="w-5 h-5 text-black dark:text-white" />
+          <h2 className="text-xl font-bold text-black dark:text-white">Board</h2>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={onClose}
+          className="p-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
+          title="Close"
+        >
+          <X className="w-5 h-5" />
+        </motion.button>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4 space-y-4">
+        {canEdit && (
+          <div className="space-y-2">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={columnTitle}
+                onChange={(e) => setColumnTitle(e.target.value)}
+                placeholder="Column title"
+                className="flex-1 px-3 py-2 border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white placeholder-black dark:placeholder-[#999999] text-sm"
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleAddColumn()
+                }}
+              />
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleAddColumn}
+                className="flex items-center gap-1 px-3 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors text-sm"
+                title="Add a column to the right of the board"
+              >
+                <Plus className="w-4 h-4" />
+                Column
+              </motion.button>
+            </div>
+            <button
+              onClick={onConvertSelection}
+              className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
+              title="Selected rectangles become columns, and the rectangles inside them cards"
+            >
+              <Wand2 className="w-4 h-4" />
+              Make board from selection
+            </button>
+          </div>
+        )}
+
+        {board.length === 0 ? (
+          <p className="text-sm text-black dark:text-[#999999]">
+            This canvas has no board yet. Add a column, or select the rectangles of a hand-drawn
+            board and make a board from them.
+          </p>
+        ) : (
+          board.map((column) => (
+            <div key={column.id} className="rounded-lg border border-black dark:border-[#333333]">
+              <div className="flex items-center justify-between px-3 py-2 border-b border-black dark:border-[#333333]">
+                <button
+                  onClick={() => onFocus(column.id)}
+                  className="font-medium text-sm text-black dark:text-white truncate hover:underline"
+                >
+                  {column.status}
+                </button>
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-black dark:text-[#999999]">{column.cards.length}</span>
+                  {canEdit && (
+                    <button
+                      onClick={() => onAddCard(column.status)}
+                      className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                      title={`Add a card to ${column.status}`}
+                    >
+                      <Plus className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+              {column.cards.length > 0 && (
+                <ul className="p-2 space-y-1">
+                  {column.cards.map((card) => (
+                    <li key={card.id}>
+                      <button
+                        onClick={() => onFocus(card.id)}
+                        className="w-full text-left px-2 py-1 text-sm rounded text-black dark:text-[#cccccc] hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] truncate"
+                      >
+                        {card.text || 'Untitled card'}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </motion.div>
+  )
+}
@@ -0,0 +1,140 @@
+import { Fragment } from 'react'
+import { parseMarkdown } from '../utils/markdown'
+
+const HEADING_CLASSES = {
+  1: 'text-2xl font-bold',
+  2: 'text-xl font-bold',
+  3: 'text-lg font-semibold',
+  4: 'text-base font-semibold',
+  5: 'text-sm font-semibold',
+  6: 'text-sm font-semibold uppercase tracking-wide',
+}
+
+const Inline = ({ tokens }) =>
+  tokens.map((token, index) => {
+    switch (token.type) {
+      case 'code':
+        return (
+          <code key={index} className="px-1 rounded bg-[#f5f5f5] dark:bg-[#2a2a2a] font-mono text-[0.9em]">
+            {token.text}
+          </code>
+        )
+      case 'bold':
+        return <strong key={index}><Inline tokens={token.children} /></strong>
+      case 'italic':
+        return <em key={index}><Inline tokens={token.children} /></em>
+      case 'strike':
+        return <s key={index}><Inline tokens={token.children} /></s>
+      case 'link':
+        return token.url ? (
+          <a
+            key={index}
+            href={token.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="underline text-black dark:text-white"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <Inline tokens={token.children} />
+          </a>
+        ) : (
+          <Inline key={index} tokens={token.children} />
+        )
+      case 'image':
+        return token.url ? (
+          <img key={index} src={token.url} alt={token.alt} className="inline-block max-w-full rounded" />
+        ) : (
+          token.alt
+        )
+      default:
+        return <Fragment key={index}>{token.text}</Fragment>
+    }
+  })
+
+const Lines = ({ lines }) =>
+  lines.map((tokens, index) => (
+    <Fragment key={index}>
+      {index > 0 && <br />}
+      <Inline tokens={tokens} />
+    </Fragment>
+  ))
+
+/**
+ * Renders Markdown note content (see utils/markdown for the supported syntax)
+ * Checklist boxes call onToggleTask(line) with the item's source line; without
+ * it they are read-only
+ */
+export const MarkdownPreview = ({ source, onToggleTask, className = '' }) => {
+  const blocks = parseMarkdown(source)
+
+  if (blocks.length === 0) {
+    return <p className={`text-black dark:text-[#999999] ${className}`}>Nothing to preview</p>
+  }
+
+  return (
+    <div className={`space-y-3 text-black dark:text-[#cccccc] break-words ${className}`}>
+      {blocks.map((block, index) => {
+        switch (block.type) {
+          case 'heading': {
+            const Heading = `h${block.level}`
+            return (
+              <Heading key={index} className={`${HEADING_CLASSES[block.level]} text-black dark:text-white`}>
+                <Inline tokens={block.children} />
+              </Heading>
+            )
+          }
+          case 'code':
+            return (
+              <pre
+                key={index}
+                className="p-3 rounded-lg border border-black dark:border-[#333333] bg-[#f5f5f5] dark:bg-[#2a2a2a] overflow-x-auto text-sm"
+              >
+                <code className="font-mono" data-lang={block.lang || undefined}>{block.text}</code>
+              </pre>
+            )
+          case 'quote':
+            return (
+              <blockquote key={index} className="pl-3 border-l-4 border-black dark:border-[#333333] italic">
+                <Lines lines={block.lines} />
+              </blockquote>
+            )
+          case 'rule':
+            return <hr key={index} className="border-black dark:border-[#333333]" />
+          case 'list':
+            return (
+              <ul key={index} className="space-y-1">
+                {block.items.map((item) => (
+                  <li
+                    key={item.line}
+                    className="flex items-start gap-2"
+                    style={{ paddingLeft: `${item.depth * 1.25}rem` }}
+                  >
+                    {item.checked === null ? (
+                      <span className="shrink-0 select-none">{item.ordered ? item.marker : '•'}</span>
+                    ) : (
+                      <input
+                        type="checkbox"
+                        checked={item.checked}
+                        disabled={!onToggleTask}
+                        onChange={() => onToggleTask(item.line)}
+                        className="mt-1 shrink-0 accent-black dark:accent-white"
+                      />
+                    )}
+                    <span className={item.checked ? 'line-through opacity-60' : ''}>
+                      <Inline tokens={item.children} />
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )
+          default:
+            return (
+              <p key={index}>
+                <Lines lines={block.lines} />
+              </p>
+            )
+        }
+      })}
+    </div>
+  )
+}
@@ -1,16 +1,58 @@
 import { motion } from 'framer-motion'
-import { FileText, Calendar, Trash2, Edit2, PenTool } from 'lucide-react'
+import { FileText, Calendar, Trash2, Edit2, PenTool, Tag, Check } from 'lucide-react'
 import { format } from 'date-fns'
 import { useStore } from '../store/useStore'
+import { markdownToPlainText } from '../utils/markdown'
+import { splitHighlights } from '../utils/searchSnippets'
+import { NOTE_DRAG_TYPE } from '../utils/folderTree'
+import { TagChip } from './TagChip'
+import { CanvasThumbnail } from './CanvasThumbnail'
 
-export const NoteCard = ({ note, onSelect, onDelete, onOpenCanvas }) => {
+const Highlighted = ({ snippet }) =>
+  splitHighlights(snippet).map((part, index) =>
+    part.highlighted ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-500/40 text-inherit rounded-sm">
+        {part.text}
+      </mark>
+    ) : (
+      <span key={index}>{part.text}</span>
+    )
+  )
+
+// snippets: where a search matched, from useNoteSearch
+// draggable: the card can be dropped on a folder in FolderSidebar
+// tags: the note's tags as chips; onTagClick filters by one, onEditTags opens the tag picker
+// onToggleSelect(note, event) shows a checkbox; while selecting (selectionMode) a
+// click on the card toggles it too, and shift-click selects a range in NotesList
+export const NoteCard = ({
+  note,
+  snippets,
+  onSelect,
+  onDelete,
+  onOpenCanvas,
+  draggable = false,
+  tags = [],
+  onTagClick,
+  onEditTags,
+  selected = false,
+  selectionMode = false,
+  onToggleSelect,
+}) => {
   const { setSelectedNote } = useStore()
 
-  const handleClick = () => {
+  const openNote = () => {
     setSelectedNote(note)
     if (onSelect) onSelect(note)
   }
 
+  const handleClick = (e) => {
+    if (onToggleSelect && (selectionMode || e.shiftKey)) {
+      onToggleSelect(note, e)
+    } else {
+      openNote()
+    }
+  }
+
   const handleCanvasClick = (e) => {
     e.stopPropagation()
     if (onOpenCanvas) {
@@ -23,66 +65,146 @@ export const NoteCard = ({ note, onSelect, onDelete, onOpenCanvas }) => {
     if (onDelete) onDelete(note.id)
   }
 
+  const handleDragStart = (e) => {
+    e.dataTransfer.setData(NOTE_DRAG_TYPE, note.id)
+    e.dataTransfer.setData('text/plain', note.title || 'Untitled Note')
+    e.dataTransfer.effectAllowed = 'move'
+  }
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
       exit={{ opacity: 0, scale: 0.9 }}
       whileHover={{ scale: 1.02, y: -5 }}
-      className="bg-white dark:bg-[#1a1a1a] rounded-lg shadow-md p-4 cursor-pointer transition-shadow hover:shadow-xl border border-black dark:border-[#333333]"
+      className={`bg-white dark:bg-[#1a1a1a] rounded-lg shadow-md cursor-pointer transition-shadow hover:shadow-xl border border-black dark:border-[#333333] ${
+        selected ? 'ring-2 ring-black dark:ring-white' : ''
+      }`}
       onClick={handleClick}
     >
-      <div className="flex items-start justify-between mb-2">
-        <div className="flex items-center gap-2">
-          <FileText className="w-5 h-5 text-black dark:text-white" />
-          <h3 className="font-semibold text-black dark:text-white truncate">
-            {note.title || 'Untitled Note'}
-          </h3>
-        </div>
-        <div className="flex gap-2">
-          {note.canvas_data && 
-            (note.canvas_data.elements?.length > 0 || 
-             Object.keys(note.canvas_data).length > 0) && (
+      {/* Native drag and drop; motion.div keeps onDragStart for its own drag gesture */}
+      <div className="p-4" draggable={draggable} onDragStart={draggable ? handleDragStart : undefined}>
+        <div className="flex items-start justify-between mb-2">
+          <div className="flex items-center gap-2 min-w-0">
+            {onToggleSelect && (
+              <button
+                role="checkbox"
+                aria-checked={selected}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onToggleSelect(note, e)
+                }}
+                className="w-5 h-5 shrink-0 flex items-center justify-center rounded border border-black dark:border-[#666666] text-black dark:text-white hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]"
+                title={selected ? 'Deselect (shift-click for a range)' : 'Select (shift-click for a range)'}
+              >
+                {selected && <Check className="w-3.5 h-3.5" />}
+              </button>
+            )}
+            <FileText className="w-5 h-5 shrink-0 text-black dark:text-white" />
+            <h3 className="font-semibold text-black dark:text-white truncate">
+              {snippets?.title ? <Highlighted snippet={snippets.title} /> : note.title || 'Untitled Note'}
+            </h3>
+          </div>
+          <div className="flex gap-2">
+            {note.canvas_data && 
+              (note.canvas_data.elements?.length > 0 || 
+               Object.keys(note.canvas_data).length > 0) && (
+              <motion.button
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={handleCanvasClick}
+                className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                title="Open Canvas"
+              >
+                <PenTool className="w-4 h-4" />
+              </motion.button>
+            )}
+            {onEditTags && (
+              <motion.button
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onEditTags(note)
+                }}
+                className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                title="Edit Tags"
+              >
+                <Tag className="w-4 h-4" />
+              </motion.button>
+            )}
             <motion.button
               whileHover={{ scale: 1.1 }}
               whileTap={{ scale: 0.9 }}
-              onClick={handleCanvasClick}
+              onClick={(e) => {
+                e.stopPropagation()
+                openNote()
+              }}
               className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
-              title="Open Canvas"
+              title="Edit Note"
             >
-              <PenTool className="w-4 h-4" />
+              <Edit2 className="w-4 h-4" />
             </motion.button>
-          )}
-          <motion.button
-            whileHover={{ scale: 1.1 }}
-            whileTap={{ scale: 0.9 }}
+            {onDelete && (
+              <motion.button
+                whileHover={{ scale: 1.1 }}
+                whileTap={{ scale: 0.9 }}
+                onClick={handleDelete}
+                className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+                title="Move to Trash"
+              >
+                <Trash2 className="w-4 h-4" />
+              </motion.button>
+            )}
+          </div>
+        </div>
+        {note.canvas_data?.elements?.some((element) => !element.isDeleted) && (
+          <div
             onClick={(e) => {
+              if (selectionMode || e.shiftKey) return
               e.stopPropagation()
-              handleClick()
+              if (onOpenCanvas) onOpenCanvas(note)
             }}
-            className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
-            title="Edit Note"
+            title="Open Canvas"
           >
-            <Edit2 className="w-4 h-4" />
-          </motion.button>
-          <motion.button
-            whileHover={{ scale: 1.1 }}
-            whileTap={{ scale: 0.9 }}
-            onClick={handleDelete}
-            className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
-            title="Delete Note"
-          >
-            <Trash2 className="w-4 h-4" />
-          </motion.button>
+            <CanvasThumbnail note={note} />
+          </div>
+        )}
+        <p className="text-sm text-black dark:text-[#cccccc] line-clamp-2 mb-2">
+          {snippets?.content ? (
+            <Highlighted snippet={snippets.content} />
+          ) : (
+            markdownToPlainText(note.content) || 'No content'
+          )}
+        </p>
+        {snippets?.canvas && (
+          <p className="flex items-start gap-1 text-xs text-black dark:text-[#999999] line-clamp-2 mb-2">
+            <PenTool className="w-3 h-3 mt-0.5 shrink-0" />
+            <span>
+              <Highlighted snippet={snippets.canvas} />
+            </span>
+          </p>
+        )}
+        {tags.length > 0 && (
+          <div className="flex flex-wrap gap-1 mb-2">
+            {tags.map((tag) => (
+              <TagChip
+                key={tag.id}
+                tag={tag}
+                title={onTagClick ? `Show notes tagged ${tag.name}` : undefined}
+                onClick={onTagClick ? (e) => {
+                  e.stopPropagation()
+                  onTagClick(tag)
+                } : undefined}
+              />
+            ))}
+          </div>
+        )}
+        <div className="flex items-center gap-2 text-xs text-black dark:text-[#999999]">
+          <Calendar className="w-3 h-3" />
+          <span>{format(new Date(note.updated_at), 'MMM dd, yyyy')}</span>
         </div>
       </div>
-      <p className="text-sm text-black dark:text-[#cccccc] line-clamp-2 mb-2">
-        {note.content || 'No content'}
-      </p>
-      <div className="flex items-center gap-2 text-xs text-black dark:text-[#999999]">
-        <Calendar className="w-3 h-3" />
-        <span>{format(new Date(note.updated_at), 'MMM dd, yyyy')}</span>
-      </div>
     </motion.div>
   )
 }
@@ -1,34 +1,177 @@
-import { useState, useEffect } from 'react'
+import { useState, useRef } from 'react'
 import { motion } from 'framer-motion'
-import { Save, X, PenTool } from 'lucide-react'
+import {
+  Save,
+  X,
+  PenTool,
+  Heading,
+  Bold,
+  Italic,
+  Strikethrough,
+  Code,
+  Link,
+  List,
+  ListOrdered,
+  ListChecks,
+  Quote,
+  Eye,
+  Columns,
+  Type,
+  Check,
+  Loader2,
+  CloudOff,
+  AlertCircle,
+} from 'lucide-react'
 import { useStore } from '../store/useStore'
 import { useNotes } from '../hooks/useNotes'
+import { useNoteAutosave } from '../hooks/useNoteAutosave'
+import { useNoteCollaboration } from '../hooks/useNoteCollaboration'
+import { useCanvasRole } from '../hooks/useCanvasRole'
+import { NoteMergeDialog } from './NoteMergeDialog'
+import { MarkdownPreview } from './MarkdownPreview'
+import { NoteRemoteCarets } from './NoteRemoteCarets'
+import { applyMarkdownFormat, toggleTask } from '../utils/markdown'
+import { getCollaboratorColor } from '../utils/remoteCursors'
 import toast from 'react-hot-toast'
 
+const FORMAT_BUTTONS = [
+  { format: 'heading', icon: Heading, title: 'Heading' },
+  { format: 'bold', icon: Bold, title: 'Bold (Ctrl+B)' },
+  { format: 'italic', icon: Italic, title: 'Italic (Ctrl+I)' },
+  { format: 'strike', icon: Strikethrough, title: 'Strikethrough' },
+  { format: 'code', icon: Code, title: 'Code' },
+  { format: 'link', icon: Link, title: 'Link (Ctrl+K)' },
+  { format: 'list', icon: List, title: 'Bulleted list' },
+  { format: 'ordered', icon: ListOrdered, title: 'Numbered list' },
+  { format: 'task', icon: ListChecks, title: 'Checklist' },
+  { format: 'quote', icon: Quote, title: 'Quote' },
+]
+
+const SHORTCUT_FORMATS = { b: 'bold', i: 'italic', k: 'link' }
+
+const SAVE_STATUS = {
+  saved: { icon: Check, label: 'Saved' },
+  unsaved: { icon: null, label: 'Unsaved changes' },
+  saving: { icon: Loader2, label: 'Saving...' },
+  queued: { icon: CloudOff, label: 'Saved offline' },
+  conflict: { icon: AlertCircle, label: 'Changed elsewhere' },
+  error: { icon: AlertCircle, label: 'Save failed' },
+}
+
+const VIEW_MODES = [
+  { mode: 'write', icon: Type, title: 'Write' },
+  { mode: 'split', icon: Columns, title: 'Write and preview' },
+  { mode: 'preview', icon: Eye, title: 'Preview' },
+]
+
+const SaveStatus = ({ status }) => {
+  const { icon: Icon, label } = SAVE_STATUS[status]
+  const isProblem = status === 'conflict' || status === 'error'
+
+  return (
+    <span
+      className={`flex items-center gap-1 text-xs whitespace-nowrap ${
+        isProblem ? 'text-red-600 dark:text-red-400' : 'text-black dark:text-[#999999]'
+      }`}
+    >
+      {Icon ? (
+        <Icon className={`w-3 h-3 ${status === 'saving' ? 'animate-spin' : ''}`} />
+      ) : (
+        <span className="w-2 h-2 rounded-full bg-black dark:bg-white" />
+      )}
+      {label}
+    </span>
+  )
+}
+
 export const NoteEditor = ({ note, onClose, onOpenCanvas }) => {
-  const [title, setTitle] = useState('')
-  const [content, setContent] = useState('')
+  const [viewMode, setViewMode] = useState('write')
+  const titleRef = useRef(null)
+  const textareaRef = useRef(null)
+  const acknowledgeRemoteSaveRef = useRef(null)
+  const { user } = useStore()
   const { updateNote } = useNotes()
+  const { canEdit, loading: roleLoading } = useCanvasRole(note?.id)
 
-  useEffect(() => {
-    if (note) {
-      setTitle(note.title || '')
-      setContent(note.content || '')
-    }
-  }, [note])
+  // Title and content are co-edited live with everyone who has the note open
+  const {
+    title,
+    content,
+    setValue,
+    updateCaret,
+    announceSave,
+    isReady,
+    isLive,
+    collaborators,
+    remoteCarets,
+  } = useNoteCollaboration({
+    note,
+    user,
+    inputRefs: { title: titleRef, content: textareaRef },
+    onRemoteSave: (row) => acknowledgeRemoteSaveRef.current?.(row),
+  })
+  const readOnly = !isReady || !canEdit
+
+  // Saves on its own shortly after typing stops; see useNoteAutosave
+  const { status, hasUnsavedWork, conflict, save, resolveConflict, acknowledgeRemoteSave } = useNoteAutosave({
+    note,
+    title,
+    content,
+    updateNote,
+    isLive,
+    onSaved: announceSave,
+    onRemoteChange: (fields) => {
+      setValue('title', fields.title)
+      setValue('content', fields.content)
+    },
+  })
+  acknowledgeRemoteSaveRef.current = acknowledgeRemoteSave
 
   const handleSave = async () => {
     if (!note) return
 
-    const updates = {
-      title: title.trim() || 'Untitled Note',
-      content: content.trim(),
-      updated_at: new Date().toISOString(),
+    const { error, queued, conflict: saveConflict } = await save()
+    if (!error && !saveConflict) {
+      toast.success(queued ? 'Saved offline, will sync when back online' : 'Note saved')
     }
+  }
 
-    const { error } = await updateNote(note.id, updates)
-    if (!error) {
-      toast.success('Note saved')
+  // Flushes pending edits before leaving; asks before dropping any that can't be saved
+  const leaveEditor = async (leave) => {
+    if (hasUnsavedWork && status !== 'conflict') {
+      const { error, conflict: saveConflict } = await save()
+      if (!error && !saveConflict) {
+        leave()
+        return
+      }
+    } else if (!hasUnsavedWork) {
+      leave()
+      return
+    }
+
+    if (window.confirm('This note has changes that could not be saved. Close it and discard them?')) {
+      leave()
+    }
+  }
+
+  // Content is Markdown; toolbar buttons and shortcuts edit the selection
+  const applyFormat = (format) => {
+    const textarea = textareaRef.current
+    if (!textarea || readOnly) return
+
+    const result = applyMarkdownFormat(content, textarea.selectionStart, textarea.selectionEnd, format)
+    setValue('content', result.text)
+    requestAnimationFrame(() => {
+      textarea.focus()
+      textarea.setSelectionRange(result.selectionStart, result.selectionEnd)
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    const format = (e.ctrlKey || e.metaKey) && SHORTCUT_FORMATS[e.key.toLowerCase()]
+    if (format) {
+      e.preventDefault()
+      applyFormat(format)
     }
   }
 
@@ -42,17 +185,36 @@ export const NoteEditor = ({ note, onClose, onOpenCanvas }) => {
       className="fixed right-0 top-0 h-full w-full md:w-1/2 lg:w-2/5 bg-white dark:bg-[#1a1a1a] shadow-2xl z-50 flex flex-col border-l border-black dark:border-[#333333]"
     >
       <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
-        <h2 className="text-xl font-bold text-black dark:text-white">Edit Note</h2>
+        <div className="flex items-center gap-3 min-w-0">
+          <h2 className="text-xl font-bold text-black dark:text-white">Edit Note</h2>
+          <SaveStatus status={status} />
+          {!roleLoading && !canEdit && (
+            <span className="flex items-center gap-1 text-xs whitespace-nowrap text-black dark:text-[#999999]">
+              <Eye className="w-3 h-3" />
+              View only
+            </span>
+          )}
+          {collaborators.length > 0 && (
+            <div className="flex -space-x-2" title={`${collaborators.length} editing now`}>
+              {collaborators.slice(0, 3).map((collaborator) => (
+                <div
+                  key={collaborator.sessionId}
+                  className="w-7 h-7 rounded-full text-white flex items-center justify-center text-xs font-medium border-2 border-white dark:border-[#1a1a1a]"
+                  style={{ backgroundColor: getCollaboratorColor(collaborator.id).background }}
+                  title={collaborator.email}
+                >
+                  {collaborator.name?.charAt(0).toUpperCase() || 'U'}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
         <div className="flex gap-2">
           {onOpenCanvas && (
             <motion.button
               whileHover={{ scale: 1.1 }}
               whileTap={{ scale: 0.9 }}
-              onClick={() => {
-                if (onOpenCanvas) {
-                  onOpenCanvas(note)
-                }
-              }}
+              onClick={() => leaveEditor(() => onOpenCanvas(note))}
               className="p-2 bg-black dark:bg-[#1a1a1a] text-white rounded-lg hover:bg-[#1a1a1a] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
               title="Open Canvas"
             >
@@ -71,7 +233,7 @@ export const NoteEditor = ({ note, onClose, onOpenCanvas }) => {
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
-            onClick={onClose}
+            onClick={() => leaveEditor(onClose)}
             className="p-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
             title="Close Editor"
           >
@@ -79,21 +241,99 @@ export const NoteEditor = ({ note, onClose, onOpenCanvas }) => {
           </motion.button>
         </div>
       </div>
-      <div className="flex-1 overflow-auto p-4">
-        <input
-          type="text"
-          value={title}
-          onChange={(e) => setTitle(e.target.value)}
-          placeholder="Note title"
-          className="w-full text-2xl font-bold bg-transparent border-none outline-none text-black dark:text-white mb-4 placeholder-black dark:placeholder-[#999999]"
-        />
-        <textarea
-          value={content}
-          onChange={(e) => setContent(e.target.value)}
-          placeholder="Start writing..."
-          className="w-full h-full bg-transparent border-none outline-none text-black dark:text-[#cccccc] resize-none placeholder-black dark:placeholder-[#999999]"
-        />
+      <div className="p-4 pb-0">
+        <div className="relative mb-4">
+          <input
+            ref={titleRef}
+            type="text"
+            value={title}
+            onChange={(e) => setValue('title', e.target.value)}
+            onSelect={updateCaret}
+            onFocus={updateCaret}
+            onBlur={updateCaret}
+            readOnly={readOnly}
+            placeholder="Note title"
+            className="w-full text-2xl font-bold bg-transparent border-none outline-none text-black dark:text-white placeholder-black dark:placeholder-[#999999]"
+          />
+          <NoteRemoteCarets
+            inputRef={titleRef}
+            value={title}
+            carets={remoteCarets.filter((caret) => caret.field === 'title')}
+          />
+        </div>
+      </div>
+      <div className="flex-1 flex flex-col min-h-0 px-4 pb-4 pt-0">
+        <div className="flex items-center justify-between gap-2 pb-2 mb-2 border-b border-black dark:border-[#333333]">
+          <div className="flex flex-wrap gap-1">
+            {viewMode !== 'preview' && !readOnly &&
+              FORMAT_BUTTONS.map(({ format, icon: Icon, title: buttonTitle }) => (
+                <button
+                  key={format}
+                  onClick={() => applyFormat(format)}
+                  className="p-1 rounded text-black dark:text-[#cccccc] hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]"
+                  title={buttonTitle}
+                >
+                  <Icon className="w-4 h-4" />
+                </button>
+              ))}
+          </div>
+          <div className="flex gap-1 shrink-0">
+            {VIEW_MODES.map(({ mode, icon: Icon, title: modeTitle }) => (
+              <button
+                key={mode}
+                onClick={() => setViewMode(mode)}
+                className={`p-1 rounded ${
+                  viewMode === mode
+                    ? 'bg-black text-white dark:bg-white dark:text-black'
+                    : 'text-black dark:text-[#cccccc] hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]'
+                } ${mode === 'split' ? 'hidden md:block' : ''}`}
+                title={modeTitle}
+              >
+                <Icon className="w-4 h-4" />
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className={`flex-1 min-h-0 ${viewMode === 'split' ? 'grid grid-cols-2 gap-4' : 'flex'}`}>
+          {viewMode !== 'preview' && (
+            <div className="relative w-full h-full">
+              <textarea
+                ref={textareaRef}
+                value={content}
+                onChange={(e) => setValue('content', e.target.value)}
+                onKeyDown={handleKeyDown}
+                onSelect={updateCaret}
+                onFocus={updateCaret}
+                onBlur={updateCaret}
+                readOnly={readOnly}
+                placeholder={isReady ? 'Start writing... Markdown is supported' : 'Connecting...'}
+                className="w-full h-full bg-transparent border-none outline-none text-black dark:text-[#cccccc] resize-none placeholder-black dark:placeholder-[#999999] font-mono text-sm"
+              />
+              <NoteRemoteCarets
+                inputRef={textareaRef}
+                value={content}
+                carets={remoteCarets.filter((caret) => caret.field === 'content')}
+              />
+            </div>
+          )}
+          {viewMode !== 'write' && (
+            <div className="w-full h-full overflow-auto">
+              <MarkdownPreview
+                source={content}
+                onToggleTask={readOnly ? undefined : (line) => setValue('content', toggleTask(content, line))}
+              />
+            </div>
+          )}
+        </div>
       </div>
+
+      {conflict && (
+        <NoteMergeDialog
+          key={conflict.theirs.updated_at}
+          conflict={conflict}
+          onResolve={resolveConflict}
+        />
+      )}
     </motion.div>
   )
 }
@@ -0,0 +1,116 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { GitMerge } from 'lucide-react'
+import { format } from 'date-fns'
+import { countConflicts } from '../utils/noteMerge'
+
+const VersionColumn = ({ label, title, content }) => (
+  <div className="flex flex-col min-h-0">
+    <p className="text-xs font-medium text-black dark:text-[#999999] mb-1">{label}</p>
+    <div className="flex-1 min-h-0 overflow-auto p-2 rounded-lg border border-black dark:border-[#333333] bg-[#f5f5f5] dark:bg-[#2a2a2a]">
+      <p className="text-sm font-semibold text-black dark:text-white mb-2">{title}</p>
+      <pre className="text-xs text-black dark:text-[#cccccc] whitespace-pre-wrap break-words font-mono">
+        {content || 'No content'}
+      </pre>
+    </div>
+  </div>
+)
+
+/**
+ * Shown when a note was changed in another session while it was being edited
+ * Displays both versions next to an editable merge (overlapping edits are
+ * kept between conflict markers) and calls onResolve({ title, content })
+ */
+export const NoteMergeDialog = ({ conflict, onResolve }) => {
+  const [title, setTitle] = useState(conflict.merged.title)
+  const [content, setContent] = useState(conflict.merged.content)
+  const [busy, setBusy] = useState(false)
+
+  const remaining = countConflicts(content)
+
+  const resolve = async (fields) => {
+    setBusy(true)
+    await onResolve(fields)
+    setBusy(false)
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="w-full max-w-5xl h-[85vh] bg-white dark:bg-[#1a1a1a] rounded-lg shadow-2xl border border-black dark:border-[#333333] flex flex-col"
+      >
+        <div className="p-4 border-b border-black dark:border-[#333333]">
+          <div className="flex items-center gap-2">
+            <GitMerge className="w-5 h-5 text-black dark:text-white" />
+            <h2 className="text-xl font-bold text-black dark:text-white">This note changed in another session</h2>
+          </div>
+          <p className="text-sm text-black dark:text-[#cccccc] mt-1">
+            It was saved elsewhere at {format(new Date(conflict.theirs.updated_at), 'MMM dd, HH:mm:ss')} while you
+            were editing. Changes that don&apos;t overlap are already combined below; pick a version or edit the merge.
+          </p>
+        </div>
+
+        <div className="flex-1 min-h-0 grid grid-cols-1 md:grid-cols-3 gap-4 p-4 overflow-auto">
+          <VersionColumn label="Your version" title={conflict.mine.title} content={conflict.mine.content} />
+          <VersionColumn label="Their version" title={conflict.theirs.title} content={conflict.theirs.content} />
+
+          <div className="flex flex-col min-h-0">
+            <p className="text-xs font-medium text-black dark:text-[#999999] mb-1">
+              Merged
+              {remaining > 0 && ` · ${remaining} conflict${remaining === 1 ? '' : 's'} left`}
+            </p>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className={`mb-2 px-2 py-1 rounded-lg border bg-white dark:bg-[#1a1a1a] text-black dark:text-white text-sm font-semibold ${
+                conflict.conflicts.includes('title') ? 'border-amber-500' : 'border-black dark:border-[#333333]'
+              }`}
+              title={conflict.conflicts.includes('title') ? 'Both versions changed the title' : undefined}
+            />
+            <textarea
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              className="flex-1 min-h-[12rem] p-2 rounded-lg border border-black dark:border-[#333333] bg-white dark:bg-[#1a1a1a] text-black dark:text-[#cccccc] text-xs font-mono resize-none"
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-end gap-2 p-4 border-t border-black dark:border-[#333333]">
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => resolve(conflict.theirs)}
+            disabled={busy}
+            className="px-4 py-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50 text-sm"
+          >
+            Use theirs
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => resolve(conflict.mine)}
+            disabled={busy}
+            className="px-4 py-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50 text-sm"
+          >
+            Keep mine
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => {
+              if (remaining > 0 && !window.confirm('The merge still has conflict markers. Save it anyway?')) return
+              resolve({ title, content })
+            }}
+            disabled={busy}
+            className="px-4 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50 text-sm"
+          >
+            Save merge
+          </motion.button>
+        </div>
+      </motion.div>
+    </div>
+  )
+}
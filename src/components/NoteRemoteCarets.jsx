@@ -0,0 +1,119 @@
+import { useLayoutEffect, useState } from 'react'
+
+// Styles that decide where text wraps and how tall a line is
+const MIRRORED_STYLES = [
+  'boxSizing',
+  'paddingTop',
+  'paddingRight',
+  'paddingBottom',
+  'paddingLeft',
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+  'fontStyle',
+  'letterSpacing',
+  'lineHeight',
+  'textTransform',
+  'wordSpacing',
+  'tabSize',
+  'textIndent',
+]
+
+/**
+ * Where a character index of an input or textarea is drawn, relative to the
+ * element's box: lays the same text out in a hidden copy of the element and
+ * measures a marker placed at the index
+ */
+const measureCaret = (element, index) => {
+  const style = window.getComputedStyle(element)
+  const mirror = document.createElement('div')
+  MIRRORED_STYLES.forEach((property) => {
+    mirror.style[property] = style[property]
+  })
+  mirror.style.position = 'absolute'
+  mirror.style.visibility = 'hidden'
+  mirror.style.top = '0'
+  mirror.style.left = '-9999px'
+  mirror.style.boxSizing = 'border-box'
+  mirror.style.width = `${element.clientWidth}px`
+  mirror.style.whiteSpace = element.nodeName === 'TEXTAREA' ? 'pre-wrap' : 'pre'
+  mirror.style.overflowWrap = 'break-word'
+
+  mirror.textContent = element.value.slice(0, index)
+  const marker = document.createElement('span')
+  marker.textContent = element.value.slice(index) || '.'
+  mirror.appendChild(marker)
+
+  document.body.appendChild(mirror)
+  const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2
+  const position = {
+    top: marker.offsetTop + element.clientTop - element.scrollTop,
+    left: marker.offsetLeft + element.clientLeft - element.scrollLeft,
+    height: lineHeight,
+  }
+  document.body.removeChild(mirror)
+
+  return position
+}
+
+/**
+ * Draws other editors' carets, with their names, over an input or textarea
+ * Render inside a relative wrapper around the input. carets: entries from
+ * useNoteCollaboration's remoteCarets for this field
+ */
+export const NoteRemoteCarets = ({ inputRef, value, carets }) => {
+  const [positions, setPositions] = useState([])
+  const [layoutTick, setLayoutTick] = useState(0)
+
+  // Follow the input's scrolling and size
+  useLayoutEffect(() => {
+    const element = inputRef.current
+    if (!element) return
+
+    const handleLayout = () => setLayoutTick((tick) => tick + 1)
+    element.addEventListener('scroll', handleLayout)
+    window.addEventListener('resize', handleLayout)
+    return () => {
+      element.removeEventListener('scroll', handleLayout)
+      window.removeEventListener('resize', handleLayout)
+    }
+  }, [inputRef])
+
+  useLayoutEffect(() => {
+    const element = inputRef.current
+    if (!element || carets.length === 0) {
+      setPositions([])
+      return
+    }
+
+    setPositions(
+      carets
+        .map((caret) => ({ ...caret, ...measureCaret(element, Math.min(caret.end, element.value.length)) }))
+        // Scrolled out of view
+        .filter((caret) => caret.top + caret.height > 0 && caret.top < element.clientHeight)
+    )
+  }, [inputRef, value, carets, layoutTick])
+
+  return (
+    <div className="absolute inset-0 pointer-events-none overflow-hidden">
+      {positions.map((caret) => (
+        <div
+          key={caret.sessionId}
+          className="absolute"
+          style={{ top: caret.top, left: caret.left, height: caret.height }}
+        >
+          <div className="w-0.5 h-full" style={{ backgroundColor: caret.color }} />
+          {/* Name goes below the caret on the first line, where there is no room above */}
+          <span
+            className="absolute left-0 px-1 rounded text-[10px] leading-4 text-white whitespace-nowrap"
+            style={caret.top < 16
+              ? { backgroundColor: caret.color, top: '100%' }
+              : { backgroundColor: caret.color, bottom: '100%' }}
+          >
+            {caret.name}
+          </span>
+        </div>
+      ))}
+    </div>
+  )
+}
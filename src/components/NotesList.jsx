@@ -1,76 +1,220 @@
+import { useEffect, useRef, useState } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import toast from 'react-hot-toast'
 import { NoteCard } from './NoteCard'
 import { useNotes } from '../hooks/useNotes'
+import { useNoteSearch } from '../hooks/useNoteSearch'
+import { useNoteBatch } from '../hooks/useNoteBatch'
+import { useNoteArchive } from '../hooks/useNoteArchive'
+import { useStore } from '../store/useStore'
+import { parseSearchQuery } from '../utils/searchQuery'
+import { ALL_NOTES, filterNotesByFolder } from '../utils/folderTree'
+import { compareNotesByTags, getTagNoteIds, groupTagsByNote } from '../utils/noteTags'
+import { getVisibleSelection, selectRange, toggleSelection } from '../utils/noteSelection'
+import { formatBatchSummary } from '../utils/batchActions'
 import { LoadingSpinner } from './LoadingSpinner'
-import { FileText } from 'lucide-react'
+import { UNDO_TOAST_MS, UndoToast } from './UndoToast'
+import { BatchActionBar } from './BatchActionBar'
+import { CheckSquare, FileText, Loader2 } from 'lucide-react'
 
-export const NotesList = ({ onNoteSelect, onOpenCanvas, searchQuery = '', sortBy = 'updated', filterBy = 'all' }) => {
-  const { notes, loading, deleteNote } = useNotes()
+// folderView: ALL_NOTES, UNFILED or a folder id (see utils/folderTree); search covers every folder
+// tags, tagLinks: from useTags. onEditTags(noteIds, title) opens the tag picker for
+// one note or, for bulk tagging, the selected notes
+// The user's own notes can be selected for batch actions (BatchActionBar); the
+// selection is cleared when the folder or search changes
+export const NotesList = ({
+  onNoteSelect,
+  onOpenCanvas,
+  searchQuery = '',
+  sortBy = 'updated',
+  folders = [],
+  folderView = ALL_NOTES,
+  tags = [],
+  tagLinks = [],
+  onTagClick,
+  onEditTags,
+}) => {
+  const { notes, trashedNotes, loading, deleteNote, restoreNote } = useNotes()
+  const { user } = useStore()
+  // Text and field filters are searched on the server; re-run when notes change
+  const parsedQuery = parseSearchQuery(searchQuery)
+  const trashedIds = new Set(trashedNotes.map((note) => note.id))
+  const search = useNoteSearch(parsedQuery, {
+    refreshKey: notes,
+    tagNoteIds: getTagNoteIds(tags, tagLinks),
+  })
+  const tagsByNote = groupTagsByNote(tags, tagLinks)
+  const batch = useNoteBatch()
+  const archive = useNoteArchive()
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  // Where a shift-click range starts: the last note clicked without shift
+  const anchorIdRef = useRef(null)
+
+  useEffect(() => {
+    setSelectedIds(new Set())
+    anchorIdRef.current = null
+  }, [folderView, searchQuery])
+
+  const hasSelection = selectedIds.size > 0
+  useEffect(() => {
+    if (!hasSelection) return
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setSelectedIds(new Set())
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [hasSelection])
+
+  // Deleting moves the note to the Trash, with a chance to undo right away
+  const handleDelete = async (id) => {
+    const { error } = await deleteNote(id)
+    if (error) return
+
+    toast((t) => <UndoToast toastId={t.id} message="Note moved to Trash" onUndo={() => restoreNote(id)} />, {
+      duration: UNDO_TOAST_MS,
+    })
+  }
 
   if (loading) {
     return <LoadingSpinner />
   }
 
   // Filter and sort notes
-  let filteredNotes = [...notes]
-
-  // Apply search filter
-  if (searchQuery) {
-    const query = searchQuery.toLowerCase()
-    filteredNotes = filteredNotes.filter(
-      (note) =>
-        note.title?.toLowerCase().includes(query) ||
-        note.content?.toLowerCase().includes(query)
-    )
-  }
-
-  // Apply type filter
-  if (filterBy === 'with-canvas') {
-    filteredNotes = filteredNotes.filter((note) => {
-      const hasCanvas = note.canvas_data && 
-        (note.canvas_data.elements?.length > 0 || Object.keys(note.canvas_data).length > 0)
-      return hasCanvas
-    })
-  } else if (filterBy === 'text-only') {
-    filteredNotes = filteredNotes.filter((note) => {
-      const hasCanvas = note.canvas_data && 
-        (note.canvas_data.elements?.length > 0 || Object.keys(note.canvas_data).length > 0)
-      return !hasCanvas
-    })
-  } else if (filterBy === 'recent') {
-    const weekAgo = new Date()
-    weekAgo.setDate(weekAgo.getDate() - 7)
-    filteredNotes = filteredNotes.filter(
-      (note) => new Date(note.updated_at) > weekAgo
-    )
-  }
+  const folderNotes = filterNotesByFolder(notes, folders, folderView)
+  // Results can still hold a note deleted since the search ran
+  const searchNotes = search.results.map((result) => result.note).filter((note) => !trashedIds.has(note.id))
+  const filteredNotes = search.isSearching ? searchNotes : [...folderNotes]
+  const snippetsById = new Map(search.results.map((result) => [result.note.id, result.snippets]))
 
-  // Apply sorting
+  // Apply sorting; text search results stay in order of relevance
+  const byRelevance = Boolean(parsedQuery.text)
   filteredNotes.sort((a, b) => {
+    if (byRelevance) return 0
     if (sortBy === 'updated') {
       return new Date(b.updated_at) - new Date(a.updated_at)
     } else if (sortBy === 'created') {
       return new Date(b.created_at) - new Date(a.created_at)
     } else if (sortBy === 'title') {
       return (a.title || '').localeCompare(b.title || '')
+    } else if (sortBy === 'tag') {
+      return compareNotesByTags(tagsByNote.get(a.id), tagsByNote.get(b.id)) ||
+        (a.title || '').localeCompare(b.title || '')
     }
     return 0
   })
 
+  // Only the owner can select, tag or move a note
+  const selectableIds = filteredNotes.filter((note) => note.user_id === user?.id).map((note) => note.id)
+  const selection = getVisibleSelection(selectableIds, selectedIds)
+  const allSelected = selection.length === selectableIds.length
+  const titles = new Map([...notes, ...trashedNotes].map((note) => [note.id, note.title]))
+
+  const handleToggleSelect = (note, e) => {
+    if (e.shiftKey && anchorIdRef.current) {
+      setSelectedIds(selectRange(selectableIds, selectedIds, anchorIdRef.current, note.id))
+    } else {
+      setSelectedIds(toggleSelection(selectedIds, note.id))
+      anchorIdRef.current = note.id
+    }
+  }
+
+  const clearSelection = () => setSelectedIds(new Set())
+
+  const handleBatchTrash = async () => {
+    const ids = selection
+    clearSelection()
+    const result = await batch.trashNotes(ids)
+    if (result.succeeded.length === 0) return
+
+    toast((t) => (
+      <UndoToast
+        toastId={t.id}
+        message={formatBatchSummary(result, 'moved to Trash')}
+        onUndo={() => batch.restoreNotes(result.succeeded)}
+      />
+    ), {
+      duration: UNDO_TOAST_MS,
+    })
+  }
+
+  const handleBatchMove = (folderId) => {
+    const ids = selection
+    clearSelection()
+    batch.moveNotes(ids, folderId)
+  }
+
+  const handleBatchShare = (invite) => {
+    const ids = selection
+    clearSelection()
+    batch.shareNotes(ids, invite)
+  }
+
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 p-4">
+    <div className={`grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 p-4 ${selection.length > 0 ? 'pb-32' : ''}`}>
+      {(search.isSearching || selectableIds.length > 1) && (
+        <div className="col-span-full flex items-center justify-between gap-2">
+          <p className="flex items-center gap-2 text-sm text-black dark:text-[#999999]">
+            {search.loading && <Loader2 className="w-4 h-4 animate-spin" />}
+            {!search.isSearching
+              ? ''
+              : search.error
+              ? 'Search is unavailable right now'
+              : search.loading
+              ? 'Searching...'
+              : `${search.truncated ? 'First ' : ''}${filteredNotes.length} result${filteredNotes.length === 1 ? '' : 's'}${
+                folderView === ALL_NOTES ? '' : ' in all folders'
+              }${byRelevance ? ', most relevant first' : ''}`}
+            {search.isSearching && !search.loading && search.truncated && (
+              search.canLoadMore ? (
+                <button
+                  onClick={search.loadMore}
+                  className="underline hover:no-underline text-black dark:text-white"
+                >
+                  Show more
+                </button>
+              ) : (
+                <span>(narrow the search to see the rest)</span>
+              )
+            )}
+          </p>
+          {selectableIds.length > 1 && (
+            <button
+              onClick={() => (allSelected ? clearSelection() : setSelectedIds(new Set(selectableIds)))}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
+              title={search.isSearching && search.truncated
+                ? 'Select every note shown; the search has more matches than are listed'
+                : 'Select every note that matches the current folder, search and filters'}
+            >
+              <CheckSquare className="w-4 h-4" />
+              {allSelected ? 'Clear selection' : `Select all ${selectableIds.length}`}
+            </button>
+          )}
+        </div>
+      )}
       <AnimatePresence>
         {filteredNotes.map((note) => (
           <NoteCard
             key={note.id}
             note={note}
+            snippets={snippetsById.get(note.id)}
             onSelect={onNoteSelect}
-            onDelete={deleteNote}
+            // Search also finds notes shared with the user, which only their owner can delete
+            onDelete={note.user_id === user?.id ? handleDelete : undefined}
             onOpenCanvas={onOpenCanvas}
+            draggable={note.user_id === user?.id}
+            tags={tagsByNote.get(note.id)}
+            onTagClick={onTagClick}
+            onEditTags={onEditTags && note.user_id === user?.id
+              ? () => onEditTags([note.id], `Tags for ${note.title || 'Untitled Note'}`)
+              : undefined}
+            selected={selectedIds.has(note.id)}
+            selectionMode={selection.length > 0}
+            onToggleSelect={note.user_id === user?.id ? handleToggleSelect : undefined}
           />
         ))}
       </AnimatePresence>
-      {filteredNotes.length === 0 && (
+      {filteredNotes.length === 0 && !search.loading && (
         <motion.div
           initial={{ opacity: 0 }}
           animate={{ opacity: 1 }}
@@ -78,17 +222,46 @@ export const NotesList = ({ onNoteSelect, onOpenCanvas, searchQuery = '', sortBy
         >
           <FileText className="w-16 h-16 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
           <p className="text-gray-500 dark:text-gray-400 text-lg font-medium mb-2">
-            {searchQuery ? 'No notes found' : notes.length === 0 ? 'No notes yet' : 'No notes match your filters'}
+            {searchQuery
+              ? 'No notes found'
+              : notes.length === 0
+              ? 'No notes yet'
+              : folderView === ALL_NOTES
+              ? 'No notes match your filters'
+              : 'No notes here yet'}
           </p>
           <p className="text-gray-400 dark:text-gray-500 text-sm">
             {searchQuery
               ? 'Try a different search term'
               : notes.length === 0
               ? 'Create your first note to get started!'
-              : 'Try adjusting your filters'}
+              : folderView === ALL_NOTES
+              ? 'Try adjusting your filters'
+              : 'Create a note here, or drag notes onto a folder in the sidebar'}
           </p>
         </motion.div>
       )}
+      <BatchActionBar
+        noteIds={selection}
+        folders={folders}
+        titles={titles}
+        progress={batch.progress}
+        report={batch.report}
+        onMove={handleBatchMove}
+        onTag={() => onEditTags?.(selection, `Tag ${selection.length} note${selection.length === 1 ? '' : 's'}`)}
+        onShare={handleBatchShare}
+        onExport={() => archive.exportNotes(
+          selection.map((id) => notes.find((note) => note.id === id)),
+          { folders, tags, tagLinks }
+        )}
+        onTrash={handleBatchTrash}
+        onSelectFailed={(ids) => {
+          setSelectedIds(new Set(ids))
+          batch.clearReport()
+        }}
+        onDismissReport={batch.clearReport}
+        onClear={clearSelection}
+      />
     </div>
   )
 }
@@ -0,0 +1,73 @@
+import { motion, AnimatePresence } from 'framer-motion'
+import { Mail, Check, X } from 'lucide-react'
+import { format } from 'date-fns'
+import { useNavigate } from 'react-router-dom'
+import { useInvitations } from '../hooks/useInvitations'
+import { ROLE_LABELS, normalizeRole } from '../utils/collaboratorRoles'
+
+export const PendingInvitations = () => {
+  const { pendingInvitations, acceptInvitation, declineInvitation } = useInvitations()
+  const navigate = useNavigate()
+
+  if (pendingInvitations.length === 0) return null
+
+  const handleAccept = async (invitation) => {
+    const { error } = await acceptInvitation(invitation.id)
+    if (!error) {
+      navigate(`/canvas/${invitation.note_id}`)
+    }
+  }
+
+  return (
+    <div className="mb-8 space-y-2">
+      <h3 className="text-sm font-semibold text-black dark:text-white">
+        Pending Invitations ({pendingInvitations.length})
+      </h3>
+      <AnimatePresence>
+        {pendingInvitations.map((invitation) => (
+          <motion.div
+            key={invitation.id}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="flex items-center justify-between p-3 bg-white dark:bg-[#1a1a1a] rounded-lg border border-black dark:border-[#333333]"
+          >
+            <div className="flex items-center gap-3 min-w-0">
+              <Mail className="w-5 h-5 text-black dark:text-white flex-shrink-0" />
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-black dark:text-white truncate">
+                  {invitation.note_title || 'Untitled Note'}
+                </p>
+                <p className="text-xs text-black dark:text-[#999999] truncate">
+                  From {invitation.invited_by_email || 'unknown'} · {ROLE_LABELS[normalizeRole(invitation.role)]}
+                  {invitation.expires_at &&
+                    ` · Expires ${format(new Date(invitation.expires_at), 'MMM dd, yyyy')}`}
+                </p>
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => handleAccept(invitation)}
+                className="flex items-center gap-1 px-3 py-1.5 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors text-sm"
+              >
+                <Check className="w-4 h-4" />
+                Accept
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => declineInvitation(invitation.id)}
+                className="flex items-center gap-1 px-3 py-1.5 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors text-sm"
+              >
+                <X className="w-4 h-4" />
+                Decline
+              </motion.button>
+            </div>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+    </div>
+  )
+}
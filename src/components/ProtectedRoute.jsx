@@ -1,17 +1,20 @@
 import { useEffect } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../hooks/useAuth'
 import { LoadingSpinner } from './LoadingSpinner'
 
 export const ProtectedRoute = ({ children }) => {
   const { user, loading } = useAuth()
   const navigate = useNavigate()
+  const location = useLocation()
 
   useEffect(() => {
     if (!loading && !user) {
-      navigate('/login')
+      // Come back to the requested page (e.g. an invitation link) after signing in
+      const redirect = location.pathname !== '/dashboard' ? `?redirect=${encodeURIComponent(location.pathname)}` : ''
+      navigate(`/login${redirect}`)
     }
-  }, [user, loading, navigate])
+  }, [user, loading, navigate, location.pathname])
 
   if (loading) {
     return <LoadingSpinner />
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { LayoutTemplate, X } from 'lucide-react'
+
+const buttonClassName =
+  'flex items-center gap-1 px-3 py-1.5 text-sm bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50'
+
+const fieldClassName =
+  'w-full px-3 py-1.5 text-sm border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white focus:ring-2 focus:ring-black dark:focus:ring-[#666666]'
+
+/**
+ * Names the current canvas before it is saved as a template
+ * onSave({ name, description }) resolves once the template is stored
+ */
+export const SaveTemplateDialog = ({ defaultName = '', onSave, onClose }) => {
+  const [name, setName] = useState(defaultName)
+  const [description, setDescription] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!name.trim() || saving) return
+
+    setSaving(true)
+    await onSave({ name, description })
+    setSaving(false)
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 flex items-center justify-center p-4" onClick={onClose}>
+      <motion.form
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white dark:bg-[#1a1a1a] rounded-lg shadow-2xl border border-black dark:border-[#333333] flex flex-col"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
+          <div className="flex items-center gap-2">
+            <LayoutTemplate className="w-5 h-5 text-black dark:text-white" />
+            <h2 className="text-lg font-bold text-black dark:text-white">Save as template</h2>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+            title="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3">
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && onClose()}
+            maxLength={80}
+            placeholder="Template name"
+            className={fieldClassName}
+          />
+          <input
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && onClose()}
+            placeholder="Description (optional)"
+            className={fieldClassName}
+          />
+          <p className="text-xs text-black dark:text-[#999999]">
+            The template keeps the canvas as it is now, images included. It shows up when you create a new canvas.
+          </p>
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 border-t border-black dark:border-[#333333]">
+          <button type="button" onClick={onClose} className={buttonClassName}>
+            Cancel
+          </button>
+          <button type="submit" disabled={!name.trim() || saving} className={buttonClassName}>
+            {saving ? 'Saving...' : 'Save template'}
+          </button>
+        </div>
+      </motion.form>
+    </div>
+  )
+}
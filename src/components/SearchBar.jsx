@@ -1,26 +1,149 @@
-import { Search, X } from 'lucide-react'
+import { useRef, useState } from 'react'
+import { Search, X, AlertCircle } from 'lucide-react'
 import { motion } from 'framer-motion'
+import { applySearchSuggestion, getSearchSuggestions, parseSearchQuery } from '../utils/searchQuery'
+
+/**
+ * Search input for free text and field filters (see utils/searchQuery)
+ * Suggests filter names and values for the word at the caret and lists parse
+ * errors under the input. titles and tags: names offered for title: and tag:
+ */
+export const SearchBar = ({ value, onChange, placeholder = 'Search notes...', titles = [], tags = [] }) => {
+  const inputRef = useRef(null)
+  const [caret, setCaret] = useState(0)
+  const [focused, setFocused] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [dismissed, setDismissed] = useState(false)
+
+  const { errors } = parseSearchQuery(value)
+  // Half typed filters at the caret are not errors yet
+  const visibleErrors = errors.filter(
+    (error) => !(focused && error.incomplete && error.start <= caret && caret <= error.end)
+  )
+
+  const suggestions = focused && !dismissed ? getSearchSuggestions(value, caret, { titles, tags }) : []
+  const highlighted = Math.min(activeIndex, suggestions.length - 1)
+
+  const trackCaret = () => {
+    setCaret(inputRef.current?.selectionStart ?? value.length)
+  }
+
+  const handleChange = (e) => {
+    onChange(e.target.value)
+    setCaret(e.target.selectionStart ?? e.target.value.length)
+    setActiveIndex(0)
+    setDismissed(false)
+  }
+
+  const applySuggestion = (suggestion) => {
+    const result = applySearchSuggestion(value, suggestion)
+    onChange(result.text)
+    setCaret(result.caret)
+    setActiveIndex(0)
+    requestAnimationFrame(() => {
+      inputRef.current?.focus()
+      inputRef.current?.setSelectionRange(result.caret, result.caret)
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex((highlighted + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex((highlighted - 1 + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter' || (e.key === 'Tab' && suggestions[highlighted].start < caret)) {
+      // Tab only completes a word being typed, so it still moves focus otherwise
+      e.preventDefault()
+      applySuggestion(suggestions[highlighted])
+    } else if (e.key === 'Escape') {
+      setDismissed(true)
+    }
+  }
 
-export const SearchBar = ({ value, onChange, placeholder = 'Search notes...' }) => {
   return (
     <div className="relative">
-      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-black dark:text-[#999999] w-5 h-5" />
-      <input
-        type="text"
-        value={value}
-        onChange={(e) => onChange(e.target.value)}
-        placeholder={placeholder}
-        className="w-full pl-10 pr-10 py-3 border border-black dark:border-[#333333] rounded-lg focus:ring-2 focus:ring-black dark:focus:ring-[#666666] focus:border-black dark:focus:border-[#666666] bg-white dark:bg-[#1a1a1a] text-black dark:text-white placeholder-black dark:placeholder-[#999999]"
-      />
-      {value && (
-        <motion.button
-          initial={{ opacity: 0 }}
-          animate={{ opacity: 1 }}
-          onClick={() => onChange('')}
-          className="absolute right-3 top-1/2 transform -translate-y-1/2 text-black dark:text-[#999999] hover:text-[#333333] dark:hover:text-white"
-        >
-          <X className="w-5 h-5" />
-        </motion.button>
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-black dark:text-[#999999] w-5 h-5" />
+        <input
+          ref={inputRef}
+          type="text"
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onSelect={trackCaret}
+          onFocus={() => {
+            setFocused(true)
+            trackCaret()
+          }}
+          onBlur={() => {
+            setFocused(false)
+            setDismissed(false)
+          }}
+          placeholder={placeholder}
+          role="combobox"
+          aria-expanded={suggestions.length > 0}
+          aria-invalid={visibleErrors.length > 0}
+          className={`w-full pl-10 pr-10 py-3 border rounded-lg focus:ring-2 focus:ring-black dark:focus:ring-[#666666] focus:border-black dark:focus:border-[#666666] bg-white dark:bg-[#1a1a1a] text-black dark:text-white placeholder-black dark:placeholder-[#999999] ${
+            visibleErrors.length > 0 ? 'border-red-500' : 'border-black dark:border-[#333333]'
+          }`}
+        />
+        {value && (
+          <motion.button
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            onClick={() => onChange('')}
+            className="absolute right-3 top-1/2 transform -translate-y-1/2 text-black dark:text-[#999999] hover:text-[#333333] dark:hover:text-white"
+          >
+            <X className="w-5 h-5" />
+          </motion.button>
+        )}
+
+        {suggestions.length > 0 && (
+          <ul
+            role="listbox"
+            className="absolute left-0 right-0 top-full mt-1 z-30 max-h-64 overflow-auto bg-white dark:bg-[#1a1a1a] border border-black dark:border-[#333333] rounded-lg shadow-lg"
+          >
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={suggestion.label}
+                role="option"
+                aria-selected={index === highlighted}
+                // Keep focus in the input
+                onMouseDown={(e) => {
+                  e.preventDefault()
+                  applySuggestion(suggestion)
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`flex items-center justify-between gap-4 px-3 py-2 cursor-pointer text-sm ${
+                  index === highlighted ? 'bg-[#f5f5f5] dark:bg-[#2a2a2a]' : ''
+                }`}
+              >
+                <span className="font-mono text-black dark:text-white truncate">{suggestion.label}</span>
+                <span className="text-xs text-black dark:text-[#999999] whitespace-nowrap">{suggestion.description}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {visibleErrors.length > 0 && (
+        <ul className="mt-1 space-y-0.5">
+          {visibleErrors.map((error) => (
+            <li
+              key={`${error.start}-${error.message}`}
+              className="flex items-center gap-1 text-xs text-red-600 dark:text-red-400"
+            >
+              <AlertCircle className="w-3 h-3 shrink-0" />
+              <span>
+                <span className="font-mono">{value.slice(error.start, error.end)}</span>: {error.message}
+              </span>
+            </li>
+          ))}
+        </ul>
       )}
     </div>
   )
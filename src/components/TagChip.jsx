@@ -0,0 +1,22 @@
+/**
+ * A tag's name on a tint of its colour
+ * onClick: e.g. filter by the tag
+ */
+export const TagChip = ({ tag, onClick, title }) => {
+  const Element = onClick ? 'button' : 'span'
+
+  return (
+    <Element
+      type={onClick ? 'button' : undefined}
+      onClick={onClick}
+      title={title}
+      className={`inline-flex items-center gap-1 max-w-full px-2 py-0.5 rounded-full border text-xs text-black dark:text-white ${
+        onClick ? 'hover:opacity-80' : ''
+      }`}
+      style={{ backgroundColor: `${tag.color}26`, borderColor: `${tag.color}80` }}
+    >
+      <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: tag.color }} />
+      <span className="truncate">{tag.name}</span>
+    </Element>
+  )
+}
@@ -0,0 +1,216 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Edit2, GitMerge, Plus, Tag, Trash2, X } from 'lucide-react'
+import { TagChip } from './TagChip'
+import { TAG_COLORS, countNotesByTag } from '../utils/noteTags'
+
+const TagRow = ({ tag, count, tags, tagging }) => {
+  const [mode, setMode] = useState(null) // 'rename' | 'merge' | 'color'
+  const [name, setName] = useState(tag.name)
+
+  const merge = async (target) => {
+    const notes = `${count} note${count === 1 ? '' : 's'}`
+    if (!window.confirm(`Merge "${tag.name}" into "${target.name}"? Its ${notes} get "${target.name}" and "${tag.name}" is deleted.`)) {
+      return
+    }
+    setMode(null)
+    await tagging.mergeTags(tag.id, target.id)
+  }
+
+  const rename = async () => {
+    const { conflict } = await tagging.updateTag(tag.id, { name })
+    if (conflict) {
+      await merge(conflict)
+      return
+    }
+    setMode(null)
+  }
+
+  const handleDelete = () => {
+    const notes = count > 0 ? ` It is removed from ${count} note${count === 1 ? '' : 's'}.` : ''
+    if (!window.confirm(`Delete the tag "${tag.name}"?${notes}`)) return
+    tagging.deleteTag(tag.id)
+  }
+
+  return (
+    <li className="p-2 rounded-lg border border-black dark:border-[#333333] space-y-2">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setMode(mode === 'color' ? null : 'color')}
+          className="w-5 h-5 shrink-0 rounded-full border border-black dark:border-[#666666]"
+          style={{ backgroundColor: tag.color }}
+          title="Change colour"
+        />
+        {mode === 'rename' ? (
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') rename()
+              if (e.key === 'Escape') {
+                setName(tag.name)
+                setMode(null)
+              }
+            }}
+            onBlur={() => {
+              setName(tag.name)
+              setMode(null)
+            }}
+            className="flex-1 min-w-0 px-2 py-1 text-sm border border-black dark:border-[#333333] rounded bg-white dark:bg-[#1a1a1a] text-black dark:text-white"
+          />
+        ) : (
+          <div className="flex-1 min-w-0">
+            <TagChip tag={tag} />
+          </div>
+        )}
+        <span className="text-xs text-black dark:text-[#999999] tabular-nums" title="Notes with this tag">
+          {count}
+        </span>
+        <button
+          onClick={() => {
+            setName(tag.name)
+            setMode('rename')
+          }}
+          className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+          title="Rename tag"
+        >
+          <Edit2 className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => setMode(mode === 'merge' ? null : 'merge')}
+          disabled={tags.length < 2}
+          className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white disabled:opacity-30"
+          title="Merge into another tag"
+        >
+          <GitMerge className="w-4 h-4" />
+        </button>
+        <button
+          onClick={handleDelete}
+          className="p-1 text-black dark:text-[#cccccc] hover:text-red-600 dark:hover:text-red-400"
+          title="Delete tag"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {mode === 'color' && (
+        <div className="flex flex-wrap gap-2">
+          {TAG_COLORS.map((color) => (
+            <button
+              key={color}
+              onClick={() => {
+                tagging.updateTag(tag.id, { color })
+                setMode(null)
+              }}
+              className={`w-6 h-6 rounded-full border-2 ${
+                color === tag.color ? 'border-black dark:border-white' : 'border-transparent'
+              }`}
+              style={{ backgroundColor: color }}
+              title={color}
+            />
+          ))}
+        </div>
+      )}
+
+      {mode === 'merge' && (
+        <select
+          autoFocus
+          value=""
+          onChange={(e) => {
+            const target = tags.find((t) => t.id === e.target.value)
+            if (target) merge(target)
+          }}
+          className="w-full px-2 py-1 text-sm border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white"
+        >
+          <option value="">Merge &quot;{tag.name}&quot; into...</option>
+          {tags
+            .filter((t) => t.id !== tag.id)
+            .map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.name}
+              </option>
+            ))}
+        </select>
+      )}
+    </li>
+  )
+}
+
+/**
+ * Side panel to create, recolour, rename, merge and delete tags
+ * Renaming a tag to the name of another one offers to merge them.
+ * tagging: the useTags() result
+ */
+export const TagManager = ({ tagging, onClose }) => {
+  const [newName, setNewName] = useState('')
+  const { tags, links, createTag } = tagging
+  const counts = countNotesByTag(links)
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return
+    const { data } = await createTag(newName)
+    if (data) setNewName('')
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 300 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 300 }}
+      className="fixed right-0 top-0 h-full w-full md:w-96 bg-white dark:bg-[#1a1a1a] shadow-2xl z-[100] flex flex-col border-l border-black dark:border-[#333333]"
+    >
+      <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
+        <div className="flex items-center gap-2">
+          <Tag className="w-5 h-5 text-black dark:text-white" />
+          <h2 className="text-xl font-bold text-black dark:text-white">Tags</h2>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.9 }}
+          onClick={onClose}
+          className="p-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
+          title="Close"
+        >
+          <X className="w-5 h-5" />
+        </motion.button>
+      </div>
+
+      <div className="flex-1 overflow-auto p-4 space-y-4">
+        <div className="flex gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleCreate()
+            }}
+            placeholder="New tag, e.g. sprint-42"
+            className="flex-1 min-w-0 px-3 py-2 text-sm border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white focus:ring-2 focus:ring-black dark:focus:ring-[#666666]"
+          />
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={handleCreate}
+            disabled={!newName.trim()}
+            className="px-3 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50"
+            title="Create tag"
+          >
+            <Plus className="w-4 h-4" />
+          </motion.button>
+        </div>
+
+        {tags.length === 0 ? (
+          <p className="text-sm text-black dark:text-[#999999]">
+            No tags yet. Create one here, or tag a note from its card.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {tags.map((tag) => (
+              <TagRow key={tag.id} tag={tag} count={counts.get(tag.id) || 0} tags={tags} tagging={tagging} />
+            ))}
+          </ul>
+        )}
+      </div>
+    </motion.div>
+  )
+}
@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { Check, Minus, Plus, Tag, X } from 'lucide-react'
+import { TagChip } from './TagChip'
+import { getTagState, normalizeTagName } from '../utils/noteTags'
+
+/**
+ * Adds and removes tags on one note or many (bulk tagging)
+ * A tag on only some of the notes shows a dash; clicking it adds it to all.
+ * Typing a name that doesn't exist yet offers to create the tag.
+ * tagging: { tags, links, createTag, tagNotes, untagNotes } from useTags
+ */
+export const TagPicker = ({ title, noteIds, tagging, onClose }) => {
+  const [query, setQuery] = useState('')
+  const { tags, links, createTag, tagNotes, untagNotes } = tagging
+
+  const name = normalizeTagName(query)
+  const visibleTags = tags.filter((tag) => tag.name.includes(name))
+  const exactMatch = tags.find((tag) => tag.name === name)
+
+  const toggle = (tag) => {
+    if (getTagState(tag.id, noteIds, links) === 'all') {
+      untagNotes(tag.id, noteIds)
+    } else {
+      tagNotes(tag.id, noteIds)
+    }
+  }
+
+  const createAndTag = async () => {
+    if (!name) return
+    if (exactMatch) {
+      toggle(exactMatch)
+    } else {
+      const { data } = await createTag(name)
+      if (data) tagNotes(data.id, noteIds)
+    }
+    setQuery('')
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 flex items-center justify-center p-4" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-sm max-h-[70vh] bg-white dark:bg-[#1a1a1a] rounded-lg shadow-2xl border border-black dark:border-[#333333] flex flex-col"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
+          <div className="flex items-center gap-2 min-w-0">
+            <Tag className="w-5 h-5 shrink-0 text-black dark:text-white" />
+            <h2 className="text-lg font-bold text-black dark:text-white truncate">{title}</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+            title="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 pb-2">
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') createAndTag()
+              if (e.key === 'Escape') onClose()
+            }}
+            placeholder="Find or create a tag"
+            className="w-full px-3 py-2 text-sm border border-black dark:border-[#333333] rounded-lg bg-white dark:bg-[#1a1a1a] text-black dark:text-white focus:ring-2 focus:ring-black dark:focus:ring-[#666666]"
+          />
+        </div>
+
+        <ul className="flex-1 overflow-auto px-2 pb-2">
+          {visibleTags.map((tag) => {
+            const state = getTagState(tag.id, noteIds, links)
+            return (
+              <li key={tag.id}>
+                <button
+                  onClick={() => toggle(tag)}
+                  className="w-full flex items-center gap-2 px-2 py-1.5 rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]"
+                >
+                  <span className="w-4 h-4 shrink-0 flex items-center justify-center rounded border border-black dark:border-[#666666] text-black dark:text-white">
+                    {state === 'all' && <Check className="w-3 h-3" />}
+                    {state === 'some' && <Minus className="w-3 h-3" />}
+                  </span>
+                  <TagChip tag={tag} />
+                </button>
+              </li>
+            )
+          })}
+          {name && !exactMatch && (
+            <li>
+              <button
+                onClick={createAndTag}
+                className="w-full flex items-center gap-2 px-2 py-1.5 rounded-lg text-sm text-black dark:text-[#cccccc] hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]"
+              >
+                <Plus className="w-4 h-4" />
+                Create tag <span className="font-mono">{name}</span>
+              </button>
+            </li>
+          )}
+          {tags.length === 0 && !name && (
+            <li className="px-2 py-1.5 text-sm text-black dark:text-[#999999]">
+              No tags yet. Type a name to create one.
+            </li>
+          )}
+        </ul>
+      </motion.div>
+    </div>
+  )
+}
@@ -0,0 +1,146 @@
+import { useMemo } from 'react'
+import { motion } from 'framer-motion'
+import { LayoutTemplate, Link2, Plus, Trash2, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { renderCanvasThumbnail } from '../lib/canvasThumbnails'
+import { getTemplateShareUrl } from '../hooks/useCanvasTemplates'
+import { BUILT_IN_TEMPLATES } from '../utils/canvasTemplates'
+
+export const TemplatePreview = ({ template }) => {
+  const svg = useMemo(() => renderCanvasThumbnail(template.canvas_data?.elements), [template.canvas_data])
+
+  return (
+    <div className="h-24 flex items-center justify-center rounded border border-[#f5f5f5] dark:border-[#2a2a2a] overflow-hidden">
+      {svg ? (
+        <img
+          src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+          alt=""
+          className="max-w-full max-h-full object-contain dark:invert-[.93] dark:hue-rotate-180"
+          draggable={false}
+        />
+      ) : (
+        <Plus className="w-6 h-6 text-gray-300 dark:text-gray-600" />
+      )}
+    </div>
+  )
+}
+
+const TemplateCard = ({ template, onUse, children }) => (
+  <div className="group relative">
+    <button
+      onClick={() => onUse(template)}
+      className="w-full text-left p-2 rounded-lg border border-black dark:border-[#333333] hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] transition-colors"
+    >
+      <TemplatePreview template={template} />
+      <p className="mt-2 text-sm font-medium text-black dark:text-white truncate">{template.name}</p>
+      <p className="text-xs text-black dark:text-[#999999] truncate">{template.description || '\u00a0'}</p>
+    </button>
+    {children && (
+      <div className="absolute top-3 right-3 flex gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+        {children}
+      </div>
+    )}
+  </div>
+)
+
+const cardActionClass = 'p-1 rounded bg-white dark:bg-[#1a1a1a] border border-black dark:border-[#333333] text-black dark:text-[#cccccc] hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a]'
+
+/**
+ * Picks what a new canvas starts from: a blank scene, a built-in template or
+ * one of the user's own (see useCanvasTemplates). Own templates can be shared
+ * by link and deleted from here
+ * onUse(template): template is null for a blank canvas
+ */
+export const TemplateGallery = ({ templates, loading, onUse, onDelete, onSetShared, onClose }) => {
+  const handleShare = async (template) => {
+    const token = template.share_token || (await onSetShared(template.id, true)).data
+    if (!token) return
+
+    navigator.clipboard.writeText(getTemplateShareUrl(token))
+    toast.success('Template link copied to clipboard')
+  }
+
+  const handleDelete = (template) => {
+    if (window.confirm(`Delete the template "${template.name}"? Canvases made from it are kept.`)) {
+      onDelete(template.id)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 flex items-center justify-center p-4" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        onClick={(e) => e.stopPropagation()}
+        className="w-full max-w-3xl max-h-[80vh] bg-white dark:bg-[#1a1a1a] rounded-lg shadow-2xl border border-black dark:border-[#333333] flex flex-col"
+      >
+        <div className="flex items-center justify-between p-4 border-b border-black dark:border-[#333333]">
+          <div className="flex items-center gap-2">
+            <LayoutTemplate className="w-5 h-5 text-black dark:text-white" />
+            <h2 className="text-lg font-bold text-black dark:text-white">New canvas</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1 text-black dark:text-[#cccccc] hover:text-[#333333] dark:hover:text-white"
+            title="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-6">
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+            <TemplateCard
+              template={{ id: 'blank', name: 'Blank canvas', description: 'Start from an empty scene', canvas_data: null }}
+              onUse={() => onUse(null)}
+            />
+            {BUILT_IN_TEMPLATES.map((template) => (
+              <TemplateCard key={template.id} template={template} onUse={onUse} />
+            ))}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-black dark:text-white mb-2">Your templates</h3>
+            {templates.length === 0 ? (
+              <p className="text-sm text-black dark:text-[#999999]">
+                {loading
+                  ? 'Loading templates...'
+                  : 'Open a canvas and use "Save as template" to add your own layouts here.'}
+              </p>
+            ) : (
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                {templates.map((template) => (
+                  <TemplateCard key={template.id} template={template} onUse={onUse}>
+                    <button
+                      onClick={() => handleShare(template)}
+                      className={cardActionClass}
+                      title={template.share_token ? 'Copy share link' : 'Share with a link'}
+                    >
+                      <Link2 className="w-4 h-4" />
+                    </button>
+                    {template.share_token && (
+                      <button
+                        onClick={() => onSetShared(template.id, false)}
+                        className={`${cardActionClass} text-xs px-2`}
+                        title="Turn off the share link"
+                      >
+                        Unshare
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDelete(template)}
+                      className={cardActionClass}
+                      title="Delete template"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </TemplateCard>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  )
+}
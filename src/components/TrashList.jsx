@@ -0,0 +1,118 @@
+import { motion, AnimatePresence } from 'framer-motion'
+import { RotateCcw, Trash2 } from 'lucide-react'
+import { formatDistanceToNow } from 'date-fns'
+import { useNotes } from '../hooks/useNotes'
+import { LoadingSpinner } from './LoadingSpinner'
+import { markdownToPlainText } from '../utils/markdown'
+import { TRASH_RETENTION_DAYS, getDaysUntilPurge } from '../utils/trash'
+
+/**
+ * The Trash view of the dashboard: deleted notes, most recent first, with
+ * restore and permanent delete. Notes are purged TRASH_RETENTION_DAYS after
+ * they were deleted
+ */
+export const TrashList = () => {
+  const { trashedNotes, loading, restoreNote, deleteNoteForever, emptyTrash } = useNotes()
+
+  if (loading) {
+    return <LoadingSpinner />
+  }
+
+  const handleDeleteForever = (note) => {
+    if (!window.confirm(`Delete "${note.title || 'Untitled Note'}" permanently? Its canvas, comments and history are deleted too.`)) {
+      return
+    }
+    deleteNoteForever(note.id)
+  }
+
+  const handleEmptyTrash = () => {
+    const count = trashedNotes.length
+    if (!window.confirm(`Delete ${count} note${count === 1 ? '' : 's'} in the Trash permanently? This can't be undone.`)) {
+      return
+    }
+    emptyTrash()
+  }
+
+  return (
+    <div className="p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-black dark:text-[#999999]">
+          Notes in the Trash are deleted permanently after {TRASH_RETENTION_DAYS} days.
+        </p>
+        {trashedNotes.length > 0 && (
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={handleEmptyTrash}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm bg-white dark:bg-[#1a1a1a] text-red-600 dark:text-red-400 rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
+          >
+            <Trash2 className="w-4 h-4" />
+            Empty Trash
+          </motion.button>
+        )}
+      </div>
+
+      <ul className="space-y-2">
+        <AnimatePresence>
+          {trashedNotes.map((note) => {
+            const daysLeft = getDaysUntilPurge(note.deleted_at)
+            return (
+              <motion.li
+                key={note.id}
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, scale: 0.95 }}
+                className="flex items-center gap-4 p-4 bg-white dark:bg-[#1a1a1a] rounded-lg border border-black dark:border-[#333333]"
+              >
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-black dark:text-white truncate">
+                    {note.title || 'Untitled Note'}
+                  </h3>
+                  <p className="text-sm text-black dark:text-[#cccccc] truncate">
+                    {markdownToPlainText(note.content) || 'No content'}
+                  </p>
+                  <p className="text-xs text-black dark:text-[#999999] mt-1">
+                    Deleted {formatDistanceToNow(new Date(note.deleted_at), { addSuffix: true })}
+                    {' · '}
+                    {daysLeft === 0 ? 'deleted permanently today' : `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`}
+                  </p>
+                </div>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => restoreNote(note.id)}
+                  className="flex items-center gap-1 px-3 py-1.5 text-sm bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
+                  title="Restore note"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  <span className="hidden sm:inline">Restore</span>
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  onClick={() => handleDeleteForever(note)}
+                  className="p-2 text-black dark:text-[#cccccc] hover:text-red-600 dark:hover:text-red-400"
+                  title="Delete permanently"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </motion.button>
+              </motion.li>
+            )
+          })}
+        </AnimatePresence>
+      </ul>
+
+      {trashedNotes.length === 0 && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="text-center py-16"
+        >
+          <Trash2 className="w-16 h-16 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+          <p className="text-gray-500 dark:text-gray-400 text-lg font-medium mb-2">The Trash is empty</p>
+          <p className="text-gray-400 dark:text-gray-500 text-sm">Deleted notes stay here until they are purged</p>
+        </motion.div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,23 @@
+import toast from 'react-hot-toast'
+
+// How long the Undo button stays up
+export const UNDO_TOAST_MS = 6000
+
+/**
+ * Toast body with an Undo button, e.g.
+ * toast((t) => <UndoToast toastId={t.id} message="Note moved to Trash" onUndo={restore} />)
+ */
+export const UndoToast = ({ toastId, message, onUndo }) => (
+  <span className="flex items-center gap-3">
+    {message}
+    <button
+      onClick={() => {
+        toast.dismiss(toastId)
+        onUndo()
+      }}
+      className="font-semibold underline"
+    >
+      Undo
+    </button>
+  </span>
+)
@@ -1,4 +1,5 @@
 import { useCallback, useRef, useEffect } from 'react'
+import { compareStamps, getElementStamp } from '../utils/canvasCrdt'
 
 /**
  * Box event propagator for real-time collaboration
@@ -71,14 +72,12 @@ export const useBoxEventPropagator = ({
       return remoteEvent // Always prefer remote
     }
 
-    // Simple conflict resolution: last modified wins
-    const localTime = localElement.lastModified || 0
-    const remoteTime = remoteEvent.timestamp || 0
-
-    if (remoteTime > localTime) {
+    // Order edits by element version/versionNonce like the canvas merge does,
+    // so every client picks the same winner regardless of clock skew
+    if (compareStamps(getElementStamp(remoteEvent), getElementStamp(localElement)) > 0) {
       return remoteEvent // Remote is newer
     } else {
-      return null // Local is newer, ignore remote
+      return null // Local is newer (or the same edit), ignore remote
     }
   }, [enableConflictResolution])
 
@@ -111,8 +110,12 @@ export const useBoxEventPropagator = ({
           strokeColor: element.strokeColor,
           strokeWidth: element.strokeWidth,
           opacity: element.opacity,
-          roundness: element.roundness
+          roundness: element.roundness,
+          // Kanban role and status (see utils/kanbanBoard)
+          customData: element.customData
         },
+        version: element.version || 0,
+        versionNonce: element.versionNonce || 0,
         timestamp: Date.now(),
         userId: userId,
         noteId: noteId
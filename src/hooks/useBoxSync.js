@@ -198,10 +198,14 @@ export const useBoxSync = ({
       switch (changeType) {
         case 'create':
         case 'update':
-          // Create or update the element
+          // Create or update the element, keeping properties the event
+          // doesn't carry (type, text, bindings...)
           elementMap.set(elementId, {
+            ...elementMap.get(elementId),
             ...boxProperties,
             id: elementId,
+            version: event.version ?? elementMap.get(elementId)?.version,
+            versionNonce: event.versionNonce ?? elementMap.get(elementId)?.versionNonce,
             isDeleted: false,
             lastModified: boxProperties.lastModified || Date.now()
           })
@@ -532,6 +536,7 @@ export const useBoxSync = ({
             strokeStyle: box.strokeStyle,
             roughness: box.roughness,
             opacity: box.opacity,
+            customData: box.customData,
             zIndex: box.zIndex || 0
           }))
         }
@@ -0,0 +1,256 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import toast from 'react-hot-toast'
+import { supabase } from '../lib/supabase'
+import { getCollaboratorName } from '../utils/remoteCursors'
+import {
+  buildCommentThreads,
+  getElementAnchor,
+  getThreadPosition,
+  parseMentions,
+  removeComment,
+  upsertComment,
+  viewportToScene,
+} from '../utils/canvasComments'
+
+/**
+ * Comment threads on a canvas (canvas_comments)
+ * Loads the note's comments and the people who can be @mentioned, posts
+ * comments and replies, resolves/reopens threads and deletes comments. Every
+ * change is also sent as a 'comment-update' broadcast on the canvas channel;
+ * register handleCommentMessage on the channel to apply other users' changes.
+ *
+ * Also holds the comment UI state shared by the panel and the canvas pins:
+ * the active thread and the anchor of a comment being written, which comes
+ * from the selected element or a point clicked while placing a pin
+ */
+export const useCanvasComments = ({
+  noteId,
+  user,
+  canComment,
+  channelRef,
+  isChannelSubscribedRef,
+  excalidrawAPI,
+}) => {
+  const [comments, setComments] = useState([])
+  const [mentionables, setMentionables] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [activeThreadId, setActiveThreadId] = useState(null)
+  const [draftAnchor, setDraftAnchor] = useState(null) // { elementId?, x, y }
+  const [isPlacing, setIsPlacing] = useState(false)
+  const commentsRef = useRef(comments)
+  commentsRef.current = comments
+
+  useEffect(() => {
+    if (!noteId || !user) return
+
+    let cancelled = false
+
+    const loadComments = async () => {
+      setLoading(true)
+      const [commentsResult, mentionablesResult] = await Promise.all([
+        supabase
+          .from('canvas_comments')
+          .select('*')
+          .eq('note_id', noteId)
+          .order('created_at', { ascending: true }),
+        supabase.rpc('get_canvas_mentionables', { note_uuid: noteId }),
+      ])
+      if (cancelled) return
+
+      if (commentsResult.error) {
+        console.error('[CanvasComments] Error loading comments:', commentsResult.error)
+      } else {
+        setComments(commentsResult.data || [])
+      }
+
+      if (mentionablesResult.error) {
+        console.error('[CanvasComments] Error loading mentionable users:', mentionablesResult.error)
+      } else {
+        setMentionables((mentionablesResult.data || []).filter((person) => person.user_id !== user.id))
+      }
+      setLoading(false)
+    }
+
+    loadComments()
+    return () => {
+      cancelled = true
+    }
+  }, [noteId, user])
+
+  const broadcast = useCallback((payload) => {
+    const channel = channelRef.current
+    if (!channel || !isChannelSubscribedRef.current || !user) return
+
+    channel.send({
+      type: 'broadcast',
+      event: 'comment-update',
+      payload: { ...payload, userId: user.id },
+    })
+  }, [user, channelRef, isChannelSubscribedRef])
+
+  // payload: { action: 'upsert', comment } | { action: 'delete', commentId }
+  const handleCommentMessage = useCallback((payload) => {
+    if (!payload || payload.userId === user?.id) return
+
+    if (payload.action === 'delete') {
+      setComments((prev) => removeComment(prev, payload.commentId))
+      return
+    }
+
+    const { comment } = payload
+    if (!comment) return
+
+    const isNew = !commentsRef.current.some((c) => c.id === comment.id)
+    if (isNew && comment.mentions?.includes(user?.id)) {
+      toast(`${comment.author_name || 'Someone'} mentioned you in a comment`, { icon: '💬' })
+    }
+    setComments((prev) => upsertComment(prev, comment))
+  }, [user])
+
+  const addComment = useCallback(async (body, { parentId = null, anchor = null } = {}) => {
+    const text = body.trim()
+    if (!noteId || !user || !canComment || !text) return { error: 'Not allowed' }
+    if (!parentId && !anchor) return { error: 'Missing anchor' }
+
+    const { data, error } = await supabase
+      .from('canvas_comments')
+      .insert({
+        note_id: noteId,
+        parent_id: parentId,
+        element_id: parentId ? null : anchor.elementId || null,
+        x: parentId ? null : anchor.x,
+        y: parentId ? null : anchor.y,
+        body: text,
+        mentions: parseMentions(text, mentionables),
+        author_name: getCollaboratorName(user),
+        created_by: user.id,
+      })
+      .select()
+      .single()
+
+    if (error) {
+      console.error('[CanvasComments] Error adding comment:', error)
+      toast.error('Failed to post comment')
+      return { error }
+    }
+
+    setComments((prev) => upsertComment(prev, data))
+    broadcast({ action: 'upsert', comment: data })
+    if (!parentId) {
+      setDraftAnchor(null)
+      setActiveThreadId(data.id)
+    }
+    return { data }
+  }, [noteId, user, canComment, mentionables, broadcast])
+
+  const setThreadResolved = useCallback(async (threadId, resolved) => {
+    const { data, error } = await supabase
+      .from('canvas_comments')
+      .update({
+        resolved_at: resolved ? new Date().toISOString() : null,
+        resolved_by: resolved ? user?.id : null,
+      })
+      .eq('id', threadId)
+      .select()
+      .single()
+
+    if (error) {
+      console.error('[CanvasComments] Error updating thread:', error)
+      toast.error(resolved ? 'Failed to resolve thread' : 'Failed to reopen thread')
+      return { error }
+    }
+
+    setComments((prev) => upsertComment(prev, data))
+    broadcast({ action: 'upsert', comment: data })
+    return { data }
+  }, [user, broadcast])
+
+  const deleteComment = useCallback(async (commentId) => {
+    const { error } = await supabase
+      .from('canvas_comments')
+      .delete()
+      .eq('id', commentId)
+
+    if (error) {
+      console.error('[CanvasComments] Error deleting comment:', error)
+      toast.error('Failed to delete comment')
+      return { error }
+    }
+
+    setComments((prev) => removeComment(prev, commentId))
+    setActiveThreadId((current) => (current === commentId ? null : current))
+    broadcast({ action: 'delete', commentId })
+    return { success: true }
+  }, [broadcast])
+
+  const threads = useMemo(() => buildCommentThreads(comments), [comments])
+
+  // New comment on the first selected element; returns false if none is selected
+  const commentOnSelection = useCallback(() => {
+    if (!excalidrawAPI) return false
+
+    const selectedIds = Object.keys(excalidrawAPI.getAppState().selectedElementIds || {})
+    const element = excalidrawAPI
+      .getSceneElements()
+      .find((el) => selectedIds.includes(el.id))
+    if (!element) return false
+
+    setIsPlacing(false)
+    setDraftAnchor(getElementAnchor(element))
+    return true
+  }, [excalidrawAPI])
+
+  // point is relative to the canvas container, e.g. from a click on the pin layer
+  const placeDraftAt = useCallback((point) => {
+    if (!excalidrawAPI) return
+
+    setIsPlacing(false)
+    setDraftAnchor(viewportToScene(point, excalidrawAPI.getAppState()))
+  }, [excalidrawAPI])
+
+  const cancelDraft = useCallback(() => {
+    setIsPlacing(false)
+    setDraftAnchor(null)
+  }, [])
+
+  // Activates a thread and scrolls its pin into view
+  const focusThread = useCallback((thread) => {
+    setActiveThreadId(thread.id)
+    if (!excalidrawAPI) return
+
+    const elements = excalidrawAPI.getSceneElements()
+    const element = thread.element_id && elements.find((el) => el.id === thread.element_id)
+    if (element) {
+      excalidrawAPI.scrollToContent(element, { animate: true })
+      return
+    }
+
+    const { x, y } = getThreadPosition(thread, new Map())
+    const { width, height, zoom } = excalidrawAPI.getAppState()
+    excalidrawAPI.updateScene({
+      appState: {
+        scrollX: width / 2 / zoom.value - x,
+        scrollY: height / 2 / zoom.value - y,
+      },
+    })
+  }, [excalidrawAPI])
+
+  return {
+    threads,
+    mentionables,
+    loading,
+    addComment,
+    setThreadResolved,
+    deleteComment,
+    handleCommentMessage,
+    activeThreadId,
+    setActiveThreadId,
+    focusThread,
+    draftAnchor,
+    isPlacing,
+    setIsPlacing,
+    commentOnSelection,
+    placeDraftAt,
+    cancelDraft,
+  }
+}
@@ -0,0 +1,36 @@
+import { useCallback, useRef } from 'react'
+import { fetchCanvasFiles } from '../lib/canvasFiles'
+
+/**
+ * Lazily loads canvas image files into Excalidraw
+ * loadMissingFiles(fileIds) fetches the ids the scene doesn't have yet (each
+ * id once at a time) and adds them with excalidrawAPI.addFiles
+ */
+export const useCanvasFiles = ({ noteId, excalidrawAPI }) => {
+  const inFlightRef = useRef(new Set())
+
+  const loadMissingFiles = useCallback(async (fileIds = []) => {
+    if (!excalidrawAPI || fileIds.length === 0) return
+
+    const loaded = excalidrawAPI.getFiles()
+    const missing = fileIds.filter((fileId) => !loaded[fileId] && !inFlightRef.current.has(fileId))
+    if (missing.length === 0) return
+
+    missing.forEach((fileId) => inFlightRef.current.add(fileId))
+    try {
+      const files = await fetchCanvasFiles(noteId, missing)
+      if (files.length > 0) {
+        excalidrawAPI.addFiles(files)
+      }
+      if (files.length < missing.length) {
+        console.warn('[CanvasFiles] Some files could not be loaded', {
+          missing: missing.length - files.length,
+        })
+      }
+    } finally {
+      missing.forEach((fileId) => inFlightRef.current.delete(fileId))
+    }
+  }, [noteId, excalidrawAPI])
+
+  return { loadMissingFiles }
+}
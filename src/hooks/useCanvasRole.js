@@ -0,0 +1,91 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useStore } from '../store/useStore'
+import { canCommentWithRole, canEditWithRole, normalizeRole } from '../utils/collaboratorRoles'
+import { INVITATION_STATUS, emailsMatch, getInvitationStatus } from '../utils/invitations'
+
+/**
+ * Resolves the current user's role on a canvas
+ * Owners get 'owner', collaborators with an accepted invitation get their
+ * canvas_collaborators.role and everyone else gets null (no access)
+ */
+export const useCanvasRole = (noteId) => {
+  const [role, setRole] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const { user } = useStore()
+
+  useEffect(() => {
+    if (!noteId || !user) return
+
+    let cancelled = false
+
+    const loadRole = async () => {
+      try {
+        const { data: noteData } = await supabase
+          .from('notes')
+          .select('user_id')
+          .eq('id', noteId)
+          .maybeSingle()
+
+        if (noteData?.user_id === user.id) {
+          if (!cancelled) setRole('owner')
+          return
+        }
+
+        // RLS only returns rows the user may see, so match locally by id or email
+        const { data: collaborators, error } = await supabase
+          .from('canvas_collaborators')
+          .select('user_id, collaborator_email, role, status, expires_at')
+          .eq('note_id', noteId)
+
+        if (error) {
+          console.error('[useCanvasRole] Error loading collaborator role:', error)
+        }
+
+        // Pending, declined and expired invitations grant no access
+        const collaborator = collaborators?.find((c) =>
+          (c.user_id === user.id || emailsMatch(c.collaborator_email, user.email)) &&
+          getInvitationStatus(c) === INVITATION_STATUS.ACCEPTED
+        )
+
+        if (!cancelled) {
+          setRole(collaborator ? normalizeRole(collaborator.role) : null)
+        }
+      } catch (err) {
+        console.error('[useCanvasRole] Error resolving canvas role:', err)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadRole()
+
+    // Pick up role changes made by the owner while the canvas is open
+    const subscription = supabase
+      .channel(`collaborator-role-${noteId}-${user.id}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'canvas_collaborators',
+          filter: `note_id=eq.${noteId}`,
+        },
+        () => loadRole()
+      )
+      .subscribe()
+
+    return () => {
+      cancelled = true
+      subscription.unsubscribe()
+    }
+  }, [noteId, user])
+
+  return {
+    role,
+    loading,
+    isOwner: role === 'owner',
+    canEdit: canEditWithRole(role),
+    canComment: canCommentWithRole(role),
+  }
+}
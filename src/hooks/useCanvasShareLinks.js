@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useStore } from '../store/useStore'
+import toast from 'react-hot-toast'
+
+export const getShareLinkUrl = (token) => `${window.location.origin}/share/${token}`
+
+export const isShareLinkActive = (link) =>
+  !link.revoked_at && (!link.expires_at || new Date(link.expires_at) > new Date())
+
+/**
+ * Manages public read-only share links (canvas_share_links) for a canvas
+ * Only the note owner can list, create or revoke links (enforced by RLS)
+ */
+export const useCanvasShareLinks = (noteId, { enabled = true } = {}) => {
+  const [links, setLinks] = useState([])
+  const [loading, setLoading] = useState(false)
+  const { user } = useStore()
+
+  const loadLinks = useCallback(async () => {
+    if (!noteId) return
+
+    const { data, error } = await supabase
+      .from('canvas_share_links')
+      .select('*')
+      .eq('note_id', noteId)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('Error loading share links:', error)
+      return
+    }
+
+    setLinks((data || []).filter(isShareLinkActive))
+  }, [noteId])
+
+  useEffect(() => {
+    if (enabled) loadLinks()
+  }, [enabled, loadLinks])
+
+  // expiresInDays: number of days until the link stops working, or null for no expiry
+  const createLink = async (expiresInDays = null) => {
+    if (!user) return { error: 'Not authenticated' }
+
+    setLoading(true)
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null
+
+    const { data, error } = await supabase
+      .from('canvas_share_links')
+      .insert({
+        note_id: noteId,
+        created_by: user.id,
+        expires_at: expiresAt,
+      })
+      .select()
+      .single()
+    setLoading(false)
+
+    if (error) {
+      console.error('Error creating share link:', error)
+      toast.error('Failed to create share link')
+      return { error }
+    }
+
+    setLinks((prev) => [data, ...prev])
+    return { data }
+  }
+
+  const revokeLink = async (linkId) => {
+    const { error } = await supabase
+      .from('canvas_share_links')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', linkId)
+
+    if (error) {
+      console.error('Error revoking share link:', error)
+      toast.error('Failed to revoke link')
+      return { error }
+    }
+
+    setLinks((prev) => prev.filter((link) => link.id !== linkId))
+    toast.success('Link revoked')
+    return { error: null }
+  }
+
+  return {
+    links,
+    loading,
+    createLink,
+    revokeLink,
+    reload: loadLinks,
+  }
+}
@@ -0,0 +1,245 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useStore } from '../store/useStore'
+import toast from 'react-hot-toast'
+import { CaptureUpdateAction } from '@excalidraw/excalidraw'
+import { hydrateCanvasFiles, toStoredCanvasFiles, uploadCanvasFiles } from '../lib/canvasFiles'
+import {
+  countSceneElements,
+  getAutoSnapshotAction,
+  prepareSnapshotForRestore,
+} from '../utils/canvasSnapshots'
+
+const SNAPSHOT_LIST_COLUMNS = 'id, note_id, kind, name, element_count, created_by, created_at'
+
+// Realtime rows include canvas_data; the list only keeps metadata
+const toSnapshotMeta = (row) => ({
+  id: row.id,
+  note_id: row.note_id,
+  kind: row.kind,
+  name: row.name,
+  element_count: row.element_count,
+  created_by: row.created_by,
+  created_at: row.created_at,
+})
+
+/**
+ * Version history for a canvas (canvas_snapshots)
+ * Lists snapshots, takes automatic snapshots on a time/size cadence via
+ * recordSave(), creates named checkpoints and restores past versions
+ */
+export const useCanvasSnapshots = ({ noteId, canEdit = false }) => {
+  const [snapshots, setSnapshots] = useState([])
+  const [loading, setLoading] = useState(false)
+  const { user } = useStore()
+
+  const lastSnapshotRef = useRef(null) // { time, count }
+  const lastSavedContentRef = useRef(null)
+  const snapshotInFlightRef = useRef(false)
+
+  const loadSnapshots = useCallback(async () => {
+    if (!noteId) return
+
+    setLoading(true)
+    const { data, error } = await supabase
+      .from('canvas_snapshots')
+      .select(SNAPSHOT_LIST_COLUMNS)
+      .eq('note_id', noteId)
+      .order('created_at', { ascending: false })
+      .limit(200)
+
+    if (error) {
+      console.error('[CanvasSnapshots] Error loading snapshots:', error)
+    } else {
+      setSnapshots(data || [])
+      if (data?.[0] && !lastSnapshotRef.current) {
+        lastSnapshotRef.current = {
+          time: new Date(data[0].created_at).getTime(),
+          count: data[0].element_count,
+        }
+      }
+    }
+    setLoading(false)
+  }, [noteId])
+
+  useEffect(() => {
+    if (!noteId) return
+
+    loadSnapshots()
+
+    const subscription = supabase
+      .channel(`canvas-snapshots-${noteId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'canvas_snapshots',
+          filter: `note_id=eq.${noteId}`,
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            const meta = toSnapshotMeta(payload.new)
+            setSnapshots((prev) =>
+              prev.some((s) => s.id === meta.id) ? prev : [meta, ...prev]
+            )
+          } else if (payload.eventType === 'DELETE') {
+            setSnapshots((prev) => prev.filter((s) => s.id !== payload.old.id))
+          }
+        }
+      )
+      .subscribe()
+
+    return () => {
+      subscription.unsubscribe()
+    }
+  }, [noteId, loadSnapshots])
+
+  // content: { elements, files }, kind: 'auto' | 'manual' | 'restore'
+  const createSnapshot = useCallback(async (content, { kind = 'manual', name = null } = {}) => {
+    if (!noteId || !user || !canEdit) return { error: 'Not allowed' }
+
+    // Snapshots reference stored images instead of copying their data
+    await uploadCanvasFiles(noteId, user.id, content.files)
+
+    const elementCount = countSceneElements(content.elements)
+    const { data, error } = await supabase
+      .from('canvas_snapshots')
+      .insert({
+        note_id: noteId,
+        canvas_data: {
+          elements: content.elements || [],
+          files: toStoredCanvasFiles(noteId, content.files),
+        },
+        element_count: elementCount,
+        kind,
+        name,
+        created_by: user.id,
+      })
+      .select(SNAPSHOT_LIST_COLUMNS)
+      .single()
+
+    if (error) {
+      console.error('[CanvasSnapshots] Error creating snapshot:', error)
+      return { error }
+    }
+
+    lastSnapshotRef.current = { time: Date.now(), count: elementCount }
+    setSnapshots((prev) => (prev.some((s) => s.id === data.id) ? prev : [data, ...prev]))
+    return { data }
+  }, [noteId, user, canEdit])
+
+  // Call once with the scene loaded from the database
+  const setBaseline = useCallback((content) => {
+    lastSavedContentRef.current = {
+      elements: [...(content.elements || [])],
+      files: { ...(content.files || {}) },
+    }
+  }, [])
+
+  // Call after every successful save of canvas_data
+  const recordSave = useCallback(async (content) => {
+    const previous = lastSavedContentRef.current
+    const snapshotContent = {
+      elements: [...(content.elements || [])],
+      files: { ...(content.files || {}) },
+    }
+    lastSavedContentRef.current = snapshotContent
+
+    if (!canEdit || snapshotInFlightRef.current) return
+
+    const action = getAutoSnapshotAction({
+      lastSnapshot: lastSnapshotRef.current,
+      previousCount: previous ? countSceneElements(previous.elements) : 0,
+      currentCount: countSceneElements(snapshotContent.elements),
+    })
+    if (!action) return
+
+    snapshotInFlightRef.current = true
+    try {
+      if (action === 'previous') {
+        await createSnapshot(previous, { kind: 'auto', name: 'Before large deletion' })
+      } else {
+        await createSnapshot(snapshotContent, { kind: 'auto' })
+      }
+    } finally {
+      snapshotInFlightRef.current = false
+    }
+  }, [canEdit, createSnapshot])
+
+  const loadSnapshotData = useCallback(async (snapshotId) => {
+    const { data, error } = await supabase
+      .from('canvas_snapshots')
+      .select('canvas_data')
+      .eq('id', snapshotId)
+      .single()
+
+    if (error) {
+      console.error('[CanvasSnapshots] Error loading snapshot:', error)
+      toast.error('Failed to load version')
+      return { error }
+    }
+
+    const canvasData = data.canvas_data || { elements: [], files: {} }
+    return {
+      data: {
+        ...canvasData,
+        files: await hydrateCanvasFiles(noteId, canvasData),
+      },
+    }
+  }, [noteId])
+
+  /**
+   * Replaces the live scene with a snapshot
+   * The current scene is backed up first, then the restored elements go through
+   * applyContent (the editor's normal save + broadcast path) so live
+   * collaborators receive them like any other edit
+   */
+  const restoreSnapshot = useCallback(async (snapshotId, { excalidrawAPI, applyContent }) => {
+    if (!canEdit || !excalidrawAPI) return { error: 'Not allowed' }
+
+    const { data, error } = await loadSnapshotData(snapshotId)
+    if (error) return { error }
+
+    const currentElements = excalidrawAPI.getSceneElementsIncludingDeleted()
+    const currentFiles = excalidrawAPI.getFiles()
+
+    const { error: backupError } = await createSnapshot(
+      { elements: currentElements.filter((element) => !element.isDeleted), files: currentFiles },
+      { kind: 'restore', name: 'Before restore' }
+    )
+    if (backupError) {
+      toast.error('Could not back up the current version, restore cancelled')
+      return { error: backupError }
+    }
+
+    const elements = prepareSnapshotForRestore(data.elements || [], currentElements)
+    const files = { ...currentFiles, ...(data.files || {}) }
+
+    if (data.files && Object.keys(data.files).length > 0) {
+      excalidrawAPI.addFiles(Object.values(data.files))
+    }
+    excalidrawAPI.updateScene({
+      elements,
+      captureUpdate: CaptureUpdateAction.IMMEDIATELY,
+    })
+    // The backup above already covers the replaced scene, so the save that
+    // follows must not be treated as a large deletion
+    setBaseline({ elements, files })
+    applyContent(elements, files)
+
+    toast.success('Version restored')
+    return { data: { elements, files } }
+  }, [canEdit, createSnapshot, loadSnapshotData, setBaseline])
+
+  return {
+    snapshots,
+    loading,
+    createSnapshot,
+    recordSave,
+    setBaseline,
+    loadSnapshotData,
+    restoreSnapshot,
+    reload: loadSnapshots,
+  }
+}
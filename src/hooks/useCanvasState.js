@@ -1,6 +1,15 @@
 import { useCallback, useRef, useEffect } from 'react'
 import { useCanvasTools } from './useCanvasTools'
 import { useCanvasSync } from './useCanvasSync'
+import { detectElementChanges } from '../utils/canvasDiff'
+import {
+  applyOperation,
+  createChangeOperations,
+  createDeletionOperation,
+  createReplica,
+  elementToOperation,
+  mergeOperations
+} from '../utils/canvasCrdt'
 
 /**
  * Comprehensive canvas state manager that separates content from tool state
@@ -46,6 +55,8 @@ export const useCanvasState = ({
   // Track content changes for delta detection
   const contentVersionRef = useRef(0)
   const elementMapRef = useRef(new Map())
+  // Per-property merge state shared by local edits and remote operations
+  const replicaRef = useRef(createReplica())
 
   // Initialize element map
   const initializeElementMap = useCallback((elements) => {
@@ -60,35 +71,7 @@ export const useCanvasState = ({
 
   // Detect changes between current and new elements
   const detectChanges = useCallback((newElements) => {
-    const changes = {
-      updated: [],
-      removed: [],
-      added: []
-    }
-
-    const newElementMap = new Map()
-    newElements.forEach(element => {
-      newElementMap.set(element.id, element)
-    })
-
-    // Find updated and added elements
-    newElements.forEach(element => {
-      const existing = elementMapRef.current.get(element.id)
-      if (!existing) {
-        changes.added.push(element)
-      } else if (existing._version !== (element.version || 0)) {
-        changes.updated.push(element)
-      }
-    })
-
-    // Find removed elements
-    elementMapRef.current.forEach((existing, id) => {
-      if (!newElementMap.has(id)) {
-        changes.removed.push({ id })
-      }
-    })
-
-    return changes
+    return detectElementChanges(elementMapRef.current, newElements)
   }, [])
 
   // Update canvas content with change detection
@@ -99,6 +82,10 @@ export const useCanvasState = ({
       return { changed: false }
     }
 
+    // Record the edit as merge operations while the previous elements are known
+    const operations = createChangeOperations(elementMapRef.current, changes, userId)
+    operations.forEach(operation => applyOperation(replicaRef.current, operation))
+
     // Update element map
     initializeElementMap(elements)
 
@@ -110,33 +97,35 @@ export const useCanvasState = ({
     }
 
     // Queue changes for synchronization
-    changes.updated.forEach(element => queueChange(element, 'update'))
-    changes.added.forEach(element => queueChange(element, 'update'))
-    changes.removed.forEach(element => queueChange(element, 'remove'))
+    changes.updated.forEach(element => queueChange(element, 'update', operations.get(element.id)))
+    changes.added.forEach(element => queueChange(element, 'update', operations.get(element.id)))
+    changes.removed.forEach(element => queueChange(element, 'remove', operations.get(element.id)))
 
     return {
       changed: true,
       changes,
       content: canvasContentRef.current
     }
-  }, [detectChanges, initializeElementMap, queueChange])
+  }, [userId, detectChanges, initializeElementMap, queueChange])
 
   // Apply external content updates (from other users)
   const applyExternalUpdate = useCallback((updatePayload) => {
-    const { changed = [], removed = [] } = updatePayload
+    const { changed = [], removed = [], operations, userId: fromUserId } = updatePayload
 
     // Create updated elements array
     const currentElements = [...canvasContentRef.current.elements]
     const elementMap = new Map()
     currentElements.forEach(el => elementMap.set(el.id, el))
 
-    // Remove elements
-    removed.forEach(id => {
-      elementMap.delete(id)
-    })
+    // Clients without operations send whole elements, which merge as
+    // full-element operations
+    const remoteOperations = operations || [
+      ...changed.map(element => elementToOperation(element, fromUserId)),
+      ...removed.map(id => createDeletionOperation(elementMap.get(id) || { id }, fromUserId))
+    ]
 
-    // Update or add changed elements
-    changed.forEach(element => {
+    // Merge per property; deleted elements stay in the scene as tombstones
+    mergeOperations(replicaRef.current, remoteOperations).forEach(element => {
       elementMap.set(element.id, element)
     })
 
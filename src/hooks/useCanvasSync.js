@@ -24,7 +24,8 @@ export const useCanvasSync = ({
   }, [])
 
   // Queue changes for batch processing
-  const queueChange = useCallback((element, type = 'update') => {
+  // operation: the per-property merge operation for this change (see canvasCrdt)
+  const queueChange = useCallback((element, type = 'update', operation = null) => {
     const changeId = generateChangeId(element)
     
     // Skip if this exact change is already queued
@@ -37,6 +38,7 @@ export const useCanvasSync = ({
       elementId: element.id,
       type,
       element: type === 'remove' ? { id: element.id } : element,
+      operation,
       timestamp: Date.now()
     }
 
@@ -85,6 +87,18 @@ export const useCanvasSync = ({
         .map(c => c.element.id)
         .filter((id, index, arr) => arr.indexOf(id) === index) // Remove duplicates
 
+      // Operations keep their queue order; receivers merge them per property
+      const operations = changes
+        .map(c => c.operation)
+        .filter(Boolean)
+
+      // Image data is stored separately (canvas_files); peers only get the
+      // ids and fetch files they don't have yet
+      const fileIds = changed
+        .filter(el => el.type === 'image' && el.fileId && !el.isDeleted)
+        .map(el => el.fileId)
+        .filter((id, index, arr) => arr.indexOf(id) === index)
+
       if (changed.length === 0 && removed.length === 0) {
         syncInProgressRef.current = false
         return
@@ -93,6 +107,8 @@ export const useCanvasSync = ({
       const syncPayload = {
         changed,
         removed,
+        operations,
+        fileIds,
         timestamp: Date.now(),
         userId,
         noteId
@@ -0,0 +1,184 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useStore } from '../store/useStore'
+import toast from 'react-hot-toast'
+
+export const getTemplateShareUrl = (token) => `${window.location.origin}/templates/${token}`
+
+const byNewest = (templates) => [...templates].sort((a, b) => b.created_at.localeCompare(a.created_at))
+
+const upsertTemplate = (templates, template) =>
+  byNewest(templates.some((t) => t.id === template.id)
+    ? templates.map((t) => (t.id === template.id ? { ...t, ...template } : t))
+    : [...templates, template])
+
+const createShareToken = () => crypto.randomUUID().replace(/-/g, '')
+
+/**
+ * The current user's canvas templates (canvas_templates, see
+ * canvas-templates.sql); the built-in ones are in utils/canvasTemplates.
+ * A template is shared by giving it a share_token: anyone signed in with the
+ * link can copy it into their own library (copySharedTemplate).
+ * Pass { enabled: false } to only save templates, without loading the library
+ */
+export const useCanvasTemplates = ({ enabled = true } = {}) => {
+  const [templates, setTemplates] = useState([])
+  const [loading, setLoading] = useState(false)
+  const { user } = useStore()
+
+  const loadTemplates = useCallback(async () => {
+    if (!user) return
+
+    setLoading(true)
+    const { data, error } = await supabase
+      .from('canvas_templates')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('[Templates] Error loading templates:', error)
+    } else {
+      setTemplates(data || [])
+    }
+    setLoading(false)
+  }, [user])
+
+  useEffect(() => {
+    if (!enabled || !user) return
+
+    loadTemplates()
+
+    const subscription = supabase
+      .channel(`canvas-templates-${user.id}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'canvas_templates',
+          filter: `user_id=eq.${user.id}`,
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT' || payload.eventType === 'UPDATE') {
+            setTemplates((prev) => upsertTemplate(prev, payload.new))
+          } else if (payload.eventType === 'DELETE') {
+            setTemplates((prev) => prev.filter((t) => t.id !== payload.old.id))
+          }
+        }
+      )
+      .subscribe()
+
+    return () => {
+      subscription.unsubscribe()
+    }
+  }, [enabled, user, loadTemplates])
+
+  // canvasData: a scene from toTemplateScene, with image data inline
+  const saveTemplate = async ({ name, description = '', canvasData }) => {
+    if (!user) return { error: 'Not authenticated' }
+
+    const trimmed = name.trim()
+    if (!trimmed) return { error: 'Template name is empty' }
+
+    const { data, error } = await supabase
+      .from('canvas_templates')
+      .insert({
+        user_id: user.id,
+        name: trimmed,
+        description: description.trim(),
+        canvas_data: canvasData,
+      })
+      .select()
+      .single()
+
+    if (error) {
+      console.error('[Templates] Error saving template:', error)
+      toast.error('Failed to save template')
+      return { error }
+    }
+
+    setTemplates((prev) => upsertTemplate(prev, data))
+    return { data }
+  }
+
+  const deleteTemplate = async (id) => {
+    setTemplates((prev) => prev.filter((t) => t.id !== id))
+
+    const { error } = await supabase
+      .from('canvas_templates')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', user.id)
+
+    if (error) {
+      console.error('[Templates] Error deleting template:', error)
+      toast.error('Failed to delete template')
+      loadTemplates()
+      return { error }
+    }
+
+    return { error: null }
+  }
+
+  // shared: true to turn the template's link on, false to turn it off
+  // (an old link stops working once it is off)
+  const setTemplateShared = async (id, shared) => {
+    const shareToken = shared ? createShareToken() : null
+    setTemplates((prev) => upsertTemplate(prev, { id, share_token: shareToken }))
+
+    const { error } = await supabase
+      .from('canvas_templates')
+      .update({ share_token: shareToken, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', user.id)
+
+    if (error) {
+      console.error('[Templates] Error updating template sharing:', error)
+      toast.error('Failed to update sharing')
+      loadTemplates()
+      return { error }
+    }
+
+    return { data: shareToken }
+  }
+
+  // { data: { name, description, canvas_data } } for a shared template link
+  const loadSharedTemplate = async (token) => {
+    const { data, error } = await supabase.rpc('get_shared_canvas_template', {
+      share_token: token,
+    })
+
+    if (error) {
+      console.error('[Templates] Error loading shared template:', error)
+      return { error }
+    }
+
+    return { data }
+  }
+
+  const copySharedTemplate = async (token) => {
+    const { data: shared, error } = await loadSharedTemplate(token)
+    if (error) {
+      toast.error('This template link is invalid or no longer shared')
+      return { error }
+    }
+
+    return saveTemplate({
+      name: shared.name,
+      description: shared.description,
+      canvasData: shared.canvas_data,
+    })
+  }
+
+  return {
+    templates,
+    loading,
+    saveTemplate,
+    deleteTemplate,
+    setTemplateShared,
+    loadSharedTemplate,
+    copySharedTemplate,
+    reload: loadTemplates,
+  }
+}
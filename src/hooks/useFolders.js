@@ -0,0 +1,185 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useStore } from '../store/useStore'
+import toast from 'react-hot-toast'
+import { persistMutation } from '../lib/offlineQueue'
+import { canMoveFolder } from '../utils/folderTree'
+
+const sortByName = (folders) => [...folders].sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+
+const upsertFolder = (folders, folder) =>
+  sortByName(folders.some((f) => f.id === folder.id)
+    ? folders.map((f) => (f.id === folder.id ? { ...f, ...folder } : f))
+    : [...folders, folder])
+
+/**
+ * The current user's note folders (note_folders, see note-folders.sql)
+ * Loads the folder tree, follows changes from other sessions over Realtime and
+ * creates, renames, re-sorts, moves and deletes folders. moveNote files a note
+ * into a folder (null for unfiled). Call once per page and pass the folders down
+ */
+export const useFolders = () => {
+  const [folders, setFolders] = useState([])
+  const [loading, setLoading] = useState(false)
+  const { user, notes, updateNote } = useStore()
+
+  const loadFolders = useCallback(async () => {
+    if (!user) return
+
+    setLoading(true)
+    const { data, error } = await supabase
+      .from('note_folders')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('name')
+
+    if (error) {
+      console.error('[Folders] Error loading folders:', error)
+    } else {
+      setFolders(data || [])
+    }
+    setLoading(false)
+  }, [user])
+
+  useEffect(() => {
+    if (!user) return
+
+    loadFolders()
+
+    const subscription = supabase
+      .channel(`note-folders-${user.id}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'note_folders',
+          filter: `user_id=eq.${user.id}`,
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT' || payload.eventType === 'UPDATE') {
+            setFolders((prev) => upsertFolder(prev, payload.new))
+          } else if (payload.eventType === 'DELETE') {
+            setFolders((prev) => prev.filter((f) => f.id !== payload.old.id))
+          }
+        }
+      )
+      .subscribe()
+
+    return () => {
+      subscription.unsubscribe()
+    }
+  }, [user, loadFolders])
+
+  const createFolder = async ({ name, parentId = null }) => {
+    if (!user) return { error: 'Not authenticated' }
+
+    const { data, error } = await supabase
+      .from('note_folders')
+      .insert({ user_id: user.id, parent_id: parentId, name: name.trim() })
+      .select()
+      .single()
+
+    if (error) {
+      console.error('[Folders] Error creating folder:', error)
+      toast.error('Failed to create folder')
+      return { error }
+    }
+
+    setFolders((prev) => upsertFolder(prev, data))
+    return { data }
+  }
+
+  // Applies the change right away and reloads the folders if saving fails
+  const updateFolder = async (id, updates, failureMessage) => {
+    setFolders((prev) => upsertFolder(prev, { id, ...updates }))
+
+    const { error } = await supabase.from('note_folders').update(updates).eq('id', id)
+
+    if (error) {
+      console.error('[Folders] Error updating folder:', error)
+      toast.error(failureMessage)
+      loadFolders()
+      return { error }
+    }
+
+    return { error: null }
+  }
+
+  const renameFolder = (id, name) => updateFolder(id, { name: name.trim() }, 'Failed to rename folder')
+
+  const setFolderSort = (id, sortBy) => updateFolder(id, { sort_by: sortBy }, 'Failed to save sort order')
+
+  // parentId: the new parent folder, or null for the top level
+  const moveFolder = async (id, parentId) => {
+    if (!canMoveFolder(folders, id, parentId)) {
+      return { error: 'A folder can\'t be moved into itself or one of its subfolders' }
+    }
+    return updateFolder(id, { parent_id: parentId }, 'Failed to move folder')
+  }
+
+  // Notes and subfolders move up to the deleted folder's parent
+  const deleteFolder = async (id) => {
+    const folder = folders.find((f) => f.id === id)
+    const parentId = folder?.parent_id || null
+
+    setFolders((prev) =>
+      prev
+        .filter((f) => f.id !== id)
+        .map((f) => (f.parent_id === id ? { ...f, parent_id: parentId } : f))
+    )
+    notes
+      .filter((note) => note.folder_id === id)
+      .forEach((note) => updateNote(note.id, { folder_id: parentId }))
+
+    const { error } = await supabase.rpc('delete_note_folder', { folder_uuid: id })
+
+    if (error) {
+      console.error('[Folders] Error deleting folder:', error)
+      toast.error('Failed to delete folder')
+      loadFolders()
+      return { error }
+    }
+
+    toast.success('Folder deleted')
+    return { error: null }
+  }
+
+  // folderId: the folder to file the note in, or null to unfile it
+  const moveNote = async (noteId, folderId) => {
+    const note = notes.find((n) => n.id === noteId)
+    if (!note || (note.folder_id || null) === folderId) return { error: null }
+
+    const previousFolderId = note.folder_id || null
+    updateNote(noteId, { folder_id: folderId })
+
+    // Goes through the offline queue like other note edits
+    const { error } = await persistMutation({
+      kind: 'note',
+      recordId: noteId,
+      userId: user?.id,
+      updates: { folder_id: folderId },
+      columns: 'id, folder_id',
+    })
+
+    if (error) {
+      console.error('[Folders] Error moving note:', error)
+      toast.error('Failed to move note')
+      updateNote(noteId, { folder_id: previousFolderId })
+      return { error }
+    }
+
+    return { error: null }
+  }
+
+  return {
+    folders,
+    loading,
+    createFolder,
+    renameFolder,
+    setFolderSort,
+    moveFolder,
+    deleteFolder,
+    moveNote,
+  }
+}
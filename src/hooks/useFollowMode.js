@@ -0,0 +1,141 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import toast from 'react-hot-toast'
+
+const VIEWPORT_THROTTLE_MS = 100
+
+// Viewports are shared as the scene point at the centre of the screen, so
+// followers with a different window size still look at the same spot
+const getViewportCenter = ({ scrollX, scrollY, zoom, width, height }) => ({
+  centerX: width / 2 / zoom.value - scrollX,
+  centerY: height / 2 / zoom.value - scrollY,
+  zoom: zoom.value,
+})
+
+const getScrollForCenter = ({ centerX, centerY, zoom }, { width, height }) => ({
+  scrollX: width / 2 / zoom - centerX,
+  scrollY: height / 2 / zoom - centerY,
+})
+
+const isSameViewport = (a, b) =>
+  Math.abs(a.scrollX - b.scrollX) < 1 &&
+  Math.abs(a.scrollY - b.scrollY) < 1 &&
+  Math.abs(a.zoom - b.zoom) < 0.001
+
+/**
+ * Follow a collaborator's scroll position and zoom
+ * Every client broadcasts its viewport ('viewport-update', throttled) on the
+ * canvas channel; a follower applies the followed user's viewport and asks
+ * for it once when it starts following ('viewport-request'). Panning or
+ * zooming locally stops following
+ */
+export const useFollowMode = ({
+  user,
+  channelRef,
+  isChannelSubscribedRef,
+  excalidrawAPI,
+  activeCollaborators,
+}) => {
+  const [followingUserId, setFollowingUserId] = useState(null)
+  const followingUserIdRef = useRef(null)
+  const appliedViewportRef = useRef(null)
+  const lastSentRef = useRef(0)
+  const throttleTimeoutRef = useRef(null)
+
+  const broadcast = useCallback((event, payload) => {
+    const channel = channelRef.current
+    if (!channel || !isChannelSubscribedRef.current || !user) return
+
+    channel.send({
+      type: 'broadcast',
+      event,
+      payload: { ...payload, userId: user.id },
+    })
+  }, [user, channelRef, isChannelSubscribedRef])
+
+  const sendViewport = useCallback(() => {
+    throttleTimeoutRef.current = null
+    if (!excalidrawAPI) return
+
+    lastSentRef.current = Date.now()
+    broadcast('viewport-update', getViewportCenter(excalidrawAPI.getAppState()))
+  }, [excalidrawAPI, broadcast])
+
+  const stopFollowing = useCallback(() => {
+    followingUserIdRef.current = null
+    appliedViewportRef.current = null
+    setFollowingUserId(null)
+  }, [])
+
+  const startFollowing = useCallback((userId) => {
+    if (followingUserIdRef.current === userId) {
+      stopFollowing()
+      return
+    }
+
+    followingUserIdRef.current = userId
+    appliedViewportRef.current = null
+    setFollowingUserId(userId)
+    broadcast('viewport-request', { targetUserId: userId })
+  }, [broadcast, stopFollowing])
+
+  // Pass to Excalidraw's onScrollChange
+  const handleScrollChange = useCallback((scrollX, scrollY, zoom) => {
+    const applied = appliedViewportRef.current
+    if (
+      followingUserIdRef.current &&
+      applied &&
+      !isSameViewport(applied, { scrollX, scrollY, zoom: zoom.value })
+    ) {
+      stopFollowing()
+      toast('Stopped following')
+    }
+
+    if (throttleTimeoutRef.current) return
+    const wait = Math.max(0, VIEWPORT_THROTTLE_MS - (Date.now() - lastSentRef.current))
+    throttleTimeoutRef.current = setTimeout(sendViewport, wait)
+  }, [sendViewport, stopFollowing])
+
+  const handleViewportMessage = useCallback((payload) => {
+    if (!excalidrawAPI || payload?.userId !== followingUserIdRef.current) return
+
+    const appState = excalidrawAPI.getAppState()
+    const { scrollX, scrollY } = getScrollForCenter(payload, appState)
+    appliedViewportRef.current = { scrollX, scrollY, zoom: payload.zoom }
+
+    excalidrawAPI.updateScene({
+      appState: {
+        scrollX,
+        scrollY,
+        zoom: { value: payload.zoom },
+      },
+    })
+  }, [excalidrawAPI])
+
+  const handleViewportRequest = useCallback((payload) => {
+    if (payload?.targetUserId === user?.id) sendViewport()
+  }, [user, sendViewport])
+
+  // Stop following someone who left the canvas
+  useEffect(() => {
+    if (followingUserId && !activeCollaborators.some((c) => c.id === followingUserId)) {
+      stopFollowing()
+    }
+  }, [activeCollaborators, followingUserId, stopFollowing])
+
+  useEffect(() => {
+    return () => {
+      if (throttleTimeoutRef.current) {
+        clearTimeout(throttleTimeoutRef.current)
+      }
+    }
+  }, [])
+
+  return {
+    followingUserId,
+    startFollowing,
+    stopFollowing,
+    handleScrollChange,
+    handleViewportMessage,
+    handleViewportRequest,
+  }
+}
@@ -2,6 +2,15 @@ import { useCallback, useRef, useEffect } from 'react'
 import { useCanvasTools } from './useCanvasTools'
 import { useCanvasSync } from './useCanvasSync'
 import { useCanvasRenderer } from './useCanvasRenderer'
+import { detectElementChanges } from '../utils/canvasDiff'
+import {
+  applyOperation,
+  createChangeOperations,
+  createDeletionOperation,
+  createReplica,
+  elementToOperation,
+  mergeOperations
+} from '../utils/canvasCrdt'
 
 /**
  * Enhanced canvas state manager with instant rendering capabilities
@@ -58,6 +67,8 @@ export const useInstantCanvasState = ({
   // Track content changes for delta detection
   const contentVersionRef = useRef(0)
   const elementMapRef = useRef(new Map())
+  // Per-property merge state shared by local edits and remote operations
+  const replicaRef = useRef(createReplica())
   const updateBatchRef = useRef([])
   const batchTimeoutRef = useRef(null)
 
@@ -114,35 +125,7 @@ export const useInstantCanvasState = ({
 
   // Detect changes between current and new elements
   const detectChanges = useCallback((newElements) => {
-    const changes = {
-      updated: [],
-      removed: [],
-      added: []
-    }
-
-    const newElementMap = new Map()
-    newElements.forEach(element => {
-      newElementMap.set(element.id, element)
-    })
-
-    // Find updated and added elements
-    newElements.forEach(element => {
-      const existing = elementMapRef.current.get(element.id)
-      if (!existing) {
-        changes.added.push(element)
-      } else if (existing._version !== (element.version || 0)) {
-        changes.updated.push(element)
-      }
-    })
-
-    // Find removed elements
-    elementMapRef.current.forEach((existing, id) => {
-      if (!newElementMap.has(id)) {
-        changes.removed.push({ id })
-      }
-    })
-
-    return changes
+    return detectElementChanges(elementMapRef.current, newElements)
   }, [])
 
   // Update canvas content with instant rendering
@@ -153,6 +136,10 @@ export const useInstantCanvasState = ({
       return { changed: false }
     }
 
+    // Record the edit as merge operations while the previous elements are known
+    const operations = createChangeOperations(elementMapRef.current, changes, userId)
+    operations.forEach(operation => applyOperation(replicaRef.current, operation))
+
     // Update element map
     initializeElementMap(elements)
 
@@ -164,9 +151,9 @@ export const useInstantCanvasState = ({
     }
 
     // Queue changes for synchronization
-    changes.updated.forEach(element => queueChange(element, 'update'))
-    changes.added.forEach(element => queueChange(element, 'update'))
-    changes.removed.forEach(element => queueChange(element, 'remove'))
+    changes.updated.forEach(element => queueChange(element, 'update', operations.get(element.id)))
+    changes.added.forEach(element => queueChange(element, 'update', operations.get(element.id)))
+    changes.removed.forEach(element => queueChange(element, 'remove', operations.get(element.id)))
 
     // Queue instant rendering updates
     if (enableInstantRendering) {
@@ -181,24 +168,26 @@ export const useInstantCanvasState = ({
       changes,
       content: canvasContentRef.current
     }
-  }, [detectChanges, initializeElementMap, queueChange, enableInstantRendering, batchUpdate])
+  }, [userId, detectChanges, initializeElementMap, queueChange, enableInstantRendering, batchUpdate])
 
   // Apply external content updates with instant rendering
   const applyExternalUpdate = useCallback((updatePayload) => {
-    const { changed = [], removed = [] } = updatePayload
+    const { changed = [], removed = [], operations, userId: fromUserId } = updatePayload
 
     // Create updated elements array
     const currentElements = [...canvasContentRef.current.elements]
     const elementMap = new Map()
     currentElements.forEach(el => elementMap.set(el.id, el))
 
-    // Remove elements
-    removed.forEach(id => {
-      elementMap.delete(id)
-    })
+    // Clients without operations send whole elements, which merge as
+    // full-element operations
+    const remoteOperations = operations || [
+      ...changed.map(element => elementToOperation(element, fromUserId)),
+      ...removed.map(id => createDeletionOperation(elementMap.get(id) || { id }, fromUserId))
+    ]
 
-    // Update or add changed elements
-    changed.forEach(element => {
+    // Merge per property; deleted elements stay in the scene as tombstones
+    mergeOperations(replicaRef.current, remoteOperations).forEach(element => {
       elementMap.set(element.id, element)
     })
 
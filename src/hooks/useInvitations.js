@@ -0,0 +1,81 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useStore } from '../store/useStore'
+import toast from 'react-hot-toast'
+import { INVITATION_STATUS } from '../utils/invitations'
+
+/**
+ * Canvas invitations addressed to the signed-in user
+ * Invitations are canvas_collaborators rows matched by email (case-insensitive)
+ */
+export const useInvitations = () => {
+  const [invitations, setInvitations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const { user } = useStore()
+
+  const loadInvitations = useCallback(async () => {
+    if (!user) return
+
+    setLoading(true)
+    const { data, error } = await supabase.rpc('list_my_canvas_invitations')
+
+    if (error) {
+      console.error('Error loading invitations:', error)
+    } else {
+      setInvitations(data || [])
+    }
+    setLoading(false)
+  }, [user])
+
+  useEffect(() => {
+    if (!user) return
+
+    loadInvitations()
+
+    // RLS only delivers rows addressed to this user, so any change means a reload
+    const subscription = supabase
+      .channel(`invitations-${user.id}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'canvas_collaborators',
+        },
+        () => loadInvitations()
+      )
+      .subscribe()
+
+    return () => {
+      subscription.unsubscribe()
+    }
+  }, [user, loadInvitations])
+
+  const respond = async (invitationId, accept) => {
+    const { data, error } = await supabase.rpc('respond_to_canvas_invitation', {
+      invitation_id: invitationId,
+      accept,
+    })
+
+    if (error) {
+      console.error('Error responding to invitation:', error)
+      toast.error(error.message || 'Failed to respond to invitation')
+      return { error }
+    }
+
+    setInvitations((prev) =>
+      prev.map((inv) => (inv.id === invitationId ? { ...inv, status: data.status } : inv))
+    )
+    toast.success(accept ? 'Invitation accepted' : 'Invitation declined')
+    return { data }
+  }
+
+  return {
+    invitations,
+    pendingInvitations: invitations.filter((inv) => inv.status === INVITATION_STATUS.PENDING),
+    loading,
+    acceptInvitation: (invitationId) => respond(invitationId, true),
+    declineInvitation: (invitationId) => respond(invitationId, false),
+    reload: loadInvitations,
+  }
+}
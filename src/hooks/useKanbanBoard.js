@@ -0,0 +1,143 @@
+import { useCallback, useRef, useState } from 'react'
+import { CaptureUpdateAction } from '@excalidraw/excalidraw'
+import toast from 'react-hot-toast'
+import { getSceneVersion } from '../lib/canvasThumbnails'
+import {
+  convertToBoard,
+  createCard,
+  createColumn,
+  getBoardSummary,
+  getKanbanRole,
+  snapBoard
+} from '../utils/kanbanBoard'
+
+const NEW_CARD_TEXT = 'New card'
+
+const positionKey = (element) => `${element.x},${element.y}`
+
+const selectOnly = (ids) => ({
+  appState: { selectedElementIds: Object.fromEntries(ids.map((id) => [id, true])) }
+})
+
+/**
+ * Kanban board mode for a canvas editor (see utils/kanbanBoard)
+ * Call handleBoardChange from the editor's onChange: once the local user drops
+ * board elements, cards are snapped into their columns and take the status of
+ * the column they landed in. The result goes back through updateScene, so it
+ * is saved and synced to collaborators like any other edit. Moves made by
+ * collaborators are snapped on their side.
+ * board: the columns and cards for the board panel
+ */
+export const useKanbanBoard = ({ excalidrawAPI, canEdit }) => {
+  const [board, setBoard] = useState([])
+  const boardKeyRef = useRef('[]')
+  // Board element id -> position at the last change, to spot what moved
+  const positionsRef = useRef(new Map())
+  const sceneVersionRef = useRef(null)
+
+  const applyScene = useCallback((elements, selectedIds) => {
+    excalidrawAPI.updateScene({
+      elements,
+      ...(selectedIds && selectOnly(selectedIds)),
+      captureUpdate: CaptureUpdateAction.IMMEDIATELY
+    })
+  }, [excalidrawAPI])
+
+  const snap = useCallback((movedIds) => {
+    if (!excalidrawAPI) return
+
+    const result = snapBoard(excalidrawAPI.getSceneElementsIncludingDeleted(), movedIds)
+    if (result.changed.length > 0) applyScene(result.elements)
+  }, [excalidrawAPI, applyScene])
+
+  const handleBoardChange = useCallback((elements, appState) => {
+    const boardElements = elements.filter((element) => getKanbanRole(element))
+    if (boardElements.length === 0 && positionsRef.current.size === 0) return
+
+    // Wait for drags, resizes and text edits to finish
+    if (appState.selectedElementsAreBeingDragged || appState.resizingElement || appState.editingTextElement) return
+
+    // onChange also fires for selection, scrolling and pointer moves
+    const sceneVersion = getSceneVersion(elements)
+    if (sceneVersion === sceneVersionRef.current) return
+    sceneVersionRef.current = sceneVersion
+
+    const summary = getBoardSummary(elements)
+    const key = JSON.stringify(summary)
+    if (key !== boardKeyRef.current) {
+      boardKeyRef.current = key
+      setBoard(summary)
+    }
+
+    const previous = positionsRef.current
+    positionsRef.current = new Map(boardElements.map((element) => [element.id, positionKey(element)]))
+    if (!canEdit) return
+
+    // Only elements this user has selected; collaborators snap their own
+    const movedIds = boardElements
+      .filter((element) => appState.selectedElementIds?.[element.id])
+      .filter((element) => previous.get(element.id) !== positionKey(element))
+      .map((element) => element.id)
+
+    // Headings are checked on every change, so edits to them apply too
+    queueMicrotask(() => snap(movedIds))
+  }, [canEdit, snap])
+
+  const addColumn = useCallback((title) => {
+    if (!excalidrawAPI || !canEdit) return
+
+    const elements = excalidrawAPI.getSceneElementsIncludingDeleted()
+    const column = createColumn(elements.filter((element) => !element.isDeleted), title)
+    applyScene([...elements, ...column], [column[0].id])
+    excalidrawAPI.scrollToContent(column[0], { animate: true })
+  }, [excalidrawAPI, canEdit, applyScene])
+
+  const addCard = useCallback((status) => {
+    if (!excalidrawAPI || !canEdit) return
+
+    const elements = excalidrawAPI.getSceneElementsIncludingDeleted()
+    const card = createCard(elements.filter((element) => !element.isDeleted), status, NEW_CARD_TEXT)
+    if (card.length === 0) return
+
+    // Columns grow to fit their cards
+    const { elements: snapped } = snapBoard([...elements, ...card], [card[0].id])
+    applyScene(snapped, [card[0].id])
+    excalidrawAPI.scrollToContent(card[0], { animate: true })
+  }, [excalidrawAPI, canEdit, applyScene])
+
+  const convertSelection = useCallback(() => {
+    if (!excalidrawAPI || !canEdit) return
+
+    const selectedIds = Object.keys(excalidrawAPI.getAppState().selectedElementIds || {})
+    const result = convertToBoard(excalidrawAPI.getSceneElementsIncludingDeleted(), selectedIds)
+    if (result.columns === 0) {
+      toast.error('Select the rectangles of your board first')
+      return
+    }
+
+    applyScene(result.elements)
+    toast.success(
+      `Board with ${result.columns} column${result.columns === 1 ? '' : 's'} and ${result.cards} card${result.cards === 1 ? '' : 's'}`
+    )
+  }, [excalidrawAPI, canEdit, applyScene])
+
+  // Scrolls to a card or column and selects it
+  const focusElement = useCallback((id) => {
+    if (!excalidrawAPI) return
+
+    const element = excalidrawAPI.getSceneElements().find((e) => e.id === id)
+    if (!element) return
+
+    excalidrawAPI.updateScene({ ...selectOnly([id]), captureUpdate: CaptureUpdateAction.NEVER })
+    excalidrawAPI.scrollToContent(element, { animate: true })
+  }, [excalidrawAPI])
+
+  return {
+    board,
+    handleBoardChange,
+    addColumn,
+    addCard,
+    convertSelection,
+    focusElement
+  }
+}
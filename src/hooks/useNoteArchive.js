@@ -0,0 +1,250 @@
+import { useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useStore } from '../store/useStore'
+import toast from 'react-hot-toast'
+import { hydrateCanvasFiles, toStoredCanvasFiles, uploadCanvasFiles } from '../lib/canvasFiles'
+import { renderCanvasToPng, renderCanvasToSvg } from '../lib/canvasImage'
+import { runBatch } from '../utils/batchActions'
+import { groupTagsByNote } from '../utils/noteTags'
+import { isTrashed } from '../utils/trash'
+import {
+  buildArchiveEntries,
+  findFolderByPathName,
+  getUniqueFileName,
+  hasCanvas,
+  planImport,
+  readArchiveEntries,
+  unzipArchiveEntries,
+  zipArchiveEntries,
+} from '../utils/noteArchive'
+
+const plural = (count) => `${count} note${count === 1 ? '' : 's'}`
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// { path: text } for the picked files; ZIPs are unpacked
+const readFiles = async (files) => {
+  const entries = {}
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name)) {
+      Object.entries(unzipArchiveEntries(new Uint8Array(await file.arrayBuffer()))).forEach(([path, text]) => {
+        entries[`${file.name}/${path}`] = text
+      })
+    } else {
+      entries[file.name] = await file.text()
+    }
+  }
+  return entries
+}
+
+/**
+ * Workspace export and import (see utils/noteArchive)
+ * exportNotes downloads notes as a ZIP of Markdown and .excalidraw files, with
+ * their images. importFiles recreates notes from ZIP, .md and .excalidraw
+ * files, skipping notes that already exist (same id or title), and returns
+ * { created, skipped: [{ note, reason }], failed: [{ note, message }] }
+ * exportCanvasImages downloads every canvas as SVG and PNG (see lib/canvasImage)
+ * busy is true while any of them runs
+ */
+export const useNoteArchive = () => {
+  const { user, notes } = useStore()
+  const [busy, setBusy] = useState(false)
+
+  // folders, tags, tagLinks: written to the front-matter
+  const exportNotes = async (notesToExport, { folders = [], tags = [], tagLinks = [] } = {}) => {
+    setBusy(true)
+    const toastId = toast.loading(`Exporting ${plural(notesToExport.length)}...`)
+
+    try {
+      // Image data lives in canvas_files; the .excalidraw files embed it
+      const filesByNote = new Map()
+      for (const note of notesToExport.filter((n) => hasCanvas(n.canvas_data))) {
+        filesByNote.set(note.id, await hydrateCanvasFiles(note.id, note.canvas_data))
+      }
+
+      const entries = buildArchiveEntries(notesToExport, {
+        folders,
+        tagsByNote: groupTagsByNote(tags, tagLinks),
+        filesByNote,
+      })
+      downloadBlob(
+        new Blob([zipArchiveEntries(entries)], { type: 'application/zip' }),
+        `notes-${new Date().toISOString().slice(0, 10)}.zip`
+      )
+      toast.success(`${plural(notesToExport.length)} exported`, { id: toastId })
+    } catch (err) {
+      console.error('[Archive] Error exporting notes:', err)
+      toast.error('Failed to export notes', { id: toastId })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // A ZIP with an SVG and a 2x PNG of each canvas; options go to the renderer
+  const exportCanvasImages = async (notesToExport, options = {}) => {
+    const withCanvas = notesToExport.filter((note) => hasCanvas(note.canvas_data))
+    if (withCanvas.length === 0) {
+      toast.error('No canvases to export')
+      return
+    }
+
+    setBusy(true)
+    const toastId = toast.loading('Rendering canvases...')
+
+    try {
+      const used = new Set()
+      const entries = {}
+      for (const [index, note] of withCanvas.entries()) {
+        toast.loading(`Rendering ${index + 1} of ${withCanvas.length} canvases...`, { id: toastId })
+        const scene = {
+          elements: note.canvas_data.elements,
+          files: await hydrateCanvasFiles(note.id, note.canvas_data),
+        }
+        const name = getUniqueFileName(note.title, used)
+
+        entries[`${name}.svg`] = renderCanvasToSvg(scene, options).svg
+        const png = await renderCanvasToPng(scene, { scale: 2, ...options })
+        if (png.data) entries[`${name}.png`] = png.data
+      }
+
+      downloadBlob(
+        new Blob([zipArchiveEntries(entries)], { type: 'application/zip' }),
+        `canvases-${new Date().toISOString().slice(0, 10)}.zip`
+      )
+      toast.success(`${withCanvas.length} canvas${withCanvas.length === 1 ? '' : 'es'} exported`, { id: toastId })
+    } catch (err) {
+      console.error('[Archive] Error exporting canvases:', err)
+      toast.error('Failed to export canvases', { id: toastId })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // folders: to file notes back into the folder named in their front-matter;
+  // folderId: where notes without a matching folder go (null for unfiled)
+  // tagging: from useTags, to restore tags by name (creating missing ones)
+  const importFiles = async (files, { folders = [], folderId = null, tagging } = {}) => {
+    if (!user) return { error: 'Not authenticated' }
+
+    setBusy(true)
+    const toastId = toast.loading('Reading files...')
+
+    try {
+      let imported
+      try {
+        imported = readArchiveEntries(await readFiles(files))
+      } catch (err) {
+        console.error('[Archive] Error reading import:', err)
+        toast.error('Could not read the file. Pick a ZIP, Markdown or .excalidraw file', { id: toastId })
+        return { error: err }
+      }
+
+      if (imported.length === 0) {
+        toast.error('No notes found to import', { id: toastId })
+        return { created: [], skipped: [], failed: [] }
+      }
+
+      const { toCreate, skipped } = planImport(imported, notes.filter((note) => !isTrashed(note)))
+      const rows = new Map(
+        toCreate.map((note) => {
+          const id = crypto.randomUUID()
+          return [id, {
+            note,
+            row: {
+              id,
+              user_id: user.id,
+              title: note.title,
+              content: note.content,
+              canvas_data: note.canvas_data,
+              folder_id: findFolderByPathName(folders, note.folder)?.id ?? folderId,
+              ...(note.created_at && { created_at: note.created_at }),
+            },
+          }]
+        })
+      )
+
+      const result = await runBatch(
+        [...rows.keys()],
+        (chunk) =>
+          supabase
+            .from('notes')
+            .insert(chunk.map((id) => rows.get(id).row))
+            .select('id'),
+        {
+          onProgress: (done, total) => toast.loading(`Importing ${done} of ${plural(total)}...`, { id: toastId }),
+        }
+      )
+
+      // Move inline images to canvas_files, as the canvas editor does on save
+      const imageFailures = []
+      for (const id of result.succeeded) {
+        const { canvas_data: canvasData } = rows.get(id).row
+        const inlineFiles = Object.values(canvasData?.files || {}).filter((file) => file?.dataURL)
+        if (inlineFiles.length === 0) continue
+
+        const { error: uploadError } = await uploadCanvasFiles(id, user.id, canvasData.files)
+        const { error } = uploadError
+          ? { error: uploadError }
+          : await supabase
+            .from('notes')
+            .update({ canvas_data: { ...canvasData, files: toStoredCanvasFiles(id, canvasData.files) } })
+            .eq('id', id)
+        if (error) {
+          console.error('[Archive] Error storing canvas images:', error)
+          imageFailures.push({
+            note: rows.get(id).note,
+            message: `Imported, but its images could not be stored: ${error.message || error}`,
+          })
+        }
+      }
+
+      if (tagging) {
+        const idsByTag = new Map()
+        result.succeeded.forEach((id) => {
+          rows.get(id).note.tags.forEach((name) => {
+            idsByTag.set(name, [...(idsByTag.get(name) || []), id])
+          })
+        })
+        for (const [name, noteIds] of idsByTag) {
+          const { data: tag } = await tagging.createTag(name)
+          if (tag) await tagging.tagNotes(tag.id, noteIds)
+        }
+      }
+
+      const created = result.succeeded.map((id) => rows.get(id).note)
+      const failed = [
+        ...result.failed.map(({ id, message }) => ({ note: rows.get(id).note, message })),
+        ...imageFailures,
+      ]
+      const summary = [
+        `${plural(created.length)} imported`,
+        skipped.length > 0 && `${skipped.length} skipped as duplicates`,
+        result.failed.length > 0 && `${result.failed.length} failed`,
+        imageFailures.length > 0 && `${imageFailures.length} without stored images`,
+      ].filter(Boolean).join(', ')
+
+      if (created.length > 0) {
+        toast.success(summary, { id: toastId })
+      } else {
+        toast.error(summary, { id: toastId })
+      }
+      return { created, skipped, failed }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return {
+    busy,
+    exportNotes,
+    exportCanvasImages,
+    importFiles,
+  }
+}
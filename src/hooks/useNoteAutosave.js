@@ -0,0 +1,230 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useStore } from '../store/useStore'
+import { mergeNoteFields } from '../utils/noteMerge'
+
+export const AUTOSAVE_DELAY_MS = 1500
+
+// The values a save writes for the editor's title and content
+export const toNoteFields = ({ title, content }) => ({
+  title: (title || '').trim() || 'Untitled Note',
+  content: (content || '').trim(),
+})
+
+const toBase = (row) => ({ ...toNoteFields(row), updated_at: row.updated_at })
+
+const sameFields = (a, b) => a.title === b.title && a.content === b.content
+
+/**
+ * Debounced autosave for the note editor
+ * Tracks the server version the edit is based on (base). Saves are
+ * conditional on base.updated_at, so a note changed in another session is
+ * never silently overwritten: non-overlapping changes are merged and saved,
+ * overlapping ones surface as conflict ({ mine, theirs, merged, conflicts })
+ * for a merge view to settle with resolveConflict(fields).
+ * Remote updates arriving through the notes store are applied with
+ * onRemoteChange(fields) while there are no local edits.
+ * With isLive (others are co-editing, see useNoteCollaboration) the local text
+ * already holds their edits, so a newer server copy only becomes the base and
+ * saves go on top of it instead of opening the merge view. onSaved(row) is
+ * called after each save; acknowledgeRemoteSave(row) takes a save announced by
+ * another session as the base.
+ *
+ * status: 'saved' | 'unsaved' | 'saving' | 'queued' (saved offline) | 'conflict' | 'error'
+ */
+export const useNoteAutosave = ({
+  note,
+  title,
+  content,
+  updateNote,
+  onRemoteChange,
+  onSaved,
+  isLive = false,
+  delayMs = AUTOSAVE_DELAY_MS,
+}) => {
+  const [base, setBase] = useState(null)
+  const [saveState, setSaveState] = useState('saved')
+  const [conflict, setConflict] = useState(null)
+  const storedNote = useStore((state) => state.notes.find((n) => n.id === note?.id))
+
+  const baseRef = useRef(null)
+  const latestRef = useRef({ title, content })
+  const savePromiseRef = useRef(null)
+  const onRemoteChangeRef = useRef(onRemoteChange)
+  const updateNoteRef = useRef(updateNote)
+  const onSavedRef = useRef(onSaved)
+  const isLiveRef = useRef(isLive)
+  latestRef.current = { title, content }
+  onRemoteChangeRef.current = onRemoteChange
+  updateNoteRef.current = updateNote
+  onSavedRef.current = onSaved
+  isLiveRef.current = isLive
+
+  const updateBase = useCallback((next) => {
+    baseRef.current = next
+    setBase(next)
+  }, [])
+
+  const isDirty = Boolean(base) && !sameFields(toNoteFields({ title, content }), base)
+
+  // Start from the opened note
+  useEffect(() => {
+    if (!note) return
+    updateBase(toBase(note))
+    setSaveState('saved')
+    setConflict(null)
+  }, [note, updateBase])
+
+  const applyFields = useCallback((fields) => {
+    latestRef.current = fields
+    onRemoteChangeRef.current?.(fields)
+  }, [])
+
+  const runSave = useCallback(async () => {
+    const current = baseRef.current
+    if (!note || !current) return { skipped: true }
+
+    const fields = toNoteFields(latestRef.current)
+    if (sameFields(fields, current)) return { data: null }
+
+    setSaveState('saving')
+    const updatedAt = new Date().toISOString()
+    const result = await updateNoteRef.current(
+      note.id,
+      { ...fields, updated_at: updatedAt },
+      { expectedUpdatedAt: current.updated_at }
+    )
+
+    if (result.conflict) {
+      const theirs = result.conflict
+
+      // Nothing changed on the server, so the update was refused (e.g. by RLS)
+      if (theirs.updated_at === current.updated_at) {
+        setSaveState('error')
+        return { error: 'Not allowed' }
+      }
+
+      // Co-editors' changes are already in the text; save it over their copy
+      if (isLiveRef.current) {
+        updateBase(toBase(theirs))
+        return runSave()
+      }
+
+      const { merged, conflicts } = mergeNoteFields(current, fields, toNoteFields(theirs))
+      if (conflicts.length === 0) {
+        // The edits don't overlap: save the merge on top of the server copy
+        console.log('[NoteAutosave] Merged changes from another session')
+        updateBase(toBase(theirs))
+        applyFields(merged)
+        return runSave()
+      }
+
+      setConflict({ mine: fields, theirs: toBase(theirs), merged, conflicts })
+      setSaveState('conflict')
+      return { conflict: theirs }
+    }
+
+    if (result.error) {
+      setSaveState('error')
+      return result
+    }
+
+    const saved = { ...fields, updated_at: result.data?.updated_at || updatedAt }
+    updateBase(saved)
+    setSaveState(result.queued ? 'queued' : 'saved')
+    if (!result.queued) onSavedRef.current?.(saved)
+    return result
+  }, [note, updateBase, applyFields])
+
+  // One save at a time; a save requested meanwhile runs after it with the latest edits
+  const save = useCallback(async () => {
+    while (savePromiseRef.current) {
+      await savePromiseRef.current
+    }
+
+    const promise = runSave()
+    savePromiseRef.current = promise
+    try {
+      return await promise
+    } finally {
+      if (savePromiseRef.current === promise) savePromiseRef.current = null
+    }
+  }, [runSave])
+
+  // Debounced autosave; waits while a conflict is open
+  useEffect(() => {
+    if (!isDirty || saveState === 'conflict') return
+
+    const timer = setTimeout(save, delayMs)
+    return () => clearTimeout(timer)
+  }, [title, content, isDirty, saveState, save, delayMs])
+
+  // Realtime updates land in the notes store; take them while there are no local edits
+  useEffect(() => {
+    const current = baseRef.current
+    if (!storedNote || !current || savePromiseRef.current) return
+    if (storedNote.updated_at === current.updated_at) return
+    if (new Date(storedNote.updated_at) < new Date(current.updated_at)) return // Echo of an older save
+
+    const remote = toBase(storedNote)
+    if (isLiveRef.current) {
+      // The text arrives through the co-editing channel
+      updateBase(remote)
+      return
+    }
+
+    const dirty = !sameFields(toNoteFields(latestRef.current), current)
+    if (sameFields(remote, current) || !dirty) {
+      // e.g. a canvas save, or an edit made elsewhere while this one is idle
+      updateBase(remote)
+      if (!sameFields(remote, current)) applyFields(remote)
+    }
+    // With local edits pending, the next save detects the conflict
+  }, [storedNote, base, updateBase, applyFields])
+
+  // row: { title, content, updated_at } saved by a co-editor
+  const acknowledgeRemoteSave = useCallback((row) => {
+    const current = baseRef.current
+    if (!current || new Date(row.updated_at) <= new Date(current.updated_at)) return
+    updateBase(toBase(row))
+  }, [updateBase])
+
+  // fields: the merged title and content chosen in the merge view
+  const resolveConflict = useCallback((fields) => {
+    if (!conflict) return Promise.resolve({ skipped: true })
+
+    updateBase(conflict.theirs)
+    applyFields(fields)
+    setConflict(null)
+    setSaveState('saved')
+    return save()
+  }, [conflict, updateBase, applyFields, save])
+
+  // Warn before leaving the page with edits that aren't saved
+  const hasUnsavedWork = isDirty || saveState === 'saving' || saveState === 'conflict'
+  useEffect(() => {
+    if (!hasUnsavedWork) return
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault()
+      e.returnValue = ''
+    }
+    window.addEventListener('beforeunload', handleBeforeUnload)
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload)
+  }, [hasUnsavedWork])
+
+  const status = ['saving', 'conflict', 'error'].includes(saveState)
+    ? saveState
+    : isDirty
+      ? 'unsaved'
+      : saveState
+
+  return {
+    status,
+    isDirty,
+    hasUnsavedWork,
+    conflict,
+    save,
+    resolveConflict,
+    acknowledgeRemoteSave,
+  }
+}
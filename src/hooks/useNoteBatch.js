@@ -0,0 +1,161 @@
+import { useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useStore } from '../store/useStore'
+import toast from 'react-hot-toast'
+import { sendMail } from '../lib/mailer'
+import { formatBatchSummary, runBatch } from '../utils/batchActions'
+import { INVITATION_STATUS, buildInvitationEmail, emailsMatch, getInvitationExpiry, normalizeEmail } from '../utils/invitations'
+
+/**
+ * Actions on many of the user's notes at once: trash, restore, move to a
+ * folder and share. Each action runs as a batch of chunked requests
+ * (see utils/batchActions) with optimistic updates that are rolled back for
+ * the notes that failed.
+ * progress: { label, done, total } while a batch runs
+ * report: { label, succeeded, failed: [{ id, message }] } after a batch where
+ * some notes failed, until clearReport()
+ */
+export const useNoteBatch = () => {
+  const { user, notes, updateNote, selectedNote, setSelectedNote } = useStore()
+  const [progress, setProgress] = useState(null)
+  const [report, setReport] = useState(null)
+
+  // skipped: [{ id, message }] for notes left out of the batch up front; they
+  // are reported with the notes that failed
+  const run = async (label, ids, runChunk, { skipped = [], ...options } = {}) => {
+    setReport(null)
+    setProgress({ label, done: 0, total: ids.length })
+
+    const batch = await runBatch(ids, runChunk, {
+      ...options,
+      onProgress: (done, total) => setProgress({ label, done, total }),
+    })
+    const result = { succeeded: batch.succeeded, failed: [...skipped, ...batch.failed] }
+
+    setProgress(null)
+    if (result.failed.length > 0) {
+      const total = result.succeeded.length + result.failed.length
+      console.error(`[Batch] ${label}: ${result.failed.length} of ${total} failed`, result.failed)
+      setReport({ label, ...result })
+    }
+    return result
+  }
+
+  // One UPDATE per chunk; failed notes get their previous values back
+  const updateNotes = async (label, ids, updates) => {
+    const previous = new Map(notes.filter((n) => ids.includes(n.id)).map((n) => [n.id, n]))
+    ids.forEach((id) => updateNote(id, updates))
+
+    const result = await run(label, ids, (chunk) =>
+      supabase
+        .from('notes')
+        .update(updates)
+        .in('id', chunk)
+        .eq('user_id', user.id)
+        .select('id')
+    )
+
+    result.failed.forEach(({ id }) => {
+      const note = previous.get(id)
+      if (!note) return
+      updateNote(id, Object.fromEntries(Object.keys(updates).map((key) => [key, note[key] ?? null])))
+    })
+    return result
+  }
+
+  const trashNotes = async (ids) => {
+    if (ids.includes(selectedNote?.id)) {
+      setSelectedNote(null)
+    }
+    return updateNotes('Moving to Trash', ids, { deleted_at: new Date().toISOString() })
+  }
+
+  const restoreNotes = async (ids) => {
+    const result = await updateNotes('Restoring', ids, { deleted_at: null })
+    toast.success(formatBatchSummary(result, 'restored'))
+    return result
+  }
+
+  // folderId: a folder id, or null to take the notes out of their folders
+  const moveNotes = async (ids, folderId) => {
+    const result = await updateNotes('Moving', ids, { folder_id: folderId })
+    toast.success(formatBatchSummary(result, 'moved'))
+    return result
+  }
+
+  // Invites one person to every note the user owns (only owners can invite,
+  // see canvas-collaborator-roles.sql); notes already shared with them, in any
+  // letter case, are reported as failed rather than failing the whole chunk
+  const shareNotes = async (ids, { email, role }) => {
+    const inviteEmail = normalizeEmail(email)
+    const titles = new Map(notes.map((n) => [n.id, n.title]))
+    const owners = new Map(notes.map((n) => [n.id, n.user_id]))
+    const owned = ids.filter((id) => owners.get(id) === user.id)
+    const invitations = []
+
+    const result = await run(
+      'Sharing',
+      owned,
+      async (chunk) => {
+        const { data: existing, error: existingError } = await supabase
+          .from('canvas_collaborators')
+          .select('note_id, collaborator_email')
+          .in('note_id', chunk)
+        if (existingError) return { error: existingError }
+
+        const shared = new Set(
+          existing
+            .filter((row) => emailsMatch(row.collaborator_email, inviteEmail))
+            .map((row) => row.note_id)
+        )
+        const toInvite = chunk.filter((noteId) => !shared.has(noteId))
+        if (toInvite.length === 0) return { data: [], error: null }
+
+        const { data, error } = await supabase
+          .from('canvas_collaborators')
+          .insert(
+            toInvite.map((noteId) => ({
+              note_id: noteId,
+              collaborator_email: inviteEmail,
+              role,
+              status: INVITATION_STATUS.PENDING,
+              expires_at: getInvitationExpiry(),
+              added_by: user.id,
+            }))
+          )
+          .select()
+        if (data) invitations.push(...data)
+        return { data, error }
+      },
+      {
+        getId: (row) => row.note_id,
+        missingMessage: `Already shared with ${inviteEmail}`,
+        skipped: ids
+          .filter((id) => !owned.includes(id))
+          .map((id) => ({ id, message: 'Only the note\'s owner can share it' })),
+      }
+    )
+
+    const mailResults = await Promise.all(
+      invitations.map((invitation) =>
+        sendMail(buildInvitationEmail({ invitation, inviterEmail: user.email, noteTitle: titles.get(invitation.note_id) }))
+      )
+    )
+    if (mailResults.some((mail) => mail.error)) {
+      toast.error('Invitations saved, but some emails could not be sent')
+    }
+
+    toast.success(formatBatchSummary(result, `shared with ${inviteEmail}`))
+    return result
+  }
+
+  return {
+    progress,
+    report,
+    clearReport: () => setReport(null),
+    trashNotes,
+    restoreNotes,
+    moveNotes,
+    shareNotes,
+  }
+}
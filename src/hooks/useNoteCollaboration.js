@@ -0,0 +1,340 @@
+import { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import {
+  applyTextOperations,
+  createTextOperations,
+  createTextReplica,
+  getCharIdBefore,
+  getIndexAfterCharId,
+  getReplicaOperations,
+  getText,
+  getVisibleIds,
+  loadText,
+} from '../utils/textCrdt'
+import { CURSOR_THROTTLE_MS, getCollaboratorColor, getCollaboratorName } from '../utils/remoteCursors'
+
+const FIELDS = ['title', 'content']
+
+// How long a joining session waits for the others' text before using the saved note
+const SYNC_TIMEOUT_MS = 3000
+
+const createSessionId = () => Math.random().toString(36).slice(2, 10)
+
+const toValue = (replica) => ({ text: getText(replica), ids: getVisibleIds(replica) })
+
+const toInitialValues = (note) => ({
+  title: { text: note?.title || '', ids: [] },
+  content: { text: note?.content || '', ids: [] },
+})
+
+/**
+ * Live co-editing of a note's title and content
+ * Each field is a text replica (see utils/textCrdt). Local edits become
+ * operations broadcast as 'note-ops' on the note-${noteId} channel, the way
+ * canvases broadcast on canvas-${noteId}; carets go out as 'note-caret' and
+ * the channel's presence tracks who has the note open.
+ * A session that opens the note while others are editing asks them for their
+ * replicas ('note-sync-request' / 'note-sync-state') and is read-only until
+ * one arrives (isReady); alone, it starts from the saved note. Saves are
+ * announced with announceSave(row) as 'note-saved' and reach the other
+ * sessions through onRemoteSave(row).
+ * inputRefs: { title, content } refs of the inputs, used to keep the local
+ * selection in place under remote edits and to send the caret
+ */
+export const useNoteCollaboration = ({ note, user, inputRefs, onRemoteSave }) => {
+  const [values, setValues] = useState(() => toInitialValues(note))
+  const [isReady, setIsReady] = useState(false)
+  const [collaborators, setCollaborators] = useState([])
+  const [carets, setCarets] = useState({})
+
+  const sessionIdRef = useRef(createSessionId())
+  const replicasRef = useRef(null)
+  const renderedRef = useRef(values)
+  const readyRef = useRef(false)
+  const queuedOpsRef = useRef([])
+  const channelRef = useRef(null)
+  const isChannelSubscribedRef = useRef(false)
+  const restoreSelectionRef = useRef(null)
+  const caretTimeoutRef = useRef(null)
+  const lastCaretSentRef = useRef(0)
+  const onRemoteSaveRef = useRef(onRemoteSave)
+  const inputRefsRef = useRef(inputRefs)
+  onRemoteSaveRef.current = onRemoteSave
+  inputRefsRef.current = inputRefs
+
+  const noteId = note?.id
+  // The saved text to start from; read when the session becomes ready
+  const noteRef = useRef(note)
+  noteRef.current = note
+
+  const send = useCallback((event, payload) => {
+    const channel = channelRef.current
+    if (!channel || !isChannelSubscribedRef.current) return
+    channel.send({ type: 'broadcast', event, payload })
+  }, [])
+
+  const publish = useCallback(() => {
+    const replicas = replicasRef.current
+    setValues({ title: toValue(replicas.title), content: toValue(replicas.content) })
+  }, [])
+
+  // Adopts a replica: the saved note's text, or the operations another session sent
+  const startSession = useCallback((operations = null) => {
+    const replicas = {}
+    FIELDS.forEach((field) => {
+      replicas[field] = createTextReplica(sessionIdRef.current)
+      if (operations) {
+        applyTextOperations(replicas[field], operations[field] || [])
+      } else {
+        loadText(replicas[field], noteRef.current?.[field] || '')
+      }
+    })
+    replicasRef.current = replicas
+
+    // Edits that arrived while waiting
+    queuedOpsRef.current.forEach(({ field, ops }) => applyTextOperations(replicas[field], ops))
+    queuedOpsRef.current = []
+
+    readyRef.current = true
+    setIsReady(true)
+    publish()
+  }, [publish])
+
+  // Applies remote operations, keeping a focused input's selection on the same characters
+  const applyRemoteOps = useCallback((field, ops) => {
+    const replica = replicasRef.current?.[field]
+    if (!replica) return
+
+    const input = inputRefsRef.current[field]?.current
+    const rendered = renderedRef.current[field]
+    const selection = input && document.activeElement === input
+      ? {
+          field,
+          start: getCharIdBefore(rendered.ids, input.selectionStart),
+          end: getCharIdBefore(rendered.ids, input.selectionEnd),
+          direction: input.selectionDirection,
+        }
+      : null
+
+    if (!applyTextOperations(replica, ops)) return
+
+    if (selection) restoreSelectionRef.current = selection
+    publish()
+  }, [publish])
+
+  useLayoutEffect(() => {
+    renderedRef.current = values
+
+    const selection = restoreSelectionRef.current
+    if (!selection) return
+    restoreSelectionRef.current = null
+
+    const input = inputRefsRef.current[selection.field]?.current
+    const replica = replicasRef.current?.[selection.field]
+    if (!input || !replica) return
+
+    const start = getIndexAfterCharId(replica, selection.start)
+    const end = getIndexAfterCharId(replica, selection.end)
+    if (start !== null && end !== null) {
+      input.setSelectionRange(start, end, selection.direction || 'none')
+    }
+  }, [values])
+
+  // Channel for operations, carets and saves, with presence for who is editing
+  useEffect(() => {
+    if (!noteId) return
+
+    readyRef.current = false
+    replicasRef.current = null
+    queuedOpsRef.current = []
+    setIsReady(false)
+    setCollaborators([])
+    setCarets({})
+    setValues(toInitialValues(noteRef.current))
+
+    // Signed out (or no realtime): edit the saved note on its own
+    if (!user) {
+      startSession()
+      return
+    }
+
+    const sessionId = sessionIdRef.current
+    let requestedState = false
+    const fallbackTimeout = setTimeout(() => {
+      if (!readyRef.current) startSession()
+    }, SYNC_TIMEOUT_MS)
+
+    const channel = supabase.channel(`note-${noteId}`, {
+      config: { broadcast: { self: false }, presence: { key: sessionId } }
+    })
+    channelRef.current = channel
+
+    channel.on('broadcast', { event: 'note-ops' }, ({ payload }) => {
+      if (!payload?.field || !FIELDS.includes(payload.field)) return
+      if (!readyRef.current) {
+        queuedOpsRef.current.push(payload)
+        return
+      }
+      applyRemoteOps(payload.field, payload.ops)
+    })
+
+    channel.on('broadcast', { event: 'note-caret' }, ({ payload }) => {
+      if (!payload?.sessionId) return
+      setCarets((prev) => ({ ...prev, [payload.sessionId]: payload }))
+    })
+
+    channel.on('broadcast', { event: 'note-sync-request' }, ({ payload }) => {
+      if (!readyRef.current || !payload?.sessionId) return
+      const replicas = replicasRef.current
+      send('note-sync-state', {
+        targetSessionId: payload.sessionId,
+        title: getReplicaOperations(replicas.title),
+        content: getReplicaOperations(replicas.content),
+      })
+    })
+
+    channel.on('broadcast', { event: 'note-sync-state' }, ({ payload }) => {
+      if (payload?.targetSessionId !== sessionId) return
+      if (!readyRef.current) {
+        startSession(payload)
+        return
+      }
+      // Another session answered too; its replica holds the same edits
+      FIELDS.forEach((field) => applyRemoteOps(field, payload[field] || []))
+    })
+
+    channel.on('broadcast', { event: 'note-saved' }, ({ payload }) => {
+      if (payload?.updated_at) onRemoteSaveRef.current?.(payload)
+    })
+
+    channel.on('presence', { event: 'sync' }, () => {
+      const others = Object.entries(channel.presenceState())
+        .filter(([key]) => key !== sessionId)
+        .map(([key, presences]) => ({ sessionId: key, ...presences[0]?.user }))
+        .filter((other) => other.id)
+      setCollaborators(others)
+
+      // Drop carets of sessions that left
+      setCarets((prev) => {
+        const next = {}
+        others.forEach((other) => {
+          if (prev[other.sessionId]) next[other.sessionId] = prev[other.sessionId]
+        })
+        return next
+      })
+
+      if (readyRef.current) return
+      if (others.length === 0) {
+        startSession()
+      } else if (!requestedState) {
+        requestedState = true
+        send('note-sync-request', { sessionId })
+      }
+    })
+
+    channel.subscribe(async (status) => {
+      if (status === 'SUBSCRIBED') {
+        isChannelSubscribedRef.current = true
+        await channel.track({
+          user: {
+            id: user.id,
+            email: user.email,
+            name: getCollaboratorName(user)
+          },
+          online_at: new Date().toISOString()
+        })
+      } else if ((status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') && !readyRef.current) {
+        startSession()
+      }
+    })
+
+    return () => {
+      clearTimeout(fallbackTimeout)
+      clearTimeout(caretTimeoutRef.current)
+      caretTimeoutRef.current = null
+      channel.untrack()
+      channel.unsubscribe()
+      channelRef.current = null
+      isChannelSubscribedRef.current = false
+    }
+  }, [noteId, user, startSession, applyRemoteOps, send])
+
+  const sendCaret = useCallback(() => {
+    caretTimeoutRef.current = null
+    lastCaretSentRef.current = Date.now()
+
+    const focusedField = FIELDS.find((field) => {
+      const input = inputRefsRef.current[field]?.current
+      return input && document.activeElement === input
+    })
+    const input = focusedField && inputRefsRef.current[focusedField].current
+    const rendered = focusedField && renderedRef.current[focusedField]
+
+    send('note-caret', {
+      sessionId: sessionIdRef.current,
+      userId: user?.id,
+      username: getCollaboratorName(user),
+      field: focusedField || null,
+      start: input ? getCharIdBefore(rendered.ids, input.selectionStart) : null,
+      end: input ? getCharIdBefore(rendered.ids, input.selectionEnd) : null,
+    })
+  }, [user, send])
+
+  // Call on selection changes, focus and blur; sends at most once per CURSOR_THROTTLE_MS
+  const updateCaret = useCallback(() => {
+    if (!readyRef.current || caretTimeoutRef.current) return
+
+    const wait = Math.max(0, CURSOR_THROTTLE_MS - (Date.now() - lastCaretSentRef.current))
+    caretTimeoutRef.current = setTimeout(sendCaret, wait)
+  }, [sendCaret])
+
+  // Local edit of a field: text is the field's whole new value
+  const setValue = useCallback((field, text) => {
+    const replica = replicasRef.current?.[field]
+    if (!readyRef.current || !replica) return
+
+    const ops = createTextOperations(replica, renderedRef.current[field], text)
+    if (ops.length === 0) return
+
+    publish()
+    send('note-ops', { field, ops })
+    updateCaret()
+  }, [publish, send, updateCaret])
+
+  const announceSave = useCallback((row) => {
+    send('note-saved', {
+      title: row.title,
+      content: row.content,
+      updated_at: row.updated_at,
+    })
+  }, [send])
+
+  // Other sessions' carets as indexes into the current text
+  const replicas = replicasRef.current
+  const remoteCarets = replicas
+    ? Object.values(carets)
+      .filter((caret) => caret.field && replicas[caret.field])
+      .map((caret) => ({
+        sessionId: caret.sessionId,
+        userId: caret.userId,
+        name: caret.username,
+        color: getCollaboratorColor(caret.userId).background,
+        field: caret.field,
+        start: getIndexAfterCharId(replicas[caret.field], caret.start),
+        end: getIndexAfterCharId(replicas[caret.field], caret.end),
+      }))
+      .filter((caret) => caret.start !== null && caret.end !== null)
+    : []
+
+  return {
+    title: values.title.text,
+    content: values.content.text,
+    setValue,
+    updateCaret,
+    announceSave,
+    isReady,
+    isLive: collaborators.length > 0,
+    collaborators,
+    remoteCarets,
+  }
+}
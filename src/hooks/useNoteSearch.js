@@ -0,0 +1,90 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { toSearchResult } from '../utils/searchSnippets'
+import { hasSearchCriteria, toSearchFilters } from '../utils/searchQuery'
+
+export const SEARCH_DEBOUNCE_MS = 250
+const RESULTS_PAGE = 50
+const MAX_RESULTS = 500
+
+/**
+ * Full-text search served by search_notes() (see notes-search.sql)
+ * parsed: the search bar query from parseSearchQuery. Its text matches titles,
+ * content and canvas text by word prefix and its filters narrow the results,
+ * which come ranked by relevance as { note, rank, snippets }. Runs shortly
+ * after typing stops and again when refreshKey changes (e.g. the notes list
+ * was updated); responses to older queries are dropped. tagNoteIds resolves
+ * tag: filters (see toSearchFilters). Notes in the Trash are never returned.
+ * Results come a page at a time: truncated says there are more matches than
+ * shown, and loadMore fetches the next page (up to MAX_RESULTS)
+ */
+export const useNoteSearch = (parsed, { refreshKey, tagNoteIds } = {}) => {
+  const [results, setResults] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [truncated, setTruncated] = useState(false)
+  // How many results to show, for the query it was raised for
+  const [page, setPage] = useState({ key: '', limit: RESULTS_PAGE })
+  const requestRef = useRef(0)
+
+  const isSearching = hasSearchCriteria(parsed)
+  // Dates resolve to timestamps here, so the request only changes with the query
+  const requestKey = isSearching
+    ? JSON.stringify({ text: parsed.text, filters: toSearchFilters(parsed.filters, { tagNoteIds }) })
+    : ''
+  const limit = page.key === requestKey ? page.limit : RESULTS_PAGE
+
+  useEffect(() => {
+    if (!requestKey) {
+      requestRef.current++
+      setResults([])
+      setTruncated(false)
+      setLoading(false)
+      setError(null)
+      return
+    }
+
+    setLoading(true)
+    const request = ++requestRef.current
+
+    const timer = setTimeout(async () => {
+      const { text, filters } = JSON.parse(requestKey)
+      const { data, error: searchError } = await supabase.rpc('search_notes', {
+        search_query: text || null,
+        filters,
+        // One more than shown, to tell whether there are more
+        max_results: limit + 1,
+      })
+
+      if (request !== requestRef.current) return
+
+      if (searchError) {
+        console.error('[NoteSearch] Error searching notes:', searchError)
+        setError(searchError)
+        setResults([])
+        setTruncated(false)
+      } else {
+        setError(null)
+        setResults((data || []).slice(0, limit).map(toSearchResult))
+        setTruncated((data || []).length > limit)
+      }
+      setLoading(false)
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => clearTimeout(timer)
+  }, [requestKey, refreshKey, limit])
+
+  const loadMore = useCallback(() => {
+    setPage({ key: requestKey, limit: Math.min(limit + RESULTS_PAGE, MAX_RESULTS) })
+  }, [requestKey, limit])
+
+  return {
+    results,
+    loading,
+    error,
+    isSearching,
+    truncated,
+    canLoadMore: truncated && limit < MAX_RESULTS,
+    loadMore,
+  }
+}
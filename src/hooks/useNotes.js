@@ -1,7 +1,9 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useMemo, useState } from 'react'
 import { supabase } from '../lib/supabase'
 import { useStore } from '../store/useStore'
 import toast from 'react-hot-toast'
+import { persistMutation } from '../lib/offlineQueue'
+import { getPurgeCutoff, splitTrashedNotes } from '../utils/trash'
 
 export const useNotes = () => {
   const [loading, setLoading] = useState(false)
@@ -13,6 +15,18 @@ export const useNotes = () => {
 
     const fetchNotes = async () => {
       setLoading(true)
+
+      // Purge notes that have been in the trash too long (pg_cron does this
+      // too where it is enabled, see notes-trash.sql)
+      const { error: purgeError } = await supabase
+        .from('notes')
+        .delete()
+        .eq('user_id', user.id)
+        .lt('deleted_at', getPurgeCutoff().toISOString())
+      if (purgeError) {
+        console.error('Error purging trashed notes:', purgeError)
+      }
+
       console.log('Fetching notes for user:', user.id, user.email)
       const { data, error } = await supabase
         .from('notes')
@@ -101,23 +115,80 @@ export const useNotes = () => {
     return { data }
   }
 
-  const updateNoteData = async (id, updates) => {
-    const { data, error } = await supabase
-      .from('notes')
-      .update(updates)
-      .eq('id', id)
-      .select()
-      .single()
+  // Pass expectedUpdatedAt to only save over the version the edit started from
+  const updateNoteData = async (id, updates, { expectedUpdatedAt } = {}) => {
+    const { data, error, queued, conflict } = await persistMutation({
+      kind: 'note',
+      recordId: id,
+      userId: user?.id,
+      updates,
+      expectedUpdatedAt,
+    })
 
     if (error) {
       toast.error('Failed to update note')
       return { error }
     }
 
+    if (conflict) {
+      return { conflict }
+    }
+
+    if (queued) {
+      // Saved locally; show the edit now, it is sent when back online
+      updateNote(id, updates)
+      return { data: { ...notes.find((n) => n.id === id), ...updates }, queued }
+    }
+
     return { data }
   }
 
-  const removeNote = async (id) => {
+  // Soft delete: the note moves to the Trash and can be restored
+  const setNoteTrashed = async (id, trashed) => {
+    const previous = notes.find((n) => n.id === id)
+    const deletedAt = trashed ? new Date().toISOString() : null
+
+    // Optimistically update UI immediately
+    updateNote(id, { deleted_at: deletedAt })
+    if (trashed && selectedNote?.id === id) {
+      setSelectedNote(null)
+    }
+
+    const { error } = await persistMutation({
+      kind: 'note',
+      recordId: id,
+      userId: user?.id,
+      updates: { deleted_at: deletedAt },
+      columns: 'id, deleted_at',
+    })
+
+    if (error) {
+      console.error('Error updating note trash state:', error)
+      toast.error(trashed ? 'Failed to move note to Trash' : 'Failed to restore note')
+      updateNote(id, { deleted_at: previous?.deleted_at ?? null })
+      return { error }
+    }
+
+    return { error: null }
+  }
+
+  const trashNote = (id) => setNoteTrashed(id, true)
+
+  const restoreNote = (id) => setNoteTrashed(id, false)
+
+  const refetchNotes = async () => {
+    const { data } = await supabase
+      .from('notes')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('updated_at', { ascending: false })
+    if (data) {
+      setNotes(data || [])
+    }
+  }
+
+  // Permanent delete; collaborators, comments and history go with the note
+  const deleteNoteForever = async (id) => {
     // Optimistically update UI immediately
     deleteNote(id)
     
@@ -131,27 +202,49 @@ export const useNotes = () => {
     if (error) {
       // If deletion fails, restore the note by refetching
       toast.error('Failed to delete note')
-      // Refetch notes to restore state
-      const { data } = await supabase
-        .from('notes')
-        .select('*')
-        .eq('user_id', user.id)
-        .order('updated_at', { ascending: false })
-      if (data) {
-        setNotes(data || [])
-      }
+      await refetchNotes()
       return { error }
     }
 
-    toast.success('Note deleted')
+    toast.success('Note deleted permanently')
     return { error: null }
   }
 
+  const emptyTrash = async () => {
+    const trashedIds = notes.filter((n) => n.deleted_at).map((n) => n.id)
+    if (trashedIds.length === 0) return { error: null }
+
+    trashedIds.forEach((id) => deleteNote(id))
+
+    const { error } = await supabase
+      .from('notes')
+      .delete()
+      .eq('user_id', user.id)
+      .not('deleted_at', 'is', null)
+
+    if (error) {
+      toast.error('Failed to empty Trash')
+      await refetchNotes()
+      return { error }
+    }
+
+    toast.success('Trash emptied')
+    return { error: null }
+  }
+
+  // Memoized so the lists keep their identity between renders, like notes
+  const { active, trashed } = useMemo(() => splitTrashedNotes(notes), [notes])
+
   return {
-    notes,
+    // Trashed notes are only listed in trashedNotes
+    notes: active,
+    trashedNotes: trashed,
     loading,
     createNote,
     updateNote: updateNoteData,
-    deleteNote: removeNote,
+    deleteNote: trashNote,
+    restoreNote,
+    deleteNoteForever,
+    emptyTrash,
   }
 }
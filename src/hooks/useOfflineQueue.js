@@ -0,0 +1,98 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useStore } from '../store/useStore'
+import toast from 'react-hot-toast'
+import { isOnline as getIsOnline, replayQueuedMutations, subscribeToQueue } from '../lib/offlineQueue'
+
+// Retry delays for mutations that stay queued while the browser is online
+const RETRY_BASE_DELAY = 2000
+const RETRY_MAX_DELAY = 60000
+
+/**
+ * Connection state and offline queue status for the current user
+ * Status only; the queue is replayed by useOfflineQueueReplay, which the app
+ * mounts once
+ */
+export const useOfflineQueue = () => {
+  const { user } = useStore()
+  const [isOnline, setIsOnline] = useState(getIsOnline())
+  const [pendingCount, setPendingCount] = useState(0)
+  const [isReplaying, setIsReplaying] = useState(false)
+
+  useEffect(() => {
+    if (!user) return
+
+    return subscribeToQueue(({ mutations, isReplaying: replaying }) => {
+      setPendingCount(mutations.filter((m) => m.userId === user.id).length)
+      setIsReplaying(replaying)
+    })
+  }, [user])
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true)
+    const handleOffline = () => setIsOnline(false)
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [])
+
+  return { isOnline, pendingCount, isReplaying }
+}
+
+/**
+ * Replays queued mutations whenever the browser comes back online (and on
+ * mount, for changes left over from a previous session)
+ * A save can also be queued while the browser thinks it is online (a request
+ * failed with a network error); such mutations are retried with backoff until
+ * they go through. Mount this once, near the root of the app
+ */
+export const useOfflineQueueReplay = () => {
+  const { user } = useStore()
+  const { isOnline, pendingCount, isReplaying } = useOfflineQueue()
+  const retryRef = useRef({ timer: null, delay: RETRY_BASE_DELAY })
+
+  const replay = useCallback(async () => {
+    if (!user) return
+
+    const { applied, conflicts, dropped, remaining } = await replayQueuedMutations(user.id)
+    if (remaining === 0) retryRef.current.delay = RETRY_BASE_DELAY
+
+    if (applied > 0) {
+      toast.success(`Synced ${applied} offline change${applied === 1 ? '' : 's'}`)
+    }
+    if (conflicts > 0) {
+      toast(`${conflicts} offline change${conflicts === 1 ? ' was' : 's were'} newer on the server and kept the server version`)
+    }
+    if (dropped > 0) {
+      toast.error(`${dropped} offline change${dropped === 1 ? '' : 's'} could not be saved`)
+    }
+  }, [user])
+
+  useEffect(() => {
+    if (isOnline) replay()
+  }, [isOnline, replay])
+
+  // Mutations left in the queue while online: try again later, backing off
+  useEffect(() => {
+    const retry = retryRef.current
+    if (!isOnline || isReplaying || pendingCount === 0 || retry.timer) return
+
+    retry.timer = setTimeout(() => {
+      retry.timer = null
+      retry.delay = Math.min(retry.delay * 2, RETRY_MAX_DELAY)
+      replay()
+    }, retry.delay)
+  }, [isOnline, isReplaying, pendingCount, replay])
+
+  useEffect(() => {
+    const retry = retryRef.current
+    return () => {
+      clearTimeout(retry.timer)
+      retry.timer = null
+    }
+  }, [])
+}
@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useRef } from 'react'
+import {
+  CURSOR_THROTTLE_MS,
+  buildCollaboratorsMap,
+  getCollaboratorName,
+} from '../utils/remoteCursors'
+
+const IDLE_CHECK_INTERVAL_MS = 1000
+
+/**
+ * Live collaborator cursors and selections
+ * Sends the local pointer (throttled) and selection as 'cursor-update'
+ * broadcasts on the canvas channel, and hands received ones to Excalidraw's
+ * collaborators map, which draws each user's pointer, name label and selected
+ * elements in their colour. Register handleCursorMessage on the channel and
+ * pass handlePointerUpdate to Excalidraw's onPointerUpdate
+ */
+export const useRemoteCursors = ({
+  user,
+  channelRef,
+  isChannelSubscribedRef,
+  excalidrawAPI,
+  activeCollaborators,
+}) => {
+  const cursorsRef = useRef(new Map())
+  const excalidrawAPIRef = useRef(excalidrawAPI)
+  const pendingPointerRef = useRef(null)
+  const lastSentRef = useRef(0)
+  const throttleTimeoutRef = useRef(null)
+
+  useEffect(() => {
+    excalidrawAPIRef.current = excalidrawAPI
+  }, [excalidrawAPI])
+
+  const renderCursors = useCallback(() => {
+    const collaborators = buildCollaboratorsMap(cursorsRef.current)
+
+    // Forget cursors that timed out
+    cursorsRef.current.forEach((_cursor, userId) => {
+      if (!collaborators.has(userId)) cursorsRef.current.delete(userId)
+    })
+
+    excalidrawAPIRef.current?.updateScene({ collaborators })
+  }, [])
+
+  const sendPointer = useCallback(() => {
+    throttleTimeoutRef.current = null
+
+    const channel = channelRef.current
+    const pending = pendingPointerRef.current
+    if (!channel || !isChannelSubscribedRef.current || !pending || !user) return
+
+    pendingPointerRef.current = null
+    lastSentRef.current = Date.now()
+
+    channel.send({
+      type: 'broadcast',
+      event: 'cursor-update',
+      payload: {
+        userId: user.id,
+        username: getCollaboratorName(user),
+        pointer: pending.pointer,
+        button: pending.button,
+        selectedElementIds: excalidrawAPIRef.current?.getAppState().selectedElementIds || {},
+      },
+    })
+  }, [user, channelRef, isChannelSubscribedRef])
+
+  // Keeps only the latest pointer and sends it once per CURSOR_THROTTLE_MS
+  const handlePointerUpdate = useCallback(({ pointer, button }) => {
+    pendingPointerRef.current = { pointer, button }
+    if (throttleTimeoutRef.current) return
+
+    const wait = Math.max(0, CURSOR_THROTTLE_MS - (Date.now() - lastSentRef.current))
+    throttleTimeoutRef.current = setTimeout(sendPointer, wait)
+  }, [sendPointer])
+
+  const handleCursorMessage = useCallback((payload) => {
+    if (!payload?.userId || payload.userId === user?.id) return
+
+    cursorsRef.current.set(payload.userId, {
+      username: payload.username,
+      pointer: payload.pointer,
+      button: payload.button,
+      selectedElementIds: payload.selectedElementIds,
+      lastSeen: Date.now(),
+    })
+    renderCursors()
+  }, [user, renderCursors])
+
+  // Drop cursors of collaborators who left the presence channel
+  useEffect(() => {
+    const activeIds = new Set(activeCollaborators.map((c) => c.id))
+    let removed = false
+    cursorsRef.current.forEach((_cursor, userId) => {
+      if (!activeIds.has(userId)) {
+        cursorsRef.current.delete(userId)
+        removed = true
+      }
+    })
+    if (removed) renderCursors()
+  }, [activeCollaborators, renderCursors])
+
+  // Re-render periodically so idle cursors fade and stale ones disappear
+  useEffect(() => {
+    const interval = setInterval(() => {
+      if (cursorsRef.current.size > 0) renderCursors()
+    }, IDLE_CHECK_INTERVAL_MS)
+
+    return () => {
+      clearInterval(interval)
+      if (throttleTimeoutRef.current) {
+        clearTimeout(throttleTimeoutRef.current)
+      }
+    }
+  }, [renderCursors])
+
+  return {
+    handlePointerUpdate,
+    handleCursorMessage,
+  }
+}
@@ -0,0 +1,248 @@
+import { useCallback, useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useStore } from '../store/useStore'
+import toast from 'react-hot-toast'
+import { normalizeTagName, pickTagColor } from '../utils/noteTags'
+
+const sortByName = (tags) => [...tags].sort((a, b) => a.name.localeCompare(b.name))
+
+const upsertTag = (tags, tag) =>
+  sortByName(tags.some((t) => t.id === tag.id)
+    ? tags.map((t) => (t.id === tag.id ? { ...t, ...tag } : t))
+    : [...tags, tag])
+
+const sameLink = (a, b) => a.note_id === b.note_id && a.tag_id === b.tag_id
+
+const addLinks = (links, added) => [...links, ...added.filter((link) => !links.some((l) => sameLink(l, link)))]
+
+/**
+ * The current user's tags (note_tags) and which notes have them
+ * (note_tag_links), see note-tags.sql. Follows changes from the user's other
+ * devices over Realtime. Names are normalized (normalizeTagName); renaming a
+ * tag to an existing name returns { conflict: tag } so the caller can offer a
+ * merge instead. Call once per page and pass the tags down
+ */
+export const useTags = () => {
+  const [tags, setTags] = useState([])
+  const [links, setLinks] = useState([])
+  const [loading, setLoading] = useState(false)
+  const { user } = useStore()
+
+  const loadTags = useCallback(async () => {
+    if (!user) return
+
+    setLoading(true)
+    const [tagsResult, linksResult] = await Promise.all([
+      supabase.from('note_tags').select('*').eq('user_id', user.id).order('name'),
+      supabase.from('note_tag_links').select('note_id, tag_id').eq('user_id', user.id),
+    ])
+
+    if (tagsResult.error || linksResult.error) {
+      console.error('[Tags] Error loading tags:', tagsResult.error || linksResult.error)
+    } else {
+      setTags(tagsResult.data || [])
+      setLinks(linksResult.data || [])
+    }
+    setLoading(false)
+  }, [user])
+
+  useEffect(() => {
+    if (!user) return
+
+    loadTags()
+
+    const subscription = supabase
+      .channel(`note-tags-${user.id}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'note_tags',
+          filter: `user_id=eq.${user.id}`,
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT' || payload.eventType === 'UPDATE') {
+            setTags((prev) => upsertTag(prev, payload.new))
+          } else if (payload.eventType === 'DELETE') {
+            setTags((prev) => prev.filter((t) => t.id !== payload.old.id))
+            setLinks((prev) => prev.filter((l) => l.tag_id !== payload.old.id))
+          }
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'note_tag_links',
+          filter: `user_id=eq.${user.id}`,
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            setLinks((prev) => addLinks(prev, [{ note_id: payload.new.note_id, tag_id: payload.new.tag_id }]))
+          } else if (payload.eventType === 'DELETE') {
+            setLinks((prev) => prev.filter((l) => !sameLink(l, payload.old)))
+          }
+        }
+      )
+      .subscribe()
+
+    return () => {
+      subscription.unsubscribe()
+    }
+  }, [user, loadTags])
+
+  const findTagByName = (name) => tags.find((t) => t.name.toLowerCase() === name.toLowerCase())
+
+  // Returns the existing tag when one already has this name
+  const createTag = async (rawName, color) => {
+    if (!user) return { error: 'Not authenticated' }
+
+    const name = normalizeTagName(rawName)
+    if (!name) return { error: 'Tag name is empty' }
+
+    const existing = findTagByName(name)
+    if (existing) return { data: existing }
+
+    const { data, error } = await supabase
+      .from('note_tags')
+      .insert({ user_id: user.id, name, color: color || pickTagColor(name) })
+      .select()
+      .single()
+
+    if (error) {
+      console.error('[Tags] Error creating tag:', error)
+      toast.error('Failed to create tag')
+      return { error }
+    }
+
+    setTags((prev) => upsertTag(prev, data))
+    return { data }
+  }
+
+  // updates: { name, color }
+  const updateTag = async (id, updates) => {
+    const changes = { ...updates }
+    if ('name' in changes) {
+      changes.name = normalizeTagName(changes.name)
+      if (!changes.name) return { error: 'Tag name is empty' }
+
+      const conflict = findTagByName(changes.name)
+      if (conflict && conflict.id !== id) return { conflict }
+    }
+
+    setTags((prev) => upsertTag(prev, { id, ...changes }))
+
+    const { error } = await supabase.from('note_tags').update(changes).eq('id', id)
+
+    if (error) {
+      console.error('[Tags] Error updating tag:', error)
+      toast.error('Failed to update tag')
+      loadTags()
+      return { error }
+    }
+
+    return { error: null }
+  }
+
+  const deleteTag = async (id) => {
+    setTags((prev) => prev.filter((t) => t.id !== id))
+    setLinks((prev) => prev.filter((l) => l.tag_id !== id))
+
+    const { error } = await supabase.from('note_tags').delete().eq('id', id)
+
+    if (error) {
+      console.error('[Tags] Error deleting tag:', error)
+      toast.error('Failed to delete tag')
+      loadTags()
+      return { error }
+    }
+
+    return { error: null }
+  }
+
+  // Notes tagged with the source get the target tag; the source is deleted
+  const mergeTags = async (sourceId, targetId) => {
+    if (sourceId === targetId) return { error: 'A tag can\'t be merged into itself' }
+
+    setLinks((prev) =>
+      addLinks(
+        prev.filter((l) => l.tag_id !== sourceId),
+        prev.filter((l) => l.tag_id === sourceId).map((l) => ({ note_id: l.note_id, tag_id: targetId }))
+      )
+    )
+    setTags((prev) => prev.filter((t) => t.id !== sourceId))
+
+    const { error } = await supabase.rpc('merge_note_tags', {
+      source_tag_uuid: sourceId,
+      target_tag_uuid: targetId,
+    })
+
+    if (error) {
+      console.error('[Tags] Error merging tags:', error)
+      toast.error('Failed to merge tags')
+      loadTags()
+      return { error }
+    }
+
+    return { error: null }
+  }
+
+  // Adds a tag to notes (bulk tagging); notes that already have it are skipped
+  const tagNotes = async (tagId, noteIds) => {
+    const added = noteIds
+      .filter((noteId) => !links.some((l) => l.note_id === noteId && l.tag_id === tagId))
+      .map((noteId) => ({ note_id: noteId, tag_id: tagId }))
+    if (added.length === 0) return { error: null }
+
+    setLinks((prev) => addLinks(prev, added))
+
+    const { error } = await supabase
+      .from('note_tag_links')
+      .upsert(added.map((link) => ({ ...link, user_id: user.id })), {
+        onConflict: 'note_id,tag_id',
+        ignoreDuplicates: true,
+      })
+
+    if (error) {
+      console.error('[Tags] Error tagging notes:', error)
+      toast.error('Failed to tag notes')
+      loadTags()
+      return { error }
+    }
+
+    return { error: null }
+  }
+
+  const untagNotes = async (tagId, noteIds) => {
+    setLinks((prev) => prev.filter((l) => !(l.tag_id === tagId && noteIds.includes(l.note_id))))
+
+    const { error } = await supabase
+      .from('note_tag_links')
+      .delete()
+      .eq('tag_id', tagId)
+      .in('note_id', noteIds)
+
+    if (error) {
+      console.error('[Tags] Error removing tag:', error)
+      toast.error('Failed to remove tag')
+      loadTags()
+      return { error }
+    }
+
+    return { error: null }
+  }
+
+  return {
+    tags,
+    links,
+    loading,
+    createTag,
+    updateTag,
+    deleteTag,
+    mergeTags,
+    tagNotes,
+    untagNotes,
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Image files for canvases (canvas_files)
+ *
+ * Excalidraw keeps image data in a files map keyed by file id. Instead of
+ * saving that map inline in notes.canvas_data, each file is stored once in
+ * canvas_files and canvas_data.files only keeps references ({ id, mimeType,
+ * created }). File data is fetched lazily, for the image elements actually on
+ * the scene, and cached for the session.
+ *
+ * Image elements are the source of truth for which files a scene needs, so a
+ * missing reference in canvas_data.files never loses an image.
+ */
+import { supabase } from './supabase'
+
+// Per note (or share token): file ids known to be stored, and loaded file data
+const storedFileIds = new Map()
+const fileCache = new Map()
+
+const getStoredSet = (key) => {
+  if (!storedFileIds.has(key)) storedFileIds.set(key, new Set())
+  return storedFileIds.get(key)
+}
+
+const cacheKey = (key, fileId) => `${key}:${fileId}`
+
+const rowToFile = (row) => ({
+  id: row.file_id,
+  mimeType: row.mime_type,
+  dataURL: row.data_url,
+  created: new Date(row.created_at).getTime(),
+})
+
+export const toFileReference = ({ id, mimeType, created }) => ({ id, mimeType, created })
+
+// File ids referenced by the live image elements of a scene
+export const getImageFileIds = (elements = []) =>
+  Array.from(new Set(
+    elements
+      .filter((element) => element.type === 'image' && element.fileId && !element.isDeleted)
+      .map((element) => element.fileId)
+  ))
+
+/**
+ * Stores files that have data and aren't stored yet
+ * Returns { uploaded: [fileId] } or { error }
+ */
+export const uploadCanvasFiles = async (noteId, userId, files = {}) => {
+  const stored = getStoredSet(noteId)
+  const pending = Object.values(files).filter((file) => file?.dataURL && !stored.has(file.id))
+  if (pending.length === 0) return { uploaded: [] }
+
+  const { error } = await supabase
+    .from('canvas_files')
+    .upsert(
+      pending.map((file) => ({
+        note_id: noteId,
+        file_id: file.id,
+        mime_type: file.mimeType,
+        data_url: file.dataURL,
+        size_bytes: file.dataURL.length,
+        created_by: userId,
+      })),
+      { onConflict: 'note_id,file_id', ignoreDuplicates: true }
+    )
+
+  if (error) {
+    console.error('[CanvasFiles] Error uploading files:', error)
+    return { error }
+  }
+
+  pending.forEach((file) => {
+    stored.add(file.id)
+    fileCache.set(cacheKey(noteId, file.id), file)
+  })
+  return { uploaded: pending.map((file) => file.id) }
+}
+
+/**
+ * The files map to save in canvas_data: references for stored files, inline
+ * data only for files that couldn't be uploaded yet (e.g. while offline)
+ */
+export const toStoredCanvasFiles = (noteId, files = {}) => {
+  const stored = getStoredSet(noteId)
+  return Object.fromEntries(
+    Object.entries(files).map(([fileId, file]) => [
+      fileId,
+      stored.has(fileId) || !file.dataURL ? toFileReference(file) : file,
+    ])
+  )
+}
+
+/**
+ * Loads file data by id, from the session cache first
+ * Pass { shareToken } to read through a public view link instead of RLS
+ * Returns the files that were found
+ */
+export const fetchCanvasFiles = async (noteId, fileIds, { shareToken } = {}) => {
+  const key = noteId || shareToken
+  const missing = fileIds.filter((fileId) => !fileCache.has(cacheKey(key, fileId)))
+
+  if (missing.length > 0) {
+    const { data, error } = shareToken
+      ? await supabase.rpc('get_shared_canvas_files', { share_token: shareToken, file_ids: missing })
+      : await supabase
+        .from('canvas_files')
+        .select('file_id, mime_type, data_url, created_at')
+        .eq('note_id', noteId)
+        .in('file_id', missing)
+
+    if (error) {
+      console.error('[CanvasFiles] Error loading files:', error)
+    } else {
+      const stored = getStoredSet(key)
+      const rows = data || []
+      rows.forEach((row) => {
+        fileCache.set(cacheKey(key, row.file_id), rowToFile(row))
+        stored.add(row.file_id)
+      })
+    }
+  }
+
+  return fileIds
+    .map((fileId) => fileCache.get(cacheKey(key, fileId)))
+    .filter(Boolean)
+}
+
+/**
+ * Full files map for a stored scene: inline files as they are, plus fetched
+ * data for every other file its image elements use
+ */
+export const hydrateCanvasFiles = async (noteId, { elements = [], files = {} }, options) => {
+  const inlineFiles = Object.values(files).filter((file) => file?.dataURL)
+  const inlineIds = new Set(inlineFiles.map((file) => file.id))
+
+  const referencedIds = new Set([...Object.keys(files), ...getImageFileIds(elements)])
+  const toFetch = Array.from(referencedIds).filter((fileId) => !inlineIds.has(fileId))
+  const fetched = toFetch.length > 0 ? await fetchCanvasFiles(noteId, toFetch, options) : []
+
+  return Object.fromEntries([...inlineFiles, ...fetched].map((file) => [file.id, file]))
+}
+
+// Only files with data can be handed to Excalidraw
+export const getLoadedFiles = (files = {}) =>
+  Object.fromEntries(Object.entries(files).filter(([, file]) => file?.dataURL))
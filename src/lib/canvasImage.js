@@ -0,0 +1,407 @@
+/**
+ * Headless SVG and PNG rendering for canvases (notes.canvas_data)
+ *
+ * Excalidraw's own exporters need the editor's DOM, so this module draws the
+ * scene itself: shapes, lines and arrows, freedraw, text, images and frames,
+ * with clean (not hand-drawn) strokes. renderCanvasToSvg is plain string
+ * building and runs anywhere, including Node. renderCanvasToPng rasterizes
+ * that SVG with the active rasterizer: in the browser an <img> drawn onto a
+ * <canvas>; in Node, plug one in at startup, e.g. with @resvg/resvg-js:
+ *
+ *   setRasterizer(async (svg, { width }) =>
+ *     new Resvg(svg, { fitTo: { mode: 'width', value: width } }).render().asPng())
+ *
+ * Stored scenes only keep file references (see lib/canvasFiles); pass the full
+ * files map, e.g. from hydrateCanvasFiles, for images to show.
+ */
+
+export const DEFAULT_RENDER_OPTIONS = {
+  // Output pixels per scene unit
+  scale: 1,
+  // Scene units around the drawing
+  padding: 16,
+  // true for the theme's background, false for transparent, or a colour
+  background: true,
+  // Dark mode colours, as in the editor's dark theme
+  dark: false,
+}
+
+const LIGHT_BACKGROUND = '#ffffff'
+
+// Excalidraw's font family ids
+const FONT_FAMILIES = {
+  1: 'Virgil, Segoe UI Emoji',
+  2: 'Helvetica, Arial, sans-serif',
+  3: 'Cascadia, Consolas, monospace',
+  5: 'Excalifont, Xiaolai, Segoe UI Emoji',
+  6: 'Nunito, Segoe UI Emoji',
+  7: 'Lilita One, Segoe UI Emoji',
+  8: 'Comic Shanns, Segoe UI Emoji',
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const round = (value) => Math.round(value * 100) / 100
+
+const parseHexColor = (color) => {
+  const match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color || '')
+  if (!match) return null
+  let hex = match[1]
+  if (hex.length <= 4) hex = hex.split('').map((c) => c + c).join('')
+  return {
+    rgb: [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255),
+    alpha: hex.length === 8 ? hex.slice(6) : '',
+  }
+}
+
+/**
+ * The colour the editor shows in dark mode, which applies
+ * invert(93%) hue-rotate(180deg) to the scene. Non-hex colours pass through
+ */
+export const toDarkColor = (color) => {
+  const parsed = parseHexColor(color)
+  if (!parsed) return color
+
+  const [r, g, b] = parsed.rgb.map((c) => c * (1 - 2 * 0.93) + 0.93)
+  return `#${[
+    -0.574 * r + 1.43 * g + 0.144 * b,
+    0.426 * r + 0.43 * g + 0.144 * b,
+    0.426 * r + 1.43 * g - 0.856 * b,
+  ]
+    .map((c) => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0'))
+    .join('')}${parsed.alpha}`
+}
+
+const isVisible = (element) => element && !element.isDeleted && element.type !== 'selection'
+
+const isLinear = (element) => ['line', 'arrow', 'freedraw'].includes(element.type)
+
+const rotatePoint = ([x, y], [cx, cy], angle) => [
+  cx + (x - cx) * Math.cos(angle) - (y - cy) * Math.sin(angle),
+  cy + (x - cx) * Math.sin(angle) + (y - cy) * Math.cos(angle),
+]
+
+const getUnrotatedPoints = (element) => {
+  const { x = 0, y = 0, width = 0, height = 0 } = element
+  return isLinear(element) && element.points?.length
+    ? element.points.map(([px, py]) => [x + px, y + py])
+    : [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]
+}
+
+// Elements rotate around the middle of their unrotated bounds
+const getElementCenter = (element) => {
+  const points = getUnrotatedPoints(element)
+  const xs = points.map(([px]) => px)
+  const ys = points.map(([, py]) => py)
+  return [(Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2]
+}
+
+// Corners of the element's rotated box, or its rotated points for lines
+const getElementOutline = (element) => {
+  const points = getUnrotatedPoints(element)
+  return element.angle ? points.map((point) => rotatePoint(point, getElementCenter(element), element.angle)) : points
+}
+
+/**
+ * [minX, minY, maxX, maxY] of the visible elements, or null for an empty scene
+ */
+export const getSceneBounds = (elements = []) => {
+  const points = elements.filter(isVisible).flatMap(getElementOutline)
+  if (points.length === 0) return null
+  const xs = points.map(([px]) => px)
+  const ys = points.map(([, py]) => py)
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+}
+
+// Same rule as Excalidraw: adaptive corners stay 32 units once a side is long enough
+const getCornerRadius = (element) => {
+  if (!element.roundness) return 0
+  const side = Math.min(Math.abs(element.width), Math.abs(element.height))
+  if (element.roundness.type === 3) {
+    const cutoff = (element.roundness.value ?? 32) / 0.25
+    return side <= cutoff ? side * 0.25 : element.roundness.value ?? 32
+  }
+  return side * 0.25
+}
+
+const getDashArray = (element) => {
+  const width = element.strokeWidth || 1
+  if (element.strokeStyle === 'dashed') return `8 ${8 + width}`
+  if (element.strokeStyle === 'dotted') return `1.5 ${6 + width}`
+  return null
+}
+
+const attrs = (values) =>
+  Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined && value !== false)
+    .map(([key, value]) => `${key}="${escapeXml(typeof value === 'number' ? round(value) : value)}"`)
+    .join(' ')
+
+const pointsToPath = (points, { closed = false, smooth = false } = {}) => {
+  if (points.length === 0) return ''
+  const [first, ...rest] = points
+  if (!smooth || points.length < 3) {
+    return `M ${first.map(round).join(' ')} ${rest.map((p) => `L ${p.map(round).join(' ')}`).join(' ')}${closed ? ' Z' : ''}`
+  }
+  // Curves through the midpoints, with each point as the control point
+  const segments = []
+  for (let i = 1; i < points.length - 1; i++) {
+    const mid = [(points[i][0] + points[i + 1][0]) / 2, (points[i][1] + points[i + 1][1]) / 2]
+    const end = i === points.length - 2 ? points[i + 1] : mid
+    segments.push(`Q ${points[i].map(round).join(' ')} ${end.map(round).join(' ')}`)
+  }
+  return `M ${first.map(round).join(' ')} ${segments.join(' ')}${closed ? ' Z' : ''}`
+}
+
+const getArrowhead = (type, tip, from, strokeWidth) => {
+  const angle = Math.atan2(tip[1] - from[1], tip[0] - from[0])
+  const size = Math.max(10, strokeWidth * 5)
+  const at = (distance, spread) => [
+    tip[0] - distance * Math.cos(angle + spread),
+    tip[1] - distance * Math.sin(angle + spread),
+  ]
+  const wing = Math.PI / 7
+
+  switch (type) {
+    case 'bar':
+      return { path: pointsToPath([at(size / 2, Math.PI / 2), at(size / 2, -Math.PI / 2)]) }
+    case 'dot':
+    case 'circle':
+    case 'circle_outline':
+      return { circle: { cx: tip[0], cy: tip[1], r: size / 3 }, filled: type !== 'circle_outline' }
+    case 'triangle':
+    case 'triangle_outline':
+      return { path: pointsToPath([tip, at(size, wing), at(size, -wing)], { closed: true }), filled: type === 'triangle' }
+    case 'diamond':
+    case 'diamond_outline':
+      return {
+        path: pointsToPath([tip, at(size / 2, wing * 2), at(size, 0), at(size / 2, -wing * 2)], { closed: true }),
+        filled: type === 'diamond',
+      }
+    default:
+      return { path: `${pointsToPath([at(size, wing), tip])} ${pointsToPath([tip, at(size, -wing)])}` }
+  }
+}
+
+/**
+ * SVG for a scene. scene: { elements, files } as in canvas_data, with files
+ * holding image data. options: see DEFAULT_RENDER_OPTIONS.
+ * Returns { svg, width, height }, the size in output pixels
+ */
+export const renderCanvasToSvg = (scene, options = {}) => {
+  const { scale, padding, background, dark } = { ...DEFAULT_RENDER_OPTIONS, ...options }
+  const elements = (scene?.elements || []).filter(isVisible)
+  const files = scene?.files || {}
+  const color = (value) => (dark ? toDarkColor(value) : value)
+
+  const [minX, minY, maxX, maxY] = getSceneBounds(elements) || [0, 0, 0, 0]
+  const viewBox = [minX - padding, minY - padding, maxX - minX + padding * 2, maxY - minY + padding * 2]
+  const width = Math.max(1, Math.ceil(viewBox[2] * scale))
+  const height = Math.max(1, Math.ceil(viewBox[3] * scale))
+
+  const patterns = new Map()
+  const getFill = (element) => {
+    const fill = element.backgroundColor
+    if (!fill || fill === 'transparent') return 'none'
+    if (element.fillStyle === 'solid' || !element.fillStyle) return color(fill)
+
+    // Hachure, cross-hatch and zigzag fills as evenly spaced lines
+    const key = `${element.fillStyle}:${fill}:${element.strokeWidth || 1}`
+    if (!patterns.has(key)) {
+      const id = `fill-${patterns.size}`
+      const lineWidth = Math.max(1, (element.strokeWidth || 1) / 2)
+      const lines = element.fillStyle === 'cross-hatch'
+        ? 'M 0 0 L 0 8 M 0 0 L 8 0'
+        : 'M 0 0 L 0 8'
+      patterns.set(key, {
+        id,
+        svg: `<pattern id="${id}" patternUnits="userSpaceOnUse" width="8" height="8" patternTransform="rotate(-45)"><path d="${lines}" ${attrs({ stroke: color(fill), 'stroke-width': lineWidth })}/></pattern>`,
+      })
+    }
+    return `url(#${patterns.get(key).id})`
+  }
+
+  const renderElement = (element) => {
+    const { x = 0, y = 0, width: w = 0, height: h = 0 } = element
+    const stroke = color(element.strokeColor || '#1e1e1e')
+    const strokeWidth = element.strokeWidth || 1
+    const strokeAttrs = {
+      stroke,
+      'stroke-width': strokeWidth,
+      'stroke-dasharray': getDashArray(element),
+      'stroke-linecap': 'round',
+      'stroke-linejoin': 'round',
+    }
+
+    switch (element.type) {
+      case 'rectangle':
+      case 'embeddable':
+      case 'iframe': {
+        const r = getCornerRadius(element)
+        return `<rect ${attrs({ x, y, width: w, height: h, rx: r || null, fill: getFill(element), ...strokeAttrs })}/>`
+      }
+      case 'diamond':
+        return `<path ${attrs({
+          d: pointsToPath([[x + w / 2, y], [x + w, y + h / 2], [x + w / 2, y + h], [x, y + h / 2]], { closed: true }),
+          fill: getFill(element),
+          ...strokeAttrs,
+        })}/>`
+      case 'ellipse':
+        return `<ellipse ${attrs({ cx: x + w / 2, cy: y + h / 2, rx: w / 2, ry: h / 2, fill: getFill(element), ...strokeAttrs })}/>`
+      case 'line':
+      case 'arrow': {
+        const points = (element.points || []).map(([px, py]) => [x + px, y + py])
+        const closed = element.type === 'line' && element.polygon
+        const parts = [
+          `<path ${attrs({
+            d: pointsToPath(points, { smooth: Boolean(element.roundness) && !element.elbowed, closed }),
+            fill: closed ? getFill(element) : 'none',
+            ...strokeAttrs,
+          })}/>`,
+        ]
+        if (element.type === 'arrow' && points.length > 1) {
+          const heads = [
+            [element.endArrowhead === undefined ? 'arrow' : element.endArrowhead, points[points.length - 1], points[points.length - 2]],
+            [element.startArrowhead, points[0], points[1]],
+          ]
+          heads.forEach(([type, tip, from]) => {
+            if (!type) return
+            const head = getArrowhead(type, tip, from, strokeWidth)
+            const headAttrs = { ...strokeAttrs, 'stroke-dasharray': null, fill: head.filled ? stroke : 'none' }
+            parts.push(head.circle
+              ? `<circle ${attrs({ ...head.circle, ...headAttrs })}/>`
+              : `<path ${attrs({ d: head.path, ...headAttrs })}/>`)
+          })
+        }
+        return parts.join('')
+      }
+      case 'freedraw':
+        return `<path ${attrs({
+          d: pointsToPath((element.points || []).map(([px, py]) => [x + px, y + py]), { smooth: true }),
+          fill: 'none',
+          ...strokeAttrs,
+          'stroke-dasharray': null,
+          'stroke-width': strokeWidth * 1.5,
+        })}/>`
+      case 'text': {
+        const fontSize = element.fontSize || 20
+        const lineHeight = fontSize * (element.lineHeight || 1.25)
+        const anchor = { center: 'middle', right: 'end' }[element.textAlign] || 'start'
+        const textX = anchor === 'middle' ? x + w / 2 : anchor === 'end' ? x + w : x
+        const lines = String(element.text ?? element.originalText ?? '').split('\n')
+        return `<text ${attrs({
+          'font-family': FONT_FAMILIES[element.fontFamily] || FONT_FAMILIES[5],
+          'font-size': fontSize,
+          'text-anchor': anchor,
+          fill: stroke,
+          style: 'white-space: pre',
+        })}>${lines
+          .map((line, index) => `<tspan ${attrs({ x: textX, y: y + index * lineHeight + (lineHeight + fontSize * 0.7) / 2 })}>${escapeXml(line)}</tspan>`)
+          .join('')}</text>`
+      }
+      case 'image': {
+        const file = files[element.fileId]
+        if (!file?.dataURL) {
+          // Not loaded: a placeholder the size of the image
+          return `<rect ${attrs({ x, y, width: w, height: h, fill: color('#e9ecef'), stroke: color('#ced4da') })}/>`
+        }
+        const [flipX, flipY] = element.scale || [1, 1]
+        const flip = flipX !== 1 || flipY !== 1
+          ? `translate(${round(x + (flipX < 0 ? w : 0))} ${round(y + (flipY < 0 ? h : 0))}) scale(${flipX} ${flipY}) translate(${round(-x)} ${round(-y)})`
+          : null
+        return `<image ${attrs({ x, y, width: w, height: h, href: file.dataURL, preserveAspectRatio: 'none', transform: flip })}/>`
+      }
+      case 'frame':
+      case 'magicframe':
+        return `<rect ${attrs({ x, y, width: w, height: h, rx: 8, fill: 'none', stroke: color('#bbbbbb'), 'stroke-width': 1 })}/>` +
+          `<text ${attrs({ x, y: y - 6, 'font-family': FONT_FAMILIES[2], 'font-size': 14, fill: color('#999999') })}>${escapeXml(element.name || 'Frame')}</text>`
+      default:
+        return ''
+    }
+  }
+
+  const body = elements
+    .map((element) => {
+      const content = renderElement(element)
+      if (!content) return ''
+      const { angle = 0, opacity = 100 } = element
+      const [cx, cy] = getElementCenter(element)
+      const groupAttrs = attrs({
+        transform: angle ? `rotate(${round((angle * 180) / Math.PI)} ${round(cx)} ${round(cy)})` : null,
+        opacity: opacity < 100 ? opacity / 100 : null,
+      })
+      return groupAttrs ? `<g ${groupAttrs}>${content}</g>` : content
+    })
+    .join('')
+
+  const backgroundColor = background === true
+    ? color(LIGHT_BACKGROUND)
+    : typeof background === 'string'
+    ? color(background)
+    : null
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attrs({ width, height, viewBox: viewBox.map(round).join(' ') })}>`,
+    patterns.size > 0 ? `<defs>${[...patterns.values()].map((pattern) => pattern.svg).join('')}</defs>` : '',
+    backgroundColor ? `<rect ${attrs({ x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3], fill: backgroundColor })}/>` : '',
+    body,
+    '</svg>',
+  ].join('')
+
+  return { svg, width, height }
+}
+
+// Draws the SVG onto a <canvas>; needs a DOM
+export const browserRasterizer = async (svg, { width, height }) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+  try {
+    const image = new Image()
+    image.src = url
+    await image.decode()
+
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height)
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'))
+    if (!blob) throw new Error('Canvas could not be encoded as PNG')
+    return new Uint8Array(await blob.arrayBuffer())
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+let activeRasterizer = typeof document !== 'undefined' ? browserRasterizer : null
+
+// rasterizer(svg, { width, height }) resolves to PNG bytes
+export const setRasterizer = (rasterizer) => {
+  if (typeof rasterizer !== 'function') {
+    throw new Error('Rasterizer must be a function (svg, { width, height }) => PNG bytes')
+  }
+  activeRasterizer = rasterizer
+}
+
+/**
+ * PNG for a scene, same options as renderCanvasToSvg
+ * Returns { data: Uint8Array, width, height } or { error }
+ */
+export const renderCanvasToPng = async (scene, options = {}) => {
+  if (!activeRasterizer) {
+    return { error: new Error('No PNG rasterizer available; call setRasterizer() first') }
+  }
+
+  const { svg, width, height } = renderCanvasToSvg(scene, options)
+  try {
+    const data = await activeRasterizer(svg, { width, height })
+    return { data: data instanceof Uint8Array ? data : new Uint8Array(data), width, height }
+  } catch (error) {
+    console.error('[CanvasImage] Failed to render PNG:', error)
+    return { error }
+  }
+}
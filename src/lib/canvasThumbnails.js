@@ -0,0 +1,115 @@
+/**
+ * Canvas previews for NoteCard (canvas_thumbnails)
+ *
+ * The canvas editor calls saveCanvasThumbnail after each save; previews are
+ * rendered without images (see lib/canvasImage) and stored a couple of seconds
+ * after the last save, so a drawing session writes a handful of previews rather
+ * than one per stroke. loadCanvasThumbnail returns the preview for a note's
+ * current canvas_data: from the session cache, the stored preview when it
+ * matches the scene version, or else drawn on the spot. Lookups made together
+ * (a screenful of cards) are fetched in one request.
+ */
+import { supabase } from './supabase'
+import { getSceneBounds, renderCanvasToSvg } from './canvasImage'
+
+export const THUMBNAIL_WIDTH = 320
+export const THUMBNAIL_HEIGHT = 160
+
+const SAVE_DELAY_MS = 2000
+const PADDING = 16
+
+// noteId -> { version, svg }
+const thumbnailCache = new Map()
+const saveTimers = new Map()
+// noteId -> resolvers waiting for the next fetch
+let pendingFetches = new Map()
+
+// Excalidraw bumps an element's version on every change, so the sum changes
+// whenever the scene does
+export const getSceneVersion = (elements = []) =>
+  elements.reduce((sum, element) => sum + (element.version || 0), 0)
+
+// SVG sized to fit THUMBNAIL_WIDTH x THUMBNAIL_HEIGHT, or null for an empty scene
+export const renderCanvasThumbnail = (elements = []) => {
+  const bounds = getSceneBounds(elements)
+  if (!bounds) return null
+
+  const scale = Math.min(
+    1,
+    THUMBNAIL_WIDTH / (bounds[2] - bounds[0] + PADDING * 2),
+    THUMBNAIL_HEIGHT / (bounds[3] - bounds[1] + PADDING * 2)
+  )
+  return renderCanvasToSvg({ elements, files: {} }, { scale, padding: PADDING, background: false }).svg
+}
+
+/**
+ * Renders and stores the preview SAVE_DELAY_MS after the last call for the note
+ */
+export const saveCanvasThumbnail = (noteId, userId, elements) => {
+  clearTimeout(saveTimers.get(noteId))
+  saveTimers.set(noteId, setTimeout(async () => {
+    saveTimers.delete(noteId)
+
+    const svg = renderCanvasThumbnail(elements)
+    if (!svg) return
+
+    const version = getSceneVersion(elements)
+    thumbnailCache.set(noteId, { version, svg })
+
+    const { error } = await supabase
+      .from('canvas_thumbnails')
+      .upsert({
+        note_id: noteId,
+        svg,
+        scene_version: version,
+        updated_by: userId,
+        updated_at: new Date().toISOString(),
+      })
+
+    if (error) {
+      console.error('[CanvasThumbnails] Error saving thumbnail:', error)
+    }
+  }, SAVE_DELAY_MS))
+}
+
+const flushFetches = async () => {
+  const batch = pendingFetches
+  pendingFetches = new Map()
+
+  const { data, error } = await supabase
+    .from('canvas_thumbnails')
+    .select('note_id, svg, scene_version')
+    .in('note_id', [...batch.keys()])
+
+  if (error) {
+    console.error('[CanvasThumbnails] Error loading thumbnails:', error)
+  }
+  const rows = new Map((data || []).map((row) => [row.note_id, row]))
+  batch.forEach((resolvers, noteId) => resolvers.forEach((resolve) => resolve(rows.get(noteId) || null)))
+}
+
+const fetchStoredThumbnail = (noteId) =>
+  new Promise((resolve) => {
+    if (pendingFetches.size === 0) setTimeout(flushFetches, 0)
+    pendingFetches.set(noteId, [...(pendingFetches.get(noteId) || []), resolve])
+  })
+
+/**
+ * The preview SVG for the note's current canvas, or null if it has none
+ */
+export const loadCanvasThumbnail = async (noteId, canvasData) => {
+  const elements = (canvasData?.elements || []).filter((element) => !element.isDeleted)
+  if (elements.length === 0) return null
+
+  const version = getSceneVersion(canvasData.elements)
+  const cached = thumbnailCache.get(noteId)
+  if (cached?.version === version) return cached.svg
+
+  const stored = await fetchStoredThumbnail(noteId)
+  const svg = stored && Number(stored.scene_version) === version
+    ? stored.svg
+    : renderCanvasThumbnail(elements)
+
+  thumbnailCache.set(noteId, { version, svg })
+  return svg
+}
@@ -0,0 +1,54 @@
+/**
+ * Pluggable mailer used for outgoing notifications (e.g. canvas invitations)
+ *
+ * The default transport is a local stub that logs messages to the console and
+ * keeps the last few in localStorage, so invites can be tested without an email
+ * provider. Call setMailer() at startup to plug in a real transport, e.g. one
+ * that invokes a Supabase Edge Function:
+ *
+ *   setMailer({
+ *     send: (message) => supabase.functions.invoke('send-email', { body: message }),
+ *   })
+ */
+
+const OUTBOX_KEY = 'notes-app-outbox'
+const OUTBOX_LIMIT = 20
+
+export const localStubMailer = {
+  name: 'local-stub',
+  send: async (message) => {
+    console.log('[Mailer] (stub) Sending email:', message)
+
+    try {
+      const outbox = JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]')
+      outbox.unshift({ ...message, sentAt: new Date().toISOString() })
+      localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox.slice(0, OUTBOX_LIMIT)))
+    } catch (err) {
+      console.warn('[Mailer] Failed to write local outbox:', err)
+    }
+
+    return { error: null }
+  },
+}
+
+let activeMailer = localStubMailer
+
+export const setMailer = (mailer) => {
+  if (!mailer || typeof mailer.send !== 'function') {
+    throw new Error('Mailer must implement send(message)')
+  }
+  activeMailer = mailer
+}
+
+export const getMailer = () => activeMailer
+
+// message: { to, subject, text, html? }
+export const sendMail = async (message) => {
+  try {
+    const result = await activeMailer.send(message)
+    return { error: result?.error ?? null }
+  } catch (error) {
+    console.error('[Mailer] Failed to send email:', error)
+    return { error }
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Offline queue for outgoing note and canvas mutations
+ *
+ * Writes go through persistMutation(). When the browser is offline (or the
+ * request fails with a network error) the mutation is stored in IndexedDB
+ * instead of being lost, and replayQueuedMutations() sends the queue in order
+ * once the connection is back, merging each one with the current server row.
+ *
+ * Canvas mutations always carry the whole scene, so a newer canvas mutation
+ * for the same note replaces the queued one rather than piling up. Replay
+ * only removes a mutation if it wasn't replaced while it was being sent.
+ */
+import { supabase } from './supabase'
+import { resolveQueuedMutation } from '../utils/offlineMerge'
+
+const DB_NAME = 'notes-app-offline'
+const DB_VERSION = 1
+const STORE_NAME = 'mutations'
+
+const listeners = new Set()
+let dbPromise = null
+let replaying = false
+// recordId -> { before, written }: updated_at around this client's last
+// replayed write to the note (see resolveQueuedMutation)
+const replayedWrites = new Map()
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return dbPromise
+}
+
+const getStore = async (mode) => {
+  const db = await openDatabase()
+  return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+}
+
+const notifyListeners = async () => {
+  const mutations = await getQueuedMutations()
+  listeners.forEach((listener) => listener({ mutations, isReplaying: replaying }))
+}
+
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine
+
+// supabase-js reports dropped connections as fetch errors rather than throwing
+export const isNetworkError = (error) => {
+  if (!isOnline()) return true
+  const message = String(error?.message || error || '')
+  return /failed to fetch|networkerror|network request failed|load failed/i.test(message)
+}
+
+// Oldest first; keys are auto-incremented so this is insertion order
+export const getQueuedMutations = async () => {
+  try {
+    const store = await getStore('readonly')
+    return await requestToPromise(store.getAll())
+  } catch (err) {
+    console.error('[OfflineQueue] Error reading queue:', err)
+    return []
+  }
+}
+
+/**
+ * Stores a mutation for later replay
+ * mutation: { kind: 'canvas' | 'note', recordId, userId, updates }
+ */
+export const enqueueMutation = async (mutation) => {
+  const store = await getStore('readwrite')
+  const queued = await requestToPromise(store.getAll())
+  const queuedAt = new Date().toISOString()
+
+  const existing = mutation.kind === 'canvas'
+    ? queued.find((m) => m.kind === 'canvas' && m.recordId === mutation.recordId && m.userId === mutation.userId)
+    : null
+
+  if (existing) {
+    await requestToPromise(store.put({ ...existing, updates: mutation.updates, queuedAt }))
+  } else {
+    await requestToPromise(store.add({ ...mutation, queuedAt }))
+  }
+
+  console.log('[OfflineQueue] Queued mutation', { kind: mutation.kind, recordId: mutation.recordId })
+  notifyListeners()
+}
+
+/**
+ * Removes a mutation from the queue
+ * With queuedAt, only if the stored one is still that version: a canvas
+ * mutation replaced by a newer save in the meantime is kept for the next replay
+ * Returns whether it was removed
+ */
+export const removeMutation = async (id, queuedAt = null) => {
+  const store = await getStore('readwrite')
+  if (queuedAt) {
+    const stored = await requestToPromise(store.get(id))
+    if (stored && stored.queuedAt !== queuedAt) return false
+  }
+  await requestToPromise(store.delete(id))
+  notifyListeners()
+  return true
+}
+
+// listener({ mutations, isReplaying }); returns an unsubscribe function
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener)
+  getQueuedMutations().then((mutations) => listener({ mutations, isReplaying: replaying }))
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+const updateNoteRow = (recordId, updates, columns, expectedUpdatedAt = null) => {
+  const query = supabase
+    .from('notes')
+    .update(updates)
+    .eq('id', recordId)
+
+  // Conditional update: only applies while the row still has this updated_at
+  return expectedUpdatedAt
+    ? query.eq('updated_at', expectedUpdatedAt).select(columns).maybeSingle()
+    : query.select(columns).single()
+}
+
+const loadConflictingRow = async (recordId) => {
+  const { data, error } = await supabase
+    .from('notes')
+    .select('id, title, content, updated_at')
+    .eq('id', recordId)
+    .maybeSingle()
+
+  if (error) return { error }
+  return data ? { conflict: data } : { error: 'Note not found' }
+}
+
+/**
+ * Writes a notes row now, or queues the write when offline
+ * Mutations for a note that already has queued ones are queued too, so they
+ * replay after the earlier ones. With expectedUpdatedAt the write only applies
+ * if nobody changed the row since; otherwise the current row comes back as
+ * { conflict } (queued writes are merged on replay instead)
+ * Returns { data }, { error }, { conflict } or { queued: true }
+ */
+export const persistMutation = async ({
+  kind,
+  recordId,
+  userId,
+  updates,
+  columns = '*',
+  expectedUpdatedAt = null,
+}) => {
+  const pending = await getQueuedMutations()
+  const hasPending = pending.some((m) => m.recordId === recordId && m.userId === userId)
+
+  if (isOnline() && !hasPending) {
+    try {
+      const { data, error } = await updateNoteRow(recordId, updates, columns, expectedUpdatedAt)
+      if (!error) return data || !expectedUpdatedAt ? { data } : loadConflictingRow(recordId)
+      if (!isNetworkError(error)) return { error }
+    } catch (err) {
+      if (!isNetworkError(err)) return { error: err }
+    }
+  }
+
+  try {
+    await enqueueMutation({ kind, recordId, userId, updates })
+    return { queued: true }
+  } catch (err) {
+    console.error('[OfflineQueue] Error queueing mutation:', err)
+    return { error: err }
+  }
+}
+
+// Returns 'applied', 'server' (nothing left to write), 'dropped' or 'retry'
+const replayMutation = async (mutation) => {
+  const { data: serverRow, error } = await supabase
+    .from('notes')
+    .select('id, title, content, canvas_data, updated_at')
+    .eq('id', mutation.recordId)
+    .maybeSingle()
+
+  if (error) {
+    if (isNetworkError(error)) return { outcome: 'retry' }
+    console.error('[OfflineQueue] Error loading server copy:', error)
+    return { outcome: 'dropped' }
+  }
+
+  // The note was deleted (or access revoked) while offline
+  if (!serverRow) return { outcome: 'dropped' }
+
+  const replayedWrite = replayedWrites.get(mutation.recordId)
+  const { updates, keptServerFields } = resolveQueuedMutation(mutation, serverRow, replayedWrite)
+  if (!updates) return { outcome: 'server', keptServerFields }
+
+  const { data: written, error: updateError } = await updateNoteRow(
+    mutation.recordId,
+    { ...updates, updated_at: new Date().toISOString() },
+    'id, updated_at'
+  )
+
+  if (updateError) {
+    if (isNetworkError(updateError)) return { outcome: 'retry' }
+    console.error('[OfflineQueue] Error replaying mutation:', updateError)
+    return { outcome: 'dropped' }
+  }
+
+  // Later mutations for this note were queued before this write, not after it
+  const before = replayedWrite?.written === serverRow.updated_at ? replayedWrite.before : serverRow.updated_at
+  replayedWrites.set(mutation.recordId, { before, written: written.updated_at })
+
+  return { outcome: 'applied', keptServerFields }
+}
+
+/**
+ * Replays the user's queued mutations in order
+ * Stops at the first network failure so later mutations never overtake it.
+ * Mutations queued while a pass runs (saves made during replay are queued
+ * behind it) are sent by a further pass
+ * Returns { applied, conflicts, dropped, remaining }
+ */
+export const replayQueuedMutations = async (userId) => {
+  const summary = { applied: 0, conflicts: 0, dropped: 0, remaining: 0 }
+  if (replaying || !userId || !isOnline()) return summary
+
+  replaying = true
+  notifyListeners()
+
+  const getUserQueue = async () => (await getQueuedMutations()).filter((m) => m.userId === userId)
+
+  try {
+    let queue = await getUserQueue()
+
+    while (queue.length > 0 && summary.remaining === 0) {
+      for (let index = 0; index < queue.length; index++) {
+        const mutation = queue[index]
+        const { outcome, keptServerFields = [] } = await replayMutation(mutation)
+
+        if (outcome === 'retry') {
+          summary.remaining = queue.length - index
+          break
+        }
+
+        // Replaced by a newer save while it was sent; the next pass sends that
+        if (!(await removeMutation(mutation.id, mutation.queuedAt))) continue
+        if (outcome === 'dropped') summary.dropped++
+        if (outcome === 'applied') summary.applied++
+        if (keptServerFields.length > 0) summary.conflicts++
+      }
+
+      if (summary.remaining === 0) queue = await getUserQueue()
+    }
+  } catch (err) {
+    console.error('[OfflineQueue] Error replaying queue:', err)
+  } finally {
+    replaying = false
+    notifyListeners()
+  }
+
+  console.log('[OfflineQueue] Replay finished', summary)
+  return summary
+}
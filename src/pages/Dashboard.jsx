@@ -1,8 +1,12 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { motion } from 'framer-motion'
-import { Plus, LogOut, PenTool, FileText, Image } from 'lucide-react'
+import { Plus, LogOut, PenTool, FileText, Image, ChevronRight, Download, Upload } from 'lucide-react'
 import { useAuth } from '../hooks/useAuth'
 import { useNotes } from '../hooks/useNotes'
+import { useFolders } from '../hooks/useFolders'
+import { useTags } from '../hooks/useTags'
+import { useNoteArchive } from '../hooks/useNoteArchive'
+import { useCanvasTemplates } from '../hooks/useCanvasTemplates'
 import { useStore } from '../store/useStore'
 import { useNavigate } from 'react-router-dom'
 import { NotesList } from '../components/NotesList'
@@ -12,17 +16,48 @@ import { ThemeToggle } from '../components/ThemeToggle'
 import { StatsCard } from '../components/StatsCard'
 import { SearchBar } from '../components/SearchBar'
 import { FilterSort } from '../components/FilterSort'
+import { PendingInvitations } from '../components/PendingInvitations'
+import { FolderSidebar } from '../components/FolderSidebar'
+import { TagManager } from '../components/TagManager'
+import { TagPicker } from '../components/TagPicker'
+import { TrashList } from '../components/TrashList'
+import { ImportReport } from '../components/ImportReport'
+import { TemplateGallery } from '../components/TemplateGallery'
+import { UNDO_TOAST_MS, UndoToast } from '../components/UndoToast'
 import toast from 'react-hot-toast'
 import { initScrollAnimations } from '../utils/animations'
+import { ALL_NOTES, TRASH, UNFILED, filterNotesByFolder, getFolderPath } from '../utils/folderTree'
+import { ARCHIVE_EXTENSIONS } from '../utils/noteArchive'
+import { instantiateTemplate } from '../utils/canvasTemplates'
+import { toStoredCanvasFiles, uploadCanvasFiles } from '../lib/canvasFiles'
 
 export const Dashboard = () => {
   const [showEditor, setShowEditor] = useState(false)
   const [showCanvas, setShowCanvas] = useState(false)
   const [searchQuery, setSearchQuery] = useState('')
   const [sortBy, setSortBy] = useState('updated')
-  const [filterBy, setFilterBy] = useState('all')
+  const [folderView, setFolderView] = useState(ALL_NOTES)
+  const [showTagManager, setShowTagManager] = useState(false)
+  // { noteIds, title } while the tag picker is open
+  const [tagPicker, setTagPicker] = useState(null)
+  // Skipped and failed notes of the last import, while the report is open
+  const [importReport, setImportReport] = useState(null)
+  const importInputRef = useRef(null)
+  const [showTemplates, setShowTemplates] = useState(false)
   const { user, signOut } = useAuth()
-  const { notes, createNote } = useNotes()
+  const { notes, trashedNotes, createNote, updateNote, deleteNote, restoreNote } = useNotes()
+  const {
+    folders,
+    createFolder,
+    renameFolder,
+    setFolderSort,
+    moveFolder,
+    deleteFolder,
+    moveNote,
+  } = useFolders()
+  const tagging = useTags()
+  const archive = useNoteArchive()
+  const canvasTemplates = useCanvasTemplates()
   const { selectedNote, setSelectedNote } = useStore()
   const navigate = useNavigate()
 
@@ -38,13 +73,67 @@ export const Dashboard = () => {
     }
   }, [selectedNote])
 
-  // Calculate stats
-  const totalNotes = notes.length
-  const notesWithCanvas = notes.filter((note) => {
+  // The selected folder; falls back to all notes if it was deleted elsewhere
+  const activeFolder = folders.find((folder) => folder.id === folderView) || null
+  const view = activeFolder || folderView === UNFILED || folderView === TRASH ? folderView : ALL_NOTES
+  const folderPath = activeFolder ? getFolderPath(folders, activeFolder.id) : []
+  const viewName = activeFolder
+    ? activeFolder.name
+    : view === UNFILED
+    ? 'Unfiled'
+    : view === TRASH
+    ? 'Trash'
+    : 'All Notes'
+
+  // Folders keep their own sort order; All Notes and Unfiled share one
+  const activeSortBy = activeFolder ? activeFolder.sort_by : sortBy
+  const handleSortChange = (value) => {
+    if (activeFolder) {
+      setFolderSort(activeFolder.id, value)
+    } else {
+      setSortBy(value)
+    }
+  }
+
+  const handleTagClick = (tag) => {
+    const filter = `tag:${tag.name}`
+    if (searchQuery.split(/\s+/).includes(filter)) return
+    setSearchQuery(`${searchQuery.trim()} ${filter}`.trim())
+  }
+
+  // Notes dropped on Trash in the folder sidebar
+  const handleTrashNote = async (id) => {
+    const { error } = await deleteNote(id)
+    if (error) return
+    toast((t) => <UndoToast toastId={t.id} message="Note moved to Trash" onUndo={() => restoreNote(id)} />, {
+      duration: UNDO_TOAST_MS,
+    })
+  }
+
+  const handleExportAll = () => {
+    archive.exportNotes(notes, { folders, tags: tagging.tags, tagLinks: tagging.links })
+  }
+
+  // Notes without a folder in their front-matter go into the open folder
+  const handleImport = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (files.length === 0) return
+
+    const result = await archive.importFiles(files, { folders, folderId: activeFolder?.id ?? null, tagging })
+    if (result.skipped?.length > 0 || result.failed?.length > 0) {
+      setImportReport(result)
+    }
+  }
+
+  // Calculate stats for the selected folder
+  const folderNotes = filterNotesByFolder(notes, folders, view)
+  const totalNotes = folderNotes.length
+  const notesWithCanvas = folderNotes.filter((note) => {
     return note.canvas_data && 
       (note.canvas_data.elements?.length > 0 || Object.keys(note.canvas_data).length > 0)
   }).length
-  const recentNotes = notes.filter((note) => {
+  const recentNotes = folderNotes.filter((note) => {
     const weekAgo = new Date()
     weekAgo.setDate(weekAgo.getDate() - 7)
     return new Date(note.updated_at) > weekAgo
@@ -62,6 +151,7 @@ export const Dashboard = () => {
       title: 'New Note',
       content: '',
       canvas_data: null,
+      ...(activeFolder && { folder_id: activeFolder.id }),
     })
 
     if (!error && data) {
@@ -85,17 +175,31 @@ export const Dashboard = () => {
     setShowCanvas(true)
   }
 
-  const handleCreateNoteWithCanvas = async () => {
+  // template: from the template gallery, or null for a blank canvas
+  const handleCreateNoteWithCanvas = async (template = null) => {
+    setShowTemplates(false)
+    const canvasData = template ? instantiateTemplate(template.canvas_data) : null
     const { data, error } = await createNote({
-      title: 'New Canvas',
+      title: template ? template.name : 'New Canvas',
       content: '',
-      canvas_data: null,
+      canvas_data: canvasData,
+      ...(activeFolder && { folder_id: activeFolder.id }),
     })
+    if (error || !data) return
 
-    if (!error && data) {
-      setSelectedNote(data)
-      setShowCanvas(true)
+    // Template images move to canvas_files, as the canvas editor does on save;
+    // the editor still opens with them inline, so they show straight away
+    if (Object.values(canvasData?.files || {}).some((file) => file?.dataURL)) {
+      const { error: uploadError } = await uploadCanvasFiles(data.id, user.id, canvasData.files)
+      if (uploadError) {
+        toast.error('Failed to upload the template images')
+      } else {
+        await updateNote(data.id, { canvas_data: { ...canvasData, files: toStoredCanvasFiles(data.id, canvasData.files) } })
+      }
     }
+
+    setSelectedNote(data)
+    setShowCanvas(true)
   }
 
   const handleSignOut = async () => {
@@ -121,7 +225,7 @@ export const Dashboard = () => {
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
-                onClick={handleCreateNoteWithCanvas}
+                onClick={() => setShowTemplates(true)}
                 className="flex items-center gap-2 px-4 py-2 bg-black dark:bg-[#1a1a1a] text-white rounded-lg hover:bg-[#1a1a1a] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors"
                 title="New Canvas"
               >
@@ -177,51 +281,154 @@ export const Dashboard = () => {
           </p>
         </motion.div>
 
-        {/* Stats Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-          <StatsCard
-            icon={FileText}
-            title="Total Notes"
-            value={totalNotes}
-            color="primary"
-          />
-          <StatsCard
-            icon={PenTool}
-            title="With Canvas"
-            value={notesWithCanvas}
-            color="primary"
-          />
-          <StatsCard
-            icon={Image}
-            title="Recent Notes"
-            value={recentNotes}
-            color="primary"
-          />
-        </div>
+        {/* Canvas invitations addressed to this user */}
+        <PendingInvitations />
 
-        {/* Search and Filter Section */}
-        <div className="mb-6 space-y-4">
-          <SearchBar
-            value={searchQuery}
-            onChange={setSearchQuery}
-            placeholder="Search notes by title or content..."
+        <div className="flex flex-col lg:flex-row gap-6">
+          {/* Folder Tree */}
+          <FolderSidebar
+            folders={folders}
+            notes={notes}
+            selected={view}
+            onSelect={setFolderView}
+            onCreateFolder={async (folder) => {
+              const { data } = await createFolder(folder)
+              if (data) setFolderView(data.id)
+            }}
+            onRenameFolder={renameFolder}
+            onDeleteFolder={deleteFolder}
+            onMoveFolder={moveFolder}
+            onMoveNote={moveNote}
+            trashCount={trashedNotes.length}
+            onTrashNote={handleTrashNote}
           />
-          <FilterSort
-            sortBy={sortBy}
-            onSortChange={setSortBy}
-            filterBy={filterBy}
-            onFilterChange={setFilterBy}
-          />
-        </div>
 
-        {/* Notes List */}
-        <NotesList
-          onNoteSelect={handleNoteSelect}
-          onOpenCanvas={handleOpenCanvas}
-          searchQuery={searchQuery}
-          sortBy={sortBy}
-          filterBy={filterBy}
-        />
+          <div className="flex-1 min-w-0">
+            {/* Current Folder */}
+            <div className="flex items-center gap-2 mb-4 text-lg font-semibold text-black dark:text-white">
+              <div className="flex items-center gap-1 min-w-0 mr-auto">
+                {folderPath.length > 1 ? (
+                  folderPath.map((folder, index) => (
+                    <span key={folder.id} className="flex items-center gap-1 min-w-0">
+                      {index > 0 && <ChevronRight className="w-4 h-4 shrink-0 text-black dark:text-[#999999]" />}
+                      <button
+                        onClick={() => setFolderView(folder.id)}
+                        className={`truncate ${index < folderPath.length - 1 ? 'font-normal hover:underline' : ''}`}
+                      >
+                        {folder.name}
+                      </button>
+                    </span>
+                  ))
+                ) : (
+                  <span className="truncate">{viewName}</span>
+                )}
+              </div>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => importInputRef.current?.click()}
+                disabled={archive.busy}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm font-normal bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50"
+                title="Import notes from a ZIP export, Markdown or .excalidraw files"
+              >
+                <Upload className="w-4 h-4" />
+                <span className="hidden sm:inline">Import</span>
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleExportAll}
+                disabled={archive.busy || notes.length === 0}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm font-normal bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50"
+                title="Download every note as a ZIP of Markdown and .excalidraw files"
+              >
+                <Download className="w-4 h-4" />
+                <span className="hidden sm:inline">Export</span>
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => archive.exportCanvasImages(notes)}
+                disabled={archive.busy}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm font-normal bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50"
+                title="Download every canvas as SVG and PNG images"
+              >
+                <Image className="w-4 h-4" />
+                <span className="hidden sm:inline">Canvases</span>
+              </motion.button>
+              <input
+                ref={importInputRef}
+                type="file"
+                multiple
+                accept={ARCHIVE_EXTENSIONS.join(',')}
+                onChange={handleImport}
+                className="hidden"
+              />
+            </div>
+
+            {view === TRASH ? (
+              <TrashList />
+            ) : (
+              <>
+                {/* Stats Cards */}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                  <StatsCard
+                    icon={FileText}
+                    title={view === ALL_NOTES ? 'Total Notes' : 'Notes Here'}
+                    value={totalNotes}
+                    color="primary"
+                  />
+                  <StatsCard
+                    icon={PenTool}
+                    title="With Canvas"
+                    value={notesWithCanvas}
+                    color="primary"
+                  />
+                  <StatsCard
+                    icon={Image}
+                    title="Recent Notes"
+                    value={recentNotes}
+                    color="primary"
+                  />
+                </div>
+
+                {/* Search and Filter Section */}
+                <div className="mb-6 space-y-4">
+                  <SearchBar
+                    value={searchQuery}
+                    onChange={setSearchQuery}
+                    placeholder="Search notes, or filter with tag:retro, has:canvas, updated:>2026-09-01..."
+                    titles={notes.map((note) => note.title)}
+                    tags={tagging.tags.map((tag) => tag.name)}
+                  />
+                  <FilterSort
+                    sortBy={activeSortBy}
+                    onSortChange={handleSortChange}
+                    sortTitle={activeFolder ? `Saved for ${activeFolder.name}` : undefined}
+                    query={searchQuery}
+                    onQueryChange={setSearchQuery}
+                    tags={tagging.tags}
+                    onManageTags={() => setShowTagManager(true)}
+                  />
+                </div>
+
+                {/* Notes List */}
+                <NotesList
+                  onNoteSelect={handleNoteSelect}
+                  onOpenCanvas={handleOpenCanvas}
+                  searchQuery={searchQuery}
+                  sortBy={activeSortBy}
+                  folders={folders}
+                  folderView={view}
+                  tags={tagging.tags}
+                  tagLinks={tagging.links}
+                  onTagClick={handleTagClick}
+                  onEditTags={(noteIds, title) => setTagPicker({ noteIds, title })}
+                />
+              </>
+            )}
+          </div>
+        </div>
       </main>
 
       {/* Note Editor */}
@@ -248,6 +455,35 @@ export const Dashboard = () => {
         />
       )}
 
+      {/* Tags */}
+      {showTagManager && (
+        <TagManager tagging={tagging} onClose={() => setShowTagManager(false)} />
+      )}
+      {tagPicker && (
+        <TagPicker
+          title={tagPicker.title}
+          noteIds={tagPicker.noteIds}
+          tagging={tagging}
+          onClose={() => setTagPicker(null)}
+        />
+      )}
+
+      {/* Import */}
+      {showTemplates && (
+        <TemplateGallery
+          templates={canvasTemplates.templates}
+          loading={canvasTemplates.loading}
+          onUse={handleCreateNoteWithCanvas}
+          onDelete={canvasTemplates.deleteTemplate}
+          onSetShared={canvasTemplates.setTemplateShared}
+          onClose={() => setShowTemplates(false)}
+        />
+      )}
+
+      {importReport && (
+        <ImportReport result={importReport} onClose={() => setImportReport(null)} />
+      )}
+
       {/* Page Transition Overlay */}
       <div className="page-transition fixed inset-0 bg-black opacity-0 pointer-events-none z-50"></div>
     </div>
@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { Mail, Check, X } from 'lucide-react'
+import { format } from 'date-fns'
+import { useInvitations } from '../hooks/useInvitations'
+import { useStore } from '../store/useStore'
+import { LoadingSpinner } from '../components/LoadingSpinner'
+import { INVITATION_STATUS, INVITATION_STATUS_LABELS } from '../utils/invitations'
+import { ROLE_LABELS, normalizeRole } from '../utils/collaboratorRoles'
+
+/**
+ * Accept / decline page for a canvas invitation (/invitations/:invitationId)
+ */
+export const Invitation = () => {
+  const { invitationId } = useParams()
+  const navigate = useNavigate()
+  const { user } = useStore()
+  const { invitations, loading, acceptInvitation, declineInvitation } = useInvitations()
+  const [responding, setResponding] = useState(false)
+
+  const invitation = invitations.find((inv) => inv.id === invitationId)
+
+  const handleRespond = async (accept) => {
+    setResponding(true)
+    const { error } = accept
+      ? await acceptInvitation(invitationId)
+      : await declineInvitation(invitationId)
+    setResponding(false)
+
+    if (!error) {
+      navigate(accept ? `/canvas/${invitation.note_id}` : '/dashboard')
+    }
+  }
+
+  if (loading && !invitation) {
+    return <LoadingSpinner />
+  }
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-black flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md bg-white dark:bg-[#1a1a1a] rounded-xl shadow-md p-6 border border-black dark:border-[#333333]"
+      >
+        <div className="flex items-center gap-2 mb-4">
+          <Mail className="w-5 h-5 text-black dark:text-white" />
+          <h1 className="text-xl font-bold text-black dark:text-white">Canvas Invitation</h1>
+        </div>
+
+        {!invitation ? (
+          <div className="space-y-4">
+            <p className="text-sm text-black dark:text-[#cccccc]">
+              This invitation was not found. It may have been removed, or it was sent to a
+              different email address than {user?.email}.
+            </p>
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="px-4 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors text-sm"
+            >
+              Go to Dashboard
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-black dark:text-[#cccccc]">
+              <span className="font-medium text-black dark:text-white">
+                {invitation.invited_by_email || 'Someone'}
+              </span>{' '}
+              invited you to{' '}
+              <span className="font-medium text-black dark:text-white">
+                {invitation.note_title || 'Untitled Note'}
+              </span>
+            </p>
+            <div className="text-xs text-black dark:text-[#999999] space-y-1">
+              <p>Permission: {ROLE_LABELS[normalizeRole(invitation.role)]}</p>
+              <p>Status: {INVITATION_STATUS_LABELS[invitation.status]}</p>
+              {invitation.expires_at && invitation.status === INVITATION_STATUS.PENDING && (
+                <p>Expires {format(new Date(invitation.expires_at), 'MMM dd, yyyy')}</p>
+              )}
+            </div>
+
+            {invitation.status === INVITATION_STATUS.PENDING ? (
+              <div className="flex gap-2">
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => handleRespond(true)}
+                  disabled={responding}
+                  className="flex items-center gap-2 px-4 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50 text-sm"
+                >
+                  <Check className="w-4 h-4" />
+                  Accept
+                </motion.button>
+                <motion.button
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => handleRespond(false)}
+                  disabled={responding}
+                  className="flex items-center gap-2 px-4 py-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50 text-sm"
+                >
+                  <X className="w-4 h-4" />
+                  Decline
+                </motion.button>
+              </div>
+            ) : (
+              <button
+                onClick={() =>
+                  navigate(
+                    invitation.status === INVITATION_STATUS.ACCEPTED
+                      ? `/canvas/${invitation.note_id}`
+                      : '/dashboard'
+                  )
+                }
+                className="px-4 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors text-sm"
+              >
+                {invitation.status === INVITATION_STATUS.ACCEPTED ? 'Open Canvas' : 'Go to Dashboard'}
+              </button>
+            )}
+          </div>
+        )}
+      </motion.div>
+    </div>
+  )
+}
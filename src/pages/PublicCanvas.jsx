@@ -0,0 +1,104 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { Excalidraw } from '@excalidraw/excalidraw'
+import '@excalidraw/excalidraw/index.css'
+import { Eye } from 'lucide-react'
+import { supabase } from '../lib/supabase'
+import { hydrateCanvasFiles } from '../lib/canvasFiles'
+import { LoadingSpinner } from '../components/LoadingSpinner'
+
+/**
+ * Read-only canvas served from a public share link (/share/:token)
+ * Works without signing in and only ever receives canvas_data
+ */
+export const PublicCanvas = () => {
+  const { token } = useParams()
+  const [canvasData, setCanvasData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!token) return
+
+    const loadSharedCanvas = async () => {
+      setLoading(true)
+      const { data, error: rpcError } = await supabase.rpc('get_shared_canvas', {
+        share_token: token,
+      })
+
+      if (rpcError) {
+        console.error('[PublicCanvas] Error loading shared canvas:', rpcError)
+        setError('This link is invalid, has expired or was revoked.')
+      } else {
+        const sharedData = data || {}
+        setCanvasData({
+          ...sharedData,
+          files: await hydrateCanvasFiles(null, sharedData, { shareToken: token }),
+        })
+      }
+      setLoading(false)
+    }
+
+    loadSharedCanvas()
+  }, [token])
+
+  const uiOptions = useMemo(() => ({
+    canvasActions: {
+      saveToActiveFile: false,
+      loadScene: false,
+      export: false,
+      changeViewBackgroundColor: false,
+      clearCanvas: false,
+      theme: true,
+      saveAsImage: true
+    }
+  }), [])
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-white dark:bg-black flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-white dark:bg-black flex items-center justify-center p-4">
+        <div className="text-center">
+          <p className="text-lg font-medium text-black dark:text-white mb-2">Canvas unavailable</p>
+          <p className="text-sm text-black dark:text-[#cccccc] mb-4">{error}</p>
+          <Link to="/login" className="text-sm underline text-black dark:text-white">
+            Sign in
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="fixed inset-0 bg-white dark:bg-[#121212] flex flex-col">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700 bg-white dark:bg-[#1a1a1a]">
+        <h2 className="text-xl font-bold text-gray-800 dark:text-white">Shared Canvas</h2>
+        <div className="flex items-center gap-2 px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200">
+          <Eye className="w-4 h-4" />
+          View only
+        </div>
+      </div>
+
+      <div className="flex-1 relative">
+        <Excalidraw
+          initialData={{
+            elements: canvasData.elements || [],
+            files: canvasData.files || {},
+            scrollToContent: true
+          }}
+          viewModeEnabled={true}
+          UIOptions={uiOptions}
+          theme={document.documentElement.classList.contains('dark') ? 'dark' : 'light'}
+          langCode="en"
+        />
+      </div>
+    </div>
+  )
+}
@@ -5,6 +5,7 @@ import { useAuth } from '../hooks/useAuth'
 import { supabase } from '../lib/supabase'
 import { LoadingSpinner } from '../components/LoadingSpinner'
 import toast from 'react-hot-toast'
+import { INVITATION_STATUS, emailsMatch, getInvitationStatus } from '../utils/invitations'
 
 export const SharedCanvas = () => {
   const { noteId } = useParams()
@@ -57,140 +58,49 @@ export const SharedCanvas = () => {
         // Strategy: Check collaborator status first (has its own RLS policies)
         // Then verify note access. This avoids RLS issues when user is a collaborator
         
-        // First check if user is a collaborator
-        let collaboratorData = null
-        
-        console.log('Checking collaborator access:', {
-          noteId,
-          userId: user.id,
-          userEmail: user.email,
-          emailLowercase: user.email?.toLowerCase()
-        })
-        
-        // Check by user_id first
-        console.log('Checking collaborator by user_id...')
-        const { data: collabByUserId, error: collabError1 } = await supabase
+        // Invitations are claimed through the accept/decline flow, never here
+        // RLS returns only rows this user may see (own rows match by user_id or email)
+        const { data: collaboratorRows, error: collabError } = await supabase
           .from('canvas_collaborators')
           .select('*')
           .eq('note_id', noteId)
-          .eq('user_id', user.id)
-          .maybeSingle()
-        
-        console.log('Collaborator check by user_id:', { 
-          data: collabByUserId, 
-          error: collabError1,
-          found: !!collabByUserId
+
+        if (collabError) {
+          console.error('Error checking collaborator access:', collabError)
+        }
+
+        const collaboratorData = collaboratorRows?.find((c) =>
+          c.user_id === user.id || emailsMatch(c.collaborator_email, user.email)
+        ) || null
+
+        console.log('Collaborator check:', {
+          found: !!collaboratorData,
+          status: collaboratorData && getInvitationStatus(collaboratorData)
         })
-        
-        if (!collabError1 && collabByUserId) {
-          collaboratorData = collabByUserId
-          console.log('✅ Found collaborator by user_id:', collabByUserId)
-        } else {
-          // If not found by user_id, try by email (case-insensitive)
-          console.log('Checking collaborator by email (case-insensitive)...')
-          
-          // Try exact match first
-          let collabByEmail = null
-          let collabError2 = null
-          
-          const { data: exactMatch, error: exactError } = await supabase
-            .from('canvas_collaborators')
-            .select('*')
-            .eq('note_id', noteId)
-            .eq('collaborator_email', user.email)
-            .maybeSingle()
-          
-          if (!exactError && exactMatch) {
-            collabByEmail = exactMatch
-            collabError2 = null
-          } else {
-            // Try case-insensitive match
-            const { data: caseInsensitive, error: caseError } = await supabase
-              .from('canvas_collaborators')
-              .select('*')
-              .eq('note_id', noteId)
-              .ilike('collaborator_email', user.email)
-              .maybeSingle()
-            
-            collabByEmail = caseInsensitive
-            collabError2 = caseError
-          }
-          
-          console.log('Collaborator check by email:', { 
-            data: collabByEmail, 
-            error: collabError2,
-            hasData: !!collabByEmail,
-            userEmail: user.email,
-            collaboratorEmail: collabByEmail?.collaborator_email
-          })
-          
-          // Also check all collaborators for this note to debug
-          // Try without RLS restrictions first to see if data exists
-          const { data: allCollaborators, error: allCollabError } = await supabase
-            .from('canvas_collaborators')
-            .select('*')
-            .eq('note_id', noteId)
-          
-          const userEmailLower = user.email?.toLowerCase().trim()
-          const matches = allCollaborators?.filter(c => {
-            const collabEmailLower = c.collaborator_email?.toLowerCase().trim()
-            return collabEmailLower === userEmailLower || c.user_id === user.id
-          }) || []
-          
-          console.log('All collaborators for this note:', {
-            count: allCollaborators?.length || 0,
-            collaborators: allCollaborators,
-            error: allCollabError,
-            userEmail: user.email,
-            userEmailLower: userEmailLower,
-            matches: matches,
-            matchCount: matches.length,
-            allEmails: allCollaborators?.map(c => ({
-              email: c.collaborator_email,
-              emailLower: c.collaborator_email?.toLowerCase().trim(),
-              userId: c.user_id
-            })) || []
-          })
-          
-          // If we found a match in the list but the query didn't return it, try manual match
-          if (matches.length > 0 && !collabByEmail) {
-            console.log('Found match in all collaborators list, using it:', matches[0])
-            collaboratorData = matches[0]
+
+        if (collaboratorData) {
+          const status = getInvitationStatus(collaboratorData)
+
+          if (status === INVITATION_STATUS.ACCEPTED) {
+            // CanvasEditor will handle loading canvas_data with its own RLS-aware query
+            console.log('Access granted: User is a collaborator')
+            setHasAccess(true)
+            setLoading(false)
+            return
           }
-          
-          if (!collabError2 && collabByEmail) {
-            collaboratorData = collabByEmail
-            console.log('✅ Found collaborator by email:', collabByEmail)
-            // Update the collaborator record to include user_id if it was missing
-            if (!collabByEmail.user_id) {
-              console.log('Updating collaborator record with user_id...')
-              const { error: updateError } = await supabase
-                .from('canvas_collaborators')
-                .update({ user_id: user.id })
-                .eq('id', collabByEmail.id)
-              
-              if (updateError) {
-                console.error('Error updating collaborator user_id:', updateError)
-              } else {
-                console.log('✅ Updated collaborator with user_id')
-                // Update the local reference
-                collaboratorData = { ...collabByEmail, user_id: user.id }
-              }
-            }
-          } else {
-            console.warn('❌ Collaborator not found by email or user_id')
-            console.warn('Available collaborators:', allCollaborators)
-            console.warn('Looking for email:', user.email)
-            console.warn('Available emails:', allCollaborators?.map(c => c.collaborator_email) || [])
+
+          if (status === INVITATION_STATUS.PENDING) {
+            navigate(`/invitations/${collaboratorData.id}`)
+            return
           }
-        }
 
-        // If user is a collaborator, grant access immediately
-        // CanvasEditor will handle loading canvas_data with its own RLS-aware query
-        if (collaboratorData) {
-          console.log('Access granted: User is a collaborator')
-          setHasAccess(true)
-          setLoading(false)
+          toast.error(
+            status === INVITATION_STATUS.EXPIRED
+              ? 'Your invitation to this canvas has expired. Ask the owner to resend it.'
+              : 'You declined the invitation to this canvas.',
+            { duration: 5000 }
+          )
+          navigate('/dashboard')
           return
         }
 
@@ -0,0 +1,111 @@
+import { useEffect, useRef, useState } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import { LayoutTemplate, Plus } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { useCanvasTemplates } from '../hooks/useCanvasTemplates'
+import { LoadingSpinner } from '../components/LoadingSpinner'
+import { TemplatePreview } from '../components/TemplateGallery'
+
+/**
+ * Landing page of a shared template link (/templates/:token)
+ * Shows the template and copies it into the visitor's own library
+ */
+export const SharedTemplate = () => {
+  const { token } = useParams()
+  const navigate = useNavigate()
+  const { loadSharedTemplate, copySharedTemplate } = useCanvasTemplates({ enabled: false })
+  const [template, setTemplate] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [adding, setAdding] = useState(false)
+
+  // The hook's functions change every render; load once per token
+  const loadRef = useRef(loadSharedTemplate)
+  loadRef.current = loadSharedTemplate
+
+  useEffect(() => {
+    if (!token) return
+
+    const load = async () => {
+      setLoading(true)
+      const { data } = await loadRef.current(token)
+      setTemplate(data || null)
+      setLoading(false)
+    }
+
+    load()
+  }, [token])
+
+  const handleAdd = async () => {
+    setAdding(true)
+    const { error } = await copySharedTemplate(token)
+    setAdding(false)
+
+    if (!error) {
+      toast.success('Template added to your library')
+      navigate('/dashboard')
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner />
+  }
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-black flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-md bg-white dark:bg-[#1a1a1a] rounded-xl shadow-md p-6 border border-black dark:border-[#333333]"
+      >
+        <div className="flex items-center gap-2 mb-4">
+          <LayoutTemplate className="w-5 h-5 text-black dark:text-white" />
+          <h1 className="text-xl font-bold text-black dark:text-white">Shared Template</h1>
+        </div>
+
+        {!template ? (
+          <div className="space-y-4">
+            <p className="text-sm text-black dark:text-[#cccccc]">
+              This template link is invalid, or its owner has stopped sharing it.
+            </p>
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="px-4 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors text-sm"
+            >
+              Go to Dashboard
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <TemplatePreview template={template} />
+            <div>
+              <p className="font-medium text-black dark:text-white">{template.name}</p>
+              {template.description && (
+                <p className="text-sm text-black dark:text-[#999999]">{template.description}</p>
+              )}
+            </div>
+
+            <div className="flex gap-2">
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleAdd}
+                disabled={adding}
+                className="flex items-center gap-2 px-4 py-2 bg-black text-white rounded-lg hover:bg-[#1a1a1a] border border-black dark:border-[#333333] transition-colors disabled:opacity-50 text-sm"
+              >
+                <Plus className="w-4 h-4" />
+                Add to my templates
+              </motion.button>
+              <button
+                onClick={() => navigate('/dashboard')}
+                className="px-4 py-2 bg-white dark:bg-[#1a1a1a] text-black dark:text-white rounded-lg hover:bg-[#f5f5f5] dark:hover:bg-[#2a2a2a] border border-black dark:border-[#333333] transition-colors text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  )
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import { MISSING_ROW_MESSAGE, chunkIds, formatBatchSummary, runBatch } from '../utils/batchActions'
+
+describe('Batch Actions', () => {
+  it('should split ids into chunks', () => {
+    expect(chunkIds(['a', 'b', 'c', 'd', 'e'], 2)).toEqual([['a', 'b'], ['c', 'd'], ['e']])
+    expect(chunkIds([], 2)).toEqual([])
+  })
+
+  it('should report partial failures and progress', async () => {
+    const progress = []
+    const result = await runBatch(
+      ['a', 'b', 'c', 'd', 'e'],
+      async (chunk) => {
+        if (chunk.includes('c')) return { data: null, error: { message: 'timeout' } }
+        // 'b' is filtered out by RLS
+        return { data: chunk.filter((id) => id !== 'b').map((id) => ({ id })), error: null }
+      },
+      { chunkSize: 2, onProgress: (done, total) => progress.push(`${done}/${total}`) }
+    )
+
+    expect(result.succeeded).toEqual(['a', 'e'])
+    expect(result.failed).toEqual([
+      { id: 'b', message: MISSING_ROW_MESSAGE },
+      { id: 'c', message: 'timeout' },
+      { id: 'd', message: 'timeout' }
+    ])
+    expect(progress).toEqual(['2/5', '4/5', '5/5'])
+  })
+
+  it('should treat a thrown chunk as failed and read ids with getId', async () => {
+    const result = await runBatch(
+      ['n1', 'n2', 'n3'],
+      async (chunk) => {
+        if (chunk[0] === 'n3') throw new Error('offline')
+        return { data: chunk.map((id) => ({ note_id: id })), error: null }
+      },
+      { chunkSize: 2, getId: (row) => row.note_id }
+    )
+
+    expect(result.succeeded).toEqual(['n1', 'n2'])
+    expect(result.failed).toEqual([{ id: 'n3', message: 'offline' }])
+  })
+
+  it('should summarize the result', () => {
+    expect(formatBatchSummary({ succeeded: ['a'], failed: [] }, 'moved')).toBe('1 note moved')
+    expect(formatBatchSummary({ succeeded: ['a'], failed: [{ id: 'b' }] }, 'moved')).toBe('1 of 2 notes moved')
+  })
+})
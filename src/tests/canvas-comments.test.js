@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildCommentThreads,
+  getMentionQuery,
+  getThreadPosition,
+  parseMentions,
+  removeComment,
+  sceneToViewport,
+  splitMentions,
+  viewportToScene
+} from '../utils/canvasComments'
+
+const people = [
+  { user_id: 'u1', email: 'ada@example.com' },
+  { user_id: 'u2', email: 'Grace.Hopper@example.com' },
+  { user_id: null, email: 'pending@example.com' }
+]
+
+describe('Canvas Comments', () => {
+  it('should resolve @mentions to collaborator ids', () => {
+    expect(parseMentions('@ada and @grace.hopper, see @ada', people)).toEqual(['u1', 'u2'])
+    expect(parseMentions('@pending @nobody', people)).toEqual([])
+    expect(splitMentions('hi @ada!')).toEqual([
+      { text: 'hi ', mention: false },
+      { text: '@ada', mention: true },
+      { text: '!', mention: false }
+    ])
+  })
+
+  it('should find the mention being typed at the caret', () => {
+    expect(getMentionQuery('ping @Gr')).toEqual({ query: 'gr', start: 5 })
+    expect(getMentionQuery('@')).toEqual({ query: '', start: 0 })
+    expect(getMentionQuery('mail a@b')).toBeNull()
+    expect(getMentionQuery('@ada done', 4)).toEqual({ query: 'ada', start: 0 })
+  })
+
+  it('should group replies under their thread', () => {
+    const comments = [
+      { id: 'r2', parent_id: 't1', created_at: '2024-01-01T00:03:00Z' },
+      { id: 't2', parent_id: null, created_at: '2024-01-01T00:02:00Z' },
+      { id: 't1', parent_id: null, created_at: '2024-01-01T00:00:00Z' },
+      { id: 'r1', parent_id: 't1', created_at: '2024-01-01T00:01:00Z' },
+      { id: 'orphan', parent_id: 'gone', created_at: '2024-01-01T00:04:00Z' }
+    ]
+
+    const threads = buildCommentThreads(comments)
+    expect(threads.map((t) => t.id)).toEqual(['t1', 't2'])
+    expect(threads[0].replies.map((r) => r.id)).toEqual(['r1', 'r2'])
+    expect(removeComment(comments, 't1').map((c) => c.id)).toEqual(['t2', 'orphan'])
+  })
+
+  it('should place pins on the element or the stored coordinate', () => {
+    const elementsById = new Map([
+      ['box', { id: 'box', x: 10, y: 20, width: 100, isDeleted: false }],
+      ['gone', { id: 'gone', x: 0, y: 0, width: 5, isDeleted: true }]
+    ])
+
+    expect(getThreadPosition({ element_id: 'box', x: 0, y: 0 }, elementsById)).toEqual({ x: 110, y: 20 })
+    expect(getThreadPosition({ element_id: 'gone', x: 7, y: 8 }, elementsById)).toEqual({ x: 7, y: 8 })
+
+    const appState = { scrollX: 50, scrollY: -10, zoom: { value: 2 } }
+    const point = { x: 30, y: 40 }
+    expect(sceneToViewport(point, appState)).toEqual({ x: 160, y: 60 })
+    expect(viewportToScene(sceneToViewport(point, appState), appState)).toEqual(point)
+  })
+})
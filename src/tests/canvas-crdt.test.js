@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest'
+import {
+  applyOperation,
+  compareStamps,
+  createChangeOperations,
+  createDeletionOperation,
+  createElementOperation,
+  createReplica,
+  elementToOperation,
+  getReplicaElements,
+  materializeElement,
+  mergeOperations
+} from '../utils/canvasCrdt'
+
+const element = (id, props = {}) => ({
+  id,
+  type: 'rectangle',
+  x: 0,
+  y: 0,
+  width: 100,
+  height: 50,
+  strokeColor: '#000000',
+  isDeleted: false,
+  version: 1,
+  versionNonce: 100,
+  ...props
+})
+
+const permutations = (items) => {
+  if (items.length <= 1) return [items]
+  return items.flatMap((item, index) =>
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest])
+  )
+}
+
+const replay = (operations) => {
+  const replica = createReplica()
+  operations.forEach(operation => applyOperation(replica, operation))
+  return getReplicaElements(replica)
+}
+
+describe('Canvas CRDT', () => {
+  describe('compareStamps', () => {
+    it('should prefer the higher version, then the lower versionNonce', () => {
+      expect(compareStamps({ version: 2, versionNonce: 9 }, { version: 1, versionNonce: 1 })).toBeGreaterThan(0)
+      expect(compareStamps({ version: 2, versionNonce: 1 }, { version: 2, versionNonce: 9 })).toBeGreaterThan(0)
+      expect(compareStamps({ version: 2, versionNonce: 9 }, { version: 2, versionNonce: 1 })).toBeLessThan(0)
+    })
+  })
+
+  describe('createElementOperation', () => {
+    it('should only carry changed properties', () => {
+      const before = element('a')
+      const after = element('a', { x: 50, version: 2, versionNonce: 7 })
+
+      expect(createElementOperation(before, after, 'user-1')).toEqual({
+        elementId: 'a',
+        stamp: { version: 2, versionNonce: 7 },
+        props: { x: 50 },
+        userId: 'user-1'
+      })
+    })
+
+    it('should return null when only the stamp changed', () => {
+      expect(createElementOperation(element('a'), element('a', { version: 2 }))).toBeNull()
+    })
+  })
+
+  describe('merging', () => {
+    it('should keep concurrent edits to different properties of the same element', () => {
+      const base = element('a')
+      const moved = createElementOperation(base, element('a', { x: 40, version: 2, versionNonce: 10 }), 'alice')
+      const recoloured = createElementOperation(base, element('a', { strokeColor: '#ff0000', version: 2, versionNonce: 20 }), 'bob')
+
+      const [merged] = replay([elementToOperation(base), moved, recoloured])
+
+      expect(merged.x).toBe(40)
+      expect(merged.strokeColor).toBe('#ff0000')
+      expect(merged.version).toBe(2)
+      expect(merged.versionNonce).toBe(10)
+    })
+
+    it('should resolve concurrent edits to the same property by stamp', () => {
+      const base = element('a')
+      const left = createElementOperation(base, element('a', { x: 10, version: 2, versionNonce: 50 }))
+      const right = createElementOperation(base, element('a', { x: 20, version: 2, versionNonce: 5 }))
+
+      expect(replay([elementToOperation(base), left, right])[0].x).toBe(20)
+      expect(replay([elementToOperation(base), right, left])[0].x).toBe(20)
+    })
+
+    it('should not resurrect a deleted element when an older update arrives late', () => {
+      const base = element('a', { version: 3 })
+      const staleMove = createElementOperation(element('a'), element('a', { x: 99, version: 2, versionNonce: 1 }))
+      const tombstone = createDeletionOperation(base)
+
+      const [merged] = replay([elementToOperation(base), tombstone, staleMove])
+
+      expect(merged.isDeleted).toBe(true)
+    })
+
+    it('should converge regardless of operation order', () => {
+      const base = element('a')
+      const operations = [
+        elementToOperation(base),
+        elementToOperation(element('b', { x: 300 })),
+        createElementOperation(base, element('a', { x: 40, version: 2, versionNonce: 10 })),
+        createElementOperation(base, element('a', { width: 200, version: 2, versionNonce: 20 })),
+        createElementOperation(base, element('a', { x: 60, version: 3, versionNonce: 30 })),
+        createDeletionOperation(element('b', { x: 300 }))
+      ]
+
+      const byId = (elements) => Object.fromEntries(elements.map(el => [el.id, el]))
+      const expected = byId(replay(operations))
+
+      permutations(operations).forEach(order => {
+        expect(byId(replay(order))).toEqual(expected)
+      })
+      expect(expected.a.x).toBe(60)
+      expect(expected.a.width).toBe(200)
+      expect(expected.b.isDeleted).toBe(true)
+    })
+
+    it('should be idempotent', () => {
+      const replica = createReplica()
+      const operation = elementToOperation(element('a'))
+
+      expect(mergeOperations(replica, [operation])).toHaveLength(1)
+      expect(mergeOperations(replica, [operation])).toHaveLength(0)
+    })
+
+    it('should not materialize an element it has only seen partially', () => {
+      const replica = createReplica()
+      applyOperation(replica, { elementId: 'ghost', stamp: { version: 2, versionNonce: 1 }, props: { x: 5 } })
+
+      expect(materializeElement(replica, 'ghost')).toBeNull()
+    })
+  })
+
+  describe('createChangeOperations', () => {
+    it('should build operations for added, updated and removed elements', () => {
+      const previous = new Map([['a', element('a')], ['gone', element('gone', { version: 4 })]])
+      const changes = {
+        added: [element('new')],
+        updated: [element('a', { y: 15, version: 2 })],
+        removed: [{ id: 'gone' }]
+      }
+
+      const operations = createChangeOperations(previous, changes, 'user-1')
+
+      expect(operations.get('new').props.type).toBe('rectangle')
+      expect(operations.get('a').props).toEqual({ y: 15 })
+      expect(operations.get('gone')).toEqual({
+        elementId: 'gone',
+        stamp: { version: 5, versionNonce: 100 },
+        props: { isDeleted: true },
+        userId: 'user-1'
+      })
+    })
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import {
+  detectElementChanges,
+  diffCanvasVersions,
+  diffElementProperties,
+  hasCanvasDiff,
+  describeElement
+} from '../utils/canvasDiff'
+
+const element = (id, props = {}) => ({
+  id,
+  type: 'rectangle',
+  x: 0,
+  y: 0,
+  width: 100,
+  height: 50,
+  version: 1,
+  versionNonce: 1,
+  isDeleted: false,
+  ...props
+})
+
+describe('Canvas Diff', () => {
+  describe('detectElementChanges', () => {
+    it('should report added, updated and removed elements by version', () => {
+      const previous = new Map([
+        ['a', { ...element('a'), _version: 1 }],
+        ['b', { ...element('b'), _version: 1 }]
+      ])
+      const next = [element('a', { version: 2 }), element('c')]
+
+      const changes = detectElementChanges(previous, next)
+
+      expect(changes.added.map(e => e.id)).toEqual(['c'])
+      expect(changes.updated.map(e => e.id)).toEqual(['a'])
+      expect(changes.removed).toEqual([{ id: 'b' }])
+    })
+
+    it('should accept an array of previous elements', () => {
+      const changes = detectElementChanges([element('a')], [element('a')])
+
+      expect(changes.added).toHaveLength(0)
+      expect(changes.updated).toHaveLength(0)
+      expect(changes.removed).toHaveLength(0)
+    })
+  })
+
+  describe('diffElementProperties', () => {
+    it('should ignore bookkeeping fields', () => {
+      const before = element('a')
+      const after = element('a', { version: 5, versionNonce: 42, updated: Date.now(), seed: 7 })
+
+      expect(diffElementProperties(before, after)).toEqual([])
+    })
+
+    it('should list changed content properties', () => {
+      const before = element('a', { points: [[0, 0], [10, 10]] })
+      const after = element('a', { x: 20, points: [[0, 0], [10, 20]] })
+
+      expect(diffElementProperties(before, after)).toEqual([
+        { property: 'x', before: 0, after: 20 },
+        { property: 'points', before: [[0, 0], [10, 10]], after: [[0, 0], [10, 20]] }
+      ])
+    })
+  })
+
+  describe('diffCanvasVersions', () => {
+    it('should classify elements between two versions', () => {
+      const from = [element('kept'), element('moved'), element('gone')]
+      const to = [element('kept', { version: 3 }), element('moved', { x: 40, version: 2 }), element('new')]
+
+      const diff = diffCanvasVersions(from, to)
+
+      expect(diff.added.map(e => e.id)).toEqual(['new'])
+      expect(diff.removed.map(e => e.id)).toEqual(['gone'])
+      expect(diff.modified.map(m => m.id)).toEqual(['moved'])
+      expect(diff.modified[0].changes).toEqual([{ property: 'x', before: 0, after: 40 }])
+      expect(diff.unchanged.map(e => e.id)).toEqual(['kept'])
+      expect(hasCanvasDiff(diff)).toBe(true)
+    })
+
+    it('should treat deleted elements as absent', () => {
+      const from = [element('a'), element('b', { isDeleted: true })]
+      const to = [element('a', { isDeleted: true, version: 2 }), element('b', { version: 2 })]
+
+      const diff = diffCanvasVersions(from, to)
+
+      expect(diff.removed.map(e => e.id)).toEqual(['a'])
+      expect(diff.added.map(e => e.id)).toEqual(['b'])
+    })
+
+    it('should report no diff for identical scenes', () => {
+      const scene = [element('a'), element('b')]
+
+      expect(hasCanvasDiff(diffCanvasVersions(scene, scene))).toBe(false)
+    })
+  })
+
+  describe('describeElement', () => {
+    it('should include a truncated preview of text elements', () => {
+      expect(describeElement(element('t', { type: 'text', text: 'Roadmap' }))).toBe('text "Roadmap"')
+      expect(describeElement(element('t', { type: 'text', text: 'x'.repeat(40) }))).toBe(`text "${'x'.repeat(30)}…"`)
+      expect(describeElement(element('r'))).toBe('rectangle')
+    })
+  })
+})
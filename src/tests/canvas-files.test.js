@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Rows in canvas_files on the "server"; each test uses its own note ids, as
+// canvasFiles caches per note for the session
+const server = vi.hoisted(() => ({ rows: [], upserts: [], upsertError: null, queries: 0 }))
+
+vi.mock('../lib/supabase', () => ({
+  supabase: {
+    from: vi.fn(() => ({
+      upsert: vi.fn(async (rows) => {
+        if (server.upsertError) return { error: server.upsertError }
+        server.upserts.push(...rows)
+        server.rows.push(...rows)
+        return { error: null }
+      }),
+      select: vi.fn(() => ({
+        eq: vi.fn((column, noteId) => ({
+          in: vi.fn(async (inColumn, fileIds) => {
+            server.queries++
+            return { data: server.rows.filter((r) => r.note_id === noteId && fileIds.includes(r.file_id)), error: null }
+          })
+        }))
+      }))
+    })),
+    rpc: vi.fn(async (name, { share_token: token, file_ids: fileIds }) => {
+      server.queries++
+      return { data: server.rows.filter((r) => r.share_token === token && fileIds.includes(r.file_id)), error: null }
+    })
+  }
+}))
+
+import { getImageFileIds, hydrateCanvasFiles, toStoredCanvasFiles, uploadCanvasFiles } from '../lib/canvasFiles'
+
+const file = (id) => ({ id, mimeType: 'image/png', dataURL: `data:image/png;base64,${id}`, created: 1 })
+const image = (id, fileId, extra = {}) => ({ id, type: 'image', fileId, isDeleted: false, ...extra })
+const row = (noteId, fileId, extra = {}) => ({
+  note_id: noteId,
+  file_id: fileId,
+  mime_type: 'image/png',
+  data_url: `data:image/png;base64,${fileId}`,
+  created_at: '2026-10-01T10:00:00Z',
+  ...extra
+})
+
+describe('Canvas Files', () => {
+  beforeEach(() => {
+    server.rows = []
+    server.upserts = []
+    server.upsertError = null
+    server.queries = 0
+  })
+
+  it('should list the files used by live image elements once', () => {
+    expect(getImageFileIds([
+      image('i1', 'f1'),
+      image('i2', 'f1'),
+      image('i3', 'f2', { isDeleted: true }),
+      { id: 'r1', type: 'rectangle' },
+      image('i4', null),
+      image('i5', 'f3')
+    ])).toEqual(['f1', 'f3'])
+  })
+
+  it('should keep only references in the note once files are uploaded', async () => {
+    const files = { f1: file('f1'), f2: { id: 'f2', mimeType: 'image/png', created: 1 } }
+
+    // Not uploaded yet (e.g. offline): the data stays inline so nothing is lost
+    expect(toStoredCanvasFiles('note-a', files).f1.dataURL).toBe(files.f1.dataURL)
+
+    const { uploaded } = await uploadCanvasFiles('note-a', 'user-1', files)
+    expect(uploaded).toEqual(['f1'])
+    expect(server.upserts).toMatchObject([{ note_id: 'note-a', file_id: 'f1', created_by: 'user-1' }])
+
+    expect(toStoredCanvasFiles('note-a', files)).toEqual({
+      f1: { id: 'f1', mimeType: 'image/png', created: 1 },
+      f2: { id: 'f2', mimeType: 'image/png', created: 1 }
+    })
+
+    // Stored files are not sent again
+    expect(await uploadCanvasFiles('note-a', 'user-1', files)).toEqual({ uploaded: [] })
+    expect(server.upserts).toHaveLength(1)
+  })
+
+  it('should keep files inline when the upload fails', async () => {
+    server.upsertError = { message: 'Payload too large' }
+    const files = { f1: file('f1') }
+
+    expect(await uploadCanvasFiles('note-b', 'user-1', files)).toEqual({ error: server.upsertError })
+    expect(toStoredCanvasFiles('note-b', files).f1.dataURL).toBe(files.f1.dataURL)
+  })
+
+  it('should hydrate a stored scene from inline files, references and image elements', async () => {
+    server.rows = [row('note-c', 'f2'), row('note-c', 'f3'), row('other-note', 'f4')]
+    const scene = {
+      elements: [image('i1', 'f1'), image('i2', 'f3'), image('i3', 'f4')],
+      files: { f1: file('f1'), f2: { id: 'f2', mimeType: 'image/png', created: 1 } }
+    }
+
+    const files = await hydrateCanvasFiles('note-c', scene)
+    expect(Object.keys(files).sort()).toEqual(['f1', 'f2', 'f3'])
+    expect(files.f3).toEqual({ id: 'f3', mimeType: 'image/png', dataURL: 'data:image/png;base64,f3', created: Date.parse('2026-10-01T10:00:00Z') })
+    expect(server.queries).toBe(1)
+
+    // Loaded data is cached for the session; only the missing file is asked for again
+    await hydrateCanvasFiles('note-c', scene)
+    expect(server.queries).toBe(2)
+    expect(toStoredCanvasFiles('note-c', { f3: files.f3 }).f3.dataURL).toBeUndefined()
+  })
+
+  it('should read files through a share link', async () => {
+    server.rows = [row('note-d', 'f1', { share_token: 'token-1' })]
+
+    const files = await hydrateCanvasFiles(null, { elements: [image('i1', 'f1')], files: {} }, { shareToken: 'token-1' })
+    expect(Object.keys(files)).toEqual(['f1'])
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getSceneBounds,
+  renderCanvasToPng,
+  renderCanvasToSvg,
+  setRasterizer,
+  toDarkColor
+} from '../lib/canvasImage'
+
+const elements = [
+  { id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, strokeColor: '#1e1e1e', backgroundColor: '#ffc9c9', fillStyle: 'hachure' },
+  { id: 'a', type: 'arrow', x: 100, y: 25, width: 100, height: 75, points: [[0, 0], [100, 75]], strokeColor: '#1971c2', endArrowhead: 'triangle' },
+  { id: 't', type: 'text', x: 10, y: 10, width: 80, height: 25, text: 'Q3 <plan> & "goals"', fontSize: 20, textAlign: 'center' },
+  { id: 'i', type: 'image', x: 0, y: 60, width: 40, height: 40, fileId: 'f1' },
+  { id: 'gone', type: 'rectangle', x: 500, y: 500, width: 10, height: 10, isDeleted: true }
+]
+
+const files = { f1: { id: 'f1', mimeType: 'image/png', dataURL: 'data:image/png;base64,AA==' } }
+
+describe('Canvas Image', () => {
+  it('should fit the visible elements, including rotated ones', () => {
+    expect(getSceneBounds(elements)).toEqual([0, 0, 200, 100])
+    expect(getSceneBounds([])).toBeNull()
+
+    const [minX, minY, maxX, maxY] = getSceneBounds([
+      { type: 'rectangle', x: 0, y: 0, width: 100, height: 100, angle: Math.PI / 4 }
+    ])
+    expect(maxX - minX).toBeCloseTo(100 * Math.SQRT2)
+    expect(maxY - minY).toBeCloseTo(100 * Math.SQRT2)
+  })
+
+  it('should render an SVG with padding, scale, images and escaped text', () => {
+    const { svg, width, height } = renderCanvasToSvg({ elements, files }, { scale: 2, padding: 10 })
+
+    expect([width, height]).toEqual([440, 240])
+    expect(svg).toContain('viewBox="-10 -10 220 120"')
+    expect(svg).toContain('fill="#ffffff"')
+    expect(svg).toContain('<pattern id="fill-0"')
+    expect(svg).toContain('href="data:image/png;base64,AA=="')
+    expect(svg).toContain('Q3 &lt;plan&gt; &amp; &quot;goals&quot;')
+    expect(svg).not.toContain('500')
+  })
+
+  it('should support transparent, custom and dark backgrounds', () => {
+    expect(renderCanvasToSvg({ elements }, { background: false }).svg).not.toContain('#ffffff')
+    expect(renderCanvasToSvg({ elements }, { background: '#fff3bf' }).svg).toContain('fill="#fff3bf"')
+
+    const dark = renderCanvasToSvg({ elements }, { dark: true }).svg
+    expect(toDarkColor('#ffffff')).toBe('#121212')
+    expect(toDarkColor('#000')).toBe('#ededed')
+    expect(toDarkColor('transparent')).toBe('transparent')
+    expect(dark).toContain('fill="#121212"')
+    expect(dark).toContain(`stroke="${toDarkColor('#1e1e1e')}"`)
+  })
+
+  it('should rasterize with the configured rasterizer', async () => {
+    const calls = []
+    setRasterizer(async (svg, size) => {
+      calls.push(size)
+      return [137, 80, 78, 71]
+    })
+
+    const result = await renderCanvasToPng({ elements }, { scale: 0.5, padding: 0 })
+    expect(result.data).toEqual(new Uint8Array([137, 80, 78, 71]))
+    expect(calls).toEqual([{ width: 100, height: 50 }])
+
+    setRasterizer(async () => {
+      throw new Error('boom')
+    })
+    expect((await renderCanvasToPng({ elements })).error.message).toBe('boom')
+  })
+})
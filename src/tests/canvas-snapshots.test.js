@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import {
+  SNAPSHOT_ELEMENT_DELTA,
+  SNAPSHOT_INTERVAL_MS,
+  countSceneElements,
+  getAutoSnapshotAction,
+  prepareSnapshotForRestore
+} from '../utils/canvasSnapshots'
+
+const element = (id, version = 1, extra = {}) => ({ id, type: 'rectangle', version, versionNonce: 1, isDeleted: false, ...extra })
+
+describe('Canvas Snapshots', () => {
+  it('should count only live elements', () => {
+    expect(countSceneElements([element('a'), element('b', 1, { isDeleted: true }), element('c')])).toBe(2)
+    expect(countSceneElements()).toBe(0)
+  })
+
+  it('should back up the previous scene when a save clears most of the canvas', () => {
+    const lastSnapshot = { time: 0, count: 10 }
+
+    expect(getAutoSnapshotAction({ lastSnapshot, previousCount: 10, currentCount: 0, now: 1 })).toBe('previous')
+    expect(getAutoSnapshotAction({ lastSnapshot: null, previousCount: 10, currentCount: 4, now: 1 })).toBe('previous')
+    // Small scenes and moderate deletes are ordinary edits
+    expect(getAutoSnapshotAction({ lastSnapshot, previousCount: 4, currentCount: 0, now: 1 })).toBeNull()
+    expect(getAutoSnapshotAction({ lastSnapshot, previousCount: 10, currentCount: 5, now: 1 })).toBeNull()
+  })
+
+  it('should take the first snapshot once the canvas has content', () => {
+    expect(getAutoSnapshotAction({ lastSnapshot: null, previousCount: 0, currentCount: 1 })).toBe('current')
+    expect(getAutoSnapshotAction({ lastSnapshot: null, previousCount: 0, currentCount: 0 })).toBeNull()
+  })
+
+  it('should snapshot after the interval or a large change in size', () => {
+    const lastSnapshot = { time: 1000, count: 10 }
+    const later = 1000 + SNAPSHOT_INTERVAL_MS
+
+    expect(getAutoSnapshotAction({ lastSnapshot, previousCount: 10, currentCount: 11, now: later })).toBe('current')
+    // Nothing new to keep when the scene is the same size
+    expect(getAutoSnapshotAction({ lastSnapshot, previousCount: 10, currentCount: 10, now: later })).toBeNull()
+    expect(getAutoSnapshotAction({ lastSnapshot, previousCount: 10, currentCount: 11, now: later - 1 })).toBeNull()
+    expect(
+      getAutoSnapshotAction({ lastSnapshot, previousCount: 20, currentCount: 10 + SNAPSHOT_ELEMENT_DELTA, now: 1001 })
+    ).toBe('current')
+  })
+
+  it('should restore a snapshot as the newest edit and delete what it did not have', () => {
+    const snapshot = [element('a', 3), element('b', 1)]
+    const current = [element('a', 7), element('c', 2), element('d', 4, { isDeleted: true })]
+
+    const restored = prepareSnapshotForRestore(snapshot, current)
+    const byId = new Map(restored.map((e) => [e.id, e]))
+
+    expect(restored.map((e) => e.id)).toEqual(['a', 'b', 'c'])
+    expect(byId.get('a').version).toBe(8)
+    expect(byId.get('a').isDeleted).toBe(false)
+    expect(byId.get('b').version).toBe(2)
+    expect(byId.get('c')).toMatchObject({ isDeleted: true, version: 3 })
+  })
+
+  it('should clear the canvas when restoring an empty snapshot', () => {
+    const restored = prepareSnapshotForRestore([], [element('a', 1), element('b', 5)])
+
+    expect(restored.every((e) => e.isDeleted)).toBe(true)
+    expect(restored.map((e) => e.version)).toEqual([2, 6])
+  })
+})
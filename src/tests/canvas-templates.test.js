@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest'
+import {
+  BUILT_IN_TEMPLATES,
+  instantiateTemplate,
+  isBuiltInTemplate,
+  toTemplateScene
+} from '../utils/canvasTemplates'
+
+const counterIds = () => {
+  let next = 0
+  return () => `new-${++next}`
+}
+
+const template = {
+  elements: [
+    { id: 'box', type: 'rectangle', groupIds: ['g1'], frameId: 'frame', boundElements: [{ id: 'label', type: 'text' }, { id: 'arrow', type: 'arrow' }] },
+    { id: 'label', type: 'text', groupIds: ['g1'], frameId: 'frame', containerId: 'box', boundElements: null },
+    { id: 'arrow', type: 'arrow', groupIds: [], frameId: null, startBinding: { elementId: 'box', focus: 0, gap: 4 }, endBinding: { elementId: 'elsewhere', focus: 0, gap: 4 } },
+    { id: 'frame', type: 'frame', groupIds: [], frameId: null },
+    { id: 'gone', type: 'rectangle', groupIds: [], isDeleted: true }
+  ],
+  files: { f1: { id: 'f1', mimeType: 'image/png', dataURL: 'data:image/png;base64,AA==' } }
+}
+
+describe('Canvas Templates', () => {
+  it('gives every element and group a fresh id and keeps references consistent', () => {
+    const { elements, files } = instantiateTemplate(template, { createId: counterIds(), now: 42 })
+    const [box, label, arrow, frame] = elements
+
+    expect(elements).toHaveLength(4)
+    expect(elements.map((e) => e.id)).toEqual(['new-1', 'new-2', 'new-3', 'new-4'])
+    expect(box.groupIds).toEqual(['new-5'])
+    expect(label.groupIds).toEqual(['new-5'])
+    expect(box.frameId).toBe(frame.id)
+    expect(box.boundElements).toEqual([{ id: label.id, type: 'text' }, { id: arrow.id, type: 'arrow' }])
+    expect(label.containerId).toBe(box.id)
+    expect(arrow.startBinding).toEqual({ elementId: box.id, focus: 0, gap: 4 })
+    expect(arrow.endBinding).toBeNull()
+    expect(box.version).toBe(1)
+    expect(box.updated).toBe(42)
+    expect(files).toEqual(template.files)
+    expect(template.elements[0].id).toBe('box')
+  })
+
+  it('never repeats ids across two canvases from the same template', () => {
+    const createId = counterIds()
+    const first = instantiateTemplate(template, { createId })
+    const second = instantiateTemplate(template, { createId })
+    const ids = [...first.elements, ...second.elements].map((e) => e.id)
+
+    expect(new Set(ids).size).toBe(ids.length)
+  })
+
+  it('stores live elements and only the files their images use', () => {
+    const stored = toTemplateScene(
+      [
+        { id: 'img', type: 'image', fileId: 'f1' },
+        { id: 'old', type: 'image', fileId: 'f2', isDeleted: true }
+      ],
+      { f1: { id: 'f1' }, f2: { id: 'f2' }, f3: { id: 'f3' } }
+    )
+
+    expect(stored.elements.map((e) => e.id)).toEqual(['img'])
+    expect(Object.keys(stored.files)).toEqual(['f1'])
+  })
+
+  it('ships built-in templates whose bindings point at their own elements', () => {
+    expect(BUILT_IN_TEMPLATES.map((t) => t.name)).toEqual(['Flowchart', 'Kanban', 'Retrospective', 'Wireframe'])
+
+    BUILT_IN_TEMPLATES.forEach((t) => {
+      expect(isBuiltInTemplate(t)).toBe(true)
+      const ids = new Set(t.canvas_data.elements.map((e) => e.id))
+      expect(ids.size).toBe(t.canvas_data.elements.length)
+      t.canvas_data.elements.forEach((e) => {
+        const refs = [e.containerId, e.startBinding?.elementId, e.endBinding?.elementId, ...(e.boundElements || []).map((b) => b.id)]
+        refs.filter(Boolean).forEach((id) => expect(ids.has(id)).toBe(true))
+      })
+    })
+    expect(isBuiltInTemplate({ id: crypto.randomUUID() })).toBe(false)
+  })
+})
@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// canvas_thumbnails on the "server"; each test uses its own note ids, as
+// thumbnails are cached per note for the session
+const server = vi.hoisted(() => ({ rows: [], queries: [], upserts: [], error: null }))
+
+vi.mock('../lib/supabase', () => ({
+  supabase: {
+    from: vi.fn(() => ({
+      select: vi.fn(() => ({
+        in: vi.fn(async (column, noteIds) => {
+          server.queries.push(noteIds)
+          if (server.error) return { data: null, error: server.error }
+          return { data: server.rows.filter((row) => noteIds.includes(row.note_id)), error: null }
+        })
+      })),
+      upsert: vi.fn(async (row) => {
+        server.upserts.push(row)
+        return { error: null }
+      })
+    }))
+  }
+}))
+
+import {
+  THUMBNAIL_HEIGHT,
+  THUMBNAIL_WIDTH,
+  getSceneVersion,
+  loadCanvasThumbnail,
+  renderCanvasThumbnail,
+  saveCanvasThumbnail
+} from '../lib/canvasThumbnails'
+
+const rectangle = (id, version, extra = {}) => ({
+  id,
+  type: 'rectangle',
+  x: 0,
+  y: 0,
+  width: 100,
+  height: 50,
+  version,
+  strokeColor: '#1e1e1e',
+  backgroundColor: 'transparent',
+  ...extra
+})
+
+const scene = (...elements) => ({ elements, files: {} })
+
+describe('Canvas Thumbnails', () => {
+  beforeEach(() => {
+    server.rows = []
+    server.queries = []
+    server.upserts = []
+    server.error = null
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should change the scene version whenever an element changes', () => {
+    expect(getSceneVersion([rectangle('a', 3), rectangle('b', 4)])).toBe(7)
+    expect(getSceneVersion([rectangle('a', 3), rectangle('b', 5)])).toBe(8)
+    expect(getSceneVersion([])).toBe(0)
+  })
+
+  it('should fit the preview in the thumbnail size without enlarging small drawings', () => {
+    expect(renderCanvasThumbnail([])).toBeNull()
+
+    const wide = renderCanvasThumbnail([rectangle('a', 1, { width: 2000, height: 100 })])
+    const width = Number(/width="([\d.]+)"/.exec(wide)[1])
+    const height = Number(/height="([\d.]+)"/.exec(wide)[1])
+    expect(width).toBeCloseTo(THUMBNAIL_WIDTH, 0)
+    expect(height).toBeLessThanOrEqual(THUMBNAIL_HEIGHT)
+
+    const small = renderCanvasThumbnail([rectangle('a', 1, { width: 40, height: 20 })])
+    expect(Number(/width="([\d.]+)"/.exec(small)[1])).toBe(40 + 16 * 2)
+  })
+
+  it('should use the stored preview when it matches the scene', async () => {
+    server.rows = [{ note_id: 'note-a', svg: '<svg>stored</svg>', scene_version: '3' }]
+
+    expect(await loadCanvasThumbnail('note-a', scene(rectangle('r', 3)))).toBe('<svg>stored</svg>')
+    expect(server.queries).toEqual([['note-a']])
+  })
+
+  it('should redraw a stored preview that is out of date, and cache it', async () => {
+    server.rows = [{ note_id: 'note-b', svg: '<svg>old</svg>', scene_version: 2 }]
+    const canvas = scene(rectangle('r', 3))
+
+    const svg = await loadCanvasThumbnail('note-b', canvas)
+    expect(svg).not.toBe('<svg>old</svg>')
+    expect(svg).toBe(renderCanvasThumbnail(canvas.elements))
+
+    expect(await loadCanvasThumbnail('note-b', canvas)).toBe(svg)
+    expect(server.queries).toHaveLength(1)
+  })
+
+  it('should fetch previews asked for together in one request', async () => {
+    server.rows = [
+      { note_id: 'note-c', svg: '<svg>c</svg>', scene_version: 1 },
+      { note_id: 'note-d', svg: '<svg>d</svg>', scene_version: 1 }
+    ]
+
+    const svgs = await Promise.all([
+      loadCanvasThumbnail('note-c', scene(rectangle('r', 1))),
+      loadCanvasThumbnail('note-d', scene(rectangle('r', 1))),
+      loadCanvasThumbnail('note-e', scene(rectangle('r', 1)))
+    ])
+
+    expect(svgs.slice(0, 2)).toEqual(['<svg>c</svg>', '<svg>d</svg>'])
+    expect(svgs[2]).toContain('<svg')
+    expect(server.queries).toEqual([['note-c', 'note-d', 'note-e']])
+  })
+
+  it('should skip empty canvases and draw when previews cannot be loaded', async () => {
+    expect(await loadCanvasThumbnail('note-f', scene(rectangle('r', 1, { isDeleted: true })))).toBeNull()
+    expect(await loadCanvasThumbnail('note-f', null)).toBeNull()
+    expect(server.queries).toEqual([])
+
+    server.error = { message: 'offline' }
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    expect(await loadCanvasThumbnail('note-g', scene(rectangle('r', 1)))).toContain('<svg')
+    consoleError.mockRestore()
+  })
+
+  it('should store one preview after the last save of a burst', async () => {
+    vi.useFakeTimers()
+    const elements = [rectangle('r', 1)]
+
+    saveCanvasThumbnail('note-h', 'user-1', elements)
+    saveCanvasThumbnail('note-h', 'user-1', [rectangle('r', 2)])
+    await vi.advanceTimersByTimeAsync(1999)
+    expect(server.upserts).toEqual([])
+
+    await vi.advanceTimersByTimeAsync(1)
+    expect(server.upserts).toHaveLength(1)
+    expect(server.upserts[0]).toMatchObject({ note_id: 'note-h', scene_version: 2, updated_by: 'user-1' })
+
+    // The saved preview is cached, so the note card needn't fetch it
+    vi.useRealTimers()
+    expect(await loadCanvasThumbnail('note-h', scene(rectangle('r', 2)))).toBe(server.upserts[0].svg)
+    expect(server.queries).toEqual([])
+  })
+})
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import {
+  ALL_NOTES,
+  UNFILED,
+  canMoveFolder,
+  countNotesByFolder,
+  filterNotesByFolder,
+  flattenFolderTree,
+  getDescendantIds,
+  getFolderPath
+} from '../utils/folderTree'
+
+const folders = [
+  { id: 'work', parent_id: null, name: 'Work' },
+  { id: 'ideas', parent_id: null, name: 'ideas' },
+  { id: 'q3', parent_id: 'work', name: 'Q3' },
+  { id: 'launch', parent_id: 'q3', name: 'Launch' },
+  { id: 'archive', parent_id: 'work', name: 'Archive' },
+  { id: 'orphan', parent_id: 'deleted', name: 'Orphan' }
+]
+
+describe('Folder Tree', () => {
+  it('should list folders in tree order with depths', () => {
+    const rows = flattenFolderTree(folders)
+    expect(rows.map((row) => [row.folder.id, row.depth])).toEqual([
+      ['ideas', 0],
+      ['orphan', 0],
+      ['work', 0],
+      ['archive', 1],
+      ['q3', 1],
+      ['launch', 2]
+    ])
+    expect(rows.find((row) => row.folder.id === 'q3').hasChildren).toBe(true)
+
+    const collapsed = flattenFolderTree(folders, new Set(['work']))
+    expect(collapsed.map((row) => row.folder.id)).toEqual(['ideas', 'orphan', 'work'])
+  })
+
+  it('should not move a folder into itself or its subfolders', () => {
+    expect([...getDescendantIds(folders, 'work')].sort()).toEqual(['archive', 'launch', 'q3'])
+    expect(canMoveFolder(folders, 'work', 'launch')).toBe(false)
+    expect(canMoveFolder(folders, 'work', 'work')).toBe(false)
+    expect(canMoveFolder(folders, 'q3', 'work')).toBe(false)
+    expect(canMoveFolder(folders, 'q3', 'ideas')).toBe(true)
+    expect(canMoveFolder(folders, 'q3', null)).toBe(true)
+    expect(canMoveFolder(folders, 'ideas', null)).toBe(false)
+    expect(getFolderPath(folders, 'launch').map((folder) => folder.id)).toEqual(['work', 'q3', 'launch'])
+  })
+
+  it('should count and filter notes by folder', () => {
+    const notes = [
+      { id: 'a', folder_id: 'q3' },
+      { id: 'b', folder_id: 'q3' },
+      { id: 'c', folder_id: null },
+      { id: 'd', folder_id: 'gone' },
+      { id: 'e', folder_id: 'work' }
+    ]
+
+    const counts = countNotesByFolder(notes, folders)
+    expect(counts.all).toBe(5)
+    expect(counts.unfiled).toBe(2)
+    expect(counts.byFolder.get('q3')).toBe(2)
+    expect(counts.byFolder.get('launch')).toBe(0)
+
+    expect(filterNotesByFolder(notes, folders, ALL_NOTES)).toHaveLength(5)
+    expect(filterNotesByFolder(notes, folders, UNFILED).map((note) => note.id)).toEqual(['c', 'd'])
+    expect(filterNotesByFolder(notes, folders, 'work').map((note) => note.id)).toEqual(['e'])
+  })
+})
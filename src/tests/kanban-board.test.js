@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest'
+import { createElement, createText } from '../utils/canvasElements'
+import {
+  KANBAN_CARD,
+  KANBAN_COLUMN,
+  convertToBoard,
+  createBoard,
+  createCard,
+  createColumn,
+  getBoard,
+  getBoardSummary,
+  getKanbanRole,
+  getKanbanStatus,
+  snapBoard
+} from '../utils/kanbanBoard'
+
+const counterIds = () => {
+  let next = 0
+  return () => `id-${++next}`
+}
+
+const newBoard = () =>
+  createBoard(
+    [
+      { title: 'To do', cards: ['Write tests', 'Ship it'] },
+      { title: 'Done' }
+    ],
+    { createId: counterIds() }
+  )
+
+const find = (elements, text) => {
+  const label = elements.find((e) => e.type === 'text' && e.text === text)
+  return elements.find((e) => e.id === label.containerId)
+}
+
+const moveBy = (elements, id, dx, dy) =>
+  elements.map((e) => (e.id === id ? { ...e, x: e.x + dx, y: e.y + dy } : e))
+
+describe('Kanban Board', () => {
+  it('reads columns left to right with their cards top to bottom', () => {
+    const elements = newBoard()
+    const board = getBoard(elements)
+
+    expect(board.map((c) => c.status)).toEqual(['To do', 'Done'])
+    expect(getBoardSummary(elements)[0].cards.map((card) => card.text)).toEqual(['Write tests', 'Ship it'])
+    expect(board[1].cards).toEqual([])
+    expect(getKanbanRole(board[0].column)).toBe(KANBAN_COLUMN)
+    expect(getKanbanRole(board[0].cards[0])).toBe(KANBAN_CARD)
+  })
+
+  it('gives a card dropped on another column that status and snaps it in', () => {
+    const elements = newBoard()
+    const card = find(elements, 'Ship it')
+    const done = getBoard(elements)[1].column
+    const dropped = moveBy(elements, card.id, done.x - card.x + 13, 250)
+
+    const result = snapBoard(dropped, [card.id], { now: 7 })
+    const board = getBoard(result.elements)
+    const snapped = board[1].cards[0]
+    const label = result.elements.find((e) => e.containerId === snapped.id)
+
+    expect(result.statusChanges).toEqual([{ id: card.id, from: 'To do', to: 'Done' }])
+    expect(getKanbanStatus(snapped)).toBe('Done')
+    expect(snapped.x).toBe(done.x + (done.width - snapped.width) / 2)
+    expect(snapped.y).toBe(done.y + 70)
+    expect(snapped.version).toBe(card.version + 2)
+    expect(label.y).toBe(snapped.y + (snapped.height - label.height) / 2)
+    expect(getBoardSummary(result.elements)[0].cards.map((c) => c.text)).toEqual(['Write tests'])
+
+    expect(snapBoard(result.elements, [card.id]).changed).toEqual([])
+  })
+
+  it('sends a card dropped outside the board back to its column, in drop order', () => {
+    const elements = newBoard()
+    const [first, second] = getBoard(elements)[0].cards
+    const dropped = moveBy(elements, second.id, 0, -second.y + first.y - 30)
+
+    const result = snapBoard(dropped, [second.id])
+    expect(result.statusChanges).toEqual([])
+    expect(getBoard(result.elements)[0].cards.map((c) => c.id)).toEqual([second.id, first.id])
+
+    const away = snapBoard(moveBy(elements, first.id, 5000, 0), [first.id])
+    expect(getBoard(away.elements)[0].cards.map((c) => c.id)).toEqual([first.id, second.id])
+    expect(away.elements.find((e) => e.id === first.id).x).toBe(first.x)
+  })
+
+  it('renames a column and its cards when the heading is edited', () => {
+    const elements = newBoard()
+    const column = getBoard(elements)[0].column
+    const edited = elements.map((e) =>
+      e.containerId === column.id ? { ...e, text: 'Backlog', originalText: 'Backlog' } : e
+    )
+
+    const result = snapBoard(edited)
+    expect(getBoard(result.elements).map((c) => c.status)).toEqual(['Backlog', 'Done'])
+    expect(getBoard(result.elements)[0].cards).toHaveLength(2)
+    expect(result.statusChanges.map((change) => change.to)).toEqual(['Backlog', 'Backlog'])
+  })
+
+  it('numbers a heading renamed to another column\'s title instead of merging the columns', () => {
+    const elements = newBoard()
+    const [todo, done] = getBoard(elements)
+    const edited = elements.map((e) =>
+      e.containerId === todo.column.id ? { ...e, text: 'Done', originalText: 'Done' } : e
+    )
+
+    const result = snapBoard(edited)
+    const board = getBoard(result.elements)
+    const heading = result.elements.find((e) => e.containerId === todo.column.id)
+
+    expect(board.map((c) => c.status)).toEqual(['Done 2', 'Done'])
+    expect(heading.originalText).toBe('Done 2')
+    expect(board[0].cards.map((c) => c.id)).toEqual(todo.cards.map((c) => c.id))
+    expect(board[0].cards.map((c) => c.x)).toEqual(todo.cards.map((c) => c.x))
+    expect(board[1].cards).toEqual([])
+    expect(getBoardSummary(result.elements)[1].cards).toEqual([])
+    expect(result.elements.find((e) => e.id === done.column.id)).toBe(done.column)
+
+    expect(snapBoard(result.elements).changed).toEqual([])
+  })
+
+  it('adds columns with unique titles and cards at the bottom of a column', () => {
+    const createId = counterIds()
+    const elements = newBoard()
+    const column = createColumn(elements, 'Done', { createId })
+    const withColumn = [...elements, ...column]
+
+    expect(getKanbanStatus(column[0])).toBe('Done 2')
+    expect(column[0].x).toBe(getBoard(elements)[1].column.x + 280 + 40)
+
+    const card = createCard(withColumn, 'To do', 'Review', { createId })
+    const todo = getBoard(withColumn)[0]
+    expect(card[0].y).toBe(todo.cards[1].y + todo.cards[1].height + 20)
+    expect(getBoardSummary([...withColumn, ...card])[0].cards[2].text).toBe('Review')
+    expect(createCard(withColumn, 'Missing', 'Nope')).toEqual([])
+  })
+
+  it('turns hand-drawn rectangles and text into a board', () => {
+    const elements = [
+      createElement('rectangle', 'col-a', 0, 0, 300, 600),
+      createText('title-a', 20, 10, 'Ideas'),
+      createElement('rectangle', 'card-a', 30, 100, 240, 80),
+      createText('text-a', 60, 120, 'Try dark mode'),
+      createElement('rectangle', 'col-b', 400, 0, 300, 600),
+      createElement('rectangle', 'stray', 1000, 0, 100, 100)
+    ]
+
+    const result = convertToBoard(elements, ['col-a', 'card-a', 'col-b'])
+    const board = getBoard(result.elements)
+
+    expect(result.columns).toBe(2)
+    expect(result.cards).toBe(1)
+    expect(board.map((c) => c.status)).toEqual(['Ideas', 'Column 2'])
+    expect(getBoardSummary(result.elements)[0].cards).toEqual([{ id: 'card-a', text: 'Try dark mode' }])
+    expect(result.elements.find((e) => e.id === 'title-a').containerId).toBe('col-a')
+    expect(getKanbanRole(result.elements.find((e) => e.id === 'stray'))).toBeNull()
+  })
+})
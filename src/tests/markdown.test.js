@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import {
+  applyMarkdownFormat,
+  markdownToPlainText,
+  parseInline,
+  parseMarkdown,
+  toggleTask
+} from '../utils/markdown'
+
+describe('Markdown Notes', () => {
+  it('should parse headings, checklists and code blocks', () => {
+    const blocks = parseMarkdown('# Plan\n\n- [ ] draft\n- [x] review\n\n```js\nconst a = 1\n```')
+
+    expect(blocks.map((block) => block.type)).toEqual(['heading', 'list', 'code'])
+    expect(blocks[0].level).toBe(1)
+    expect(blocks[1].items.map((item) => [item.checked, item.line])).toEqual([[false, 2], [true, 3]])
+    expect(blocks[2]).toEqual({ type: 'code', lang: 'js', text: 'const a = 1' })
+  })
+
+  it('should parse inline formatting and drop unsafe links', () => {
+    const tokens = parseInline('**bold** and [site](https://example.com) or [x](javascript:alert(1))')
+
+    expect(tokens[0]).toEqual({ type: 'bold', children: [{ type: 'text', text: 'bold' }] })
+    expect(tokens[2].url).toBe('https://example.com')
+    expect(tokens[4].url).toBeNull()
+    expect(parseInline('snake_case_name')).toEqual([{ type: 'text', text: 'snake_case_name' }])
+  })
+
+  it('should produce readable plain text for cards and search', () => {
+    const source = '## Sprint *notes*\n- [x] ship `v2`\n- [ ] see [docs](https://example.com)\n> quoted'
+
+    expect(markdownToPlainText(source)).toBe('Sprint notes\n☑ ship v2\n☐ see docs\nquoted')
+    expect(markdownToPlainText(null)).toBe('')
+  })
+
+  it('should toggle tasks and apply toolbar formats', () => {
+    expect(toggleTask('- [ ] a\n- [x] b', 0)).toBe('- [x] a\n- [x] b')
+    expect(toggleTask('- [ ] a\n- [x] b', 1)).toBe('- [ ] a\n- [ ] b')
+    expect(toggleTask('plain', 0)).toBe('plain')
+
+    expect(applyMarkdownFormat('make bold', 5, 9, 'bold')).toEqual({
+      text: 'make **bold**',
+      selectionStart: 7,
+      selectionEnd: 11
+    })
+    expect(applyMarkdownFormat('one\ntwo', 1, 6, 'task').text).toBe('- [ ] one\n- [ ] two')
+    expect(applyMarkdownFormat('', 0, 0, 'italic').text).toBe('*italic text*')
+  })
+})
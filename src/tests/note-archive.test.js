@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildArchiveEntries,
+  findFolderByPathName,
+  parseMarkdownNote,
+  planImport,
+  readArchiveEntries,
+  slugifyFileName,
+  unzipArchiveEntries,
+  zipArchiveEntries
+} from '../utils/noteArchive'
+
+const folders = [
+  { id: 'work', parent_id: null, name: 'Work' },
+  { id: 'q3', parent_id: 'work', name: 'Q3' }
+]
+
+const notes = [
+  {
+    id: 'n1',
+    title: 'Sprint Retro: Q3',
+    content: '# Went well\n\n- shipped: search',
+    canvas_data: { elements: [{ id: 'e1', type: 'image', fileId: 'f1' }], files: { f1: { id: 'f1' } } },
+    folder_id: 'q3',
+    created_at: '2026-09-01T10:00:00Z',
+    updated_at: '2026-09-02T10:00:00Z'
+  },
+  { id: 'n2', title: 'Sprint retro: Q3', content: 'Copy', canvas_data: null, folder_id: null },
+  { id: 'n3', title: '', content: '', canvas_data: { elements: [], files: {} } }
+]
+
+describe('Note Archive', () => {
+  it('should name files after titles without collisions', () => {
+    expect(slugifyFileName('Café Plans / Q3!')).toBe('cafe-plans-q3')
+    expect(slugifyFileName('???')).toBe('untitled')
+
+    const entries = buildArchiveEntries(notes, { folders })
+    expect(Object.keys(entries)).toEqual([
+      'sprint-retro-q3.md',
+      'sprint-retro-q3.excalidraw',
+      'sprint-retro-q3-2.md',
+      'untitled.md'
+    ])
+  })
+
+  it('should round-trip notes through a ZIP', () => {
+    const files = new Map([['n1', { f1: { id: 'f1', mimeType: 'image/png', dataURL: 'data:image/png;base64,AA==' } }]])
+    const tagsByNote = new Map([['n1', [{ id: 't1', name: 'retro' }]]])
+    const entries = unzipArchiveEntries(
+      zipArchiveEntries(buildArchiveEntries(notes.slice(0, 1), { folders, tagsByNote, filesByNote: files }))
+    )
+
+    const [note] = readArchiveEntries(entries)
+    expect(note).toMatchObject({
+      sourceId: 'n1',
+      title: 'Sprint Retro: Q3',
+      content: '# Went well\n\n- shipped: search',
+      created_at: '2026-09-01T10:00:00Z',
+      folder: 'Work/Q3',
+      tags: ['retro']
+    })
+    expect(note.canvas_data.elements).toEqual(notes[0].canvas_data.elements)
+    expect(note.canvas_data.files.f1.dataURL).toBe('data:image/png;base64,AA==')
+    expect(findFolderByPathName(folders, note.folder)?.id).toBe('q3')
+  })
+
+  it('should read hand-written front-matter and lone canvases', () => {
+    expect(parseMarkdownNote('---\ntitle: Ideas\ntags: [a, \'b\']\n---\nBody').meta).toEqual({
+      title: 'Ideas',
+      tags: ['a', 'b']
+    })
+    expect(parseMarkdownNote('No front-matter')).toEqual({ meta: {}, content: 'No front-matter' })
+
+    const imported = readArchiveEntries({
+      'docs/plan.md': 'Just text',
+      'docs/plan.excalidraw': JSON.stringify({ type: 'excalidraw', elements: [{ id: 'a' }] }),
+      'board.excalidraw': JSON.stringify({ type: 'excalidraw', elements: [{ id: 'b' }] }),
+      'broken.excalidraw': 'not json'
+    })
+    expect(imported.map((note) => [note.title, note.canvas_data?.elements.length ?? 0])).toEqual([
+      ['plan', 1],
+      ['board', 1]
+    ])
+  })
+
+  it('should skip notes that already exist by id or title', () => {
+    const { toCreate, skipped } = planImport(
+      [
+        { sourceId: 'n1', title: 'Renamed since export' },
+        { sourceId: null, title: ' sprint RETRO: q3 ' },
+        { sourceId: 'x1', title: 'New' },
+        { sourceId: 'x2', title: 'new' }
+      ],
+      notes.slice(0, 2)
+    )
+
+    expect(toCreate.map((note) => note.sourceId)).toEqual(['x1'])
+    expect(skipped.map(({ note, reason }) => [note.title, reason])).toEqual([
+      ['Renamed since export', 'A note with this id already exists'],
+      [' sprint RETRO: q3 ', 'A note with this title already exists'],
+      ['new', 'A note with this title already exists']
+    ])
+  })
+})
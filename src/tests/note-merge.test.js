@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest'
+import { CONFLICT_MARKERS, countConflicts, mergeNoteFields, mergeText } from '../utils/noteMerge'
+
+describe('Note Merge', () => {
+  it('should combine edits to different lines', () => {
+    const base = 'intro\nmiddle\noutro'
+    const mine = 'intro (edited)\nmiddle\noutro'
+    const theirs = 'intro\nmiddle\noutro\nappendix'
+
+    expect(mergeText(base, mine, theirs)).toEqual({
+      text: 'intro (edited)\nmiddle\noutro\nappendix',
+      conflicts: 0
+    })
+  })
+
+  it('should keep both versions of overlapping edits between markers', () => {
+    const { text, conflicts } = mergeText('a\nb\nc', 'a\nmine\nc', 'a\ntheirs\nc')
+
+    expect(conflicts).toBe(1)
+    expect(text).toBe([
+      'a',
+      CONFLICT_MARKERS.mine,
+      'mine',
+      CONFLICT_MARKERS.separator,
+      'theirs',
+      CONFLICT_MARKERS.theirs,
+      'c'
+    ].join('\n'))
+    expect(countConflicts(text)).toBe(1)
+  })
+
+  it('should merge note fields and report conflicting ones', () => {
+    const base = { title: 'Plan', content: 'one\ntwo' }
+
+    expect(mergeNoteFields(base, { title: 'Plan v2', content: 'one\ntwo' }, { title: 'Plan', content: 'one\ntwo\nthree' }))
+      .toEqual({ merged: { title: 'Plan v2', content: 'one\ntwo\nthree' }, conflicts: [] })
+
+    expect(mergeNoteFields(base, { title: 'Mine', content: 'one' }, { title: 'Theirs', content: 'one\ntwo' }))
+      .toEqual({ merged: { title: 'Mine', content: 'one' }, conflicts: ['title'] })
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest'
+import { getVisibleSelection, selectRange, toggleSelection } from '../utils/noteSelection'
+
+const ids = ['a', 'b', 'c', 'd', 'e']
+
+describe('Note Selection', () => {
+  it('should toggle one note without changing the previous selection', () => {
+    const selected = new Set(['a'])
+    const next = toggleSelection(selected, 'b')
+
+    expect([...next]).toEqual(['a', 'b'])
+    expect([...toggleSelection(next, 'a')]).toEqual(['b'])
+    expect([...selected]).toEqual(['a'])
+  })
+
+  it('should select a range in list order from either direction', () => {
+    expect(getVisibleSelection(ids, selectRange(ids, new Set(['a']), 'b', 'd'))).toEqual(['a', 'b', 'c', 'd'])
+    expect(getVisibleSelection(ids, selectRange(ids, new Set(), 'e', 'c'))).toEqual(['c', 'd', 'e'])
+    // The anchor was filtered out, so only the clicked note changes
+    expect([...selectRange(ids, new Set(['a']), 'gone', 'c')]).toEqual(['a', 'c'])
+  })
+
+  it('should leave out selected notes that are no longer listed', () => {
+    expect(getVisibleSelection(ids, new Set(['e', 'gone', 'b']))).toEqual(['b', 'e'])
+  })
+})
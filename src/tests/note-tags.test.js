@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import {
+  TAG_COLORS,
+  compareNotesByTags,
+  countNotesByTag,
+  getTagNoteIds,
+  getTagState,
+  groupTagsByNote,
+  normalizeTagName,
+  pickTagColor
+} from '../utils/noteTags'
+
+const tags = [
+  { id: 't1', name: 'retro', color: '#ef4444' },
+  { id: 't2', name: 'architecture', color: '#3b82f6' },
+  { id: 't3', name: 'sprint-42', color: '#22c55e' }
+]
+
+const links = [
+  { note_id: 'n1', tag_id: 't1' },
+  { note_id: 'n1', tag_id: 't2' },
+  { note_id: 'n2', tag_id: 't3' },
+  { note_id: 'n3', tag_id: 't1' },
+  { note_id: 'n3', tag_id: 'deleted' }
+]
+
+describe('Note Tags', () => {
+  it('should normalize tag names', () => {
+    expect(normalizeTagName('  Sprint 42 ')).toBe('sprint-42')
+    expect(normalizeTagName('#Retro')).toBe('retro')
+    expect(normalizeTagName('a: "b"')).toBe('a-b')
+    expect(normalizeTagName('   ')).toBe('')
+    expect(TAG_COLORS).toContain(pickTagColor('retro'))
+    expect(pickTagColor('retro')).toBe(pickTagColor('retro'))
+  })
+
+  it('should group tags by note and notes by tag', () => {
+    const byNote = groupTagsByNote(tags, links)
+    expect(byNote.get('n1').map((tag) => tag.name)).toEqual(['architecture', 'retro'])
+    expect(byNote.get('n3').map((tag) => tag.name)).toEqual(['retro'])
+
+    expect(getTagNoteIds(tags, links)).toEqual({ retro: ['n1', 'n3'], architecture: ['n1'], 'sprint-42': ['n2'] })
+    expect(countNotesByTag(links).get('t1')).toBe(2)
+  })
+
+  it('should sort notes by tag and report bulk tag state', () => {
+    const byNote = groupTagsByNote(tags, links)
+    const notes = ['n4', 'n2', 'n3', 'n1']
+    notes.sort((a, b) => compareNotesByTags(byNote.get(a), byNote.get(b)))
+    expect(notes).toEqual(['n1', 'n3', 'n2', 'n4'])
+
+    expect(getTagState('t1', ['n1', 'n3'], links)).toBe('all')
+    expect(getTagState('t1', ['n1', 'n2'], links)).toBe('some')
+    expect(getTagState('t3', ['n1'], links)).toBe('none')
+  })
+})
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { mergeCanvasData, resolveQueuedMutation } from '../utils/offlineMerge'
+
+const element = (id, props = {}) => ({
+  id,
+  type: 'rectangle',
+  x: 0,
+  y: 0,
+  isDeleted: false,
+  version: 1,
+  versionNonce: 1,
+  ...props
+})
+
+describe('Offline Merge', () => {
+  describe('mergeCanvasData', () => {
+    it('should keep the newest version of each element from both sides', () => {
+      const server = { elements: [element('a', { x: 10, version: 3 }), element('remote')], files: { f1: { id: 'f1' } } }
+      const local = { elements: [element('a', { x: 99, version: 2 }), element('offline')], files: { f2: { id: 'f2' } } }
+
+      const merged = mergeCanvasData(server, local)
+      const byId = Object.fromEntries(merged.elements.map(el => [el.id, el]))
+
+      expect(Object.keys(byId).sort()).toEqual(['a', 'offline', 'remote'])
+      expect(byId.a.x).toBe(10)
+      expect(Object.keys(merged.files).sort()).toEqual(['f1', 'f2'])
+    })
+  })
+
+  describe('resolveQueuedMutation', () => {
+    const serverRow = {
+      id: 'note-1',
+      title: 'Server title',
+      content: 'Same content',
+      canvas_data: { elements: [element('a')], files: {} },
+      updated_at: '2026-10-01T12:00:00.000Z'
+    }
+
+    it('should apply note fields when the server has not changed since queueing', () => {
+      const mutation = {
+        kind: 'note',
+        queuedAt: '2026-10-01T13:00:00.000Z',
+        updates: { title: 'Offline title', content: 'Same content', updated_at: '2026-10-01T13:00:00.000Z' }
+      }
+
+      expect(resolveQueuedMutation(mutation, serverRow)).toEqual({
+        updates: { title: 'Offline title' },
+        keptServerFields: []
+      })
+    })
+
+    it('should keep server fields edited after the mutation was queued', () => {
+      const mutation = {
+        kind: 'note',
+        queuedAt: '2026-10-01T11:00:00.000Z',
+        updates: { title: 'Offline title', content: 'Same content' }
+      }
+
+      expect(resolveQueuedMutation(mutation, serverRow)).toEqual({
+        updates: null,
+        keptServerFields: ['title']
+      })
+    })
+
+    it('should apply sequential offline saves of a note on top of each other', () => {
+      const first = { kind: 'note', queuedAt: '2026-10-01T13:00:00.000Z', updates: { content: 'X' } }
+      const second = { kind: 'note', queuedAt: '2026-10-01T13:01:00.000Z', updates: { content: 'XY' } }
+
+      expect(resolveQueuedMutation(first, serverRow).updates).toEqual({ content: 'X' })
+
+      // Replaying the first save stamps the row with the replay time
+      const replayedRow = { ...serverRow, content: 'X', updated_at: '2026-10-01T14:00:00.000Z' }
+      const replayedWrite = { before: serverRow.updated_at, written: replayedRow.updated_at }
+
+      expect(resolveQueuedMutation(second, replayedRow, replayedWrite)).toEqual({
+        updates: { content: 'XY' },
+        keptServerFields: []
+      })
+
+      // An edit made on the server after that write still wins
+      const editedRow = { ...replayedRow, content: 'Z', updated_at: '2026-10-01T14:05:00.000Z' }
+      expect(resolveQueuedMutation(second, editedRow, replayedWrite)).toEqual({
+        updates: null,
+        keptServerFields: ['content']
+      })
+    })
+
+    it('should skip canvas mutations that add nothing to the server copy', () => {
+      const mutation = {
+        kind: 'canvas',
+        queuedAt: '2026-10-01T13:00:00.000Z',
+        updates: { canvas_data: { elements: [element('a')], files: {} } }
+      }
+
+      expect(resolveQueuedMutation(mutation, serverRow).updates).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest'
+import {
+  CURSOR_IDLE_MS,
+  CURSOR_TIMEOUT_MS,
+  buildCollaboratorsMap,
+  getCollaboratorColor
+} from '../utils/remoteCursors'
+
+describe('Remote Cursors', () => {
+  it('should give each user a stable colour', () => {
+    expect(getCollaboratorColor('user-1')).toEqual(getCollaboratorColor('user-1'))
+    expect(getCollaboratorColor('user-1').background).toMatch(/^#[0-9a-f]{6}$/)
+  })
+
+  it('should mark idle cursors and drop timed out ones', () => {
+    const now = 100000
+    const cursor = { username: 'Ada', pointer: { x: 1, y: 2, tool: 'pointer' }, button: 'up' }
+    const cursors = new Map([
+      ['active', { ...cursor, lastSeen: now - 100 }],
+      ['idle', { ...cursor, lastSeen: now - CURSOR_IDLE_MS - 1 }],
+      ['gone', { ...cursor, lastSeen: now - CURSOR_TIMEOUT_MS - 1 }]
+    ])
+
+    const collaborators = buildCollaboratorsMap(cursors, now)
+
+    expect(Array.from(collaborators.keys())).toEqual(['active', 'idle'])
+    expect(collaborators.get('active').userState).toBe('active')
+    expect(collaborators.get('idle').userState).toBe('idle')
+    expect(collaborators.get('active').color).toEqual(getCollaboratorColor('active'))
+  })
+})
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest'
+import {
+  applySearchSuggestion,
+  getSearchSuggestions,
+  parseSearchQuery,
+  toSearchFilters
+} from '../utils/searchQuery'
+
+describe('Search Query', () => {
+  it('should split free text from field filters', () => {
+    const { text, filters, errors } = parseSearchQuery(
+      'sprint title:"q3 plan" has:canvas -has:content shared:yes updated:>2026-09-01 owner:me notes'
+    )
+
+    expect(errors).toEqual([])
+    expect(text).toBe('sprint notes')
+    expect(filters.map(({ field, value, negated }) => [field, value, negated])).toEqual([
+      ['title', 'q3 plan', false],
+      ['has', 'canvas', false],
+      ['has', 'content', true],
+      ['shared', 'yes', false],
+      ['updated', '2026-09-01', false],
+      ['owner', 'me', false]
+    ])
+    expect(filters[4].operator).toBe('>')
+  })
+
+  it('should report errors with their position', () => {
+    const query = 'colour:red shared:maybe -owner:me updated:soon title:'
+    const { errors, filters } = parseSearchQuery(query)
+
+    expect(filters).toEqual([])
+    expect(errors.map((error) => query.slice(error.start, error.end))).toEqual([
+      'colour:red',
+      'shared:maybe',
+      '-owner:me',
+      'updated:soon',
+      'title:'
+    ])
+    expect(errors.map((error) => error.incomplete)).toEqual([false, false, false, false, true])
+    expect(parseSearchQuery('has:can').errors[0].incomplete).toBe(true)
+    expect(parseSearchQuery('title:"open').errors[0].message).toBe('Missing closing quote')
+  })
+
+  it('should build the filters search_notes() takes', () => {
+    const { filters } = parseSearchQuery(
+      'title:road -title:old has:canvas shared:no owner:others updated:>=2026-09-01 updated:<2026-10-01 created:2026-01-15'
+    )
+    const result = toSearchFilters(filters)
+
+    expect(result).toMatchObject({
+      title: ['road'],
+      not_title: ['old'],
+      has: ['canvas'],
+      shared: false,
+      owner: 'others'
+    })
+    expect(new Date(result.updated_after)).toEqual(new Date(2026, 8, 1))
+    expect(new Date(result.updated_before)).toEqual(new Date(2026, 9, 1))
+    expect(new Date(result.created_after)).toEqual(new Date(2026, 0, 15))
+    expect(new Date(result.created_before)).toEqual(new Date(2026, 0, 16))
+  })
+
+  it('should resolve tag filters to note ids', () => {
+    const tagNoteIds = { retro: ['n1', 'n2'], 'sprint-42': ['n2', 'n3'], old: ['n4'] }
+    const { filters } = parseSearchQuery('tag:Retro tag:sprint-42 -tag:old')
+
+    expect(toSearchFilters(filters, { tagNoteIds })).toEqual({ note_ids: ['n2'], not_note_ids: ['n4'] })
+    expect(toSearchFilters(parseSearchQuery('tag:missing').filters, { tagNoteIds })).toEqual({ note_ids: [] })
+    expect(getSearchSuggestions('tag:sp', 6, { tags: ['retro', 'sprint-42'] }).map((s) => s.insert)).toEqual([
+      'tag:sprint-42'
+    ])
+  })
+
+  it('should suggest fields and values for the token at the caret', () => {
+    expect(getSearchSuggestions('plan sh').map((s) => s.label)).toEqual(['shared:'])
+    expect(getSearchSuggestions('-').map((s) => s.label)).toEqual(['-title:', '-tag:', '-has:'])
+    expect(getSearchSuggestions('has:c').map((s) => s.label)).toEqual(['has:canvas', 'has:content'])
+
+    const titles = getSearchSuggestions('title:road', 10, { titles: ['Q3 Roadmap', 'Groceries'] })
+    expect(titles.map((s) => s.insert)).toEqual(['title:"Q3 Roadmap"'])
+
+    const dates = getSearchSuggestions('updated:>', 9, { now: new Date(2026, 9, 19) })
+    expect(dates.map((s) => s.label)).toEqual(['updated:>=2026-10-12', 'updated:>=2026-09-19'])
+
+    const [owner] = getSearchSuggestions('owner:m and more', 7)
+    expect(applySearchSuggestion('owner:m and more', owner)).toEqual({
+      text: 'owner:me and more',
+      caret: 9
+    })
+    const [field] = getSearchSuggestions('upd')
+    expect(applySearchSuggestion('upd', field)).toEqual({ text: 'updated:', caret: 8 })
+  })
+})
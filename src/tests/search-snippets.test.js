@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest'
+import {
+  HIGHLIGHT_END,
+  HIGHLIGHT_START,
+  hasHighlights,
+  splitHighlights,
+  toSearchResult
+} from '../utils/searchSnippets'
+
+const mark = (text) => `${HIGHLIGHT_START}${text}${HIGHLIGHT_END}`
+
+describe('Search Snippets', () => {
+  it('should split snippets into highlighted and plain parts', () => {
+    expect(splitHighlights(`the ${mark('canvas')} and ${mark('canvases')}`)).toEqual([
+      { text: 'the ', highlighted: false },
+      { text: 'canvas', highlighted: true },
+      { text: ' and ', highlighted: false },
+      { text: 'canvases', highlighted: true }
+    ])
+    expect(splitHighlights('<b>not markup</b>')).toEqual([{ text: '<b>not markup</b>', highlighted: false }])
+    expect(splitHighlights(null)).toEqual([])
+  })
+
+  it('should keep only snippets that contain a match', () => {
+    const result = toSearchResult({
+      id: 'n1',
+      title: 'Roadmap',
+      rank: 0.5,
+      title_snippet: 'Roadmap',
+      content_snippet: `next ${mark('sprint')}`,
+      canvas_snippet: ''
+    })
+
+    expect(result.note).toEqual({ id: 'n1', title: 'Roadmap' })
+    expect(result.rank).toBe(0.5)
+    expect(result.snippets).toEqual({ title: null, content: `next ${mark('sprint')}`, canvas: null })
+    expect(hasHighlights(result.snippets.content)).toBe(true)
+  })
+})
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest'
+import {
+  applyTextOperations,
+  createTextOperations,
+  createTextReplica,
+  getCharIdBefore,
+  getIndexAfterCharId,
+  getReplicaOperations,
+  getText,
+  getVisibleIds,
+  loadText
+} from '../utils/textCrdt'
+
+const createReplica = (site, text = '') => {
+  const replica = createTextReplica(site)
+  loadText(replica, text)
+  return replica
+}
+
+const edit = (replica, next) =>
+  createTextOperations(replica, { text: getText(replica), ids: getVisibleIds(replica) }, next)
+
+describe('Text CRDT', () => {
+  it('should converge when concurrent edits arrive in any order', () => {
+    const alice = createReplica('alice', 'hello world')
+    const bob = createReplica('bob', 'hello world')
+
+    const aliceOps = edit(alice, 'hello brave world')
+    const bobOps = edit(bob, 'hello world!')
+    const bobMoreOps = edit(bob, 'Hello world!')
+
+    applyTextOperations(alice, [...bobMoreOps, ...bobOps])
+    applyTextOperations(bob, aliceOps)
+
+    expect(getText(alice)).toBe('Hello brave world!')
+    expect(getText(bob)).toBe('Hello brave world!')
+  })
+
+  it('should order concurrent inserts at the same spot the same way everywhere', () => {
+    const alice = createReplica('alice', 'ab')
+    const bob = createReplica('bob', 'ab')
+
+    const aliceOps = edit(alice, 'aXb')
+    const bobOps = edit(bob, 'aYb')
+
+    applyTextOperations(alice, bobOps)
+    applyTextOperations(bob, aliceOps)
+    // Applying an operation twice changes nothing
+    expect(applyTextOperations(bob, aliceOps)).toBe(false)
+
+    expect(getText(alice)).toBe(getText(bob))
+    expect(['aXYb', 'aYXb']).toContain(getText(alice))
+  })
+
+  it('should hold operations until the characters they follow arrive', () => {
+    const alice = createReplica('alice')
+    const bob = createReplica('bob')
+
+    const first = edit(alice, 'abc')
+    const second = edit(alice, 'abcd')
+    const third = edit(alice, 'bcd')
+
+    expect(applyTextOperations(bob, [...third, ...second])).toBe(false)
+    expect(bob.pending).toHaveLength(2)
+
+    applyTextOperations(bob, first)
+    expect(getText(bob)).toBe('bcd')
+    expect(bob.pending).toHaveLength(0)
+  })
+
+  it('should rebuild a replica for a session that joins later', () => {
+    const alice = createReplica('alice', 'draft')
+    edit(alice, 'first draft')
+    edit(alice, 'first drafts!')
+    edit(alice, 'final drafts!')
+
+    const carol = createTextReplica('carol')
+    const operations = getReplicaOperations(alice)
+    applyTextOperations(carol, operations)
+
+    expect(getText(carol)).toBe('final drafts!')
+    expect(operations.length).toBeLessThan(getText(carol).length)
+
+    // Carol's edits still merge with Alice's
+    const carolOps = edit(carol, 'final drafts!!')
+    applyTextOperations(alice, carolOps)
+    expect(getText(alice)).toBe('final drafts!!')
+  })
+
+  it('should keep carets next to the character they follow', () => {
+    const alice = createReplica('alice', 'one two')
+    const bob = createReplica('bob', 'one two')
+
+    // Bob's caret sits after "one"
+    const caret = getCharIdBefore(getVisibleIds(bob), 3)
+    expect(getIndexAfterCharId(bob, caret)).toBe(3)
+
+    applyTextOperations(bob, edit(alice, 'and one two'))
+    expect(getIndexAfterCharId(bob, caret)).toBe(7)
+
+    // The character is deleted: the caret stays where it was
+    applyTextOperations(bob, edit(alice, 'and on two'))
+    expect(getIndexAfterCharId(bob, caret)).toBe(6)
+
+    expect(getIndexAfterCharId(bob, null)).toBe(0)
+    expect(getIndexAfterCharId(bob, '99@nobody')).toBeNull()
+  })
+})
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest'
+import { getDaysUntilPurge, getPurgeCutoff, splitTrashedNotes } from '../utils/trash'
+
+describe('Trash', () => {
+  it('should split trashed notes from active ones', () => {
+    const { active, trashed } = splitTrashedNotes([
+      { id: 'a', deleted_at: null },
+      { id: 'b', deleted_at: '2026-10-01T10:00:00Z' },
+      { id: 'c' },
+      { id: 'd', deleted_at: '2026-10-15T10:00:00Z' }
+    ])
+
+    expect(active.map((note) => note.id)).toEqual(['a', 'c'])
+    expect(trashed.map((note) => note.id)).toEqual(['d', 'b'])
+  })
+
+  it('should count down to the purge', () => {
+    const now = new Date(2026, 9, 19, 12)
+
+    expect(getDaysUntilPurge(new Date(2026, 9, 19, 9), now)).toBe(30)
+    expect(getDaysUntilPurge(new Date(2026, 8, 25, 9), now)).toBe(6)
+    expect(getDaysUntilPurge(new Date(2026, 7, 1), now)).toBe(0)
+    expect(getPurgeCutoff(now)).toEqual(new Date(2026, 8, 19, 12))
+  })
+})
@@ -0,0 +1,66 @@
+// Batch actions send notes to Supabase in chunks: one request per chunk keeps
+// .in() filters well under the URL length limit and lets the UI show progress
+export const BATCH_CHUNK_SIZE = 50
+
+export const MISSING_ROW_MESSAGE = 'Not found, or you don\'t have permission'
+
+export const chunkIds = (ids, size = BATCH_CHUNK_SIZE) => {
+  const chunks = []
+  for (let i = 0; i < ids.length; i += size) {
+    chunks.push(ids.slice(i, i + size))
+  }
+  return chunks
+}
+
+/**
+ * Runs runChunk(ids) for each chunk of ids, one request at a time
+ * runChunk resolves to a Supabase { data, error }; data holds the rows that
+ * were changed. A chunk error fails the whole chunk, and requested ids with no
+ * row in data fail with missingMessage (RLS filters rows silently).
+ * onProgress(done, total) is called after each chunk.
+ * Returns { succeeded: ids, failed: [{ id, message }] }
+ */
+export const runBatch = async (
+  ids,
+  runChunk,
+  { chunkSize = BATCH_CHUNK_SIZE, getId = (row) => row.id, missingMessage = MISSING_ROW_MESSAGE, onProgress } = {}
+) => {
+  const succeeded = []
+  const failed = []
+  let done = 0
+
+  for (const chunk of chunkIds(ids, chunkSize)) {
+    let result
+    try {
+      result = await runChunk(chunk)
+    } catch (err) {
+      result = { error: err }
+    }
+
+    if (result?.error) {
+      const message = result.error.message || 'Request failed'
+      chunk.forEach((id) => failed.push({ id, message }))
+    } else {
+      const changedIds = new Set((result?.data || []).map(getId))
+      chunk.forEach((id) => {
+        if (changedIds.has(id)) {
+          succeeded.push(id)
+        } else {
+          failed.push({ id, message: missingMessage })
+        }
+      })
+    }
+
+    done += chunk.length
+    if (onProgress) onProgress(done, ids.length)
+  }
+
+  return { succeeded, failed }
+}
+
+// e.g. "12 notes moved to Trash", or "10 of 12 notes moved to Trash"
+export const formatBatchSummary = ({ succeeded, failed }, pastTense) => {
+  const total = succeeded.length + failed.length
+  const count = failed.length > 0 ? `${succeeded.length} of ${total}` : `${total}`
+  return `${count} note${total === 1 ? '' : 's'} ${pastTense}`
+}
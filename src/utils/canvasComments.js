@@ -0,0 +1,102 @@
+// @handles are the local part of a collaborator's email, e.g. @ada for ada@example.com
+const MENTION_PATTERN = /@([\w.+-]+)/g
+const MENTION_QUERY_PATTERN = /(^|\s)@([\w.+-]*)$/
+
+export const getMentionHandle = (person) =>
+  (person?.email || '').split('@')[0].toLowerCase()
+
+// User ids of the people whose @handle appears in the comment body
+export const parseMentions = (body = '', people = []) => {
+  const handles = new Set(
+    Array.from(body.matchAll(MENTION_PATTERN), (match) => match[1].toLowerCase())
+  )
+  return people
+    .filter((person) => person.user_id && handles.has(getMentionHandle(person)))
+    .map((person) => person.user_id)
+    .filter((id, index, ids) => ids.indexOf(id) === index)
+}
+
+// Splits a body into text and @mention segments for rendering
+export const splitMentions = (body = '') => {
+  const segments = []
+  let lastIndex = 0
+
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: body.slice(lastIndex, match.index), mention: false })
+    }
+    segments.push({ text: match[0], mention: true })
+    lastIndex = match.index + match[0].length
+  }
+  if (lastIndex < body.length) {
+    segments.push({ text: body.slice(lastIndex), mention: false })
+  }
+
+  return segments
+}
+
+/**
+ * The @handle being typed just before the caret, for autocomplete
+ * Returns { query, start } where start is the index of the '@', or null
+ */
+export const getMentionQuery = (text, caret = text.length) => {
+  const match = text.slice(0, caret).match(MENTION_QUERY_PATTERN)
+  if (!match) return null
+  return { query: match[2].toLowerCase(), start: caret - match[2].length - 1 }
+}
+
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at)
+
+/**
+ * Groups canvas_comments rows into threads: root comments, oldest first, each
+ * with its replies. Replies whose root is gone are dropped
+ */
+export const buildCommentThreads = (comments = []) => {
+  const roots = comments.filter((comment) => !comment.parent_id).sort(byCreatedAt)
+  const replies = comments.filter((comment) => comment.parent_id).sort(byCreatedAt)
+
+  return roots.map((root) => ({
+    ...root,
+    replies: replies.filter((reply) => reply.parent_id === root.id),
+  }))
+}
+
+export const upsertComment = (comments, comment) =>
+  comments.some((c) => c.id === comment.id)
+    ? comments.map((c) => (c.id === comment.id ? { ...c, ...comment } : c))
+    : [...comments, comment]
+
+// Removing a root removes its replies too (ON DELETE CASCADE)
+export const removeComment = (comments, commentId) =>
+  comments.filter((c) => c.id !== commentId && c.parent_id !== commentId)
+
+// Element comments sit at the element's top-right corner
+export const getElementAnchor = (element) => ({
+  elementId: element.id,
+  x: element.x + (element.width || 0),
+  y: element.y,
+})
+
+/**
+ * Scene position of a thread's pin
+ * Follows the anchored element while it exists, otherwise the stored coordinate
+ */
+export const getThreadPosition = (thread, elementsById) => {
+  const element = thread.element_id && elementsById.get(thread.element_id)
+  if (element && !element.isDeleted) {
+    const { x, y } = getElementAnchor(element)
+    return { x, y }
+  }
+  return { x: thread.x ?? 0, y: thread.y ?? 0 }
+}
+
+// Scene <-> canvas-relative viewport coordinates (Excalidraw's scroll and zoom)
+export const sceneToViewport = ({ x, y }, { scrollX, scrollY, zoom }) => ({
+  x: (x + scrollX) * zoom.value,
+  y: (y + scrollY) * zoom.value,
+})
+
+export const viewportToScene = ({ x, y }, { scrollX, scrollY, zoom }) => ({
+  x: x / zoom.value - scrollX,
+  y: y / zoom.value - scrollY,
+})
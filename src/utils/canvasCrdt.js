@@ -0,0 +1,184 @@
+/**
+ * Operation-based merge for Excalidraw elements
+ *
+ * Each element is kept as a set of last-writer-wins registers, one per
+ * property. A register is stamped with the { version, versionNonce } of the
+ * edit that wrote it, and stamps are ordered the way Excalidraw orders element
+ * versions: higher version wins, ties go to the lower versionNonce. Because
+ * every register just keeps the highest stamp it has seen, applying the same
+ * operations in any order (or more than once) produces the same scene.
+ *
+ * Operations only carry the properties an edit actually changed, so two users
+ * editing different properties of the same shape keep both edits. Deletes are
+ * tombstones (isDeleted: true written like any other property), so an older
+ * update arriving late cannot bring a deleted element back.
+ */
+
+// Derived from the registers, never merged as properties themselves
+const STAMP_PROPERTIES = new Set(['version', 'versionNonce', '_version'])
+
+const isEqualValue = (a, b) => {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+export const getElementStamp = (element) => ({
+  version: element?.version || 0,
+  versionNonce: element?.versionNonce || 0
+})
+
+/**
+ * Total order over stamps: > 0 when a wins over b
+ */
+export const compareStamps = (a, b) => {
+  if (a.version !== b.version) return a.version - b.version
+  return b.versionNonce - a.versionNonce
+}
+
+// Breaks exact stamp ties on the value itself so replicas still agree
+const compareWrites = (a, b) => {
+  const byStamp = compareStamps(a.stamp, b.stamp)
+  if (byStamp !== 0) return byStamp
+  const aValue = JSON.stringify(a.value) ?? ''
+  const bValue = JSON.stringify(b.value) ?? ''
+  return aValue < bValue ? -1 : aValue > bValue ? 1 : 0
+}
+
+/**
+ * Builds the operation for a local edit
+ * previous: the element as last synced (null for a new element), next: the
+ * edited element. Returns null when nothing but the stamp changed
+ */
+export const createElementOperation = (previous, next, userId = null) => {
+  const props = {}
+
+  Object.keys(next).forEach((property) => {
+    if (STAMP_PROPERTIES.has(property)) return
+    if (!previous || !isEqualValue(previous[property], next[property])) {
+      props[property] = next[property]
+    }
+  })
+
+  if (Object.keys(props).length === 0) return null
+
+  return {
+    elementId: next.id,
+    stamp: getElementStamp(next),
+    props,
+    userId
+  }
+}
+
+/**
+ * Tombstone for an element that disappeared from the scene entirely
+ * (Excalidraw itself normally keeps deleted elements with isDeleted: true)
+ */
+export const createDeletionOperation = (element, userId = null) => {
+  const stamp = getElementStamp(element)
+  return {
+    elementId: element.id,
+    stamp: { ...stamp, version: stamp.version + 1 },
+    props: { isDeleted: true },
+    userId
+  }
+}
+
+// Whole element as an operation, e.g. for clients that only send elements
+export const elementToOperation = (element, userId = null) =>
+  createElementOperation(null, element, userId)
+
+/**
+ * Operations for the output of detectElementChanges()
+ * previous: Map of id -> element as last synced
+ * Returns a Map of elementId -> operation (elements whose edit only bumped the
+ * version have no entry)
+ */
+export const createChangeOperations = (previous, changes, userId = null) => {
+  const operations = new Map()
+
+  changes.added.concat(changes.updated).forEach((element) => {
+    const operation = createElementOperation(previous.get(element.id) || null, element, userId)
+    if (operation) operations.set(element.id, operation)
+  })
+
+  changes.removed.forEach(({ id }) => {
+    operations.set(id, createDeletionOperation(previous.get(id) || { id }, userId))
+  })
+
+  return operations
+}
+
+export const createReplica = () => new Map()
+
+/**
+ * Applies an operation to a replica (Map of elementId -> Map of registers)
+ * Returns true when any register changed
+ */
+export const applyOperation = (replica, operation) => {
+  let registers = replica.get(operation.elementId)
+  if (!registers) {
+    registers = new Map()
+    replica.set(operation.elementId, registers)
+  }
+
+  let changed = false
+  Object.entries(operation.props).forEach(([property, value]) => {
+    const incoming = { value, stamp: operation.stamp }
+    const current = registers.get(property)
+    if (!current || compareWrites(incoming, current) > 0) {
+      registers.set(property, incoming)
+      changed = true
+    }
+  })
+
+  return changed
+}
+
+/**
+ * Reads an element back out of its registers
+ * The element's version/versionNonce are those of its newest register, so
+ * Excalidraw sees the merged element as at least as new as any input
+ * Returns null until the replica has seen the element's type (e.g. only a
+ * partial update arrived for an element this client never loaded)
+ */
+export const materializeElement = (replica, elementId) => {
+  const registers = replica.get(elementId)
+  if (!registers || !registers.has('type')) return null
+
+  const element = { id: elementId }
+  let newest = null
+  registers.forEach(({ value, stamp }, property) => {
+    element[property] = value
+    if (!newest || compareStamps(stamp, newest) > 0) {
+      newest = stamp
+    }
+  })
+
+  element.version = newest.version
+  element.versionNonce = newest.versionNonce
+  return element
+}
+
+/**
+ * Applies operations to a replica and returns the merged elements they touched
+ * (tombstones come back with isDeleted: true, which Excalidraw keeps but hides)
+ */
+export const mergeOperations = (replica, operations) => {
+  const touched = new Set()
+  operations.forEach((operation) => {
+    if (applyOperation(replica, operation)) {
+      touched.add(operation.elementId)
+    }
+  })
+
+  return Array.from(touched)
+    .map((elementId) => materializeElement(replica, elementId))
+    .filter(Boolean)
+}
+
+// Every element in the replica, in first-seen order
+export const getReplicaElements = (replica) =>
+  Array.from(replica.keys())
+    .map((elementId) => materializeElement(replica, elementId))
+    .filter(Boolean)
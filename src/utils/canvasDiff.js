@@ -0,0 +1,134 @@
+/**
+ * Element-level diffing for Excalidraw scenes
+ *
+ * detectElementChanges() is the cheap, version-based check used by the sync
+ * hooks on every change. diffCanvasVersions() compares two saved versions
+ * property by property for the diff viewer.
+ */
+
+const toElementMap = (elements) =>
+  elements instanceof Map ? elements : new Map(elements.map((element) => [element.id, element]))
+
+const getVersion = (element) => element._version ?? (element.version || 0)
+
+/**
+ * Version-based change detection between the last known elements and a new set
+ * previous: Map of id -> element (or an array), next: array of elements
+ * Returns { added, updated, removed: [{ id }] }
+ */
+export const detectElementChanges = (previous, next) => {
+  const previousMap = toElementMap(previous)
+  const changes = {
+    updated: [],
+    removed: [],
+    added: []
+  }
+
+  const nextIds = new Set()
+  next.forEach((element) => {
+    nextIds.add(element.id)
+    const existing = previousMap.get(element.id)
+    if (!existing) {
+      changes.added.push(element)
+    } else if (getVersion(existing) !== (element.version || 0)) {
+      changes.updated.push(element)
+    }
+  })
+
+  previousMap.forEach((_existing, id) => {
+    if (!nextIds.has(id)) {
+      changes.removed.push({ id })
+    }
+  })
+
+  return changes
+}
+
+// Bookkeeping fields that change on every edit and say nothing about content
+const IGNORED_PROPERTIES = new Set([
+  'version',
+  'versionNonce',
+  'updated',
+  'seed',
+  'isDeleted',
+  '_version',
+  'lastModified'
+])
+
+const isEqualValue = (a, b) => {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Lists the content properties that differ between two versions of an element
+ * Returns [{ property, before, after }]
+ */
+export const diffElementProperties = (before, after) => {
+  const properties = new Set([...Object.keys(before), ...Object.keys(after)])
+  const changes = []
+
+  properties.forEach((property) => {
+    if (IGNORED_PROPERTIES.has(property)) return
+    if (!isEqualValue(before[property], after[property])) {
+      changes.push({ property, before: before[property], after: after[property] })
+    }
+  })
+
+  return changes
+}
+
+const liveElements = (elements = []) => elements.filter((element) => !element.isDeleted)
+
+/**
+ * Property-level diff between two scenes
+ * Deleted elements (isDeleted) count as absent
+ * Returns { added, removed, modified: [{ id, before, after, changes }], unchanged }
+ */
+export const diffCanvasVersions = (fromElements = [], toElements = []) => {
+  const fromMap = toElementMap(liveElements(fromElements))
+  const toMap = toElementMap(liveElements(toElements))
+
+  const result = {
+    added: [],
+    removed: [],
+    modified: [],
+    unchanged: []
+  }
+
+  toMap.forEach((after, id) => {
+    const before = fromMap.get(id)
+    if (!before) {
+      result.added.push(after)
+      return
+    }
+
+    const changes = diffElementProperties(before, after)
+    if (changes.length > 0) {
+      result.modified.push({ id, before, after, changes })
+    } else {
+      result.unchanged.push(after)
+    }
+  })
+
+  fromMap.forEach((before, id) => {
+    if (!toMap.has(id)) {
+      result.removed.push(before)
+    }
+  })
+
+  return result
+}
+
+export const hasCanvasDiff = (diff) =>
+  diff.added.length > 0 || diff.removed.length > 0 || diff.modified.length > 0
+
+// Short human-readable label for an element, e.g. 'text "Roadmap"' or 'rectangle'
+export const describeElement = (element) => {
+  if (element.type === 'text' && element.text) {
+    const text = element.text.length > 30 ? `${element.text.slice(0, 30)}…` : element.text
+    return `text "${text}"`
+  }
+  return element.type || 'element'
+}
@@ -0,0 +1,128 @@
+/**
+ * Builders for Excalidraw elements created outside the editor (templates,
+ * kanban boards). Elements come out complete, with every field the editor
+ * and the canvas merge expect, so they can go straight into a scene.
+ */
+
+const STROKE = '#1e1e1e'
+const FONT_SIZE = 20
+const LINE_HEIGHT = 1.25
+// Rough Excalifont glyph width, for sizing text elements before the editor measures them
+const CHAR_WIDTH = 0.6
+// Space Excalidraw keeps between a container and its label
+const LABEL_PADDING = 5
+
+export const randomSeed = () => Math.floor(Math.random() * 2 ** 31)
+
+export const createElement = (type, id, x, y, width, height, props = {}) => ({
+  id,
+  type,
+  x,
+  y,
+  width,
+  height,
+  angle: 0,
+  strokeColor: STROKE,
+  backgroundColor: 'transparent',
+  fillStyle: 'solid',
+  strokeWidth: 2,
+  strokeStyle: 'solid',
+  roughness: 1,
+  opacity: 100,
+  groupIds: [],
+  frameId: null,
+  index: null,
+  roundness: type === 'rectangle' || type === 'diamond' ? { type: 3 } : null,
+  seed: randomSeed(),
+  version: 1,
+  versionNonce: randomSeed(),
+  isDeleted: false,
+  boundElements: null,
+  updated: Date.now(),
+  link: null,
+  locked: false,
+  ...props,
+})
+
+export const measureText = (text, fontSize = FONT_SIZE) => {
+  const lines = text.split('\n')
+  return {
+    width: Math.max(...lines.map((line) => line.length)) * fontSize * CHAR_WIDTH,
+    height: lines.length * fontSize * LINE_HEIGHT,
+  }
+}
+
+export const createText = (id, x, y, text, props = {}) => {
+  const fontSize = props.fontSize || FONT_SIZE
+  const { width, height } = measureText(text, fontSize)
+  return createElement('text', id, x, y, width, height, {
+    text,
+    originalText: text,
+    fontSize,
+    fontFamily: 5,
+    textAlign: 'left',
+    verticalAlign: 'top',
+    containerId: null,
+    autoResize: true,
+    lineHeight: LINE_HEIGHT,
+    ...props,
+  })
+}
+
+// Where a label sits in its container: centred, or along the top with verticalAlign 'top'
+export const getLabelPosition = (container, label) => ({
+  x: container.x + (container.width - label.width) / 2,
+  y: label.verticalAlign === 'top'
+    ? container.y + LABEL_PADDING
+    : container.y + (container.height - label.height) / 2,
+})
+
+/**
+ * A shape with a text label bound inside it: [shape, label]
+ * fontSize and labelProps go to the label, e.g. { verticalAlign: 'top' } for a heading
+ */
+export const createLabelledShape = (type, id, x, y, width, height, label, { labelId = `${id}-label`, labelProps = {}, fontSize, ...props } = {}) => {
+  const shape = createElement(type, id, x, y, width, height, {
+    ...props,
+    boundElements: [{ id: labelId, type: 'text' }],
+  })
+  const text = createText(labelId, 0, 0, label, {
+    textAlign: 'center',
+    verticalAlign: 'middle',
+    containerId: id,
+    ...(fontSize && { fontSize }),
+    ...labelProps,
+  })
+  return [shape, { ...text, ...getLabelPosition(shape, text) }]
+}
+
+// A line or arrow through scene points ([[x, y], ...])
+export const createLinear = (type, id, points, props = {}) => {
+  const [x, y] = points[0]
+  const relative = points.map(([px, py]) => [px - x, py - y])
+  const xs = relative.map(([px]) => px)
+  const ys = relative.map(([, py]) => py)
+  return createElement(type, id, x, y, Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), {
+    points: relative,
+    lastCommittedPoint: null,
+    startBinding: null,
+    endBinding: null,
+    startArrowhead: null,
+    endArrowhead: type === 'arrow' ? 'arrow' : null,
+    roundness: type === 'arrow' ? { type: 2 } : null,
+    ...(type === 'arrow' && { elbowed: false }),
+    ...props,
+  })
+}
+
+/**
+ * A changed copy of an element, with the version bump Excalidraw and the
+ * canvas merge use to tell the newest edit apart
+ */
+export const bumpElement = (element, changes, now = Date.now()) => ({
+  ...element,
+  ...changes,
+  version: (element.version || 0) + 1,
+  versionNonce: randomSeed(),
+  updated: now,
+})
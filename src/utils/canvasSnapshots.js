@@ -0,0 +1,76 @@
+// Automatic snapshot cadence: take one when enough time has passed or the
+// scene changed size noticeably since the last snapshot
+export const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000
+export const SNAPSHOT_ELEMENT_DELTA = 20
+
+// A save that drops more than half the elements (e.g. "clear canvas") backs up
+// the previous scene first, so the lost content can be restored
+export const SNAPSHOT_SHRINK_RATIO = 0.5
+export const SNAPSHOT_SHRINK_MIN_ELEMENTS = 5
+
+export const countSceneElements = (elements = []) =>
+  elements.filter((element) => !element.isDeleted).length
+
+/**
+ * Decides which automatic snapshot (if any) a save should produce
+ * Returns 'previous' to back up the scene before this save, 'current' to
+ * snapshot the saved scene, or null
+ */
+export const getAutoSnapshotAction = ({ lastSnapshot, previousCount, currentCount, now = Date.now() }) => {
+  if (
+    previousCount >= SNAPSHOT_SHRINK_MIN_ELEMENTS &&
+    currentCount < previousCount * SNAPSHOT_SHRINK_RATIO
+  ) {
+    return 'previous'
+  }
+
+  if (!lastSnapshot) {
+    return currentCount > 0 ? 'current' : null
+  }
+
+  if (now - lastSnapshot.time >= SNAPSHOT_INTERVAL_MS && currentCount !== lastSnapshot.count) {
+    return 'current'
+  }
+
+  if (Math.abs(currentCount - lastSnapshot.count) >= SNAPSHOT_ELEMENT_DELTA) {
+    return 'current'
+  }
+
+  return null
+}
+
+const randomNonce = () => Math.floor(Math.random() * 2 ** 31)
+
+/**
+ * Turns snapshot elements into a scene that replaces the current one
+ * Versions are bumped past the current scene so collaborators treat the
+ * restored elements as the newest edit, and elements missing from the
+ * snapshot are returned as deleted so the removal propagates too
+ */
+export const prepareSnapshotForRestore = (snapshotElements = [], currentElements = []) => {
+  const now = Date.now()
+  const currentById = new Map(currentElements.map((element) => [element.id, element]))
+  const snapshotIds = new Set(snapshotElements.map((element) => element.id))
+
+  const restored = snapshotElements.map((element) => {
+    const current = currentById.get(element.id)
+    return {
+      ...element,
+      version: Math.max(element.version || 0, current?.version || 0) + 1,
+      versionNonce: randomNonce(),
+      updated: now,
+    }
+  })
+
+  const removed = currentElements
+    .filter((element) => !snapshotIds.has(element.id) && !element.isDeleted)
+    .map((element) => ({
+      ...element,
+      isDeleted: true,
+      version: (element.version || 0) + 1,
+      versionNonce: randomNonce(),
+      updated: now,
+    }))
+
+  return [...restored, ...removed]
+}
@@ -0,0 +1,147 @@
+/**
+ * Canvas templates
+ *
+ * A template is a stored scene ({ elements, files }) that new canvases start
+ * from. The built-in ones are defined here; the user's own are saved in
+ * canvas_templates (see canvas-templates.sql). Both have the same shape:
+ *
+ *   { id, name, description, canvas_data }
+ *
+ * A new canvas never reuses a template's element ids: instantiateTemplate
+ * gives every element, group and binding a fresh id, so two canvases made
+ * from the same template can't collide once their elements are synced.
+ */
+import { createElement, createLabelledShape, createLinear, createText, randomSeed } from './canvasElements'
+import { createBoard } from './kanbanBoard'
+
+// An arrow between two shapes, bound at both ends
+const connect = (elements, id, fromId, toId, points) => {
+  const binding = (elementId) => ({ elementId, focus: 0, gap: 4 })
+  elements
+    .filter((element) => element.id === fromId || element.id === toId)
+    .forEach((element) => {
+      element.boundElements = [...(element.boundElements || []), { id, type: 'arrow' }]
+    })
+  elements.push(createLinear('arrow', id, points, {
+    startBinding: binding(fromId),
+    endBinding: binding(toId),
+  }))
+}
+
+const flowchart = () => {
+  const elements = [
+    ...createLabelledShape('ellipse', 'start', 100, 0, 200, 80, 'Start'),
+    ...createLabelledShape('rectangle', 'step', 100, 160, 200, 80, 'Do something'),
+    ...createLabelledShape('diamond', 'decision', 80, 320, 240, 140, 'Done?'),
+    ...createLabelledShape('ellipse', 'end', 100, 540, 200, 80, 'End'),
+    ...createLabelledShape('rectangle', 'fix', 420, 350, 200, 80, 'Adjust'),
+  ]
+  connect(elements, 'start-step', 'start', 'step', [[200, 84], [200, 156]])
+  connect(elements, 'step-decision', 'step', 'decision', [[200, 244], [200, 316]])
+  connect(elements, 'decision-end', 'decision', 'end', [[200, 464], [200, 536]])
+  connect(elements, 'decision-fix', 'decision', 'fix', [[324, 390], [416, 390]])
+  connect(elements, 'fix-step', 'fix', 'step', [[520, 346], [520, 200], [304, 200]])
+  elements.push(
+    createText('yes', 210, 480, 'Yes', { fontSize: 16 }),
+    createText('no', 350, 360, 'No', { fontSize: 16 })
+  )
+  return elements
+}
+
+const kanban = () =>
+  createBoard([
+    { title: 'To do', color: '#f8f9fa', cards: ['First task', 'Second task'] },
+    { title: 'In progress', color: '#fff9db', cards: ['Task in progress'] },
+    { title: 'Done', color: '#ebfbee' },
+  ])
+
+// A board too, so notes can be moved between columns
+const retro = () =>
+  createBoard([
+    { title: 'Went well', color: '#ebfbee', cardColor: '#ffec99', cards: ['Add a sticky note'] },
+    { title: 'To improve', color: '#fff5f5', cardColor: '#ffec99', cards: ['Add a sticky note'] },
+    { title: 'Action items', color: '#e7f5ff', cardColor: '#ffec99', cards: ['Owner: action'] },
+  ])
+
+const wireframe = () => [
+  createElement('rectangle', 'window', 0, 0, 800, 520, { roundness: null, roughness: 0 }),
+  createElement('rectangle', 'header', 0, 0, 800, 60, { roundness: null, roughness: 0, backgroundColor: '#e9ecef' }),
+  createText('logo', 24, 18, 'Logo'),
+  createText('nav', 520, 18, 'Home   About   Contact', { fontSize: 16 }),
+  createElement('rectangle', 'sidebar', 0, 60, 180, 460, { roundness: null, roughness: 0, backgroundColor: '#f8f9fa' }),
+  createText('menu', 24, 90, 'Menu item\nMenu item\nMenu item', { fontSize: 16 }),
+  createText('heading', 220, 90, 'Page title', { fontSize: 28 }),
+  createElement('rectangle', 'image', 220, 150, 300, 200, { roundness: null, roughness: 0 }),
+  createLinear('line', 'image-cross-1', [[220, 150], [520, 350]], { roughness: 0, strokeWidth: 1 }),
+  createLinear('line', 'image-cross-2', [[520, 150], [220, 350]], { roughness: 0, strokeWidth: 1 }),
+  createText('copy', 550, 150, 'Some text about\nthis section goes\nhere.', { fontSize: 16 }),
+  ...createLabelledShape('rectangle', 'button', 220, 390, 160, 50, 'Button', { backgroundColor: '#a5d8ff', fontSize: 16 }),
+]
+
+const scene = (elements) => ({ elements, files: {} })
+
+// Ids are never stored in canvas_templates (which uses UUIDs), so they can't collide
+export const BUILT_IN_TEMPLATES = [
+  { id: 'built-in:flowchart', name: 'Flowchart', description: 'Steps, a decision and a loop back', canvas_data: scene(flowchart()) },
+  { id: 'built-in:kanban', name: 'Kanban', description: 'To do, in progress and done columns', canvas_data: scene(kanban()) },
+  { id: 'built-in:retro', name: 'Retrospective', description: 'Went well, to improve and action items', canvas_data: scene(retro()) },
+  { id: 'built-in:wireframe', name: 'Wireframe', description: 'A page with header, sidebar and content', canvas_data: scene(wireframe()) },
+]
+
+export const isBuiltInTemplate = (template) => template.id.startsWith('built-in:')
+
+/**
+ * The scene to store as a template: live elements only, and just the files
+ * their images use (with their data, so the template stands on its own)
+ */
+export const toTemplateScene = (elements = [], files = {}) => {
+  const live = elements.filter((element) => !element.isDeleted)
+  const fileIds = new Set(live.filter((element) => element.type === 'image').map((element) => element.fileId))
+  return {
+    elements: live,
+    files: Object.fromEntries(Object.entries(files).filter(([fileId]) => fileIds.has(fileId))),
+  }
+}
+
+/**
+ * A copy of a template's scene for a new canvas. Every element and group gets
+ * a fresh id from createId, and the references between elements (bound text,
+ * arrow bindings, frames, groups) are updated to match; references to
+ * elements that aren't in the template are dropped
+ */
+export const instantiateTemplate = (canvasData, { createId = () => crypto.randomUUID(), now = Date.now() } = {}) => {
+  const elements = (canvasData?.elements || []).filter((element) => !element.isDeleted)
+  const ids = new Map(elements.map((element) => [element.id, createId()]))
+  const groupIds = new Map()
+  const mapGroup = (groupId) => {
+    if (!groupIds.has(groupId)) groupIds.set(groupId, createId())
+    return groupIds.get(groupId)
+  }
+  const mapBinding = (binding) =>
+    binding && ids.has(binding.elementId) ? { ...binding, elementId: ids.get(binding.elementId) } : null
+
+  return {
+    elements: elements.map((element) => {
+      const copy = {
+        ...element,
+        id: ids.get(element.id),
+        groupIds: (element.groupIds || []).map(mapGroup),
+        frameId: ids.get(element.frameId) ?? null,
+        boundElements: element.boundElements
+          ? element.boundElements
+            .filter((bound) => ids.has(bound.id))
+            .map((bound) => ({ ...bound, id: ids.get(bound.id) }))
+          : null,
+        seed: randomSeed(),
+        version: 1,
+        versionNonce: randomSeed(),
+        updated: now,
+      }
+      if ('containerId' in element) copy.containerId = ids.get(element.containerId) ?? null
+      if ('startBinding' in element) copy.startBinding = mapBinding(element.startBinding)
+      if ('endBinding' in element) copy.endBinding = mapBinding(element.endBinding)
+      return copy
+    }),
+    files: { ...(canvasData?.files || {}) },
+  }
+}
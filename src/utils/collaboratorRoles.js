@@ -0,0 +1,22 @@
+// Collaborator roles stored in canvas_collaborators.role
+// Keep in sync with the CHECK constraint in canvas-collaborator-roles.sql
+export const COLLABORATOR_ROLES = ['viewer', 'commenter', 'editor']
+
+export const DEFAULT_COLLABORATOR_ROLE = 'editor'
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  viewer: 'Can view',
+  commenter: 'Can comment',
+  editor: 'Can edit',
+}
+
+export const isValidRole = (role) => COLLABORATOR_ROLES.includes(role)
+
+// Rows created before roles existed have no role and keep full access
+export const normalizeRole = (role) => (isValidRole(role) ? role : DEFAULT_COLLABORATOR_ROLE)
+
+// role is 'owner', one of COLLABORATOR_ROLES, or null when the user has no access
+export const canEditWithRole = (role) => role === 'owner' || role === 'editor'
+
+export const canCommentWithRole = (role) => ['owner', 'commenter', 'editor'].includes(role)
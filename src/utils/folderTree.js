@@ -0,0 +1,137 @@
+// Note folders (see note-folders.sql): a tree of { id, parent_id, name, sort_by }
+// rows per user. Notes point at a folder through folder_id; notes without one,
+// or whose folder is gone, are unfiled.
+
+// Dashboard views besides a folder id
+export const ALL_NOTES = 'all'
+export const UNFILED = 'unfiled'
+export const TRASH = 'trash'
+
+// dataTransfer types for dragging notes and folders onto folders
+export const NOTE_DRAG_TYPE = 'application/x-note-id'
+export const FOLDER_DRAG_TYPE = 'application/x-note-folder-id'
+
+export const FOLDER_SORT_OPTIONS = ['updated', 'created', 'title', 'tag']
+
+const byName = (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base' })
+
+/**
+ * Folders in tree order for rendering: each root folder followed by its
+ * subfolders, alphabetically at every level. Folders whose parent is missing
+ * show at the top level. collapsedIds hides the subfolders of those folders.
+ * Returns [{ folder, depth, hasChildren }]
+ */
+export const flattenFolderTree = (folders = [], collapsedIds = new Set()) => {
+  const ids = new Set(folders.map((folder) => folder.id))
+  const childrenOf = new Map()
+  folders.forEach((folder) => {
+    const parentId = folder.parent_id && ids.has(folder.parent_id) ? folder.parent_id : null
+    childrenOf.set(parentId, [...(childrenOf.get(parentId) || []), folder])
+  })
+
+  const rows = []
+  const visited = new Set()
+  const visit = (parentId, depth) => {
+    const children = [...(childrenOf.get(parentId) || [])].sort(byName)
+    children.forEach((folder) => {
+      // A cycle can only come from a broken row; show each folder once
+      if (visited.has(folder.id)) return
+      visited.add(folder.id)
+
+      const hasChildren = (childrenOf.get(folder.id) || []).length > 0
+      rows.push({ folder, depth, hasChildren })
+      if (hasChildren && !collapsedIds.has(folder.id)) visit(folder.id, depth + 1)
+    })
+  }
+  visit(null, 0)
+
+  return rows
+}
+
+/**
+ * Ids of a folder's subfolders at any depth (not the folder itself)
+ */
+export const getDescendantIds = (folders = [], folderId) => {
+  const descendants = new Set()
+  const queue = [folderId]
+
+  while (queue.length > 0) {
+    const parentId = queue.shift()
+    folders.forEach((folder) => {
+      if (folder.parent_id === parentId && !descendants.has(folder.id) && folder.id !== folderId) {
+        descendants.add(folder.id)
+        queue.push(folder.id)
+      }
+    })
+  }
+
+  return descendants
+}
+
+/**
+ * Whether a folder can move under targetParentId (null for the top level)
+ * Not into itself or one of its subfolders, and not where it already is
+ */
+export const canMoveFolder = (folders = [], folderId, targetParentId) => {
+  const folder = folders.find((f) => f.id === folderId)
+  if (!folder) return false
+  if ((folder.parent_id || null) === (targetParentId || null)) return false
+  if (!targetParentId) return true
+  if (targetParentId === folderId) return false
+  if (!folders.some((f) => f.id === targetParentId)) return false
+  return !getDescendantIds(folders, folderId).has(targetParentId)
+}
+
+/**
+ * Folders from the top level down to folderId, for breadcrumbs
+ */
+export const getFolderPath = (folders = [], folderId) => {
+  const byId = new Map(folders.map((folder) => [folder.id, folder]))
+  const path = []
+  let folder = byId.get(folderId)
+
+  while (folder && !path.includes(folder)) {
+    path.unshift(folder)
+    folder = folder.parent_id ? byId.get(folder.parent_id) : null
+  }
+
+  return path
+}
+
+// The folder a note is shown in, or null when it is unfiled
+const getNoteFolderId = (note, folderIds) =>
+  note.folder_id && folderIds.has(note.folder_id) ? note.folder_id : null
+
+/**
+ * Notes in a dashboard view: ALL_NOTES, UNFILED or a folder id (notes filed
+ * directly in that folder)
+ */
+export const filterNotesByFolder = (notes = [], folders = [], view = ALL_NOTES) => {
+  if (view === ALL_NOTES) return notes
+
+  const folderIds = new Set(folders.map((folder) => folder.id))
+  const folderId = view === UNFILED ? null : view
+  return notes.filter((note) => getNoteFolderId(note, folderIds) === folderId)
+}
+
+/**
+ * Note counts for the folder sidebar
+ * Returns { all, unfiled, byFolder } where byFolder maps folder id to the
+ * number of notes filed directly in it
+ */
+export const countNotesByFolder = (notes = [], folders = []) => {
+  const folderIds = new Set(folders.map((folder) => folder.id))
+  const byFolder = new Map(folders.map((folder) => [folder.id, 0]))
+  let unfiled = 0
+
+  notes.forEach((note) => {
+    const folderId = getNoteFolderId(note, folderIds)
+    if (folderId) {
+      byFolder.set(folderId, byFolder.get(folderId) + 1)
+    } else {
+      unfiled++
+    }
+  })
+
+  return { all: notes.length, unfiled, byFolder }
+}
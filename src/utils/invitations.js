@@ -0,0 +1,59 @@
+import { ROLE_LABELS, normalizeRole } from './collaboratorRoles'
+
+// Invitation states stored in canvas_collaborators.status
+// Keep in sync with the CHECK constraint in canvas-invitations.sql
+export const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+}
+
+export const INVITATION_STATUS_LABELS = {
+  pending: 'Pending',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  expired: 'Expired',
+}
+
+export const INVITATION_TTL_DAYS = 14
+
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase()
+
+export const emailsMatch = (a, b) => !!a && !!b && normalizeEmail(a) === normalizeEmail(b)
+
+// Rows created before invitations existed have no status and count as accepted
+export const getInvitationStatus = (collaborator) => {
+  if (!collaborator?.status) return INVITATION_STATUS.ACCEPTED
+  if (
+    collaborator.status === INVITATION_STATUS.PENDING &&
+    collaborator.expires_at &&
+    new Date(collaborator.expires_at) < new Date()
+  ) {
+    return INVITATION_STATUS.EXPIRED
+  }
+  return collaborator.status
+}
+
+export const getInvitationExpiry = () =>
+  new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+
+export const getInvitationUrl = (invitationId) => `${window.location.origin}/invitations/${invitationId}`
+
+export const buildInvitationEmail = ({ invitation, inviterEmail, noteTitle }) => {
+  const url = getInvitationUrl(invitation.id)
+  const roleLabel = ROLE_LABELS[normalizeRole(invitation.role)].toLowerCase()
+  const title = noteTitle || 'a canvas'
+
+  return {
+    to: invitation.collaborator_email,
+    subject: `${inviterEmail} invited you to "${title}"`,
+    text: [
+      `${inviterEmail} invited you to collaborate on "${title}" (${roleLabel}).`,
+      '',
+      `Accept or decline the invitation here: ${url}`,
+      '',
+      `This invitation expires in ${INVITATION_TTL_DAYS} days.`,
+    ].join('\n'),
+  }
+}
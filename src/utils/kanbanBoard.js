@@ -0,0 +1,353 @@
+import { bumpElement, createLabelledShape, getLabelPosition, measureText } from './canvasElements'
+
+/**
+ * Kanban boards made of canvas elements
+ *
+ * A board is plain Excalidraw rectangles tagged through customData, so it
+ * saves, syncs and renders like any other drawing:
+ *
+ *   column   { kanban: { role: 'column', status: 'In progress' } }
+ *   card     { kanban: { role: 'card', status: 'In progress' } }
+ *
+ * A column's status is its heading (the label bound along its top), and a
+ * card belongs to the column with its status. snapBoard keeps that true
+ * after an edit: a card dropped over a column takes the column's status and
+ * cards are stacked inside their column, in the order they were dropped.
+ */
+
+export const KANBAN_COLUMN = 'column'
+export const KANBAN_CARD = 'card'
+
+export const COLUMN_WIDTH = 280
+export const COLUMN_MIN_HEIGHT = 520
+const COLUMN_GAP = 40
+const HEADER_HEIGHT = 70
+const CARD_WIDTH = 240
+const CARD_HEIGHT = 90
+const CARD_GAP = 20
+
+export const getKanbanRole = (element) =>
+  (element && !element.isDeleted && element.customData?.kanban?.role) || null
+
+export const getKanbanStatus = (element) => element?.customData?.kanban?.status ?? null
+
+const withKanban = (element, kanban) => ({
+  customData: { ...element.customData, kanban: { ...element.customData?.kanban, ...kanban } },
+})
+
+const getCenter = (element) => ({ x: element.x + element.width / 2, y: element.y + element.height / 2 })
+
+const contains = (outer, { x, y }) =>
+  x >= outer.x && x <= outer.x + outer.width && y >= outer.y && y <= outer.y + outer.height
+
+const getLabel = (element, byId) => {
+  const bound = (element.boundElements || []).find((b) => b.type === 'text')
+  const label = bound && byId.get(bound.id)
+  return label && !label.isDeleted ? label : null
+}
+
+// Bound text wraps to its container; originalText is what was typed
+const getLabelText = (label) => (label?.originalText ?? label?.text ?? '').trim()
+
+// A label's new text, resized and placed in its container
+const retitleLabel = (label, container, text) => {
+  const retitled = { ...label, text, originalText: text, ...measureText(text, label.fontSize) }
+  return { ...retitled, ...getLabelPosition(container, retitled) }
+}
+
+// The title, numbered when another column already has it as its status
+const getUniqueStatus = (title, taken) => {
+  const base = title.trim() || 'Column'
+  let status = base
+  for (let n = 2; taken.has(status); n++) status = `${base} ${n}`
+  return status
+}
+
+/**
+ * The board on a scene: [{ column, status, cards }], columns left to right
+ * and cards top to bottom. Cards whose status has no column are left out
+ */
+export const getBoard = (elements = []) => {
+  const live = elements.filter((element) => !element.isDeleted)
+  const cards = live.filter((element) => getKanbanRole(element) === KANBAN_CARD)
+
+  return live
+    .filter((element) => getKanbanRole(element) === KANBAN_COLUMN)
+    .sort((a, b) => a.x - b.x)
+    .map((column) => ({
+      column,
+      status: getKanbanStatus(column),
+      cards: cards
+        .filter((card) => getKanbanStatus(card) === getKanbanStatus(column))
+        .sort((a, b) => a.y - b.y),
+    }))
+}
+
+/**
+ * What the board panel lists: [{ id, status, cards: [{ id, text }] }]
+ */
+export const getBoardSummary = (elements = []) => {
+  const byId = new Map(elements.map((element) => [element.id, element]))
+  return getBoard(elements).map(({ column, status, cards }) => ({
+    id: column.id,
+    status,
+    cards: cards.map((card) => ({ id: card.id, text: getLabelText(getLabel(card, byId)) })),
+  }))
+}
+
+/**
+ * Puts the board back in order after the elements in movedIds were moved or
+ * added: moved cards take the status of the column they were dropped on (a
+ * card dropped outside every column goes back to its own), and the columns
+ * involved restack their cards and grow to fit them. A column whose heading
+ * was edited gets the heading as its status, along with its cards; a heading
+ * another column already has is numbered, so two columns never merge.
+ * Returns { elements, changed, statusChanges: [{ id, from, to }] }; changed
+ * is empty when the board was already in order
+ */
+export const snapBoard = (elements, movedIds = [], { now = Date.now() } = {}) => {
+  const byId = new Map(elements.map((element) => [element.id, element]))
+  const next = new Map()
+  const get = (id) => next.get(id) || byId.get(id)
+  const update = (id, changes) => next.set(id, bumpElement(get(id), changes, now))
+  const statusChanges = []
+  const affected = new Set()
+
+  const live = elements.filter((element) => !element.isDeleted)
+  const columnIds = live.filter((e) => getKanbanRole(e) === KANBAN_COLUMN).map((e) => e.id)
+  const cardIds = live.filter((e) => getKanbanRole(e) === KANBAN_CARD).map((e) => e.id)
+  if (columnIds.length === 0) return { elements, changed: [], statusChanges }
+
+  const setStatus = (id, to) => {
+    const from = getKanbanStatus(get(id))
+    update(id, withKanban(get(id), { status: to }))
+    if (getKanbanRole(get(id)) === KANBAN_CARD) statusChanges.push({ id, from, to })
+  }
+
+  // Renamed headings
+  columnIds.forEach((columnId) => {
+    const column = get(columnId)
+    const label = getLabel(column, byId)
+    const title = getLabelText(label)
+    const status = getKanbanStatus(column)
+    if (!title || title === status) return
+
+    const taken = new Set(columnIds.filter((id) => id !== columnId).map((id) => getKanbanStatus(get(id))))
+    const renamed = getUniqueStatus(title, taken)
+    if (renamed !== title) update(label.id, retitleLabel(get(label.id), column, renamed))
+    if (renamed === status) return
+
+    cardIds.filter((id) => getKanbanStatus(get(id)) === status).forEach((id) => setStatus(id, renamed))
+    setStatus(columnId, renamed)
+    affected.add(renamed)
+  })
+
+  // Dropped cards and moved columns
+  movedIds.filter((id) => byId.has(id)).forEach((id) => {
+    const element = get(id)
+    const role = getKanbanRole(element)
+    if (!role) return
+
+    affected.add(getKanbanStatus(element))
+    if (role !== KANBAN_CARD) return
+
+    const target = columnIds.map(get).find((column) => contains(column, getCenter(element)))
+    if (target && getKanbanStatus(target) !== getKanbanStatus(element)) {
+      setStatus(id, getKanbanStatus(target))
+      affected.add(getKanbanStatus(target))
+    }
+  })
+
+  const moveTo = (id, x, y) => {
+    update(id, { x, y })
+    const label = getLabel(get(id), byId)
+    if (label) update(label.id, getLabelPosition(get(id), get(label.id)))
+  }
+
+  columnIds.map(get).filter((column) => affected.has(getKanbanStatus(column))).forEach((column) => {
+    const status = getKanbanStatus(column)
+    let y = column.y + HEADER_HEIGHT
+
+    cardIds
+      .map(get)
+      .filter((card) => getKanbanStatus(card) === status)
+      .sort((a, b) => getCenter(a).y - getCenter(b).y)
+      .forEach((card) => {
+        const x = column.x + (column.width - card.width) / 2
+        if (card.x !== x || card.y !== y) moveTo(card.id, x, y)
+        y += card.height + CARD_GAP
+      })
+
+    const height = Math.max(column.height, y - column.y)
+    if (height !== column.height) update(column.id, { height })
+  })
+
+  return {
+    elements: elements.map((element) => next.get(element.id) || element),
+    changed: [...next.values()],
+    statusChanges,
+  }
+}
+
+const columnElements = (id, x, y, status, { createId, color = '#f8f9fa' }) =>
+  createLabelledShape('rectangle', id, x, y, COLUMN_WIDTH, COLUMN_MIN_HEIGHT, status, {
+    labelId: createId(),
+    backgroundColor: color,
+    strokeStyle: 'dashed',
+    strokeWidth: 1,
+    roughness: 0,
+    fontSize: 28,
+    labelProps: { verticalAlign: 'top' },
+    customData: { kanban: { role: KANBAN_COLUMN, status } },
+  })
+
+const cardElements = (id, x, y, status, text, { createId, color = '#ffffff' }) =>
+  createLabelledShape('rectangle', id, x, y, CARD_WIDTH, CARD_HEIGHT, text, {
+    labelId: createId(),
+    backgroundColor: color,
+    fontSize: 16,
+    customData: { kanban: { role: KANBAN_CARD, status } },
+  })
+
+const defaultCreateId = () => crypto.randomUUID()
+
+/**
+ * A new column (and its heading) to the right of the board's last one
+ * The title gets a number when another column already has it
+ */
+export const createColumn = (elements, title, { createId = defaultCreateId, color } = {}) => {
+  const board = getBoard(elements)
+  const last = board[board.length - 1]?.column
+  return columnElements(
+    createId(),
+    last ? last.x + last.width + COLUMN_GAP : 0,
+    last ? last.y : 0,
+    getUniqueStatus(title, new Set(getBoard(elements).map(({ status }) => status))),
+    { createId, color }
+  )
+}
+
+// A new card (and its label) at the bottom of the column with this status
+export const createCard = (elements, status, text, { createId = defaultCreateId, color } = {}) => {
+  const entry = getBoard(elements).find((c) => c.status === status)
+  if (!entry) return []
+
+  const last = entry.cards[entry.cards.length - 1]
+  return cardElements(
+    createId(),
+    entry.column.x + (entry.column.width - CARD_WIDTH) / 2,
+    last ? last.y + last.height + CARD_GAP : entry.column.y + HEADER_HEIGHT,
+    status,
+    text,
+    { createId, color }
+  )
+}
+
+/**
+ * A whole board: columns: [{ title, color, cardColor, cards: [text] }]
+ */
+export const createBoard = (columns, { createId = defaultCreateId, x = 0, y = 0 } = {}) =>
+  columns.flatMap(({ title, color, cardColor, cards = [] }, index) => {
+    const columnX = x + index * (COLUMN_WIDTH + COLUMN_GAP)
+    return [
+      ...columnElements(createId(), columnX, y, title, { createId, color }),
+      ...cards.flatMap((text, cardIndex) =>
+        cardElements(
+          createId(),
+          columnX + (COLUMN_WIDTH - CARD_WIDTH) / 2,
+          y + HEADER_HEIGHT + cardIndex * (CARD_HEIGHT + CARD_GAP),
+          title,
+          text,
+          { createId, color: cardColor }
+        )
+      ),
+    ]
+  })
+
+// Binds a free text element to a shape as its label
+const bindLabel = (shape, text, verticalAlign) => {
+  const label = { ...text, containerId: shape.id, textAlign: 'center', verticalAlign }
+  return {
+    shape: { ...shape, boundElements: [...(shape.boundElements || []), { id: text.id, type: 'text' }] },
+    label: { ...label, ...getLabelPosition(shape, label) },
+  }
+}
+
+/**
+ * Turns a hand-drawn board into a structured one. Among the selected
+ * rectangles, the ones not inside another are columns and the ones inside a
+ * column are cards. Free text at the top of a column becomes its heading and
+ * free text inside a card becomes its label, so both move with their shape.
+ * Returns { elements, columns, cards }, with the number of columns and cards
+ * converted
+ */
+export const convertToBoard = (elements, selectedIds, { now = Date.now() } = {}) => {
+  const selected = new Set(selectedIds)
+  const live = elements.filter((element) => !element.isDeleted)
+  const rectangles = live.filter(
+    (e) => selected.has(e.id) && e.type === 'rectangle' && getKanbanRole(e) !== KANBAN_CARD
+  )
+  const columns = rectangles.filter((r) => !rectangles.some((other) => other !== r && contains(other, getCenter(r))))
+  const cards = rectangles.filter((r) => !columns.includes(r) && columns.some((c) => contains(c, getCenter(r))))
+  if (columns.length === 0) return { elements, columns: 0, cards: 0 }
+
+  const byId = new Map(elements.map((element) => [element.id, element]))
+  const next = new Map()
+  const get = (id) => next.get(id) || byId.get(id)
+  const freeTexts = live.filter((e) => e.type === 'text' && !e.containerId)
+  const used = new Set()
+  const takeText = (inside) => {
+    const text = freeTexts
+      .filter((t) => !used.has(t.id) && inside(getCenter(t)))
+      .sort((a, b) => a.y - b.y)[0]
+    if (text) used.add(text.id)
+    return text
+  }
+
+  const statuses = new Set()
+  columns.sort((a, b) => a.x - b.x).forEach((column, index) => {
+    const existing = getLabel(column, byId)
+    const heading = existing || takeText((point) =>
+      contains(column, point) &&
+      point.y < column.y + HEADER_HEIGHT &&
+      !cards.some((card) => contains(card, point))
+    )
+    const title = getLabelText(heading) || getKanbanStatus(column) || `Column ${index + 1}`
+    const status = getUniqueStatus(title, statuses)
+    statuses.add(status)
+
+    let shape = column
+    if (heading && !existing) {
+      const bound = bindLabel(column, heading, 'top')
+      shape = bound.shape
+      next.set(heading.id, bumpElement(heading, bound.label, now))
+    }
+    // The heading shows the status, or snapBoard would take it as a rename
+    if (heading && status !== title) {
+      next.set(heading.id, bumpElement(get(heading.id), retitleLabel(get(heading.id), shape, status), now))
+    }
+    next.set(column.id, bumpElement(shape, withKanban(shape, { role: KANBAN_COLUMN, status }), now))
+  })
+
+  cards.forEach((card) => {
+    const column = columns.find((c) => contains(c, getCenter(card)))
+    const status = getKanbanStatus(get(column.id))
+    let shape = card
+    if (!getLabel(card, byId)) {
+      const text = takeText((point) => contains(card, point))
+      if (text) {
+        const bound = bindLabel(card, text, 'middle')
+        shape = bound.shape
+        next.set(text.id, bumpElement(text, bound.label, now))
+      }
+    }
+    next.set(card.id, bumpElement(shape, withKanban(shape, { role: KANBAN_CARD, status }), now))
+  })
+
+  const tagged = elements.map((element) => next.get(element.id) || element)
+  return {
+    elements: snapBoard(tagged, cards.map((card) => card.id), { now }).elements,
+    columns: columns.length,
+    cards: cards.length,
+  }
+}
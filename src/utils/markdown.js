@@ -0,0 +1,273 @@
+// Notes are stored as Markdown in notes.content. This is a small parser for the
+// subset we render (headings, lists and checklists, quotes, code blocks, rules,
+// emphasis, code spans, links and images) plus helpers to turn it back into
+// plain text for note cards and search, and to apply toolbar formatting.
+
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+-]*)\s*$/
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/
+const TASK_PATTERN = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\])/
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:|\/|#)/i
+
+// Links and images only get URLs that can't run script
+export const sanitizeUrl = (url = '') => (SAFE_URL_PATTERN.test(url.trim()) ? url.trim() : null)
+
+const INLINE_RULES = [
+  { type: 'code', pattern: /`([^`\n]+)`/ },
+  { type: 'image', pattern: /!\[([^\]]*)\]\(([^)\s]+)\)/ },
+  { type: 'link', pattern: /\[([^\]]+)\]\(([^)\s]+)\)/ },
+  { type: 'bold', pattern: /\*\*(?!\s)(.+?)\*\*|__(?!\s)(.+?)__/ },
+  { type: 'strike', pattern: /~~(?!\s)(.+?)~~/ },
+  { type: 'italic', pattern: /\*(?![\s*])(.+?)\*|\b_(?![\s_])(.+?)_\b/ },
+  { type: 'url', pattern: /https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"]/ },
+]
+
+const toInlineToken = (type, match) => {
+  switch (type) {
+    case 'code':
+      return { type, text: match[1] }
+    case 'image':
+      return { type, alt: match[1], url: sanitizeUrl(match[2]) }
+    case 'link':
+      return { type, url: sanitizeUrl(match[2]), children: parseInline(match[1]) }
+    case 'url':
+      return { type: 'link', url: match[0], children: [{ type: 'text', text: match[0] }] }
+    default:
+      return { type, children: parseInline(match[1] ?? match[2]) }
+  }
+}
+
+/**
+ * Splits a line into inline tokens: { type: 'text', text }, { type: 'code', text },
+ * { type: 'image', alt, url }, and 'link' (with url), 'bold', 'italic' and
+ * 'strike' tokens that hold child tokens. Unsafe URLs come back as url: null
+ */
+export const parseInline = (text = '') => {
+  const tokens = []
+  let rest = text
+
+  while (rest) {
+    let earliest = null
+    INLINE_RULES.forEach(({ type, pattern }) => {
+      const match = rest.match(pattern)
+      if (match && (!earliest || match.index < earliest.match.index)) {
+        earliest = { type, match }
+      }
+    })
+
+    if (!earliest) {
+      tokens.push({ type: 'text', text: rest })
+      break
+    }
+
+    const { type, match } = earliest
+    if (match.index > 0) {
+      tokens.push({ type: 'text', text: rest.slice(0, match.index) })
+    }
+    tokens.push(toInlineToken(type, match))
+    rest = rest.slice(match.index + match[0].length)
+  }
+
+  return tokens
+}
+
+/**
+ * Parses Markdown into blocks:
+ * heading { level, children }, paragraph { lines }, quote { lines },
+ * code { lang, text }, rule, and list { items: [{ depth, ordered, marker, checked, line, children }] }
+ * where checked is null for plain items and line is the item's source line
+ * (see toggleTask). lines hold one inline token array per source line
+ */
+export const parseMarkdown = (source = '') => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let index = 0
+
+  while (index < lines.length) {
+    const line = lines[index]
+
+    if (!line.trim()) {
+      index++
+      continue
+    }
+
+    const fence = line.match(FENCE_PATTERN)
+    if (fence) {
+      const codeLines = []
+      index++
+      while (index < lines.length && lines[index].trim() !== fence[1]) {
+        codeLines.push(lines[index])
+        index++
+      }
+      index++ // Closing fence (or end of text for an unclosed block)
+      blocks.push({ type: 'code', lang: fence[2] || null, text: codeLines.join('\n') })
+      continue
+    }
+
+    const heading = line.match(HEADING_PATTERN)
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) })
+      index++
+      continue
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' })
+      index++
+      continue
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoteLines = []
+      while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+        quoteLines.push(parseInline(lines[index].match(QUOTE_PATTERN)[1]))
+        index++
+      }
+      blocks.push({ type: 'quote', lines: quoteLines })
+      continue
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const items = []
+      while (index < lines.length && LIST_ITEM_PATTERN.test(lines[index])) {
+        const [, indent, marker, check, text] = lines[index].match(LIST_ITEM_PATTERN)
+        items.push({
+          depth: Math.floor(indent.replace(/\t/g, '  ').length / 2),
+          ordered: /\d/.test(marker),
+          marker,
+          checked: check === undefined ? null : check !== ' ',
+          line: index,
+          children: parseInline(text),
+        })
+        index++
+      }
+      blocks.push({ type: 'list', items })
+      continue
+    }
+
+    const paragraphLines = []
+    while (
+      index < lines.length &&
+      lines[index].trim() &&
+      !FENCE_PATTERN.test(lines[index]) &&
+      !HEADING_PATTERN.test(lines[index]) &&
+      !RULE_PATTERN.test(lines[index]) &&
+      !QUOTE_PATTERN.test(lines[index]) &&
+      !LIST_ITEM_PATTERN.test(lines[index])
+    ) {
+      paragraphLines.push(parseInline(lines[index].trim()))
+      index++
+    }
+    blocks.push({ type: 'paragraph', lines: paragraphLines })
+  }
+
+  return blocks
+}
+
+export const inlineToText = (tokens = []) =>
+  tokens
+    .map((token) => {
+      if (token.type === 'text' || token.type === 'code') return token.text
+      if (token.type === 'image') return token.alt
+      return inlineToText(token.children)
+    })
+    .join('')
+
+/**
+ * Readable plain text for a Markdown note: syntax is dropped, checklist items
+ * become ☐ / ☑ and each block goes on its own line
+ */
+export const markdownToPlainText = (source = '') =>
+  parseMarkdown(source || '')
+    .map((block) => {
+      switch (block.type) {
+        case 'heading':
+          return inlineToText(block.children)
+        case 'paragraph':
+        case 'quote':
+          return block.lines.map(inlineToText).join('\n')
+        case 'code':
+          return block.text
+        case 'list':
+          return block.items
+            .map((item) => {
+              const prefix = item.checked === null ? '' : item.checked ? '☑ ' : '☐ '
+              return prefix + inlineToText(item.children)
+            })
+            .join('\n')
+        default:
+          return ''
+      }
+    })
+    .filter(Boolean)
+    .join('\n')
+
+// Flips the checklist item on a source line ([ ] <-> [x])
+export const toggleTask = (source, lineIndex) => {
+  const lines = source.split('\n')
+  const line = lines[lineIndex]
+  if (line === undefined || !TASK_PATTERN.test(line)) return source
+
+  lines[lineIndex] = line.replace(TASK_PATTERN, (_match, before, check, after) =>
+    `${before}${check === ' ' ? 'x' : ' '}${after}`
+  )
+  return lines.join('\n')
+}
+
+const WRAP_FORMATS = {
+  bold: { before: '**', after: '**', placeholder: 'bold text' },
+  italic: { before: '*', after: '*', placeholder: 'italic text' },
+  strike: { before: '~~', after: '~~', placeholder: 'struck text' },
+  code: { before: '`', after: '`', placeholder: 'code' },
+  link: { before: '[', after: '](https://)', placeholder: 'link text' },
+}
+
+const CODE_BLOCK_FORMAT = { before: '```\n', after: '\n```', placeholder: '' }
+
+const LINE_FORMATS = {
+  heading: '## ',
+  quote: '> ',
+  list: '- ',
+  ordered: '1. ',
+  task: '- [ ] ',
+}
+
+/**
+ * Applies a toolbar format to the selected text of a textarea
+ * Wrap formats (bold, italic, strike, code, link) surround the selection, or
+ * a placeholder that is left selected; multi-line code becomes a fenced block.
+ * Line formats (heading, quote, list, ordered, task) prefix every selected line.
+ * Returns { text, selectionStart, selectionEnd }
+ */
+export const applyMarkdownFormat = (text, selectionStart, selectionEnd, format) => {
+  const selected = text.slice(selectionStart, selectionEnd)
+
+  if (LINE_FORMATS[format]) {
+    const prefix = LINE_FORMATS[format]
+    const lineStart = text.lastIndexOf('\n', selectionStart - 1) + 1
+    const block = text.slice(lineStart, selectionEnd)
+    const prefixed = block
+      .split('\n')
+      .map((line) => prefix + line)
+      .join('\n')
+    return {
+      text: text.slice(0, lineStart) + prefixed + text.slice(selectionEnd),
+      selectionStart: selectionStart + prefix.length,
+      selectionEnd: lineStart + prefixed.length,
+    }
+  }
+
+  const { before, after, placeholder } = format === 'code' && selected.includes('\n')
+    ? CODE_BLOCK_FORMAT
+    : WRAP_FORMATS[format]
+
+  const inner = selected || placeholder
+  return {
+    text: text.slice(0, selectionStart) + before + inner + after + text.slice(selectionEnd),
+    selectionStart: selectionStart + before.length,
+    selectionEnd: selectionStart + before.length + inner.length,
+  }
+}
@@ -0,0 +1,247 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate'
+import { getFolderPath } from './folderTree'
+
+/**
+ * Workspace export and import
+ *
+ * An archive is a ZIP with one Markdown file per note and, for notes with a
+ * canvas, an Excalidraw file next to it:
+ *
+ *   sprint-retro.md           front-matter (id, title, dates, folder, tags,
+ *   sprint-retro.excalidraw   canvas) followed by the note's Markdown
+ *
+ * Front-matter values are written as JSON, which is also valid YAML, so the
+ * files open cleanly in other Markdown tools. Reading is lenient: plain YAML
+ * strings and flow lists work too, and a lone .excalidraw file becomes a note
+ * titled after the file.
+ */
+
+export const ARCHIVE_EXTENSIONS = ['.zip', '.md', '.excalidraw']
+
+const FRONT_MATTER_RE = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/
+
+export const slugifyFileName = (title) =>
+  (title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '') || 'untitled'
+
+// "Work/Q3" for a note filed in Q3 under Work; null for unfiled notes
+export const getFolderPathName = (folders, folderId) =>
+  folderId ? getFolderPath(folders, folderId).map((folder) => folder.name).join('/') || null : null
+
+export const findFolderByPathName = (folders, pathName) =>
+  (pathName && folders.find((folder) => getFolderPathName(folders, folder.id) === pathName)) || null
+
+export const hasCanvas = (canvasData) => Boolean(canvasData?.elements?.length)
+
+export const toMarkdownNote = (note, { folder = null, tags = [], canvasFile = null } = {}) => {
+  const meta = {
+    id: note.id,
+    title: note.title || 'Untitled Note',
+    created_at: note.created_at,
+    updated_at: note.updated_at,
+    folder,
+    tags: tags.length > 0 ? tags : null,
+    canvas: canvasFile,
+  }
+  const lines = Object.entries(meta)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+
+  return `---\n${lines.join('\n')}\n---\n\n${note.content || ''}`
+}
+
+const parseFrontMatterValue = (raw) => {
+  const value = raw.trim()
+  if (!value) return null
+  try {
+    return JSON.parse(value)
+  } catch {
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return value
+        .slice(1, -1)
+        .split(',')
+        .map((item) => item.trim().replace(/^['"]|['"]$/g, ''))
+        .filter(Boolean)
+    }
+    return value.replace(/^'(.*)'$/, '$1')
+  }
+}
+
+/**
+ * Splits a Markdown file into { meta, content }; files without front-matter
+ * get empty meta
+ */
+export const parseMarkdownNote = (text) => {
+  const match = text.match(FRONT_MATTER_RE)
+  if (!match) return { meta: {}, content: text }
+
+  const meta = {}
+  match[1].split(/\r?\n/).forEach((line) => {
+    const separator = line.indexOf(':')
+    if (separator <= 0) return
+    meta[line.slice(0, separator).trim()] = parseFrontMatterValue(line.slice(separator + 1))
+  })
+
+  return { meta, content: text.slice(match[0].length).replace(/^\r?\n/, '') }
+}
+
+// files: the scene's full files map (with data), see hydrateCanvasFiles
+export const toExcalidrawFile = (canvasData, files = {}) => ({
+  type: 'excalidraw',
+  version: 2,
+  source: 'notes-app',
+  elements: canvasData?.elements || [],
+  appState: { viewBackgroundColor: '#ffffff' },
+  files,
+})
+
+// canvas_data from an .excalidraw file, or null if it isn't one
+export const parseExcalidrawFile = (text) => {
+  try {
+    const scene = JSON.parse(text)
+    if (!Array.isArray(scene?.elements)) return null
+    return { elements: scene.elements, files: scene.files || {} }
+  } catch {
+    return null
+  }
+}
+
+// A file name for the title that isn't in used yet; adds it to used
+export const getUniqueFileName = (title, used) => {
+  const slug = slugifyFileName(title)
+  let name = slug
+  for (let i = 2; used.has(name); i++) {
+    name = `${slug}-${i}`
+  }
+  used.add(name)
+  return name
+}
+
+/**
+ * Archive entries for notes, as { path: text }
+ * tagsByNote: note id -> tags; filesByNote: note id -> full files map
+ */
+export const buildArchiveEntries = (notes, { folders = [], tagsByNote = new Map(), filesByNote = new Map() } = {}) => {
+  const used = new Set()
+  const entries = {}
+
+  notes.forEach((note) => {
+    const name = getUniqueFileName(note.title, used)
+    const canvasFile = hasCanvas(note.canvas_data) ? `${name}.excalidraw` : null
+
+    entries[`${name}.md`] = toMarkdownNote(note, {
+      folder: getFolderPathName(folders, note.folder_id),
+      tags: (tagsByNote.get(note.id) || []).map((tag) => tag.name),
+      canvasFile,
+    })
+    if (canvasFile) {
+      entries[canvasFile] = JSON.stringify(toExcalidrawFile(note.canvas_data, filesByNote.get(note.id)), null, 2)
+    }
+  })
+
+  return entries
+}
+
+// entries: { path: text or bytes }
+export const zipArchiveEntries = (entries) =>
+  zipSync(Object.fromEntries(
+    Object.entries(entries).map(([path, data]) => [path, typeof data === 'string' ? strToU8(data) : data])
+  ))
+
+// Skips directories and files other than .md and .excalidraw (e.g. __MACOSX)
+export const unzipArchiveEntries = (bytes) => {
+  const files = unzipSync(bytes, {
+    filter: (file) => /\.(md|excalidraw)$/i.test(file.name) && !file.name.startsWith('__MACOSX/'),
+  })
+  return Object.fromEntries(Object.entries(files).map(([path, data]) => [path, strFromU8(data)]))
+}
+
+const baseName = (path) => path.split('/').pop().replace(/\.(md|excalidraw)$/i, '')
+
+const directoryOf = (path) => path.slice(0, path.lastIndexOf('/') + 1)
+
+/**
+ * Notes read from archive entries:
+ * [{ sourceId, title, content, canvas_data, created_at, folder, tags, path }]
+ * A Markdown file's canvas is the file named in its front-matter, or else the
+ * .excalidraw file with the same name
+ */
+export const readArchiveEntries = (entries) => {
+  const paths = Object.keys(entries).sort()
+  const usedCanvases = new Set()
+  const notes = []
+
+  paths.filter((path) => /\.md$/i.test(path)).forEach((path) => {
+    const { meta, content } = parseMarkdownNote(entries[path])
+    const canvasPath = [
+      meta.canvas && `${directoryOf(path)}${meta.canvas}`,
+      path.replace(/\.md$/i, '.excalidraw'),
+    ].find((candidate) => candidate && candidate in entries)
+
+    if (canvasPath) usedCanvases.add(canvasPath)
+    notes.push({
+      sourceId: typeof meta.id === 'string' ? meta.id : null,
+      title: typeof meta.title === 'string' && meta.title.trim() ? meta.title.trim() : baseName(path),
+      content,
+      canvas_data: canvasPath ? parseExcalidrawFile(entries[canvasPath]) : null,
+      created_at: typeof meta.created_at === 'string' ? meta.created_at : null,
+      folder: typeof meta.folder === 'string' ? meta.folder : null,
+      tags: Array.isArray(meta.tags) ? meta.tags.filter((tag) => typeof tag === 'string') : [],
+      path,
+    })
+  })
+
+  paths
+    .filter((path) => /\.excalidraw$/i.test(path) && !usedCanvases.has(path))
+    .forEach((path) => {
+      const canvasData = parseExcalidrawFile(entries[path])
+      if (!canvasData) return
+      notes.push({
+        sourceId: null,
+        title: baseName(path),
+        content: '',
+        canvas_data: canvasData,
+        created_at: null,
+        folder: null,
+        tags: [],
+        path,
+      })
+    })
+
+  return notes
+}
+
+const titleKey = (title) => (title || '').trim().toLowerCase()
+
+/**
+ * Splits imported notes into { toCreate, skipped: [{ note, reason }] }
+ * A note is a duplicate when an existing note has its id (it was exported from
+ * this workspace) or the same title, ignoring case; later copies within the
+ * archive are duplicates of the first
+ */
+export const planImport = (imported, existingNotes) => {
+  const ids = new Set(existingNotes.map((note) => note.id))
+  const titles = new Set(existingNotes.map((note) => titleKey(note.title)))
+  const toCreate = []
+  const skipped = []
+
+  imported.forEach((note) => {
+    if (note.sourceId && ids.has(note.sourceId)) {
+      skipped.push({ note, reason: 'A note with this id already exists' })
+    } else if (titles.has(titleKey(note.title))) {
+      skipped.push({ note, reason: 'A note with this title already exists' })
+    } else {
+      toCreate.push(note)
+      if (note.sourceId) ids.add(note.sourceId)
+      titles.add(titleKey(note.title))
+    }
+  })
+
+  return { toCreate, skipped }
+}
@@ -0,0 +1,122 @@
+// Three-way merge for note text, used when a note changed in another session
+// while it was being edited. base is the version the edit started from, mine
+// the local edit and theirs the current server copy.
+
+export const CONFLICT_MARKERS = {
+  mine: '<<<<<<< Your version',
+  separator: '=======',
+  theirs: '>>>>>>> Their version',
+}
+
+// For each line of a, the index of its matching line in b (longest common subsequence), or -1
+const matchLines = (a, b) => {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const matches = new Array(a.length).fill(-1)
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches[i] = j
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return matches
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, index) => line === b[index])
+
+/**
+ * Line-based three-way merge (diff3)
+ * Lines unchanged in base, mine and theirs anchor the merge; between anchors a
+ * side that left the base untouched takes the other side's edit. Where both
+ * sides changed the same lines differently, both versions are kept between
+ * conflict markers. Returns { text, conflicts } with the number of conflicts
+ */
+export const mergeText = (base = '', mine = '', theirs = '') => {
+  if (mine === theirs) return { text: mine, conflicts: 0 }
+  if (mine === base) return { text: theirs, conflicts: 0 }
+  if (theirs === base) return { text: mine, conflicts: 0 }
+
+  const baseLines = base.split('\n')
+  const mineLines = mine.split('\n')
+  const theirLines = theirs.split('\n')
+  const toMine = matchLines(baseLines, mineLines)
+  const toTheirs = matchLines(baseLines, theirLines)
+
+  // Anchors: base lines kept by both sides, plus the end of all three texts
+  const anchors = []
+  baseLines.forEach((_line, index) => {
+    if (toMine[index] !== -1 && toTheirs[index] !== -1) {
+      anchors.push([index, toMine[index], toTheirs[index]])
+    }
+  })
+  anchors.push([baseLines.length, mineLines.length, theirLines.length])
+
+  const output = []
+  let conflicts = 0
+  let previous = [-1, -1, -1]
+
+  anchors.forEach((anchor) => {
+    const baseChunk = baseLines.slice(previous[0] + 1, anchor[0])
+    const mineChunk = mineLines.slice(previous[1] + 1, anchor[1])
+    const theirChunk = theirLines.slice(previous[2] + 1, anchor[2])
+
+    if (sameLines(mineChunk, baseChunk) || sameLines(mineChunk, theirChunk)) {
+      output.push(...theirChunk)
+    } else if (sameLines(theirChunk, baseChunk)) {
+      output.push(...mineChunk)
+    } else {
+      conflicts++
+      output.push(
+        CONFLICT_MARKERS.mine,
+        ...mineChunk,
+        CONFLICT_MARKERS.separator,
+        ...theirChunk,
+        CONFLICT_MARKERS.theirs
+      )
+    }
+
+    if (anchor[0] < baseLines.length) output.push(baseLines[anchor[0]])
+    previous = anchor
+  })
+
+  return { text: output.join('\n'), conflicts }
+}
+
+export const countConflicts = (text = '') =>
+  text.split('\n').filter((line) => line === CONFLICT_MARKERS.mine).length
+
+/**
+ * Merges the editable note fields
+ * Returns { merged: { title, content }, conflicts } where conflicts lists the
+ * fields both sides changed differently. A conflicting title keeps the local
+ * one; conflicting content carries conflict markers
+ */
+export const mergeNoteFields = (base, mine, theirs) => {
+  const conflicts = []
+
+  let title = mine.title
+  if (mine.title === base.title) {
+    title = theirs.title
+  } else if (theirs.title !== base.title && theirs.title !== mine.title) {
+    conflicts.push('title')
+  }
+
+  const content = mergeText(base.content, mine.content, theirs.content)
+  if (content.conflicts > 0) conflicts.push('content')
+
+  return { merged: { title, content: content.text }, conflicts }
+}
@@ -0,0 +1,33 @@
+// Multi-select for the notes list. Selections are Sets of note ids and are
+// never mutated, so they can live in React state
+
+export const toggleSelection = (selectedIds, id) => {
+  const next = new Set(selectedIds)
+  if (next.has(id)) {
+    next.delete(id)
+  } else {
+    next.add(id)
+  }
+  return next
+}
+
+/**
+ * Shift-click: selects every id from anchorId to id (inclusive) in list order.
+ * Without an anchor that is still listed it only toggles id
+ */
+export const selectRange = (orderedIds, selectedIds, anchorId, id) => {
+  const from = orderedIds.indexOf(anchorId)
+  const to = orderedIds.indexOf(id)
+  if (from === -1 || to === -1) return toggleSelection(selectedIds, id)
+
+  const next = new Set(selectedIds)
+  orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((rangeId) => next.add(rangeId))
+  return next
+}
+
+/**
+ * The selected ids that are still listed, in list order. Notes that were
+ * filtered out or deleted since they were selected are left out
+ */
+export const getVisibleSelection = (orderedIds, selectedIds) =>
+  orderedIds.filter((id) => selectedIds.has(id))
@@ -0,0 +1,111 @@
+// Note tags (see note-tags.sql): per-user { id, name, color } rows attached to
+// notes through { note_id, tag_id } links
+
+export const MAX_TAG_LENGTH = 40
+
+// Colours offered in the tag manager; new tags pick one from their name
+export const TAG_COLORS = [
+  '#6b7280',
+  '#ef4444',
+  '#f97316',
+  '#eab308',
+  '#22c55e',
+  '#14b8a6',
+  '#3b82f6',
+  '#8b5cf6',
+  '#ec4899',
+]
+
+/**
+ * Tag names are lower case with dashes instead of spaces (sprint-42), so they
+ * can be typed as tag: filters without quotes. Returns '' for nothing usable
+ */
+export const normalizeTagName = (name = '') =>
+  name
+    .trim()
+    .toLowerCase()
+    .replace(/^#/, '')
+    .replace(/[\s:"]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, MAX_TAG_LENGTH)
+
+// The same name always gets the same colour
+export const pickTagColor = (name = '') => {
+  let hash = 0
+  for (let i = 0; i < name.length; i++) {
+    hash = (hash * 31 + name.charCodeAt(i)) | 0
+  }
+  return TAG_COLORS[Math.abs(hash) % TAG_COLORS.length]
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name)
+
+/**
+ * Each note's tags, sorted by name. Returns Map(note id -> [tag])
+ */
+export const groupTagsByNote = (tags = [], links = []) => {
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]))
+  const byNote = new Map()
+
+  links.forEach((link) => {
+    const tag = tagsById.get(link.tag_id)
+    if (!tag) return
+    byNote.set(link.note_id, [...(byNote.get(link.note_id) || []), tag])
+  })
+  byNote.forEach((noteTags) => noteTags.sort(byName))
+
+  return byNote
+}
+
+/**
+ * Note ids per lower case tag name, for tag: search filters
+ */
+export const getTagNoteIds = (tags = [], links = []) => {
+  const namesById = new Map(tags.map((tag) => [tag.id, tag.name.toLowerCase()]))
+  const result = {}
+
+  links.forEach((link) => {
+    const name = namesById.get(link.tag_id)
+    if (name) result[name] = [...(result[name] || []), link.note_id]
+  })
+
+  return result
+}
+
+/**
+ * Number of notes with each tag. Returns Map(tag id -> count)
+ */
+export const countNotesByTag = (links = []) => {
+  const counts = new Map()
+  links.forEach((link) => counts.set(link.tag_id, (counts.get(link.tag_id) || 0) + 1))
+  return counts
+}
+
+/**
+ * Sort comparator for notes by their tags: alphabetically by first tag, then
+ * by the next ones; untagged notes go last
+ */
+export const compareNotesByTags = (aTags = [], bTags = []) => {
+  if (aTags.length === 0 || bTags.length === 0) return bTags.length - aTags.length
+
+  const length = Math.min(aTags.length, bTags.length)
+  for (let i = 0; i < length; i++) {
+    const order = aTags[i].name.localeCompare(bTags[i].name)
+    if (order !== 0) return order
+  }
+  return aTags.length - bTags.length
+}
+
+/**
+ * Whether a tag is on every, some or none of the given notes, for bulk tagging
+ * Returns 'all', 'some' or 'none'
+ */
+export const getTagState = (tagId, noteIds = [], links = []) => {
+  if (noteIds.length === 0) return 'none'
+
+  const tagged = new Set(links.filter((link) => link.tag_id === tagId).map((link) => link.note_id))
+  const count = noteIds.filter((id) => tagged.has(id)).length
+  if (count === 0) return 'none'
+  return count === noteIds.length ? 'all' : 'some'
+}
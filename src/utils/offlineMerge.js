@@ -0,0 +1,59 @@
+import { applyOperation, createReplica, elementToOperation, getReplicaElements } from './canvasCrdt'
+
+/**
+ * Merges two canvas_data values element by element
+ * Each element keeps its newest version (see canvasCrdt), so edits made on the
+ * server while this client was offline survive alongside the offline edits
+ */
+export const mergeCanvasData = (serverData, localData) => {
+  const replica = createReplica()
+  const elements = [...(serverData?.elements || []), ...(localData?.elements || [])]
+  elements.forEach((element) => applyOperation(replica, elementToOperation(element)))
+
+  return {
+    elements: getReplicaElements(replica),
+    files: { ...(serverData?.files || {}), ...(localData?.files || {}) }
+  }
+}
+
+/**
+ * Decides what a queued offline mutation should still write
+ * Canvas scenes are merged with the server copy. Note fields that were also
+ * changed on the server after the mutation was queued keep the server value.
+ * replayedWrite ({ before, written }) is the row's updated_at before and after
+ * this client's last replayed write: while the row is still at that write, it
+ * is compared as it was before, so queued saves don't lose to earlier ones.
+ * Returns { updates, keptServerFields }; updates is null when nothing is left
+ * to write
+ */
+export const resolveQueuedMutation = (mutation, serverRow, replayedWrite = null) => {
+  if (mutation.kind === 'canvas') {
+    const merged = mergeCanvasData(serverRow.canvas_data, mutation.updates.canvas_data)
+    const unchanged = JSON.stringify(merged) === JSON.stringify(serverRow.canvas_data)
+    return {
+      updates: unchanged ? null : { canvas_data: merged },
+      keptServerFields: []
+    }
+  }
+
+  const serverUpdatedAt = replayedWrite && replayedWrite.written === serverRow.updated_at
+    ? replayedWrite.before
+    : serverRow.updated_at
+  const serverIsNewer = new Date(serverUpdatedAt) > new Date(mutation.queuedAt)
+  const updates = {}
+  const keptServerFields = []
+
+  Object.entries(mutation.updates).forEach(([field, value]) => {
+    if (field === 'updated_at') return
+    if (serverIsNewer && field in serverRow && serverRow[field] !== value) {
+      keptServerFields.push(field)
+    } else if (serverRow[field] !== value) {
+      updates[field] = value
+    }
+  })
+
+  return {
+    updates: Object.keys(updates).length > 0 ? updates : null,
+    keptServerFields
+  }
+}
@@ -0,0 +1,60 @@
+// Pointer updates are sent at most this often per user
+export const CURSOR_THROTTLE_MS = 50
+
+// Cursors without updates are drawn faded after CURSOR_IDLE_MS and removed
+// after CURSOR_TIMEOUT_MS (e.g. the tab was closed without a presence leave)
+export const CURSOR_IDLE_MS = 5000
+export const CURSOR_TIMEOUT_MS = 30000
+
+const COLLABORATOR_COLORS = [
+  '#e03131',
+  '#2f9e44',
+  '#1971c2',
+  '#f08c00',
+  '#9c36b5',
+  '#0c8599',
+  '#e8590c',
+  '#c2255c',
+]
+
+// Stable per-user colour so a collaborator looks the same on every client
+export const getCollaboratorColor = (userId = '') => {
+  let hash = 0
+  for (let i = 0; i < userId.length; i++) {
+    hash = (hash * 31 + userId.charCodeAt(i)) | 0
+  }
+  const color = COLLABORATOR_COLORS[Math.abs(hash) % COLLABORATOR_COLORS.length]
+  return { background: color, stroke: color }
+}
+
+// Same display name the presence channel tracks
+export const getCollaboratorName = (user) =>
+  user?.user_metadata?.name || user?.name || user?.email?.split('@')[0] || 'Anonymous'
+
+/**
+ * Turns received cursor states into Excalidraw's collaborators map
+ * cursors: Map of userId -> { username, pointer, button, selectedElementIds, lastSeen }
+ * Cursors older than CURSOR_TIMEOUT_MS are dropped, idle ones are marked so
+ * Excalidraw draws them faded
+ */
+export const buildCollaboratorsMap = (cursors, now = Date.now()) => {
+  const collaborators = new Map()
+
+  cursors.forEach((cursor, userId) => {
+    const age = now - cursor.lastSeen
+    if (age > CURSOR_TIMEOUT_MS) return
+
+    collaborators.set(userId, {
+      id: userId,
+      socketId: userId,
+      username: cursor.username,
+      pointer: cursor.pointer,
+      button: cursor.button,
+      selectedElementIds: cursor.selectedElementIds || {},
+      color: getCollaboratorColor(userId),
+      userState: age > CURSOR_IDLE_MS ? 'idle' : 'active',
+    })
+  })
+
+  return collaborators
+}
@@ -0,0 +1,320 @@
+import { addDays, format, isValid, parse, startOfDay, subDays } from 'date-fns'
+
+// Search bar query language: free text plus field filters such as
+// title:roadmap has:canvas shared:yes updated:>2026-09-01 owner:me tag:retro
+// Values with spaces are quoted (title:"q3 plan") and a leading - negates
+// title:, has: and tag: (-has:canvas). Free text goes to full-text search, filters
+// are applied by search_notes() (see notes-search.sql).
+
+const DATE_FORMAT = 'yyyy-MM-dd'
+const MAX_SUGGESTIONS = 8
+
+export const SEARCH_FIELDS = {
+  title: { description: 'Title contains', negatable: true },
+  tag: { description: 'Tagged with', negatable: true },
+  has: {
+    description: 'Has a canvas or text',
+    negatable: true,
+    values: [
+      { value: 'canvas', description: 'Has a drawing' },
+      { value: 'content', description: 'Has note text' },
+    ],
+  },
+  shared: {
+    description: 'Shared with others',
+    values: [
+      { value: 'yes', description: 'Shared with or by you' },
+      { value: 'no', description: 'Only you have access' },
+    ],
+  },
+  owner: {
+    description: 'Who owns the note',
+    values: [
+      { value: 'me', description: 'Your notes' },
+      { value: 'others', description: 'Notes shared with you' },
+    ],
+  },
+  updated: { description: 'Last edited (>, <, >=, <= a date)', date: true },
+  created: { description: 'Created (>, <, >=, <= a date)', date: true },
+}
+
+const FILTER_PATTERN = /^(-?)([a-zA-Z]+):([\s\S]*)$/
+const DATE_PATTERN = /^(>=|<=|>|<|=)?(\d{4}-\d{2}-\d{2})$/
+// A date still being typed, e.g. ">" or ">=2026-0"
+const PARTIAL_DATE_PATTERN = /^(>=|<=|>|<|=)?[\d-]{0,9}$/
+
+const unquote = (value) => value.replace(/^"/, '').replace(/"$/, '')
+
+const quoteIfNeeded = (value) => (/\s/.test(value) ? `"${value}"` : value)
+
+/**
+ * Splits a query into whitespace separated tokens; double quotes keep spaces
+ * inside a token. Returns [{ raw, start, end, unclosed }]
+ */
+export const tokenizeSearchQuery = (query = '') => {
+  const tokens = []
+  let index = 0
+
+  while (index < query.length) {
+    if (/\s/.test(query[index])) {
+      index++
+      continue
+    }
+
+    const start = index
+    let quoted = false
+    while (index < query.length && (quoted || !/\s/.test(query[index]))) {
+      if (query[index] === '"') quoted = !quoted
+      index++
+    }
+    tokens.push({ raw: query.slice(start, index), start, end: index, unclosed: quoted })
+  }
+
+  return tokens
+}
+
+const parseDateValue = (value) => {
+  const match = DATE_PATTERN.exec(value)
+  if (!match) return null
+
+  const date = parse(match[2], DATE_FORMAT, new Date())
+  if (!isValid(date)) return null
+  return { operator: match[1] || '=', date: match[2] }
+}
+
+/**
+ * Parses a search bar query
+ * Returns { text, filters, errors } where text is the free text, filters are
+ * [{ field, value, negated, operator, start, end }] (operator for dates) and
+ * errors are [{ message, start, end, incomplete }]; incomplete errors are for
+ * a filter whose value is missing or half typed, which is normal while typing it
+ */
+export const parseSearchQuery = (query = '') => {
+  const words = []
+  const filters = []
+  const errors = []
+
+  tokenizeSearchQuery(query).forEach((token) => {
+    const { raw, start, end } = token
+    const error = (message, incomplete = false) => errors.push({ message, start, end, incomplete })
+
+    if (token.unclosed) {
+      error('Missing closing quote')
+      return
+    }
+
+    const match = FILTER_PATTERN.exec(raw)
+    if (!match) {
+      words.push(unquote(raw))
+      return
+    }
+
+    const negated = match[1] === '-'
+    const field = match[2].toLowerCase()
+    const value = unquote(match[3]).trim()
+    const definition = SEARCH_FIELDS[field]
+
+    if (!definition) {
+      error(`Unknown filter "${field}:". Try ${Object.keys(SEARCH_FIELDS).map((name) => `${name}:`).join(' ')}`)
+      return
+    }
+    if (!value) {
+      error(`Add a value after "${field}:"`, true)
+      return
+    }
+    if (negated && !definition.negatable) {
+      error(`"${field}:" can't be negated with -`)
+      return
+    }
+
+    if (definition.date) {
+      const date = parseDateValue(value)
+      if (!date) {
+        error(`"${value}" isn't a date. Use ${field}:>2026-09-01 (also <, >=, <=)`, PARTIAL_DATE_PATTERN.test(value))
+        return
+      }
+      filters.push({ field, value: date.date, operator: date.operator, negated, start, end })
+      return
+    }
+
+    if (definition.values) {
+      const lower = value.toLowerCase()
+      if (!definition.values.some((option) => option.value === lower)) {
+        error(
+          `"${field}:" takes ${definition.values.map((option) => option.value).join(' or ')}`,
+          definition.values.some((option) => option.value.startsWith(lower))
+        )
+        return
+      }
+      if (!definition.negatable && filters.some((filter) => filter.field === field)) {
+        error(`"${field}:" is used more than once`)
+        return
+      }
+      filters.push({ field, value: value.toLowerCase(), negated, start, end })
+      return
+    }
+
+    filters.push({ field, value, negated, start, end })
+  })
+
+  return { text: words.join(' ').trim(), filters, errors }
+}
+
+// Local day boundaries as ISO timestamps: { after (inclusive), before (exclusive) }
+const getDateRange = (operator, value) => {
+  const day = startOfDay(parse(value, DATE_FORMAT, new Date()))
+  const nextDay = addDays(day, 1)
+
+  switch (operator) {
+    case '>':
+      return { after: nextDay }
+    case '>=':
+      return { after: day }
+    case '<':
+      return { before: day }
+    case '<=':
+      return { before: nextDay }
+    default:
+      return { after: day, before: nextDay }
+  }
+}
+
+/**
+ * Filters in the shape search_notes() takes (see notes-search.sql)
+ * Tags live on the client, so tag: filters become note id lists; tagNoteIds
+ * maps a lower case tag name to the ids of the notes that have it
+ */
+export const toSearchFilters = (filters = [], { tagNoteIds = {} } = {}) => {
+  const result = {}
+  const addTo = (key, value) => {
+    result[key] = [...(result[key] || []), value]
+  }
+
+  filters.forEach(({ field, value, negated, operator }) => {
+    if (field === 'title' || field === 'has') {
+      addTo(negated ? `not_${field}` : field, value)
+    } else if (field === 'tag') {
+      const noteIds = tagNoteIds[value.toLowerCase()] || []
+      if (negated) {
+        result.not_note_ids = Array.from(new Set([...(result.not_note_ids || []), ...noteIds]))
+      } else {
+        // Several tags must all be on the note
+        result.note_ids = result.note_ids ? result.note_ids.filter((id) => noteIds.includes(id)) : [...noteIds]
+      }
+    } else if (field === 'shared') {
+      result.shared = value === 'yes'
+    } else if (field === 'owner') {
+      result.owner = value
+    } else if (SEARCH_FIELDS[field]?.date) {
+      const { after, before } = getDateRange(operator, value)
+      const afterKey = `${field}_after`
+      const beforeKey = `${field}_before`
+      // Several bounds on one field narrow the range
+      if (after && (!result[afterKey] || after > new Date(result[afterKey]))) {
+        result[afterKey] = after.toISOString()
+      }
+      if (before && (!result[beforeKey] || before < new Date(result[beforeKey]))) {
+        result[beforeKey] = before.toISOString()
+      }
+    }
+  })
+
+  return result
+}
+
+export const hasSearchCriteria = (parsed) => Boolean(parsed.text) || parsed.filters.length > 0
+
+const getDatePresets = (now) => [
+  { value: format(now, DATE_FORMAT), description: 'Today' },
+  { value: `>=${format(subDays(now, 7), DATE_FORMAT)}`, description: 'Last 7 days' },
+  { value: `>=${format(subDays(now, 30), DATE_FORMAT)}`, description: 'Last 30 days' },
+  { value: `<${format(subDays(now, 90), DATE_FORMAT)}`, description: 'More than 90 days ago' },
+]
+
+/**
+ * Autocomplete for the token at the caret
+ * Suggests field names while the token has no colon yet, then values for the
+ * field (note titles for title:, tag names for tag:, presets for dates). Returns
+ * [{ label, description, insert, start, end, complete }] where insert
+ * replaces query.slice(start, end); complete suggestions finish the filter
+ */
+export const getSearchSuggestions = (
+  query = '',
+  caret = query.length,
+  { titles = [], tags = [], now = new Date() } = {}
+) => {
+  const token = tokenizeSearchQuery(query).find((t) => t.start <= caret && caret <= t.end) ||
+    { raw: '', start: caret, end: caret }
+  const typed = token.raw.slice(0, caret - token.start)
+  const negation = typed.startsWith('-') ? '-' : ''
+  const body = typed.slice(negation.length)
+  const range = { start: token.start, end: token.end }
+
+  const colon = body.indexOf(':')
+  if (colon === -1) {
+    const prefix = body.toLowerCase()
+    return Object.entries(SEARCH_FIELDS)
+      .filter(([name, definition]) => name.startsWith(prefix) && (!negation || definition.negatable))
+      .map(([name, definition]) => ({
+        label: `${negation}${name}:`,
+        description: definition.description,
+        insert: `${negation}${name}:`,
+        complete: false,
+        ...range,
+      }))
+  }
+
+  const field = body.slice(0, colon).toLowerCase()
+  const definition = SEARCH_FIELDS[field]
+  if (!definition) return []
+
+  const valuePrefix = unquote(body.slice(colon + 1)).toLowerCase()
+  const toSuggestion = (value, description) => ({
+    label: `${negation}${field}:${value}`,
+    description,
+    insert: `${negation}${field}:${quoteIfNeeded(value)}`,
+    complete: true,
+    ...range,
+  })
+
+  if (definition.values) {
+    return definition.values
+      .filter((option) => option.value.startsWith(valuePrefix))
+      .map((option) => toSuggestion(option.value, option.description))
+  }
+
+  if (definition.date) {
+    return getDatePresets(now)
+      .filter((preset) => preset.value.startsWith(valuePrefix))
+      .map((preset) => toSuggestion(preset.value, preset.description))
+  }
+
+  if (field === 'tag') {
+    return Array.from(new Set(tags.filter(Boolean)))
+      .filter((tag) => tag.toLowerCase().startsWith(valuePrefix))
+      .slice(0, MAX_SUGGESTIONS)
+      .map((tag) => toSuggestion(tag, 'Tag'))
+  }
+
+  // title: matches the titles of notes the user has
+  return Array.from(new Set(titles.filter(Boolean)))
+    .filter((title) => title.toLowerCase().includes(valuePrefix))
+    .slice(0, MAX_SUGGESTIONS)
+    .map((title) => toSuggestion(title, 'Note title'))
+}
+
+/**
+ * Puts a suggestion into the query; returns { text, caret }
+ */
+export const applySearchSuggestion = (query, suggestion) => {
+  const before = query.slice(0, suggestion.start)
+  let after = query.slice(suggestion.end)
+  let insert = suggestion.insert
+
+  if (suggestion.complete) {
+    after = after.replace(/^\s+/, '')
+    insert += ' '
+  }
+
+  return { text: before + insert + after, caret: before.length + insert.length }
+}
@@ -0,0 +1,47 @@
+// Search snippets from search_notes() (see notes-search.sql) mark matches with
+// these characters instead of HTML, so note text is never rendered as markup
+export const HIGHLIGHT_START = '\u0002'
+export const HIGHLIGHT_END = '\u0003'
+
+export const hasHighlights = (snippet) => Boolean(snippet && snippet.includes(HIGHLIGHT_START))
+
+/**
+ * Splits a snippet into [{ text, highlighted }] parts for rendering
+ */
+export const splitHighlights = (snippet = '') => {
+  const parts = []
+  let highlighted = false
+  let text = ''
+
+  const flush = () => {
+    if (text) parts.push({ text, highlighted })
+    text = ''
+  }
+
+  for (const char of snippet || '') {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_END) {
+      flush()
+      highlighted = char === HIGHLIGHT_START
+    } else {
+      text += char
+    }
+  }
+  flush()
+
+  return parts
+}
+
+/**
+ * Turns a search_notes() row into { note, rank, snippets }
+ * Only snippets that contain a match are kept, so a card can show where the
+ * note matched (its content or its canvas)
+ */
+export const toSearchResult = ({ rank, title_snippet, content_snippet, canvas_snippet, ...note }) => ({
+  note,
+  rank,
+  snippets: {
+    title: hasHighlights(title_snippet) ? title_snippet : null,
+    content: hasHighlights(content_snippet) ? content_snippet : null,
+    canvas: hasHighlights(canvas_snippet) ? canvas_snippet : null,
+  },
+})
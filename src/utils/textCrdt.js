@@ -0,0 +1,253 @@
+/**
+ * Sequence CRDT for co-edited note text (RGA)
+ *
+ * Every character gets an id when it is typed: `${counter}@${site}`, where
+ * site identifies the editing session and counter comes from a Lamport clock.
+ * An insert names the character it was typed after; concurrent inserts after
+ * the same character are ordered by id (newer first), so replicas that have
+ * seen the same operations hold the same text whatever order they arrived in.
+ * Deleted characters stay as tombstones, so late inserts and remote carets
+ * anchored to them still find their place.
+ *
+ * Operations:
+ *   { type: 'insert', id, after, value } - value's characters get consecutive
+ *     counters from id's, each typed after the previous one (after: null is
+ *     the start of the text)
+ *   { type: 'delete', ids }
+ */
+
+// Site of the characters a replica loads from the saved note
+export const BASE_SITE = 'base'
+
+export const formatCharId = (counter, site) => `${counter}@${site}`
+
+export const parseCharId = (id) => {
+  const separator = id.indexOf('@')
+  return { counter: Number(id.slice(0, separator)), site: id.slice(separator + 1) }
+}
+
+// > 0 when a is newer than b (and so goes first among inserts at the same spot)
+export const compareCharIds = (a, b) => {
+  const left = typeof a === 'string' ? parseCharId(a) : a
+  const right = typeof b === 'string' ? parseCharId(b) : b
+  if (left.counter !== right.counter) return left.counter - right.counter
+  return left.site < right.site ? -1 : left.site > right.site ? 1 : 0
+}
+
+export const createTextReplica = (site) => ({
+  site,
+  clock: 0,
+  items: [],
+  byId: new Map(),
+  pending: [],
+})
+
+// Returns 'applied', 'duplicate' or 'missing' (the character it follows isn't here yet)
+const integrateChar = (replica, item) => {
+  if (replica.byId.has(item.id)) return 'duplicate'
+
+  let index = 0
+  if (item.after !== null) {
+    const previous = replica.byId.get(item.after)
+    if (!previous) return 'missing'
+    index = replica.items.indexOf(previous) + 1
+  }
+
+  // Newer inserts at the same spot (and whatever was typed after them) stay first
+  while (index < replica.items.length && compareCharIds(replica.items[index], item) > 0) {
+    index++
+  }
+
+  replica.items.splice(index, 0, item)
+  replica.byId.set(item.id, item)
+  replica.clock = Math.max(replica.clock, item.counter)
+  return 'applied'
+}
+
+// Returns { status, changed } where status is 'done' or 'missing'
+const applyOperationOnce = (replica, operation) => {
+  if (operation.type === 'delete') {
+    if (operation.ids.some((id) => !replica.byId.has(id))) {
+      return { status: 'missing', changed: false }
+    }
+
+    let changed = false
+    operation.ids.forEach((id) => {
+      const item = replica.byId.get(id)
+      if (!item.deleted) {
+        item.deleted = true
+        changed = true
+      }
+    })
+    return { status: 'done', changed }
+  }
+
+  const { counter, site } = parseCharId(operation.id)
+  let after = operation.after
+  let changed = false
+
+  for (let offset = 0; offset < operation.value.length; offset++) {
+    const id = formatCharId(counter + offset, site)
+    const result = integrateChar(replica, {
+      id,
+      counter: counter + offset,
+      site,
+      after,
+      value: operation.value[offset],
+      deleted: false,
+    })
+    if (result === 'missing') return { status: 'missing', changed }
+    if (result === 'applied') changed = true
+    after = id
+  }
+
+  return { status: 'done', changed }
+}
+
+/**
+ * Applies operations in any order; ones that depend on characters this
+ * replica hasn't seen are kept and retried as those arrive
+ * Returns true when the text changed
+ */
+export const applyTextOperations = (replica, operations) => {
+  let changed = false
+  let queue = [...replica.pending, ...operations]
+  replica.pending = []
+
+  let progress = true
+  while (progress && queue.length > 0) {
+    progress = false
+    const waiting = []
+    queue.forEach((operation) => {
+      const result = applyOperationOnce(replica, operation)
+      if (result.changed) changed = true
+      if (result.status === 'missing') {
+        waiting.push(operation)
+      } else {
+        progress = true
+      }
+    })
+    queue = waiting
+  }
+
+  replica.pending = queue
+  return changed
+}
+
+export const getText = (replica) =>
+  replica.items.reduce((text, item) => (item.deleted ? text : text + item.value), '')
+
+// Ids of the visible characters, in order
+export const getVisibleIds = (replica) =>
+  replica.items.filter((item) => !item.deleted).map((item) => item.id)
+
+/**
+ * Loads saved text as the replica's starting point
+ * The ids only depend on the text, so sessions that open the same saved note
+ * at the same time start from identical replicas
+ */
+export const loadText = (replica, text) => {
+  if (!text) return false
+  return applyTextOperations(replica, [
+    { type: 'insert', id: formatCharId(1, BASE_SITE), after: null, value: text },
+  ])
+}
+
+// Where two texts differ: { start, deleteCount, insert }
+export const diffText = (previous, next) => {
+  let start = 0
+  const maxStart = Math.min(previous.length, next.length)
+  while (start < maxStart && previous[start] === next[start]) start++
+
+  let end = 0
+  const maxEnd = Math.min(previous.length, next.length) - start
+  while (end < maxEnd && previous[previous.length - 1 - end] === next[next.length - 1 - end]) end++
+
+  return {
+    start,
+    deleteCount: previous.length - start - end,
+    insert: next.slice(start, next.length - end),
+  }
+}
+
+/**
+ * Turns a local edit into operations and applies them
+ * previous: { text, ids } as the user saw it (ids from getVisibleIds), next:
+ * the edited text. Working from what was on screen keeps the edit in place
+ * even if remote operations landed since. Returns the operations to send
+ */
+export const createTextOperations = (replica, previous, next) => {
+  const { start, deleteCount, insert } = diffText(previous.text, next)
+  const operations = []
+
+  if (deleteCount > 0) {
+    operations.push({ type: 'delete', ids: previous.ids.slice(start, start + deleteCount) })
+  }
+
+  if (insert) {
+    const counter = replica.clock + 1
+    operations.push({
+      type: 'insert',
+      id: formatCharId(counter, replica.site),
+      after: start > 0 ? previous.ids[start - 1] : null,
+      value: insert,
+    })
+  }
+
+  applyTextOperations(replica, operations)
+  return operations
+}
+
+/**
+ * Operations that rebuild the whole replica, tombstones included
+ * Used to hand the current text to a session that joins later
+ */
+export const getReplicaOperations = (replica) => {
+  const operations = []
+  const deleted = []
+  let run = null
+
+  replica.items.forEach((item) => {
+    const continuesRun =
+      run &&
+      item.after === run.lastId &&
+      item.site === run.site &&
+      item.counter === run.nextCounter
+
+    if (continuesRun) {
+      run.operation.value += item.value
+    } else {
+      run = { operation: { type: 'insert', id: item.id, after: item.after, value: item.value }, site: item.site }
+      operations.push(run.operation)
+    }
+    run.lastId = item.id
+    run.nextCounter = item.counter + 1
+
+    if (item.deleted) deleted.push(item.id)
+  })
+
+  if (deleted.length > 0) operations.push({ type: 'delete', ids: deleted })
+  return operations
+}
+
+// Caret position as the id of the character before it (null at the start)
+export const getCharIdBefore = (ids, index) => (index > 0 ? ids[index - 1] || null : null)
+
+/**
+ * Caret index for an id from getCharIdBefore
+ * A deleted character still marks where it was. Returns null for ids this
+ * replica doesn't know
+ */
+export const getIndexAfterCharId = (replica, id) => {
+  if (id === null) return 0
+
+  const target = replica.byId.get(id)
+  if (!target) return null
+
+  let index = 0
+  for (const item of replica.items) {
+    if (!item.deleted) index++
+    if (item === target) return index
+  }
+  return null
+}
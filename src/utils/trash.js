@@ -0,0 +1,29 @@
+import { addDays, differenceInCalendarDays, subDays } from 'date-fns'
+
+// Deleted notes stay in the Trash (notes.deleted_at, see notes-trash.sql) this
+// long before they are purged
+export const TRASH_RETENTION_DAYS = 30
+
+export const isTrashed = (note) => Boolean(note?.deleted_at)
+
+// Notes deleted before this time are due to be purged
+export const getPurgeCutoff = (now = new Date(), retentionDays = TRASH_RETENTION_DAYS) =>
+  subDays(now, retentionDays)
+
+/**
+ * Whole days left before a trashed note is purged (0 when it is due)
+ */
+export const getDaysUntilPurge = (deletedAt, now = new Date(), retentionDays = TRASH_RETENTION_DAYS) =>
+  Math.max(0, differenceInCalendarDays(addDays(new Date(deletedAt), retentionDays), now))
+
+/**
+ * Splits notes into { active, trashed }; trashed notes come most recently
+ * deleted first
+ */
+export const splitTrashedNotes = (notes = []) => {
+  const active = []
+  const trashed = []
+  notes.forEach((note) => (isTrashed(note) ? trashed : active).push(note))
+  trashed.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at))
+  return { active, trashed }
+}